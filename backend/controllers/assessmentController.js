@@ -1,9 +1,15 @@
 const Assessment = require('../models/Assessment');
 const Question = require('../models/Question');
 const User = require('../models/User');
+const StudentResponse = require('../models/StudentResponse');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const { AIQuestionGenerator } = require('../services/aiQuestionGenerator');
+const RubricService = require('../services/RubricService');
+const BlueprintService = require('../services/BlueprintService');
+const ShuffleService = require('../services/ShuffleService');
+const AccessControlService = require('../services/AccessControlService');
+const PsychometricService = require('../services/PsychometricService');
 
 // Utility function for error handling
 const handleErrors = (error, res) => {
@@ -78,6 +84,26 @@ const createAssessment = async (req, res) => {
       }
     }
 
+    // Question rubrics must add up to each question's marks
+    const rubricErrors = RubricService.validateAssessmentRubrics(questions, grading?.rubric);
+    if (rubricErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rubric',
+        errors: rubricErrors
+      });
+    }
+
+    // IP allow-lists must be valid addresses and CIDR ranges
+    const ipErrors = AccessControlService.validateRestrictions(participants?.ipRestrictions);
+    if (ipErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid IP restrictions',
+        errors: ipErrors
+      });
+    }
+
     // Create assessment
     const assessment = new Assessment({
       title,
@@ -89,6 +115,11 @@ const createAssessment = async (req, res) => {
       questions: questions || [],
       configuration: {
         duration: configuration?.duration || 60,
+        pausing: {
+          allowed: configuration?.pausing?.allowed !== false,
+          maxPauses: configuration?.pausing?.maxPauses ?? 3,
+          maxPauseMinutes: configuration?.pausing?.maxPauseMinutes ?? 15
+        },
         questionsPerPage: configuration?.questionsPerPage || 1,
         allowBackward: configuration?.allowBackward !== false,
         showQuestionNumbers: configuration?.showQuestionNumbers !== false,
@@ -106,6 +137,7 @@ const createAssessment = async (req, res) => {
           tabSwitchDetection: configuration?.preventCheating?.tabSwitchDetection || false,
           faceDetection: configuration?.preventCheating?.faceDetection || false
         },
+        integrity: configuration?.integrity,
         maxAttempts: configuration?.maxAttempts || 1,
         attemptDelay: configuration?.attemptDelay || 0,
         showResults: {
@@ -114,6 +146,10 @@ const createAssessment = async (req, res) => {
           afterAllComplete: configuration?.showResults?.afterAllComplete || false,
           manual: configuration?.showResults?.manual || false
         },
+        appeals: {
+          enabled: configuration?.appeals?.enabled !== false,
+          windowHours: configuration?.appeals?.windowHours || 72
+        },
         autoGrading: configuration?.autoGrading !== false,
         partialMarking: configuration?.partialMarking || false,
         negativeMarking: {
@@ -134,7 +170,8 @@ const createAssessment = async (req, res) => {
         autoSubmit: schedule.autoSubmit !== false,
         lateSubmission: {
           allowed: schedule.lateSubmission?.allowed || false,
-          penaltyPercentage: schedule.lateSubmission?.penaltyPercentage || 10
+          windowMinutes: schedule.lateSubmission?.windowMinutes || 60,
+          penaltyPercentage: schedule.lateSubmission?.penaltyPercentage ?? 10
         }
       },
       participants: {
@@ -145,6 +182,10 @@ const createAssessment = async (req, res) => {
           maxParticipants: participants?.openAccess?.maxParticipants || 0
         },
         accessCode: participants?.accessCode,
+        accessCodePolicy: {
+          maxFailedAttempts: participants?.accessCodePolicy?.maxFailedAttempts || 5,
+          lockoutMinutes: participants?.accessCodePolicy?.lockoutMinutes || 15
+        },
         ipRestrictions: {
           enabled: participants?.ipRestrictions?.enabled || false,
           allowedIPs: participants?.ipRestrictions?.allowedIPs || [],
@@ -153,6 +194,7 @@ const createAssessment = async (req, res) => {
       },
       createdBy: req.user.id,
       grading: {
+        scheme: grading?.scheme || 'standard',
         totalMarks: grading?.totalMarks || 0,
         passingMarks: grading?.passingMarks || 0,
         gradingScale: grading?.gradingScale || new Map([
@@ -181,7 +223,11 @@ const createAssessment = async (req, res) => {
         },
         adaptiveTesting: {
           enabled: aiFeatures?.adaptiveTesting?.enabled || false,
-          algorithm: aiFeatures?.adaptiveTesting?.algorithm || 'simple'
+          algorithm: aiFeatures?.adaptiveTesting?.algorithm || 'simple',
+          minQuestions: aiFeatures?.adaptiveTesting?.minQuestions || 5,
+          maxQuestions: aiFeatures?.adaptiveTesting?.maxQuestions || 30,
+          seThreshold: aiFeatures?.adaptiveTesting?.seThreshold || 0.3,
+          initialAbility: aiFeatures?.adaptiveTesting?.initialAbility || 0
         }
       },
       liveFeatures: {
@@ -348,6 +394,10 @@ const getAssessmentById = async (req, res) => {
 
     // Remove sensitive information for students
     if (userRole === 'student') {
+      // Access codes are handed out by the teacher, never by the API
+      assessment.participants.accessCode = undefined;
+      assessment.participants.accessCodeFailures = [];
+
       // Hide correct answers and explanations until appropriate time
       const now = new Date();
       const assessmentEnded = now > assessment.schedule.endDate;
@@ -358,6 +408,9 @@ const getAssessmentById = async (req, res) => {
         assessment.questions = assessment.questions.map(q => {
           const question = q.questionId.toObject();
           delete question.correctAnswer;
+          delete question.numericAnswer;
+          delete question.matching;
+          delete question.ordering;
           delete question.explanation;
           return { ...q.toObject(), questionId: question };
         });
@@ -436,6 +489,34 @@ const updateAssessment = async (req, res) => {
       }
     }
 
+    // Question rubrics must still add up to each question's marks
+    if (req.body.questions || req.body.grading?.rubric) {
+      const rubricErrors = RubricService.validateAssessmentRubrics(
+        req.body.questions || assessment.questions,
+        req.body.grading?.rubric || assessment.grading.rubric
+      );
+
+      if (rubricErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid rubric',
+          errors: rubricErrors
+        });
+      }
+    }
+
+    if (req.body.participants?.ipRestrictions) {
+      const ipErrors = AccessControlService.validateRestrictions(req.body.participants.ipRestrictions);
+
+      if (ipErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid IP restrictions',
+          errors: ipErrors
+        });
+      }
+    }
+
     // Update assessment
     const updatedAssessment = await Assessment.findByIdAndUpdate(
       id,
@@ -562,7 +643,8 @@ const publishAssessment = async (req, res) => {
     }
 
     // Validate assessment before publishing
-    if (!assessment.questions || assessment.questions.length === 0) {
+    const hasBlueprint = assessment.blueprint?.enabled && assessment.blueprint.sections.length > 0;
+    if (!hasBlueprint && (!assessment.questions || assessment.questions.length === 0)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot publish assessment without questions'
@@ -856,6 +938,15 @@ const getAssessmentAnalytics = async (req, res) => {
       });
     }
 
+    // Late-window submissions and the marks they lost
+    const lateAttempts = await StudentResponse.find({
+      assessmentId: id,
+      'lateSubmission.isLate': true
+    }).select('studentId attemptNumber submittedAt lateSubmission').populate('studentId', 'name email');
+
+    // Difficulty, discrimination, distractors and reliability from first attempts
+    const psychometrics = await PsychometricService.getAssessmentReport(assessment._id);
+
     // Calculate detailed analytics
     const analytics = {
       overview: {
@@ -880,6 +971,22 @@ const getAssessmentAnalytics = async (req, res) => {
         timeDistribution: []   // TODO: Calculate from submissions
       },
       
+      lateSubmissions: {
+        allowed: !!assessment.schedule.lateSubmission?.allowed,
+        penaltyPercentage: assessment.schedule.lateSubmission?.penaltyPercentage,
+        count: lateAttempts.length,
+        totalMarksDeducted: Math.round(
+          lateAttempts.reduce((sum, a) => sum + (a.lateSubmission.marksDeducted || 0), 0) * 100
+        ) / 100,
+        submissions: lateAttempts.map(a => ({
+          student: a.studentId,
+          attemptNumber: a.attemptNumber,
+          submittedAt: a.submittedAt,
+          minutesLate: a.lateSubmission.minutesLate,
+          marksDeducted: a.lateSubmission.marksDeducted
+        }))
+      },
+      
       questions: assessment.statistics.questionAnalytics.map(qa => {
         const question = assessment.questions.find(q => 
           q.questionId._id.toString() === qa.questionId.toString()
@@ -897,6 +1004,8 @@ const getAssessmentAnalytics = async (req, res) => {
         };
       }),
       
+      psychometrics,
+      
       timeline: [], // TODO: Add submission timeline data
       
       insights: assessment.aiFeatures.insights || []
@@ -913,6 +1022,97 @@ const getAssessmentAnalytics = async (req, res) => {
   }
 };
 
+// @desc    Get ability-estimate trajectories of adaptive attempts
+// @route   GET /api/assessments/:id/adaptive-trajectories
+// @access  Private (Creator or Collaborator)
+const getAdaptiveTrajectories = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    // Check permissions
+    const userId = req.user.id;
+    const hasAccess = 
+      assessment.createdBy._id.toString() === userId ||
+      assessment.collaborators.some(c => c.teacherId.toString() === userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to view adaptive trajectories'
+      });
+    }
+
+    if (!assessment.aiFeatures.adaptiveTesting.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adaptive testing is not enabled for this assessment'
+      });
+    }
+
+    const filter = { assessmentId: id, 'adaptiveData.enabled': true };
+    if (req.query.studentId) {
+      filter.studentId = req.query.studentId;
+    }
+
+    const attempts = await StudentResponse.find(filter)
+      .populate('studentId', 'name email avatar')
+      .populate('adaptiveData.trajectory.questionId', 'title difficulty')
+      .sort({ studentId: 1, attemptNumber: 1 });
+
+    const trajectories = attempts.map(attempt => ({
+      attemptId: attempt._id,
+      student: attempt.studentId,
+      attemptNumber: attempt.attemptNumber,
+      status: attempt.status,
+      algorithm: attempt.adaptiveData.algorithm,
+      finalAbility: attempt.adaptiveData.abilityEstimate,
+      finalStandardError: attempt.adaptiveData.standardError,
+      questionsAdministered: attempt.adaptiveData.trajectory.length,
+      isComplete: attempt.adaptiveData.isComplete,
+      stopReason: attempt.adaptiveData.stopReason,
+      accuracy: attempt.adaptiveData.performanceMetrics?.accuracy,
+      trajectory: attempt.adaptiveData.trajectory.map((point, index) => ({
+        step: index + 1,
+        question: point.questionId,
+        itemDifficulty: point.itemDifficulty,
+        isCorrect: point.isCorrect,
+        theta: point.theta,
+        standardError: point.standardError,
+        answeredAt: point.answeredAt
+      }))
+    }));
+
+    res.json({
+      success: true,
+      message: 'Adaptive trajectories retrieved successfully',
+      data: {
+        configuration: assessment.aiFeatures.adaptiveTesting,
+        totalAttempts: trajectories.length,
+        trajectories
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
 // @desc    Archive assessment
 // @route   POST /api/assessments/:id/archive
 // @access  Private (Creator only)
@@ -967,6 +1167,601 @@ const archiveAssessment = async (req, res) => {
   }
 };
 
+// @desc    Attach (or replace) the rubric for one question
+// @route   PUT /api/assessments/:id/questions/:questionId/rubric
+// @access  Private (Creator/Collaborators)
+const setQuestionRubric = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, questionId } = req.params;
+    const { criteria } = req.body;
+    const userId = req.user.id;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const isCreator = assessment.createdBy._id.toString() === userId;
+    const isCollaborator = assessment.collaborators.some(c =>
+      c.teacherId.toString() === userId &&
+      (c.role === 'co-creator' || c.permissions.includes('edit'))
+    );
+
+    if (!isCreator && !isCollaborator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to update this assessment'
+      });
+    }
+
+    const assessmentQuestion = assessment.questions.find(q => q.questionId.toString() === questionId);
+
+    if (!assessmentQuestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question is not part of this assessment'
+      });
+    }
+
+    const questionCriteria = criteria.map(criterion => ({
+      questionId,
+      criteria: criterion.criteria,
+      maxMarks: criterion.maxMarks,
+      description: criterion.description,
+      levels: criterion.levels
+    }));
+
+    const rubricErrors = RubricService.validateQuestionRubric(questionCriteria, assessmentQuestion.marks);
+    if (rubricErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rubric',
+        errors: rubricErrors
+      });
+    }
+
+    // Replace only this question's criteria
+    assessment.grading.rubric = [
+      ...assessment.grading.rubric.filter(c => c.questionId?.toString() !== questionId),
+      ...questionCriteria
+    ];
+
+    assessment.auditTrail.push({
+      action: 'rubric_updated',
+      performedBy: userId,
+      details: { questionId, criteriaCount: questionCriteria.length }
+    });
+
+    await assessment.save();
+
+    res.json({
+      success: true,
+      message: 'Rubric attached successfully',
+      data: {
+        questionId,
+        questionMarks: assessmentQuestion.marks,
+        criteria: assessment.getQuestionRubric(questionId)
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Remove the rubric from one question
+// @route   DELETE /api/assessments/:id/questions/:questionId/rubric
+// @access  Private (Creator/Collaborators)
+const removeQuestionRubric = async (req, res) => {
+  try {
+    const { id, questionId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment or question ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const isCreator = assessment.createdBy._id.toString() === userId;
+    const isCollaborator = assessment.collaborators.some(c =>
+      c.teacherId.toString() === userId &&
+      (c.role === 'co-creator' || c.permissions.includes('edit'))
+    );
+
+    if (!isCreator && !isCollaborator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to update this assessment'
+      });
+    }
+
+    const remaining = assessment.grading.rubric.filter(c => c.questionId?.toString() !== questionId);
+
+    if (remaining.length === assessment.grading.rubric.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No rubric attached to this question'
+      });
+    }
+
+    assessment.grading.rubric = remaining;
+
+    assessment.auditTrail.push({
+      action: 'rubric_removed',
+      performedBy: userId,
+      details: { questionId }
+    });
+
+    await assessment.save();
+
+    res.json({
+      success: true,
+      message: 'Rubric removed successfully'
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Set the blueprint each student's paper is drawn from
+// @route   PUT /api/assessments/:id/blueprint
+// @access  Private (Creator/Collaborators)
+const setBlueprint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { sections } = req.body;
+    const userId = req.user.id;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const isCreator = assessment.createdBy._id.toString() === userId;
+    const isCollaborator = assessment.collaborators.some(c =>
+      c.teacherId.toString() === userId &&
+      (c.role === 'co-creator' || c.permissions.includes('edit'))
+    );
+
+    if (!isCreator && !isCollaborator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to update this assessment'
+      });
+    }
+
+    if (assessment.aiFeatures?.adaptiveTesting?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blueprint papers cannot be combined with adaptive testing'
+      });
+    }
+
+    // Papers already drawn must stay comparable with the rest of the class
+    const attemptCount = await StudentResponse.countDocuments({ assessmentId: id });
+    if (attemptCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blueprint cannot be changed after students have started the assessment'
+      });
+    }
+
+    const blueprint = {
+      enabled: true,
+      sections: sections.map(section => ({
+        name: section.name,
+        subject: section.subject || assessment.subject,
+        chapter: section.chapter,
+        topic: section.topic,
+        class: section.class || assessment.class,
+        questionType: section.questionType,
+        difficulty: section.difficulty,
+        count: section.count,
+        marksPerQuestion: section.marksPerQuestion
+      }))
+    };
+
+    // Trial draw: every section must be fillable from the question bank
+    const draw = await BlueprintService.drawPaper(
+      blueprint,
+      assessment.createdBy._id,
+      ShuffleService.generateSeed()
+    );
+    const shortages = BlueprintService.getShortages(draw.sections);
+
+    if (shortages.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough questions in the question bank for this blueprint',
+        errors: shortages,
+        data: { sections: draw.sections }
+      });
+    }
+
+    assessment.blueprint = blueprint;
+
+    assessment.auditTrail.push({
+      action: 'blueprint_updated',
+      performedBy: userId,
+      details: {
+        sectionCount: blueprint.sections.length,
+        totalMarks: BlueprintService.getTotalMarks(blueprint)
+      }
+    });
+
+    await assessment.save();
+
+    res.json({
+      success: true,
+      message: 'Blueprint saved successfully',
+      data: {
+        blueprint: assessment.blueprint,
+        totalMarks: assessment.grading.totalMarks,
+        sections: draw.sections
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Draw a sample paper from the blueprint
+// @route   GET /api/assessments/:id/blueprint/preview
+// @access  Private (Creator/Collaborators)
+const previewBlueprint = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const isCreator = assessment.createdBy._id.toString() === userId;
+    const isCollaborator = assessment.collaborators.some(c => c.teacherId.toString() === userId);
+
+    if (!isCreator && !isCollaborator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!assessment.blueprint?.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'This assessment has no blueprint'
+      });
+    }
+
+    const draw = await BlueprintService.drawPaper(
+      assessment.blueprint,
+      assessment.createdBy._id,
+      ShuffleService.generateSeed()
+    );
+    const paperQuestions = await BlueprintService.loadPaperQuestions(draw.items);
+
+    res.json({
+      success: true,
+      message: 'Sample paper drawn successfully',
+      data: {
+        totalMarks: BlueprintService.getTotalMarks(assessment.blueprint),
+        sections: draw.sections,
+        shortages: BlueprintService.getShortages(draw.sections),
+        questions: paperQuestions.map((q, index) => ({
+          questionId: q.questionId._id,
+          title: q.questionId.title,
+          type: q.questionId.type,
+          chapter: q.questionId.chapter,
+          difficulty: q.difficulty,
+          marks: q.marks,
+          section: draw.items[index].section
+        }))
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Remove the blueprint and go back to the fixed question list
+// @route   DELETE /api/assessments/:id/blueprint
+// @access  Private (Creator/Collaborators)
+const removeBlueprint = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const isCreator = assessment.createdBy._id.toString() === userId;
+    const isCollaborator = assessment.collaborators.some(c =>
+      c.teacherId.toString() === userId &&
+      (c.role === 'co-creator' || c.permissions.includes('edit'))
+    );
+
+    if (!isCreator && !isCollaborator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to update this assessment'
+      });
+    }
+
+    if (!assessment.blueprint?.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'This assessment has no blueprint'
+      });
+    }
+
+    const attemptCount = await StudentResponse.countDocuments({ assessmentId: id });
+    if (attemptCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blueprint cannot be changed after students have started the assessment'
+      });
+    }
+
+    assessment.blueprint = { enabled: false, sections: [] };
+    assessment.grading.totalMarks = assessment.questions.reduce((total, q) => total + q.marks, 0);
+
+    assessment.auditTrail.push({
+      action: 'blueprint_removed',
+      performedBy: userId
+    });
+
+    await assessment.save();
+
+    res.json({
+      success: true,
+      message: 'Blueprint removed successfully'
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Set a student's accommodations (extra time, own window, extra attempts)
+// @route   PUT /api/assessments/:id/participants/:studentId/accommodations
+// @access  Private (Creator/Collaborators)
+const setAccommodations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, studentId } = req.params;
+    const { extraTimePercentage, startDate, endDate, extraAttempts, reason } = req.body;
+    const userId = req.user.id;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const isCreator = assessment.createdBy._id.toString() === userId;
+    const isCollaborator = assessment.collaborators.some(c =>
+      c.teacherId.toString() === userId &&
+      (c.role === 'co-creator' || c.permissions.includes('edit'))
+    );
+
+    if (!isCreator && !isCollaborator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to update this assessment'
+      });
+    }
+
+    const participant = assessment.participants.students.find(
+      p => p.studentId.toString() === studentId
+    );
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not a participant of this assessment'
+      });
+    }
+
+    participant.accommodations = {
+      extraTimePercentage: extraTimePercentage || 0,
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      extraAttempts: extraAttempts || 0,
+      reason,
+      grantedBy: userId,
+      grantedAt: new Date()
+    };
+
+    const window = assessment.getStudentSchedule(studentId);
+    if (window.startDate >= window.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Accommodation end date must be after its start date'
+      });
+    }
+
+    assessment.auditTrail.push({
+      action: 'accommodations_updated',
+      performedBy: userId,
+      details: { studentId, extraTimePercentage, extraAttempts, startDate, endDate }
+    });
+
+    await assessment.save();
+
+    // Extra time also applies to an attempt already in progress
+    const durationMinutes = assessment.getStudentDuration(studentId);
+    await StudentResponse.updateMany(
+      { assessmentId: id, studentId, status: { $in: ['started', 'in_progress', 'paused'] } },
+      { $set: { 'timing.durationMinutes': durationMinutes } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Accommodations saved successfully',
+      data: {
+        studentId,
+        accommodations: participant.accommodations,
+        durationMinutes,
+        maxAttempts: assessment.getStudentMaxAttempts(studentId),
+        window
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Remove a student's accommodations
+// @route   DELETE /api/assessments/:id/participants/:studentId/accommodations
+// @access  Private (Creator/Collaborators)
+const removeAccommodations = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment or student ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const isCreator = assessment.createdBy._id.toString() === userId;
+    const isCollaborator = assessment.collaborators.some(c =>
+      c.teacherId.toString() === userId &&
+      (c.role === 'co-creator' || c.permissions.includes('edit'))
+    );
+
+    if (!isCreator && !isCollaborator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to update this assessment'
+      });
+    }
+
+    const participant = assessment.participants.students.find(
+      p => p.studentId.toString() === studentId
+    );
+
+    if (!participant?.accommodations?.grantedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'This student has no accommodations'
+      });
+    }
+
+    participant.accommodations = undefined;
+
+    assessment.auditTrail.push({
+      action: 'accommodations_removed',
+      performedBy: userId,
+      details: { studentId }
+    });
+
+    await assessment.save();
+
+    await StudentResponse.updateMany(
+      { assessmentId: id, studentId, status: { $in: ['started', 'in_progress', 'paused'] } },
+      { $set: { 'timing.durationMinutes': assessment.configuration.duration } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Accommodations removed successfully'
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
 module.exports = {
   createAssessment,
   getAssessments,
@@ -977,5 +1772,13 @@ module.exports = {
   addParticipants,
   generateAIQuestions,
   getAssessmentAnalytics,
-  archiveAssessment
+  getAdaptiveTrajectories,
+  archiveAssessment,
+  setQuestionRubric,
+  removeQuestionRubric,
+  setBlueprint,
+  previewBlueprint,
+  removeBlueprint,
+  setAccommodations,
+  removeAccommodations
 };
@@ -0,0 +1,1617 @@
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const Question = require('../models/Question');
+const GradingSession = require('../models/GradingSession');
+const GradingQueueService = require('../services/GradingQueueService');
+const { AutoGradingService } = require('../services/AutoGradingService');
+const RubricService = require('../services/RubricService');
+const ObjectiveItemService = require('../services/ObjectiveItemService');
+const { NotificationService } = require('../services/NotificationService');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+
+// Utility function for error handling
+const handleErrors = (error, res) => {
+  console.error('Grading Controller Error:', error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation Error',
+      errors
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Creator, co-creators and collaborators with the grade permission may grade
+const canGradeAssessment = (assessment, userId) =>
+  assessment.createdBy._id.toString() === userId ||
+  assessment.collaborators.some(c =>
+    c.teacherId.toString() === userId &&
+    (c.role === 'co-creator' || c.permissions.includes('grade'))
+  );
+
+const SUBMITTED_STATUSES = ['submitted', 'auto_submitted', 'graded'];
+
+// Find one of the teacher's active grading sessions for an assessment
+const findActiveSession = (sessionId, assessmentId, teacherId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return GradingSession.findOne({ _id: sessionId, assessmentId, teacherId, status: 'active' });
+};
+
+// Shape a locked queue item for the grading screen
+const formatGradingItem = (submission, response, includeAI) => ({
+  submissionId: submission._id,
+  student: submission.studentId,
+  submittedAt: submission.submittedAt,
+  question: response.questionId,
+  questionType: response.questionType,
+  maxMarks: response.maxMarks,
+  answer: response.answer,
+  partScores: response.partScores?.length > 0 ? response.partScores : undefined,
+  manualGrading: response.manualGrading?.marksAwarded !== undefined ? response.manualGrading : undefined,
+  aiSuggestion: includeAI && response.autoGrading?.confidence !== undefined
+    ? {
+      marksAwarded: response.autoGrading.marksAwarded,
+      confidence: response.autoGrading.confidence,
+      explanation: response.autoGrading.explanation,
+      provider: response.autoGrading.provider,
+      reviewStatus: response.autoGrading.reviewStatus
+    }
+    : undefined,
+  lockExpiresAt: response.gradingLock?.expiresAt
+});
+
+// AI marks for a Creative Question are out of the part total; scale them
+// to the marks the assessment gives the question
+const scaleSuggestedMarks = (result, response) => {
+  if (!result.partResults) return result.marksAwarded;
+  const partsMax = result.partResults.reduce((sum, part) => sum + part.maxMarks, 0);
+  const scaled = partsMax > 0 ? result.marksAwarded * response.maxMarks / partsMax : 0;
+  return Math.round(scaled * 100) / 100;
+};
+
+const getAnswerText = (response) => {
+  if (response.questionType === 'Creative Question') {
+    return (response.answer?.cqAnswers || []).map(part => part.textAnswer || '').join(' ');
+  }
+  return response.answer?.textAnswer || '';
+};
+
+// Count score fractions (0-1) into five 20% bands
+const buildScoreDistribution = (fractions) => {
+  const bands = [0, 20, 40, 60, 80].map(min => ({ range: `${min}-${min + 20}`, count: 0 }));
+  fractions.forEach(fraction => {
+    const index = Math.min(4, Math.max(0, Math.floor(fraction * 5)));
+    bands[index].count++;
+  });
+  return bands;
+};
+
+// Write a teacher's grade onto a response, settle any pending AI review,
+// release the grading lock and refresh the submission's scores.
+// Returns how many subjective answers in the submission still need grading.
+const recordManualGrade = (submission, response, assessment, { marks, feedback, rubricScores = [], teacherId }) => {
+  response.finalMarks = marks;
+  response.manualGrading = {
+    marksAwarded: marks,
+    feedback: feedback || '',
+    gradedBy: teacherId,
+    gradedAt: new Date(),
+    rubricScores
+  };
+
+  // A teacher grade settles any AI grade still waiting for review
+  if (response.autoGrading?.reviewStatus === 'pending') {
+    response.autoGrading.reviewStatus = marks === response.autoGrading.marksAwarded ? 'accepted' : 'overridden';
+    response.autoGrading.reviewedBy = teacherId;
+    response.autoGrading.reviewedAt = new Date();
+  }
+
+  response.gradingLock = undefined;
+  submission.recalculateScores(assessment.grading);
+
+  const remainingAnswers = submission.responses.filter(r => GradingQueueService.needsGrading(r)).length;
+  if (remainingAnswers === 0) {
+    submission.status = 'graded';
+  }
+
+  return remainingAnswers;
+};
+
+// @desc    Get AI grades waiting for teacher review
+// @route   GET /api/assessments/:id/review-queue
+// @access  Private (Teacher only)
+const getReviewQueue = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const submissions = await StudentResponse.find({
+      assessmentId: id,
+      'responses.autoGrading.reviewStatus': 'pending'
+    })
+      .populate('studentId', 'name email avatar')
+      .populate('responses.questionId', 'title question.text type marks')
+      .sort({ submittedAt: 1 });
+
+    // Flatten to one queue item per pending answer, oldest submission first
+    const queue = submissions.flatMap(submission =>
+      submission.responses
+        .filter(response => response.autoGrading?.reviewStatus === 'pending')
+        .map(response => ({
+          submissionId: submission._id,
+          student: submission.studentId,
+          submittedAt: submission.submittedAt,
+          question: response.questionId,
+          questionType: response.questionType,
+          maxMarks: response.maxMarks,
+          answer: response.answer,
+          suggestedMarks: response.autoGrading.marksAwarded,
+          confidence: response.autoGrading.confidence,
+          explanation: response.autoGrading.explanation,
+          provider: response.autoGrading.provider,
+          partScores: response.partScores?.length > 0 ? response.partScores : undefined
+        }))
+    );
+
+    res.json({
+      success: true,
+      message: 'Review queue retrieved successfully',
+      data: {
+        totalPending: queue.length,
+        reviewThreshold: assessment.aiFeatures.intelligentGrading?.confidence,
+        queue
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Accept or override a queued AI grade
+// @route   POST /api/assessments/:id/review-queue/resolve
+// @access  Private (Teacher only)
+const resolveReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { submissionId, questionId, action, marksAwarded, feedback } = req.body;
+    const teacherId = req.user.id;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, teacherId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const submission = await StudentResponse.findOne({ _id: submissionId, assessmentId: id });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const response = submission.responses.find(r => r.questionId.toString() === questionId);
+
+    if (!response || response.autoGrading?.reviewStatus !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending review for this question'
+      });
+    }
+
+    let finalMarks;
+    if (action === 'accept') {
+      // Creative Questions keep their per-part breakdown
+      finalMarks = response.questionType === 'Creative Question' && response.partScores?.length > 0
+        ? submission.recalculateCQMarks(response)
+        : response.autoGrading.marksAwarded;
+    } else {
+      finalMarks = parseFloat(marksAwarded);
+
+      if (isNaN(finalMarks) || finalMarks < 0 || finalMarks > response.maxMarks) {
+        return res.status(400).json({
+          success: false,
+          message: `Marks must be between 0 and ${response.maxMarks}`
+        });
+      }
+    }
+
+    response.finalMarks = finalMarks;
+    response.autoGrading.reviewStatus = action === 'accept' ? 'accepted' : 'overridden';
+    response.autoGrading.reviewedBy = teacherId;
+    response.autoGrading.reviewedAt = new Date();
+    response.manualGrading = {
+      ...(response.manualGrading?.toObject ? response.manualGrading.toObject() : response.manualGrading),
+      marksAwarded: finalMarks,
+      feedback: feedback || response.manualGrading?.feedback || '',
+      gradedBy: teacherId,
+      gradedAt: new Date()
+    };
+
+    submission.recalculateScores(assessment.grading);
+
+    // Fully reviewed submissions are final
+    if (submission.pendingReviewCount === 0 && submission.status !== 'graded') {
+      submission.status = 'graded';
+    }
+
+    await submission.save();
+    await StudentResponse.recalculateRanks(id);
+
+    res.json({
+      success: true,
+      message: action === 'accept' ? 'AI grade accepted' : 'AI grade overridden',
+      data: {
+        submissionId: submission._id,
+        questionId,
+        finalMarks,
+        reviewStatus: response.autoGrading.reviewStatus,
+        remainingReviews: submission.pendingReviewCount,
+        updatedScores: {
+          marksObtained: submission.scoring.marksObtained,
+          percentage: submission.scoring.percentage,
+          grade: submission.scoring.grade,
+          gradePoint: submission.scoring.gradePoint
+        }
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Start (or resume) a grading session
+// @route   POST /api/assessments/:id/grading-sessions
+// @access  Private (Teacher only)
+const startGradingSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const teacherId = req.user.id;
+    const {
+      gradingMode = 'sequential',
+      focusArea = 'all',
+      questionId,
+      batchSize = 10,
+      aiAssistance = true
+    } = req.body;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, teacherId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const configuration = { gradingMode, focusArea, questionId, batchSize, aiAssistance };
+
+    // One active session per teacher and assessment; starting again resumes it
+    let session = await GradingSession.findOne({ assessmentId: id, teacherId, status: 'active' });
+    const resumed = !!session;
+
+    if (session) {
+      session.configuration = configuration;
+      session.lastActivityAt = new Date();
+    } else {
+      session = new GradingSession({ assessmentId: id, teacherId, configuration });
+    }
+
+    await session.save();
+
+    const queue = await GradingQueueService.getQueue(id, { focusArea, questionId });
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? 'Grading session resumed' : 'Grading session started',
+      data: {
+        sessionId: session._id,
+        assessmentId: id,
+        startedAt: session.startedAt,
+        configuration: session.configuration,
+        gradedCount: session.gradedCount,
+        pendingCount: queue.length
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Lock and return the next answer to grade
+// @route   POST /api/assessments/:id/next-submission
+// @access  Private (Teacher only)
+const getNextSubmission = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { sessionId, preferences = {}, skip = false } = req.body;
+
+    const session = await findActiveSession(sessionId, id, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active grading session not found'
+      });
+    }
+
+    // Moving on releases the current answer; skipped answers go to the back
+    const current = session.currentItem;
+    if (current?.submissionId) {
+      if (skip) {
+        session.recordSkip(current.submissionId, current.questionId);
+      }
+      await GradingQueueService.releaseLock(current.submissionId, current.questionId, session._id);
+      session.currentItem = undefined;
+    }
+
+    const next = await GradingQueueService.findNextItem(session, preferences);
+    session.lastActivityAt = new Date();
+
+    if (!next) {
+      await session.save();
+
+      return res.json({
+        success: true,
+        message: 'No answers left to grade',
+        data: {
+          completed: true,
+          item: null,
+          remaining: 0,
+          gradedCount: session.gradedCount
+        }
+      });
+    }
+
+    session.currentItem = {
+      submissionId: next.submission._id,
+      questionId: GradingQueueService.getQuestionId(next.response),
+      lockedAt: new Date()
+    };
+    await session.save();
+
+    // The lock was written atomically; mirror it on the loaded copy
+    next.response.gradingLock = {
+      lockedBy: session.teacherId,
+      sessionId: session._id,
+      lockedAt: session.currentItem.lockedAt,
+      expiresAt: new Date(session.currentItem.lockedAt.getTime() + GradingQueueService.LOCK_DURATION_MS)
+    };
+
+    res.json({
+      success: true,
+      message: 'Next submission retrieved',
+      data: {
+        completed: false,
+        item: formatGradingItem(next.submission, next.response, session.configuration.aiAssistance),
+        remaining: next.remaining,
+        gradedCount: session.gradedCount,
+        skippedCount: session.skipped.length
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Save a teacher's grade for one answer
+// @route   POST /api/assessments/:id/grade
+// @access  Private (Teacher only)
+const submitGrade = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const {
+      sessionId,
+      submissionId,
+      questionId,
+      marksAwarded,
+      partScores,
+      feedback,
+      rubricScores = [],
+      gradingDuration = 0
+    } = req.body;
+    const teacherId = req.user.id;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, teacherId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const session = await findActiveSession(sessionId, id, teacherId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active grading session not found'
+      });
+    }
+
+    const submission = await StudentResponse.findOne({ _id: submissionId, assessmentId: id, status: { $in: SUBMITTED_STATUSES } });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const response = submission.responses.find(r => r.questionId.toString() === questionId);
+
+    if (!response || !GradingQueueService.SUBJECTIVE_TYPES.includes(response.questionType)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subjective answer not found in this submission'
+      });
+    }
+
+    if (GradingQueueService.isLockedByOther(response, session._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This answer is being graded by another teacher'
+      });
+    }
+
+    // Questions with a rubric are graded by picking a level per criterion
+    const rubric = assessment.getQuestionRubric(questionId);
+    let finalMarks;
+    let scoredRubric = rubricScores;
+
+    if (rubric.length > 0 && rubricScores.length > 0) {
+      const scored = RubricService.scoreSelections(rubric, rubricScores);
+
+      if (scored.error) {
+        return res.status(400).json({
+          success: false,
+          message: scored.error
+        });
+      }
+
+      finalMarks = scored.total;
+      scoredRubric = scored.rubricScores;
+    } else if (response.questionType === 'Creative Question' && Array.isArray(partScores) && partScores.length > 0) {
+      const question = await Question.findById(questionId);
+      const partError = submission.applyCQPartScores(response, partScores, {
+        gradedBy: teacherId,
+        parts: question?.creativeQuestion?.parts || []
+      });
+
+      if (partError) {
+        return res.status(400).json({
+          success: false,
+          message: partError
+        });
+      }
+
+      finalMarks = response.finalMarks;
+    } else {
+      finalMarks = parseFloat(marksAwarded);
+
+      if (isNaN(finalMarks) || finalMarks < 0 || finalMarks > response.maxMarks) {
+        return res.status(400).json({
+          success: false,
+          message: `Marks must be between 0 and ${response.maxMarks}`
+        });
+      }
+    }
+
+    const remainingAnswers = recordManualGrade(submission, response, assessment, {
+      marks: finalMarks,
+      feedback,
+      rubricScores: scoredRubric,
+      teacherId
+    });
+
+    await submission.save();
+    await StudentResponse.recalculateRanks(id);
+
+    session.recordGrade(gradingDuration);
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Answer graded successfully',
+      data: {
+        submissionId: submission._id,
+        questionId,
+        finalMarks,
+        partScores: response.partScores?.length > 0 ? response.partScores : undefined,
+        rubricScores: scoredRubric.length > 0 ? response.manualGrading.rubricScores : undefined,
+        submissionFullyGraded: remainingAnswers === 0,
+        sessionGradedCount: session.gradedCount,
+        updatedScores: {
+          marksObtained: submission.scoring.marksObtained,
+          percentage: submission.scoring.percentage,
+          grade: submission.scoring.grade,
+          gradePoint: submission.scoring.gradePoint
+        }
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    End a grading session and release its locks
+// @route   POST /api/assessments/:id/grading-sessions/:sessionId/end
+// @access  Private (Teacher only)
+const endGradingSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const session = await findActiveSession(sessionId, id, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active grading session not found'
+      });
+    }
+
+    await GradingQueueService.releaseSessionLocks(id, session._id);
+
+    session.status = 'completed';
+    session.currentItem = undefined;
+    session.endedAt = new Date();
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Grading session ended',
+      data: {
+        sessionId: session._id,
+        gradedCount: session.gradedCount,
+        skippedCount: session.skipped.length,
+        totalGradingTime: session.totalGradingTime,
+        averageGradingTime: session.averageGradingTime,
+        duration: Math.round((session.endedAt - session.startedAt) / 1000)
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    AI score suggestion for one student's answer (nothing is saved)
+// @route   POST /api/assessments/:id/ai-grade-suggestion
+// @access  Private (Teacher only)
+const getAIGradeSuggestion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { questionId, studentId } = req.body;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const [submission, question] = await Promise.all([
+      StudentResponse.findOne({ assessmentId: id, studentId, status: { $in: SUBMITTED_STATUSES } })
+        .sort({ attemptNumber: -1 }),
+      Question.findById(questionId)
+    ]);
+
+    const response = submission?.responses.find(r => r.questionId.toString() === questionId);
+
+    if (!response || !question || !GradingQueueService.SUBJECTIVE_TYPES.includes(response.questionType)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subjective answer not found for this student'
+      });
+    }
+
+    const grader = new AutoGradingService({
+      reviewThreshold: assessment.aiFeatures?.intelligentGrading?.confidence
+    });
+    const result = await grader.gradeSubjectiveResponse(response, question);
+
+    if (!result) {
+      return res.status(422).json({
+        success: false,
+        message: 'This question has no answer key the AI can grade against'
+      });
+    }
+
+    // Already graded answers to the same question, most similar first
+    const answerText = getAnswerText(response);
+    const others = await StudentResponse.find({
+      assessmentId: id,
+      _id: { $ne: submission._id },
+      status: { $in: SUBMITTED_STATUSES },
+      'responses.questionId': questionId
+    }).populate('studentId', 'name');
+
+    const similarAnswers = answerText
+      ? others
+        .map(other => ({ other, graded: other.responses.find(r => r.questionId.toString() === questionId) }))
+        .filter(({ graded }) => graded?.manualGrading?.marksAwarded !== undefined)
+        .map(({ other, graded }) => ({
+          submissionId: other._id,
+          student: other.studentId,
+          similarity: Math.round(grader.calculateTextSimilarity(answerText, getAnswerText(graded)) * 100) / 100,
+          marksAwarded: graded.manualGrading.marksAwarded,
+          feedback: graded.manualGrading.feedback
+        }))
+        .filter(answer => answer.similarity >= 0.5)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, 5)
+      : [];
+
+    const suggestions = [];
+    if (grader.needsReview(result)) {
+      suggestions.push('AI confidence is low for this answer; read it in full before grading');
+    }
+    if (response.answer?.imageUrls?.length > 0 || response.answer?.cqAnswers?.some(part => part.imageUrls?.length > 0)) {
+      suggestions.push('Handwritten images were not analysed by the AI');
+    }
+    if (similarAnswers.some(answer => answer.similarity >= 0.9)) {
+      suggestions.push('A nearly identical answer was already graded; keep the marks consistent');
+    }
+
+    res.json({
+      success: true,
+      message: 'AI grading suggestion generated',
+      data: {
+        suggestedScore: scaleSuggestedMarks(result, response),
+        maxMarks: response.maxMarks,
+        confidence: result.confidence,
+        explanation: result.explanation,
+        provider: result.provider,
+        keyPoints: result.aiAnalysis?.keyPointsCovered || [],
+        suggestions,
+        similarAnswers,
+        // Creative Questions are suggested part by part
+        rubricAlignment: result.partResults || null
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    AI-grade every ungraded answer to one question
+// @route   POST /api/assessments/:id/batch-ai-grade
+// @access  Private (Teacher only)
+const batchAIGrade = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { questionId, requireTeacherReview = true, confidenceThreshold = 0.8 } = req.body;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const question = await Question.findById(questionId);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    // Answers a teacher currently has open are left alone
+    const pending = await GradingQueueService.getQueue(id, { questionId });
+    const queue = pending.filter(item => !GradingQueueService.isLockedByOther(item.response, null));
+
+    const grader = new AutoGradingService({ reviewThreshold: confidenceThreshold });
+    const touched = new Map();
+    let highConfidenceGrades = 0;
+    let requiresReview = 0;
+    const startTime = Date.now();
+
+    for (const { submission, response } of queue) {
+      const result = await grader.gradeSubjectiveResponse(response, question);
+      if (!result) continue;
+
+      const needsReview = requireTeacherReview || grader.needsReview(result);
+      submission.applyAutoGradingResult(response, result, needsReview);
+
+      if (needsReview) {
+        requiresReview++;
+      } else {
+        highConfidenceGrades++;
+      }
+
+      touched.set(submission._id.toString(), submission);
+    }
+
+    for (const submission of touched.values()) {
+      submission.recalculateScores(assessment.grading);
+      await submission.save();
+    }
+
+    if (touched.size > 0) {
+      await StudentResponse.recalculateRanks(id);
+    }
+
+    const processedCount = highConfidenceGrades + requiresReview;
+
+    res.json({
+      success: true,
+      message: `Batch grading completed. ${highConfidenceGrades} auto-graded, ${requiresReview} require review.`,
+      data: {
+        processedCount,
+        highConfidenceGrades,
+        requiresReview,
+        skippedLocked: pending.length - queue.length,
+        averageProcessingTime: processedCount > 0 ? Math.round((Date.now() - startTime) / processedCount) : 0
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Grading progress, score distribution and AI/teacher agreement
+// @route   GET /api/assessments/:id/grading-analytics
+// @access  Private (Teacher only)
+const getGradingAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const [submissions, sessions] = await Promise.all([
+      StudentResponse.find({ assessmentId: id, status: { $in: SUBMITTED_STATUSES } }),
+      GradingSession.find({ assessmentId: id })
+    ]);
+
+    const responses = submissions.flatMap(submission => submission.responses);
+    const subjective = responses.filter(r => GradingQueueService.needsGrading(r, { includeGraded: true }));
+    const pendingAnswers = subjective.filter(r => GradingQueueService.needsGrading(r));
+    const gradedSubmissions = submissions.filter(submission =>
+      !submission.responses.some(r => GradingQueueService.needsGrading(r))
+    ).length;
+
+    // Seconds per graded answer across every session on this assessment
+    const sessionGraded = sessions.reduce((sum, session) => sum + session.gradedCount, 0);
+    const sessionTime = sessions.reduce((sum, session) => sum + session.totalGradingTime, 0);
+    const averageGradingTime = sessionGraded > 0 ? Math.round(sessionTime / sessionGraded) : 0;
+
+    const gradeDistribution = {};
+    submissions.forEach(submission => {
+      const grade = submission.scoring.grade || 'Ungraded';
+      gradeDistribution[grade] = (gradeDistribution[grade] || 0) + 1;
+    });
+
+    const questionStats = new Map();
+    responses.forEach(response => {
+      const key = response.questionId.toString();
+      if (!questionStats.has(key)) {
+        questionStats.set(key, {
+          questionId: response.questionId,
+          questionType: response.questionType,
+          maxMarks: response.maxMarks,
+          attempts: 0,
+          marks: 0,
+          pendingGrading: 0
+        });
+      }
+
+      const stats = questionStats.get(key);
+      if (!response.isAnswered) return;
+      stats.attempts++;
+      stats.marks += response.finalMarks || 0;
+      if (GradingQueueService.needsGrading(response)) stats.pendingGrading++;
+    });
+
+    // averageScore is the fraction of available marks (0-1)
+    const questionWiseAnalysis = Array.from(questionStats.values()).map(stats => ({
+      questionId: stats.questionId,
+      questionType: stats.questionType,
+      maxMarks: stats.maxMarks,
+      attempts: stats.attempts,
+      pendingGrading: stats.pendingGrading,
+      averageScore: stats.attempts > 0 && stats.maxMarks > 0
+        ? Math.round((stats.marks / (stats.attempts * stats.maxMarks)) * 100) / 100
+        : 0
+    }));
+
+    // Agreement between AI suggestions and the marks teachers gave (1 = identical).
+    // autoGrading.marksAwarded defaults to 0, so AI grades are recognised by their confidence
+    const compared = responses.filter(r =>
+      r.maxMarks > 0 &&
+      typeof r.autoGrading?.confidence === 'number' &&
+      r.manualGrading?.marksAwarded !== undefined
+    );
+    const gradingConsistency = compared.length > 0
+      ? Math.round((1 - compared.reduce((sum, r) =>
+        sum + Math.abs(r.autoGrading.marksAwarded - r.manualGrading.marksAwarded) / r.maxMarks, 0
+      ) / compared.length) * 100) / 100
+      : null;
+
+    // Wrong options picked by several students
+    const mistakeCounts = new Map();
+    responses
+      .filter(r => r.questionType === 'MCQ' && r.isAnswered && r.autoGrading?.isCorrect === false &&
+        (r.answer?.selectedOptionId || r.answer?.selectedOption))
+      .forEach(r => {
+        // Canonical option ID, so shuffled option positions don't split the count
+        const selectedOption = (r.answer.selectedOptionId || r.answer.selectedOption).toString();
+        const key = `${r.questionId}:${selectedOption}`;
+        const entry = mistakeCounts.get(key) || { questionId: r.questionId, selectedOption, count: 0 };
+        entry.count++;
+        mistakeCounts.set(key, entry);
+      });
+
+    const commonMistakes = Array.from(mistakeCounts.values())
+      .filter(mistake => mistake.count >= 2)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
+
+    // Option, pair and position breakdowns for multi-select, matching and ordering items
+    const itemQuestionIds = [...new Set(responses
+      .filter(r => ObjectiveItemService.RESPONSE_TYPES.includes(r.questionType))
+      .map(r => r.questionId.toString()))];
+    const itemQuestions = itemQuestionIds.length > 0
+      ? await Question.find({ _id: { $in: itemQuestionIds } })
+      : [];
+    const itemAnalysis = ObjectiveItemService.analyzeItems(itemQuestions, responses);
+
+    res.json({
+      success: true,
+      message: 'Grading analytics generated successfully',
+      data: {
+        totalSubmissions: submissions.length,
+        gradedSubmissions,
+        pendingGrading: pendingAnswers.length,
+        averageGradingTime,
+        scoreDistribution: buildScoreDistribution(submissions.map(s => (s.scoring.percentage || 0) / 100)),
+        gradeDistribution,
+        questionWiseAnalysis,
+        gradingConsistency,
+        commonMistakes,
+        itemAnalysis,
+        gradingProgress: {
+          totalAnswers: subjective.length,
+          gradedAnswers: subjective.length - pendingAnswers.length,
+          pendingAnswers: pendingAnswers.length,
+          pendingReview: pendingAnswers.filter(r => r.autoGrading?.reviewStatus === 'pending').length,
+          percentage: subjective.length > 0
+            ? Math.round(((subjective.length - pendingAnswers.length) / subjective.length) * 100)
+            : 100,
+          activeGraders: sessions.filter(session => session.status === 'active').length
+        }
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    All answers to one question side by side
+// @route   GET /api/assessments/:id/comparative-grading/:questionId
+// @access  Private (Teacher only)
+const getComparativeGrading = async (req, res) => {
+  try {
+    const { id, questionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment or question ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const [question, submissions] = await Promise.all([
+      Question.findById(questionId),
+      StudentResponse.find({
+        assessmentId: id,
+        status: { $in: SUBMITTED_STATUSES },
+        'responses.questionId': questionId
+      })
+        .populate('studentId', 'name email avatar')
+        .sort({ submittedAt: 1 })
+    ]);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const answers = submissions
+      .map(submission => ({ submission, response: submission.responses.find(r => r.questionId.toString() === questionId) }))
+      .filter(({ response }) => response?.isAnswered)
+      .map(({ submission, response }) => ({
+        submissionId: submission._id,
+        student: submission.studentId,
+        answer: response.answer,
+        maxMarks: response.maxMarks,
+        finalMarks: response.finalMarks,
+        isGraded: !GradingQueueService.needsGrading(response),
+        aiMarks: response.autoGrading?.marksAwarded,
+        aiConfidence: response.autoGrading?.confidence,
+        feedback: response.manualGrading?.feedback,
+        partScores: response.partScores?.length > 0 ? response.partScores : undefined,
+        lockedByOther: GradingQueueService.isLockedByOther(response, null)
+      }));
+
+    const graded = answers
+      .filter(answer => answer.isGraded)
+      .sort((a, b) => b.finalMarks - a.finalMarks);
+
+    // Up to five graded answers spread across the score range
+    const sampleSize = Math.min(5, graded.length);
+    const sampleAnswers = Array.from({ length: sampleSize }, (_, i) =>
+      graded[Math.round(i * (graded.length - 1) / Math.max(1, sampleSize - 1))]
+    );
+
+    const gradingRubric = {
+      maxMarks: answers[0]?.maxMarks ?? question.marks,
+      correctAnswer: question.correctAnswer?.text,
+      explanation: question.correctAnswer?.explanation,
+      keyPoints: question.correctAnswer?.keyPoints || [],
+      criteria: assessment.getQuestionRubric(questionId),
+      parts: question.creativeQuestion?.parts?.map(part => ({
+        label: part.label,
+        level: part.level,
+        marks: part.marks,
+        answerKey: part.answerKey
+      }))
+    };
+
+    // Feedback teachers repeated on low-scoring answers
+    const feedbackCounts = new Map();
+    graded
+      .filter(answer => answer.feedback && answer.maxMarks > 0 && answer.finalMarks / answer.maxMarks < 0.5)
+      .forEach(answer => {
+        const key = answer.feedback.trim().toLowerCase();
+        const entry = feedbackCounts.get(key) || { feedback: answer.feedback.trim(), count: 0 };
+        entry.count++;
+        feedbackCounts.set(key, entry);
+      });
+
+    const commonErrors = Array.from(feedbackCounts.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 5);
+
+    res.json({
+      success: true,
+      message: 'Comparative grading data retrieved',
+      data: {
+        question: {
+          _id: question._id,
+          title: question.title,
+          text: question.question?.text,
+          type: question.type,
+          creativeQuestion: question.creativeQuestion?.parts?.length > 0 ? question.creativeQuestion : undefined
+        },
+        answers,
+        sampleAnswers,
+        gradingRubric,
+        scoreDistribution: buildScoreDistribution(
+          graded.filter(answer => answer.maxMarks > 0).map(answer => answer.finalMarks / answer.maxMarks)
+        ),
+        exemplaryAnswers: graded.filter(answer => answer.maxMarks > 0 && answer.finalMarks / answer.maxMarks >= 0.9).slice(0, 3),
+        commonErrors
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Grade an answer by picking one level per rubric criterion
+// @route   POST /api/assessments/:id/rubric-grade
+// @access  Private (Teacher only)
+const gradeWithRubric = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { submissionId, questionId, rubricScores, feedback, sessionId } = req.body;
+    const teacherId = req.user.id;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, teacherId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const rubric = assessment.getQuestionRubric(questionId);
+
+    if (rubric.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No rubric attached to this question'
+      });
+    }
+
+    const submission = await StudentResponse.findOne({ _id: submissionId, assessmentId: id, status: { $in: SUBMITTED_STATUSES } });
+    const response = submission?.responses.find(r => r.questionId.toString() === questionId);
+
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found in this submission'
+      });
+    }
+
+    if (GradingQueueService.isLockedByOther(response, sessionId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This answer is being graded by another teacher'
+      });
+    }
+
+    const scored = RubricService.scoreSelections(rubric, rubricScores);
+
+    if (scored.error) {
+      return res.status(400).json({
+        success: false,
+        message: scored.error
+      });
+    }
+
+    const remainingAnswers = recordManualGrade(submission, response, assessment, {
+      marks: scored.total,
+      feedback,
+      rubricScores: scored.rubricScores,
+      teacherId
+    });
+
+    await submission.save();
+    await StudentResponse.recalculateRanks(id);
+
+    res.json({
+      success: true,
+      message: 'Answer graded with rubric',
+      data: {
+        submissionId: submission._id,
+        questionId,
+        finalMarks: scored.total,
+        maxMarks: response.maxMarks,
+        rubricScores: response.manualGrading.rubricScores,
+        submissionFullyGraded: remainingAnswers === 0,
+        updatedScores: {
+          marksObtained: submission.scoring.marksObtained,
+          percentage: submission.scoring.percentage,
+          grade: submission.scoring.grade,
+          gradePoint: submission.scoring.gradePoint
+        }
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Class-wide rubric results per criterion
+// @route   GET /api/assessments/:id/rubric-analytics
+// @access  Private (Teacher only)
+const getRubricAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { questionId } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || (questionId && !mongoose.Types.ObjectId.isValid(questionId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment or question ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    // Every question with a rubric, or just the one asked for
+    const questionIds = [...new Set(
+      assessment.grading.rubric
+        .filter(criterion => criterion.questionId)
+        .map(criterion => criterion.questionId.toString())
+    )].filter(qid => !questionId || qid === questionId);
+
+    const submissions = await StudentResponse.find({
+      assessmentId: id,
+      status: { $in: SUBMITTED_STATUSES },
+      'responses.questionId': { $in: questionIds }
+    });
+
+    const questions = questionIds.map(qid => {
+      const responses = submissions
+        .map(submission => submission.responses.find(r => r.questionId.toString() === qid))
+        .filter(Boolean);
+
+      return {
+        questionId: qid,
+        gradedCount: responses.filter(r => r.manualGrading?.rubricScores?.length > 0).length,
+        criteria: RubricService.buildCriterionAnalytics(assessment.getQuestionRubric(qid), responses)
+      };
+    });
+
+    res.json({
+      success: true,
+      message: 'Rubric analytics retrieved successfully',
+      data: {
+        totalSubmissions: submissions.length,
+        questions
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Appeal inbox for an assessment
+// @route   GET /api/assessments/:id/appeal-inbox
+// @access  Private (Teacher only)
+const getAppealInbox = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status = 'pending' } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const filter = { assessmentId: id, 'appeals.0': { $exists: true } };
+    if (status !== 'all') filter['appeals.status'] = status;
+
+    const submissions = await StudentResponse.find(filter)
+      .populate('studentId', 'name email avatar')
+      .populate('appeals.questionId', 'title question.text type')
+      .sort({ 'review.reviewRequestedAt': 1 });
+
+    // Oldest appeals first
+    const appeals = submissions.flatMap(submission =>
+      submission.appeals
+        .filter(appeal => status === 'all' || appeal.status === status)
+        .map(appeal => {
+          const response = submission.responses.find(r =>
+            r.questionId.toString() === (appeal.questionId?._id || appeal.questionId).toString()
+          );
+
+          return {
+            appealId: appeal._id,
+            submissionId: submission._id,
+            student: submission.studentId,
+            question: appeal.questionId,
+            reason: appeal.reason,
+            status: appeal.status,
+            requestedAt: appeal.requestedAt,
+            previousMarks: appeal.previousMarks,
+            newMarks: appeal.newMarks,
+            teacherResponse: appeal.teacherResponse,
+            maxMarks: response?.maxMarks,
+            answer: response?.answer,
+            manualGrading: response?.manualGrading
+          };
+        })
+    ).sort((a, b) => a.requestedAt - b.requestedAt);
+
+    res.json({
+      success: true,
+      message: 'Appeal inbox retrieved successfully',
+      data: {
+        total: appeals.length,
+        appeals
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Approve (with new marks) or reject an appeal
+// @route   POST /api/assessments/:id/appeals/:appealId/resolve
+// @access  Private (Teacher only)
+const resolveAppeal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, appealId } = req.params;
+    const { action, newMarks, newPartScores, response: teacherResponse } = req.body;
+    const teacherId = req.user.id;
+
+    const assessment = await Assessment.findById(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (!canGradeAssessment(assessment, teacherId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied to grade this assessment'
+      });
+    }
+
+    const submission = await StudentResponse.findOne({ assessmentId: id, 'appeals._id': appealId });
+    const appeal = submission?.appeals.id(appealId);
+
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appeal not found'
+      });
+    }
+
+    if (appeal.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Appeal has already been ${appeal.status}`
+      });
+    }
+
+    const response = submission.responses.find(r => r.questionId.toString() === appeal.questionId.toString());
+
+    if (action === 'approve') {
+      let marks;
+
+      // Creative Question marks are the sum of their parts, so an approved
+      // appeal re-marks the parts; a bare total would be undone the next
+      // time the parts are summed
+      if (response.questionType === 'Creative Question') {
+        if (!Array.isArray(newPartScores) || newPartScores.length === 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'New part scores are required to approve a Creative Question appeal'
+          });
+        }
+
+        const question = await Question.findById(appeal.questionId);
+        const partError = submission.applyCQPartScores(response, newPartScores, {
+          gradedBy: teacherId,
+          parts: question?.creativeQuestion?.parts || []
+        });
+
+        if (partError) {
+          return res.status(400).json({
+            success: false,
+            message: partError
+          });
+        }
+
+        marks = response.finalMarks;
+      } else {
+        marks = parseFloat(newMarks);
+
+        if (isNaN(marks) || marks < 0 || marks > response.maxMarks) {
+          return res.status(400).json({
+            success: false,
+            message: `Marks must be between 0 and ${response.maxMarks}`
+          });
+        }
+
+        response.finalMarks = marks;
+      }
+
+      response.manualGrading = {
+        ...(response.manualGrading?.toObject ? response.manualGrading.toObject() : response.manualGrading),
+        marksAwarded: marks,
+        feedback: teacherResponse || response.manualGrading?.feedback || '',
+        gradedBy: teacherId,
+        gradedAt: new Date()
+      };
+      submission.recalculateScores(assessment.grading);
+
+      appeal.newMarks = marks;
+    } else {
+      appeal.newMarks = appeal.previousMarks;
+    }
+
+    appeal.status = action === 'approve' ? 'approved' : 'rejected';
+    appeal.teacherResponse = teacherResponse;
+    appeal.resolvedBy = teacherId;
+    appeal.resolvedAt = new Date();
+
+    submission.syncAppealStatus();
+    submission.auditTrail.push({
+      action: `appeal_${appeal.status}`,
+      performedBy: teacherId,
+      details: {
+        appealId: appeal._id,
+        questionId: appeal.questionId,
+        previousMarks: appeal.previousMarks,
+        newMarks: appeal.newMarks
+      }
+    });
+
+    await submission.save();
+
+    if (action === 'approve') {
+      await StudentResponse.recalculateRanks(id);
+    }
+
+    // The decision stands even if the notification cannot be delivered
+    try {
+      await NotificationService.sendAppealResolvedNotification(assessment, submission, appeal, teacherId);
+    } catch (notificationError) {
+      console.error('Appeal notification failed:', notificationError.message);
+    }
+
+    const updated = action === 'approve'
+      ? await StudentResponse.findById(submission._id).select('scoring')
+      : submission;
+
+    res.json({
+      success: true,
+      message: action === 'approve' ? 'Appeal approved' : 'Appeal rejected',
+      data: {
+        appeal,
+        updatedScores: {
+          marksObtained: updated.scoring.marksObtained,
+          percentage: updated.scoring.percentage,
+          grade: updated.scoring.grade,
+          gradePoint: updated.scoring.gradePoint,
+          rank: updated.scoring.rank
+        }
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+module.exports = {
+  getReviewQueue,
+  resolveReview,
+  startGradingSession,
+  getNextSubmission,
+  submitGrade,
+  endGradingSession,
+  getAIGradeSuggestion,
+  batchAIGrade,
+  getGradingAnalytics,
+  getComparativeGrading,
+  gradeWithRubric,
+  getRubricAnalytics,
+  getAppealInbox,
+  resolveAppeal
+};
@@ -139,7 +139,7 @@ const uploadAnswerImages = async (req, res) => {
     }
 
     // Check if question type supports image upload
-    const supportedTypes = ['Long Answer', 'Essay', 'Short Answer'];
+    const supportedTypes = ['Long Answer', 'Essay', 'Short Answer', 'Creative Question'];
     if (!supportedTypes.includes(questionResponse.questionType)) {
       return res.status(400).json({
         success: false,
@@ -158,14 +158,38 @@ const uploadAnswerImages = async (req, res) => {
       url: `/uploads/answer-images/${file.filename}`
     }));
 
+    // Creative Question images are filed under a part (ka/kha/ga/gha)
+    const { part } = req.body;
+    let imageTarget = questionResponse.answer;
+
+    if (questionResponse.questionType === 'Creative Question' && part) {
+      const validLabels = Question.getCQBlueprint().map(p => p.label);
+      if (!validLabels.includes(part)) {
+        return res.status(400).json({
+          success: false,
+          message: `Part must be one of: ${validLabels.join(', ')}`
+        });
+      }
+
+      if (!questionResponse.answer.cqAnswers) {
+        questionResponse.answer.cqAnswers = [];
+      }
+
+      imageTarget = questionResponse.answer.cqAnswers.find(a => a.label === part);
+      if (!imageTarget) {
+        questionResponse.answer.cqAnswers.push({ label: part, imageUrls: [] });
+        imageTarget = questionResponse.answer.cqAnswers[questionResponse.answer.cqAnswers.length - 1];
+      }
+    }
+
     // Update question response with image URLs
-    if (!questionResponse.answer.imageUrls) {
-      questionResponse.answer.imageUrls = [];
+    if (!imageTarget.imageUrls) {
+      imageTarget.imageUrls = [];
     }
 
     // Add new image URLs
     uploadedImages.forEach(img => {
-      questionResponse.answer.imageUrls.push(img.url);
+      imageTarget.imageUrls.push(img.url);
     });
 
     // Mark as answered
@@ -197,7 +221,8 @@ const uploadAnswerImages = async (req, res) => {
           url: img.url,
           size: img.size
         })),
-        totalImages: questionResponse.answer.imageUrls.length
+        part: part || undefined,
+        totalImages: imageTarget.imageUrls.length
       }
     });
 
@@ -283,15 +308,21 @@ const getAnswerImages = async (req, res) => {
       });
     }
 
-    // Get image information
-    const imageUrls = questionResponse.answer.imageUrls || [];
-    const imageInfo = imageUrls.map(url => {
+    // Get image information (CQ images are tagged with their part)
+    const imageUrls = [
+      ...(questionResponse.answer.imageUrls || []).map(url => ({ url })),
+      ...(questionResponse.answer.cqAnswers || []).flatMap(a =>
+        (a.imageUrls || []).map(url => ({ url, part: a.label }))
+      )
+    ];
+    const imageInfo = imageUrls.map(({ url, part }) => {
       const filename = path.basename(url);
       const fullPath = path.join(__dirname, '../uploads/answer-images', filename);
       
       return {
         url,
         filename,
+        part,
         exists: fs.existsSync(fullPath),
         size: fs.existsSync(fullPath) ? fs.statSync(fullPath).size : 0
       };
@@ -311,7 +342,8 @@ const getAnswerImages = async (req, res) => {
           maxMarks: questionResponse.maxMarks,
           feedback: questionResponse.manualGrading.feedback,
           gradedBy: questionResponse.manualGrading.gradedBy,
-          gradedAt: questionResponse.manualGrading.gradedAt
+          gradedAt: questionResponse.manualGrading.gradedAt,
+          partScores: questionResponse.partScores?.length > 0 ? questionResponse.partScores : undefined
         }
       }
     });
@@ -331,7 +363,8 @@ const gradeImageAnswer = async (req, res) => {
       studentId, 
       marksAwarded, 
       feedback, 
-      rubricScores 
+      rubricScores,
+      partScores
     } = req.body;
     const teacherId = req.user.id;
 
@@ -404,25 +437,60 @@ const gradeImageAnswer = async (req, res) => {
       });
     }
 
-    // Validate marks
-    if (marksAwarded < 0 || marksAwarded > questionResponse.maxMarks) {
-      return res.status(400).json({
-        success: false,
-        message: `Marks must be between 0 and ${questionResponse.maxMarks}`
+    const isCreativeQuestion = questionResponse.questionType === 'Creative Question';
+
+    if (isCreativeQuestion && Array.isArray(partScores) && partScores.length > 0) {
+      // Grade Creative Question part by part
+      const question = await Question.findById(questionId);
+      const parts = question?.creativeQuestion?.parts || [];
+
+      const partError = studentResponse.applyCQPartScores(questionResponse, partScores, {
+        gradedBy: teacherId,
+        parts
       });
-    }
 
-    // Update manual grading
-    questionResponse.manualGrading = {
-      marksAwarded: parseFloat(marksAwarded),
-      feedback: feedback || '',
-      gradedBy: teacherId,
-      gradedAt: new Date(),
-      rubricScores: rubricScores || []
-    };
+      if (partError) {
+        return res.status(400).json({
+          success: false,
+          message: partError
+        });
+      }
+
+      questionResponse.manualGrading = {
+        marksAwarded: questionResponse.finalMarks,
+        feedback: feedback || '',
+        gradedBy: teacherId,
+        gradedAt: new Date(),
+        rubricScores: rubricScores || []
+      };
+    } else {
+      if (marksAwarded === undefined || marksAwarded === null) {
+        return res.status(400).json({
+          success: false,
+          message: isCreativeQuestion ? 'Marks awarded or part scores are required' : 'Marks awarded is required'
+        });
+      }
 
-    // Update final marks
-    questionResponse.finalMarks = questionResponse.manualGrading.marksAwarded;
+      // Validate marks
+      if (marksAwarded < 0 || marksAwarded > questionResponse.maxMarks) {
+        return res.status(400).json({
+          success: false,
+          message: `Marks must be between 0 and ${questionResponse.maxMarks}`
+        });
+      }
+
+      // Update manual grading
+      questionResponse.manualGrading = {
+        marksAwarded: parseFloat(marksAwarded),
+        feedback: feedback || '',
+        gradedBy: teacherId,
+        gradedAt: new Date(),
+        rubricScores: rubricScores || []
+      };
+
+      // Update final marks
+      questionResponse.finalMarks = questionResponse.manualGrading.marksAwarded;
+    }
 
     // Recalculate total scores
     const totalMarksObtained = studentResponse.responses.reduce((total, response) => {
@@ -435,7 +503,7 @@ const gradeImageAnswer = async (req, res) => {
     );
 
     // Update grade
-    studentResponse.calculateFinalGrade(assessment.grading.gradingScale);
+    studentResponse.calculateFinalGrade(assessment.grading);
 
     // Update status to graded if all questions are graded
     const allGraded = studentResponse.responses.every(response => 
@@ -447,6 +515,7 @@ const gradeImageAnswer = async (req, res) => {
     }
 
     await studentResponse.save();
+    await StudentResponse.recalculateRanks(assessmentId);
 
     // Update assessment statistics
     await assessment.updateStatistics({
@@ -465,7 +534,8 @@ const gradeImageAnswer = async (req, res) => {
           marksAwarded: questionResponse.manualGrading.marksAwarded,
           maxMarks: questionResponse.maxMarks,
           feedback: questionResponse.manualGrading.feedback,
-          gradedAt: questionResponse.manualGrading.gradedAt
+          gradedAt: questionResponse.manualGrading.gradedAt,
+          partScores: isCreativeQuestion ? questionResponse.partScores : undefined
         },
         updatedScores: {
           totalMarks: studentResponse.scoring.totalMarks,
@@ -542,7 +612,7 @@ const getSubmissionsForGrading = async (req, res) => {
         ...submission.toObject(),
         responses: submission.responses.filter(response => {
           if (questionType === 'subjective') {
-            return ['Long Answer', 'Essay', 'Short Answer'].includes(response.questionType);
+            return ['Long Answer', 'Essay', 'Short Answer', 'Creative Question'].includes(response.questionType);
           }
           return response.questionType === questionType;
         })
@@ -0,0 +1,452 @@
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const PlagiarismReport = require('../models/PlagiarismReport');
+const LiveProctoringService = require('../services/LiveProctoringService');
+const IntegrityService = require('../services/IntegrityService');
+const PlagiarismService = require('../services/PlagiarismService');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+
+// Utility function for error handling
+const handleErrors = (error, res) => {
+  console.error('Proctoring Controller Error:', error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation Error',
+      errors
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Current state of the live room (students, progress, leaderboard)
+// @route   GET /api/assessments/:id/live
+// @access  Private (Creator/Collaborators/Admin)
+const getLiveRoom = async (req, res) => {
+  try {
+    const { assessment, status, message } = await LiveProctoringService.authorizeProctor(req.params.id, req.user);
+
+    if (!assessment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const snapshot = await LiveProctoringService.getRoomSnapshot(assessment);
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Send an announcement to students taking the assessment
+// @route   POST /api/assessments/:id/live/announcements
+// @access  Private (Creator/Collaborators/Admin)
+const sendLiveAnnouncement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { assessment, status, message } = await LiveProctoringService.authorizeProctor(req.params.id, req.user);
+
+    if (!assessment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const announcement = await LiveProctoringService.sendAnnouncement(
+      assessment,
+      req.user.id,
+      req.body.message,
+      req.body.priority
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement sent successfully',
+      data: announcement
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Submit one student's open attempt
+// @route   POST /api/assessments/:id/live/students/:studentId/force-submit
+// @access  Private (Creator/Collaborators/Admin)
+const forceSubmitAttempt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { assessment, status, message } = await LiveProctoringService.authorizeProctor(req.params.id, req.user);
+
+    if (!assessment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const submitted = await LiveProctoringService.forceSubmit(
+      assessment,
+      req.params.studentId,
+      req.user.id,
+      req.body.reason
+    );
+
+    if (!submitted) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open attempt found for this student'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Attempt submitted successfully',
+      data: {
+        submissionId: submitted._id,
+        studentId: submitted.studentId,
+        submittedAt: submitted.submittedAt,
+        marksObtained: submitted.scoring.marksObtained,
+        percentage: submitted.scoring.percentage
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// Load an assessment the user may review integrity results of
+const findReviewableAssessment = async (assessmentId, user, res) => {
+  if (!mongoose.Types.ObjectId.isValid(assessmentId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid assessment ID'
+    });
+    return null;
+  }
+
+  const assessment = await Assessment.findById(assessmentId);
+
+  if (!assessment) {
+    res.status(404).json({
+      success: false,
+      message: 'Assessment not found'
+    });
+    return null;
+  }
+
+  if (!LiveProctoringService.canProctor(assessment, user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return assessment;
+};
+
+// @desc    Attempts flagged by integrity scoring
+// @route   GET /api/assessments/:id/integrity
+// @access  Private (Creator/Collaborators/Admin)
+const getIntegrityReviews = async (req, res) => {
+  try {
+    const assessment = await findReviewableAssessment(req.params.id, req.user, res);
+    if (!assessment) return;
+
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const query = { assessmentId: assessment._id, 'integrity.isFlagged': true };
+    if (status !== 'all') {
+      query['integrity.review.status'] = status;
+    }
+
+    const [attempts, total] = await Promise.all([
+      StudentResponse.find(query)
+        .select('studentId attemptNumber status startedAt submittedAt scoring.percentage integrity')
+        .populate('studentId', 'name email')
+        .sort({ 'integrity.score': 1, submittedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      StudentResponse.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: attempts.map(attempt => ({
+          submissionId: attempt._id,
+          student: attempt.studentId,
+          attemptNumber: attempt.attemptNumber,
+          submittedAt: attempt.submittedAt,
+          percentage: attempt.scoring.percentage,
+          integrityScore: attempt.integrity.score,
+          reviewStatus: attempt.integrity.review.status,
+          signals: attempt.integrity.signals.map(signal => ({
+            type: signal.type,
+            label: signal.label,
+            count: signal.count,
+            points: signal.points
+          }))
+        })),
+        policy: IntegrityService.getPolicy(assessment),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Integrity signals and evidence timeline of one attempt
+// @route   GET /api/assessments/:id/integrity/:submissionId
+// @access  Private (Creator/Collaborators/Admin)
+const getIntegrityEvidence = async (req, res) => {
+  try {
+    const assessment = await findReviewableAssessment(req.params.id, req.user, res);
+    if (!assessment) return;
+
+    const attempt = await StudentResponse.findOne({
+      _id: req.params.submissionId,
+      assessmentId: assessment._id
+    }).populate('studentId', 'name email');
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        submissionId: attempt._id,
+        student: attempt.studentId,
+        attemptNumber: attempt.attemptNumber,
+        status: attempt.status,
+        integrity: attempt.integrity,
+        deviceInfo: attempt.monitoring.deviceInfo,
+        submissionData: attempt.submissionData,
+        timeline: IntegrityService.buildEvidenceTimeline(attempt)
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Clear or confirm a flagged attempt
+// @route   POST /api/assessments/:id/integrity/:submissionId/review
+// @access  Private (Creator/Collaborators/Admin)
+const reviewIntegrity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const assessment = await findReviewableAssessment(req.params.id, req.user, res);
+    if (!assessment) return;
+
+    const { decision, notes } = req.body;
+
+    const attempt = await StudentResponse.findOne({
+      _id: req.params.submissionId,
+      assessmentId: assessment._id
+    });
+
+    if (!attempt || !attempt.integrity?.isFlagged) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flagged submission not found'
+      });
+    }
+
+    attempt.integrity.review = {
+      status: decision,
+      notes,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date()
+    };
+
+    attempt.auditTrail.push({
+      action: `integrity_${decision}`,
+      performedBy: req.user.id,
+      details: { integrityScore: attempt.integrity.score, notes }
+    });
+
+    await attempt.save();
+
+    res.json({
+      success: true,
+      message: decision === 'cleared' ? 'Submission cleared' : 'Misconduct confirmed',
+      data: {
+        submissionId: attempt._id,
+        review: attempt.integrity.review
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Score every submitted attempt again (after changing the policy)
+// @route   POST /api/assessments/:id/integrity/recalculate
+// @access  Private (Creator/Collaborators/Admin)
+const recalculateIntegrity = async (req, res) => {
+  try {
+    const assessment = await findReviewableAssessment(req.params.id, req.user, res);
+    if (!assessment) return;
+
+    const result = await IntegrityService.evaluateAssessment(assessment);
+
+    res.json({
+      success: true,
+      message: 'Integrity scores recalculated',
+      data: result
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Compare all written answers of the class now
+// @route   POST /api/assessments/:id/plagiarism/run
+// @access  Private (Creator/Collaborators/Admin)
+const runPlagiarismCheck = async (req, res) => {
+  try {
+    const assessment = await findReviewableAssessment(req.params.id, req.user, res);
+    if (!assessment) return;
+
+    const report = await PlagiarismService.runForAssessment(assessment, {
+      trigger: 'manual',
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Plagiarism check completed',
+      data: {
+        generatedAt: report.generatedAt,
+        threshold: report.threshold,
+        answersCompared: report.answersCompared,
+        suspiciousPairs: report.suspiciousPairs,
+        clusters: report.questions.reduce((total, question) => total + question.clusters.length, 0)
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Latest plagiarism report (clusters and matching passages)
+// @route   GET /api/assessments/:id/plagiarism
+// @access  Private (Creator/Collaborators/Admin)
+const getPlagiarismReport = async (req, res) => {
+  try {
+    const assessment = await findReviewableAssessment(req.params.id, req.user, res);
+    if (!assessment) return;
+
+    const report = await PlagiarismReport.findOne({ assessmentId: assessment._id })
+      .populate('questions.questionId', 'questionText type')
+      .populate('questions.clusters.members.studentId', 'name email')
+      .populate('questions.pairs.a.studentId', 'name email')
+      .populate('questions.pairs.b.studentId', 'name email');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: assessment.aiFeatures?.plagiarismDetection?.enabled
+          ? 'The plagiarism check runs once submissions close'
+          : 'No plagiarism check has been run for this assessment'
+      });
+    }
+
+    // Optionally narrow to one question
+    const questions = req.query.questionId
+      ? report.questions.filter(question => question.questionId?._id.toString() === req.query.questionId)
+      : report.questions;
+
+    res.json({
+      success: true,
+      data: {
+        generatedAt: report.generatedAt,
+        trigger: report.trigger,
+        threshold: report.threshold,
+        answersCompared: report.answersCompared,
+        suspiciousPairs: report.suspiciousPairs,
+        questions
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+module.exports = {
+  getLiveRoom,
+  sendLiveAnnouncement,
+  forceSubmitAttempt,
+  getIntegrityReviews,
+  getIntegrityEvidence,
+  reviewIntegrity,
+  recalculateIntegrity,
+  runPlagiarismCheck,
+  getPlagiarismReport
+};
@@ -1,28 +1,181 @@
+const mongoose = require('mongoose');
 const Question = require('../models/Question');
 const User = require('../models/User');
 const aiQuestionGenerator = require('../services/aiQuestionGenerator');
+const QuestionTransferService = require('../services/QuestionTransferService');
+const QuestionReviewService = require('../services/QuestionReviewService');
+const QuestionVersionService = require('../services/QuestionVersionService');
+const { NotificationService } = require('../services/NotificationService');
+const QuestionSimilarityService = require('../services/QuestionSimilarityService');
+
+// Build a question document from a createQuestion-style body, applying the
+// per-type rules shared by manual creation and bulk import
+const buildQuestionData = (body, userId, source = 'manual') => {
+  const {
+    title,
+    type,
+    subject,
+    chapter,
+    topic,
+    class: classNum,
+    difficulty,
+    marks,
+    timeLimit,
+    question,
+    options,
+    correctAnswer,
+    creativeQuestion,
+    numericAnswer,
+    matching,
+    ordering,
+    scoringRule,
+    tags,
+    keywords,
+    isPublic = false
+  } = body;
+
+  // Create question object
+  const questionData = {
+    title,
+    type,
+    subject,
+    chapter,
+    topic,
+    class: classNum,
+    difficulty,
+    marks,
+    timeLimit,
+    question,
+    correctAnswer,
+    tags: tags || [],
+    keywords: keywords || [],
+    createdBy: userId,
+    source,
+    isPublic
+  };
+
+  // Shared questions start in the reviewer queue; the rest stay drafts
+  questionData.reviewStatus = QuestionReviewService.initialStatus(questionData);
+  if (questionData.reviewStatus === 'pending') {
+    QuestionReviewService.markSubmitted(questionData, userId);
+  }
+
+  // Add options for MCQ
+  if (type === 'mcq') {
+    if (!options || options.length < 2) {
+      return { error: 'MCQ questions must have at least 2 options' };
+    }
+
+    const correctCount = options.filter(opt => opt.isCorrect).length;
+    if (correctCount !== 1) {
+      return { error: 'MCQ questions must have exactly one correct answer' };
+    }
+
+    questionData.options = options;
+  }
+
+  // Creative Questions need a stem and the ka/kha/ga/gha parts
+  if (type === 'cq') {
+    if (!creativeQuestion || !Array.isArray(creativeQuestion.parts)) {
+      return { error: 'Creative questions must include a stem and ka/kha/ga/gha parts' };
+    }
+
+    questionData.creativeQuestion = creativeQuestion;
+  }
+
+  // Multiple-select questions may have several correct options
+  if (type === 'multi_select') {
+    if (!options || options.length < 2) {
+      return { error: 'Multiple-select questions must have at least 2 options' };
+    }
+
+    if (!options.some(opt => opt.isCorrect)) {
+      return { error: 'Multiple-select questions need at least one correct option' };
+    }
+
+    questionData.options = options;
+    questionData.scoringRule = scoringRule;
+  }
+
+  // Matching pairs and ordering items are checked by the model
+  if (type === 'matching' || type === 'ordering') {
+    questionData.matching = matching;
+    questionData.ordering = ordering;
+    questionData.scoringRule = scoringRule;
+  }
+
+  // Numeric questions are graded against a value with tolerance and units
+  if (type === 'numeric') {
+    if (!numericAnswer || numericAnswer.value === undefined) {
+      return { error: 'Numeric questions must include numericAnswer.value' };
+    }
+
+    questionData.numericAnswer = numericAnswer;
+  }
+
+  return { questionData };
+};
+
+// Filters shared by the question list and bank export; teachers see their own
+// and public questions, students only public ones
+const buildQuestionQuery = (user, filters) => {
+  const {
+    subject,
+    chapter,
+    class: classNum,
+    difficulty,
+    type,
+    tags,
+    search,
+    createdBy,
+    isPublic,
+    reviewStatus
+  } = filters;
+
+  // Build query
+  const query = { isActive: true };
+
+  // Filter by creator or public questions (public means shared and approved)
+  if (user.role === 'teacher') {
+    if (createdBy === 'me') {
+      query.createdBy = user._id;
+      if (reviewStatus) query.reviewStatus = reviewStatus;
+    } else if (isPublic === 'true') {
+      Object.assign(query, QuestionReviewService.PUBLIC_FILTER);
+    } else {
+      // Show own questions + public questions
+      query.$or = [
+        { createdBy: user._id },
+        QuestionReviewService.PUBLIC_FILTER
+      ];
+    }
+  } else {
+    // Students can only see public questions
+    Object.assign(query, QuestionReviewService.PUBLIC_FILTER);
+  }
+
+  // Apply filters
+  if (subject) query.subject = subject;
+  if (chapter) query.chapter = chapter;
+  if (classNum) query.class = parseInt(classNum);
+  if (difficulty) query.difficulty = difficulty;
+  if (type) query.type = type;
+  if (tags) {
+    const tagArray = tags.split(',').map(tag => tag.trim());
+    query.tags = { $in: tagArray };
+  }
+
+  // Text search
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  return query;
+};
 
 // Create a new question (Manual)
 exports.createQuestion = async (req, res) => {
   try {
-    const {
-      title,
-      type,
-      subject,
-      chapter,
-      topic,
-      class: classNum,
-      difficulty,
-      marks,
-      timeLimit,
-      question,
-      options,
-      correctAnswer,
-      tags,
-      keywords,
-      isPublic = false
-    } = req.body;
-
     // Validate teacher role
     if (req.user.role !== 'teacher') {
       return res.status(403).json({
@@ -31,55 +184,30 @@ exports.createQuestion = async (req, res) => {
       });
     }
 
-    // Create question object
-    const questionData = {
-      title,
-      type,
-      subject,
-      chapter,
-      topic,
-      class: classNum,
-      difficulty,
-      marks,
-      timeLimit,
-      question,
-      correctAnswer,
-      tags: tags || [],
-      keywords: keywords || [],
-      createdBy: req.user._id,
-      source: 'manual',
-      isPublic
-    };
-
-    // Add options for MCQ
-    if (type === 'mcq') {
-      if (!options || options.length < 2) {
-        return res.status(400).json({
-          success: false,
-          message: 'MCQ questions must have at least 2 options'
-        });
-      }
-
-      const correctCount = options.filter(opt => opt.isCorrect).length;
-      if (correctCount !== 1) {
-        return res.status(400).json({
-          success: false,
-          message: 'MCQ questions must have exactly one correct answer'
-        });
-      }
-
-      questionData.options = options;
+    const { error, questionData } = buildQuestionData(req.body, req.user._id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
     }
 
     const newQuestion = new Question(questionData);
+
+    // Warn (without blocking) when the bank already has this question or a paraphrase of it
+    const similarQuestions = await QuestionSimilarityService.findSimilar(newQuestion, req.user._id);
+
     await newQuestion.save();
 
     await newQuestion.populate('createdBy', 'name teacherInfo.subjects');
 
     res.status(201).json({
       success: true,
-      message: 'Question created successfully',
-      data: newQuestion
+      message: similarQuestions.length > 0
+        ? 'Question created, but similar questions already exist in the bank'
+        : 'Question created successfully',
+      data: newQuestion,
+      similarQuestions
     });
 
   } catch (error) {
@@ -98,55 +226,11 @@ exports.getQuestions = async (req, res) => {
     const {
       page = 1,
       limit = 20,
-      subject,
-      chapter,
-      class: classNum,
-      difficulty,
-      type,
-      tags,
-      search,
-      createdBy,
-      isPublic,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
-    // Build query
-    const query = { isActive: true };
-
-    // Filter by creator or public questions
-    if (req.user.role === 'teacher') {
-      if (createdBy === 'me') {
-        query.createdBy = req.user._id;
-      } else if (isPublic === 'true') {
-        query.isPublic = true;
-      } else {
-        // Show own questions + public questions
-        query.$or = [
-          { createdBy: req.user._id },
-          { isPublic: true }
-        ];
-      }
-    } else {
-      // Students can only see public questions
-      query.isPublic = true;
-    }
-
-    // Apply filters
-    if (subject) query.subject = subject;
-    if (chapter) query.chapter = chapter;
-    if (classNum) query.class = parseInt(classNum);
-    if (difficulty) query.difficulty = difficulty;
-    if (type) query.type = type;
-    if (tags) {
-      const tagArray = tags.split(',').map(tag => tag.trim());
-      query.tags = { $in: tagArray };
-    }
-
-    // Text search
-    if (search) {
-      query.$text = { $search: search };
-    }
+    const query = buildQuestionQuery(req.user, req.query);
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -185,6 +269,157 @@ exports.getQuestions = async (req, res) => {
   }
 };
 
+// Import questions from a CSV, Excel, GIFT or QTI 2.1 file
+// dryRun=true validates every row and reports duplicates without saving
+exports.importQuestions = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a question file'
+      });
+    }
+
+    const format = QuestionTransferService.detectFormat(req.file.originalname, req.body.format);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported file format. Use one of: ${QuestionTransferService.FORMATS.join(', ')}`
+      });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+    const skipDuplicates = (req.query.duplicates ?? req.body.duplicates) !== 'import';
+    const { subject, chapter, topic, class: classNum, difficulty, marks } = req.body;
+
+    let entries;
+    try {
+      entries = await QuestionTransferService.parse(req.file.buffer, format, {
+        subject, chapter, topic, class: classNum, difficulty, marks
+      });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read ${format.toUpperCase()} file: ${parseError.message}`
+      });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No questions found in the file'
+      });
+    }
+
+    if (entries.length > QuestionTransferService.MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A file can contain at most ${QuestionTransferService.MAX_IMPORT_ROWS} questions`
+      });
+    }
+
+    // Same rules as createQuestion, then the model's own validation
+    for (const entry of entries) {
+      if (entry.errors.length > 0) continue;
+
+      const { error, questionData } = buildQuestionData(entry.data, req.user._id, 'imported');
+      if (error) {
+        entry.errors.push(error);
+        continue;
+      }
+
+      const question = new Question(questionData);
+      try {
+        await question.validate();
+        entry.question = question;
+      } catch (validationError) {
+        entry.errors.push(...(validationError.errors
+          ? Object.values(validationError.errors).map(err => err.message)
+          : [validationError.message]));
+      }
+    }
+
+    const validEntries = entries.filter(entry => entry.question);
+    await QuestionTransferService.markDuplicates(validEntries, req.user._id);
+
+    // Paraphrases and translations the exact fingerprint misses are reported, not skipped
+    const candidates = validEntries.filter(entry => !entry.duplicateOf);
+    const similar = await QuestionSimilarityService.findSimilarBatch(candidates.map(entry => entry.question), req.user._id, { limit: 3 });
+    candidates.forEach((entry, i) => {
+      entry.similarTo = similar[i].map(({ index, ...match }) =>
+        (index === undefined ? match : { row: candidates[index].row, ...match }));
+    });
+
+    const toImport = validEntries.filter(entry => !(skipDuplicates && entry.duplicateOf));
+    let imported = 0;
+    if (!dryRun && toImport.length > 0) {
+      const saved = await Question.insertMany(toImport.map(entry => entry.question));
+      imported = saved.length;
+    }
+
+    const report = QuestionTransferService.buildImportReport(entries, { format, dryRun, imported });
+
+    res.status(dryRun || imported === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run complete: ${toImport.length} of ${entries.length} questions would be imported`
+        : `${imported} of ${entries.length} questions imported`,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Import questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import questions',
+      error: error.message
+    });
+  }
+};
+
+// Export the filtered question list as QTI 2.1, GIFT, CSV or Excel
+exports.exportQuestions = async (req, res) => {
+  try {
+    const { format = 'csv', sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+    if (!QuestionTransferService.FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported export format. Use one of: ${QuestionTransferService.FORMATS.join(', ')}`
+      });
+    }
+
+    const query = buildQuestionQuery(req.user, req.query);
+    const questions = await Question.find(query)
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+      .limit(QuestionTransferService.MAX_EXPORT_QUESTIONS)
+      .lean();
+
+    if (questions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No questions match the selected filters'
+      });
+    }
+
+    const file = await QuestionTransferService.exportQuestions(questions, format);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('X-Exported-Questions', questions.length - file.skipped);
+    res.setHeader('X-Skipped-Questions', file.skipped);
+    res.send(file.buffer);
+
+  } catch (error) {
+    console.error('Export questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export questions',
+      error: error.message
+    });
+  }
+};
+
 // Get single question by ID
 exports.getQuestionById = async (req, res) => {
   try {
@@ -201,7 +436,7 @@ exports.getQuestionById = async (req, res) => {
     }
 
     // Check access permissions
-    if (!question.isPublic && question.createdBy._id.toString() !== req.user._id.toString()) {
+    if (!QuestionReviewService.isVisibleTo(question, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to this question'
@@ -246,6 +481,23 @@ exports.updateQuestion = async (req, res) => {
       });
     }
 
+    // Only the current version can be edited; older ones stay as served
+    if (QuestionVersionService.isSuperseded(question)) {
+      const latest = await QuestionVersionService.getLatest(question);
+      return res.status(409).json({
+        success: false,
+        message: 'This is an old version of the question. Edit the latest version instead.',
+        latestQuestionId: latest ? latest._id : null
+      });
+    }
+
+    if (!question.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This question has been deleted'
+      });
+    }
+
     // Validate MCQ options if updating
     if (updates.type === 'mcq' || (question.type === 'mcq' && updates.options)) {
       const options = updates.options || question.options;
@@ -260,30 +512,196 @@ exports.updateQuestion = async (req, res) => {
       }
     }
 
-    // Update question
-    Object.keys(updates).forEach(key => {
-      if (key !== '_id' && key !== 'createdBy' && key !== 'createdAt') {
-        question[key] = updates[key];
+    // Content edits become a new version so graded attempts keep their answer key
+    const { question: updated, versioned, repointedAssessments } =
+      await QuestionVersionService.applyEdit(question, updates, req.user._id, updates.versionNote);
+
+    await updated.populate('createdBy', 'name teacherInfo.subjects');
+
+    res.json({
+      success: true,
+      message: versioned
+        ? `Question updated as version ${updated.version}`
+        : 'Question updated successfully',
+      data: updated,
+      versioning: {
+        versioned,
+        previousQuestionId: versioned ? question._id : null,
+        repointedAssessments
       }
     });
 
-    // Increment version
-    question.version += 1;
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
 
-    await question.save();
-    await question.populate('createdBy', 'name teacherInfo.subjects');
+    console.error('Update question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question',
+      error: error.message
+    });
+  }
+};
+
+// Load a question for the version endpoints; only its owner may see the history
+const findOwnQuestion = async (req, res) => {
+  const question = await Question.findById(req.params.id);
+
+  if (!question) {
+    res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+    return null;
+  }
+
+  if (question.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only view the history of your own questions'
+    });
+    return null;
+  }
+
+  return question;
+};
+
+// Get version history with per-version statistics
+exports.getQuestionVersions = async (req, res) => {
+  try {
+    const question = await findOwnQuestion(req, res);
+    if (!question) return;
+
+    const versions = await QuestionVersionService.getHistory(question);
+    const stats = await QuestionVersionService.getVersionStats(versions);
 
     res.json({
       success: true,
-      message: 'Question updated successfully',
-      data: question
+      data: {
+        originalQuestionId: QuestionVersionService.rootId(question),
+        currentVersion: (stats.find(version => version.isCurrent) || {}).version || null,
+        versions: stats
+      }
     });
 
   } catch (error) {
-    console.error('Update question error:', error);
+    console.error('Get question versions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update question',
+      message: 'Failed to get question versions',
+      error: error.message
+    });
+  }
+};
+
+// Compare two versions of a question field by field
+exports.diffQuestionVersions = async (req, res) => {
+  try {
+    const question = await findOwnQuestion(req, res);
+    if (!question) return;
+
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the from and to version numbers'
+      });
+    }
+
+    const versions = await QuestionVersionService.getHistory(question);
+    const fromVersion = versions.find(version => version.version === from);
+    const toVersion = versions.find(version => version.version === to);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${!fromVersion ? from : to} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: { version: from, questionId: fromVersion._id },
+        to: { version: to, questionId: toVersion._id },
+        changes: QuestionVersionService.diff(fromVersion, toVersion)
+      }
+    });
+
+  } catch (error) {
+    console.error('Diff question versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare question versions',
+      error: error.message
+    });
+  }
+};
+
+// Restore an older version's content as a new version
+exports.rollbackQuestion = async (req, res) => {
+  try {
+    const question = await findOwnQuestion(req, res);
+    if (!question) return;
+
+    const targetVersion = parseInt(req.params.version);
+    const versions = await QuestionVersionService.getHistory(question);
+    const target = versions.find(version => version.version === targetVersion);
+    const current = versions.find(version => !version.supersededBy && version.isActive);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${req.params.version} not found`
+      });
+    }
+
+    if (!current) {
+      return res.status(400).json({
+        success: false,
+        message: 'This question has been deleted'
+      });
+    }
+
+    const { question: restored, versioned, repointedAssessments } =
+      await QuestionVersionService.rollback(current, target, req.user._id);
+
+    if (!versioned) {
+      return res.status(400).json({
+        success: false,
+        message: `The current version already matches version ${targetVersion}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Rolled back to version ${targetVersion} as version ${restored.version}`,
+      data: restored,
+      versioning: {
+        versioned,
+        previousQuestionId: current._id,
+        repointedAssessments
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Rollback question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back question',
       error: error.message
     });
   }
@@ -330,6 +748,250 @@ exports.deleteQuestion = async (req, res) => {
   }
 };
 
+// Submit a question to the reviewer queue
+exports.submitForReview = async (req, res) => {
+  try {
+    const question = await Question.findOne({ _id: req.params.id, isActive: true });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (question.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only submit your own questions for review'
+      });
+    }
+
+    const { error } = QuestionReviewService.submit(question, req.user._id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await question.save();
+
+    res.json({
+      success: true,
+      message: 'Question submitted for review',
+      data: {
+        questionId: question._id,
+        reviewStatus: question.reviewStatus,
+        submittedForReviewAt: question.submittedForReviewAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit question for review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit question for review',
+      error: error.message
+    });
+  }
+};
+
+// Get questions waiting for review (senior teachers and admins)
+exports.getReviewQueue = async (req, res) => {
+  try {
+    if (!QuestionReviewService.canReview(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only senior teachers and admins can review questions'
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const query = QuestionReviewService.buildQueueQuery(req.user, req.query);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const questions = await Question.find(query)
+      .populate('createdBy', 'name teacherInfo.subjects')
+      .sort({ submittedForReviewAt: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Question.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        questions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          hasNext: skip + questions.length < total,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get review queue',
+      error: error.message
+    });
+  }
+};
+
+// Approve, reject or request changes on a queued question
+exports.reviewQuestion = async (req, res) => {
+  try {
+    if (!QuestionReviewService.canReview(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only senior teachers and admins can review questions'
+      });
+    }
+
+    const { action, notes } = req.body;
+    const question = await Question.findOne({ _id: req.params.id, isActive: true });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const { error } = QuestionReviewService.review(question, req.user, action, notes);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await question.save();
+
+    try {
+      await NotificationService.sendQuestionReviewedNotification(question, req.user._id);
+    } catch (notifyError) {
+      console.error('Question review notification failed:', notifyError);
+    }
+
+    res.json({
+      success: true,
+      message: `Question ${question.reviewStatus === 'needs_revision' ? 'sent back for revision' : question.reviewStatus}`,
+      data: {
+        questionId: question._id,
+        reviewStatus: question.reviewStatus,
+        reviewNotes: question.reviewNotes,
+        reviewedBy: question.reviewedBy,
+        reviewedAt: question.reviewedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Review question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review question',
+      error: error.message
+    });
+  }
+};
+
+// Admin report: clusters of near-duplicate questions in one subject and class
+exports.getDuplicateClusters = async (req, res) => {
+  try {
+    if (!req.query.subject || !parseInt(req.query.class)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject and class are required to search for duplicates'
+      });
+    }
+
+    const report = await QuestionSimilarityService.findClusters(req.query);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get duplicate clusters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find duplicate questions',
+      error: error.message
+    });
+  }
+};
+
+// Merge near-duplicates into one question, keeping their combined usage stats
+exports.mergeDuplicateQuestions = async (req, res) => {
+  try {
+    const { keepId, duplicateIds } = req.body;
+    const ids = [keepId, ...(Array.isArray(duplicateIds) ? duplicateIds : [])];
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0 ||
+        !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'keepId and a non-empty duplicateIds array of valid question IDs are required'
+      });
+    }
+
+    if (new Set(ids.map(String)).size !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'A question cannot be merged into itself or listed twice'
+      });
+    }
+
+    const questions = await Question.find({ _id: { $in: ids }, isActive: true, supersededBy: { $exists: false } });
+    const keep = questions.find(q => q._id.toString() === String(keepId));
+    const duplicates = questions.filter(q => q._id.toString() !== String(keepId));
+
+    if (!keep || duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some questions were not found, were deleted or have newer versions'
+      });
+    }
+
+    if (duplicates.some(q => q.type !== keep.type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only questions of the same type can be merged'
+      });
+    }
+
+    const result = await QuestionSimilarityService.merge(keep, duplicates);
+
+    res.json({
+      success: true,
+      message: `${result.merged} question(s) merged`,
+      data: result
+    });
+
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Merge duplicate questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge questions',
+      error: error.message
+    });
+  }
+};
+
 // Get random questions for practice/test
 exports.getRandomQuestions = async (req, res) => {
   try {
@@ -400,6 +1062,27 @@ exports.getQuestionStats = async (req, res) => {
       averageSuccessRate: 0
     };
 
+    // Item analysis is refreshed hourly by the scheduler; this only reads the stored results
+    const flagged = await Question.find({
+      createdBy: teacherId,
+      isActive: true,
+      'itemAnalysis.flags.0': { $exists: true },
+      'itemAnalysis.flags': { $nin: ['insufficient_data'] }
+    }).select('title itemAnalysis').lean();
+
+    const flaggedQuestions = flagged.map(q => ({ questionId: q._id, title: q.title, ...q.itemAnalysis }));
+    const analyzedQuestions = await Question.countDocuments({
+      createdBy: teacherId,
+      isActive: true,
+      'itemAnalysis.analyzedAt': { $exists: true }
+    });
+
+    result.itemAnalysis = {
+      analyzedQuestions,
+      flaggedCount: flaggedQuestions.length,
+      flaggedQuestions
+    };
+
     res.json({
       success: true,
       data: result
@@ -421,7 +1104,7 @@ exports.getSubjectsAndChapters = async (req, res) => {
     const { class: classNum } = req.query;
 
     const pipeline = [
-      { $match: { isActive: true, isPublic: true } }
+      { $match: { isActive: true, ...QuestionReviewService.PUBLIC_FILTER } }
     ];
 
     if (classNum) {
@@ -525,11 +1208,18 @@ exports.generateQuestionsWithAI = async (req, res) => {
       });
     }
 
-    // Add creator information
-    const questionsWithCreator = generatedQuestions.map(q => ({
-      ...q,
-      createdBy: req.user._id
-    }));
+    // Add creator information; AI-generated questions always go to the review queue
+    const questionsWithCreator = generatedQuestions.map(q => {
+      const questionData = { ...q, createdBy: req.user._id, source: 'ai_generated' };
+      QuestionReviewService.markSubmitted(questionData, req.user._id);
+      return questionData;
+    });
+
+    // Generated questions that repeat the bank (or each other)
+    const similar = await QuestionSimilarityService.findSimilarBatch(questionsWithCreator, req.user._id, { limit: 3 });
+    const duplicateWarnings = similar
+      .map((matches, index) => ({ index, similarTo: matches }))
+      .filter(warning => warning.similarTo.length > 0);
 
     // Save to database if requested
     let savedQuestions = [];
@@ -548,6 +1238,7 @@ exports.generateQuestionsWithAI = async (req, res) => {
       data: {
         generatedQuestions: questionsWithCreator,
         savedQuestions: savedQuestions.length > 0 ? savedQuestions : null,
+        duplicateWarnings,
         metadata: {
           provider: await aiQuestionGenerator.getAvailableProvider(),
           generatedAt: new Date(),
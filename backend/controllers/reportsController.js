@@ -12,6 +12,8 @@ const Assessment = require('../models/Assessment');
 const User = require('../models/User');
 const Question = require('../models/Question');
 const Submission = require('../models/Submission');
+const StudentResponse = require('../models/StudentResponse');
+const GradingSchemeService = require('../services/GradingSchemeService');
 const { body, validationResult } = require('express-validator');
 const PDFDocument = require('pdfkit');
 const ExcelJS = require('exceljs');
@@ -574,6 +576,268 @@ const generateStudentInsightsReport = async (req, res) => {
   }
 };
 
+// ==========================================
+// 🏅 GRADE & GPA REPORTS
+// ==========================================
+
+// @desc    Generate subject-wise grade points and overall GPA for a student
+// @route   GET /api/reports/student/:studentId/gpa
+// @access  Private (Student/Teacher/Parent/Admin)
+const generateStudentGPAReport = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const {
+      timeframe = '365d',
+      format = 'json',
+      scheme: requestedScheme
+    } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID'
+      });
+    }
+
+    if (requestedScheme && !GradingSchemeService.GPA_SCHEMES.includes(requestedScheme)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown GPA scheme. Use one of: ${GradingSchemeService.GPA_SCHEMES.join(', ')}`
+      });
+    }
+
+    // Students can only see their own GPA
+    if (req.user.role === 'student' && req.user.id !== studentId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const student = await User.findById(studentId)
+      .select('name email academicInfo')
+      .lean();
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(endDate.getDate() - parseInt(timeframe.replace('d', '')));
+
+    const attempts = await StudentResponse.find({
+      studentId,
+      status: { $in: ['submitted', 'auto_submitted', 'graded'] },
+      submittedAt: { $gte: startDate, $lte: endDate }
+    })
+      .populate('assessmentId', 'title subject grading.scheme grading.totalMarks')
+      .lean();
+
+    const subjectResults = aggregateSubjectResults(attempts);
+    const scheme = requestedScheme || resolveGPAScheme(attempts);
+    const optionalSubject = req.query.optionalSubject || student.academicInfo?.optionalSubject;
+
+    const gpa = GradingSchemeService.calculateGPA(subjectResults, {
+      scheme,
+      optionalSubject
+    });
+
+    const reportData = {
+      student: {
+        _id: student._id,
+        name: student.name,
+        class: student.academicInfo?.class,
+        group: student.academicInfo?.group
+      },
+      scheme,
+      gpa: gpa.gpa,
+      letterGrade: gpa.letter,
+      isPassed: gpa.isPassed,
+      subjects: gpa.subjects.map(result => ({
+        ...result,
+        assessmentsCount: subjectResults.find(s => s.subject === result.subject)?.assessmentsCount || 0
+      })),
+      optionalSubject: gpa.optionalSubject,
+      metadata: {
+        timeframe,
+        startDate,
+        endDate,
+        generatedAt: new Date(),
+        totalAssessments: subjectResults.reduce((sum, s) => sum + s.assessmentsCount, 0)
+      }
+    };
+
+    if (format === 'excel') {
+      const workbook = buildGPAWorkbook(reportData);
+      const fileName = `GPA_Report_${student.name}_${Date.now()}.xlsx`;
+
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    res.json({
+      success: true,
+      message: 'GPA report generated successfully',
+      data: reportData
+    });
+
+  } catch (error) {
+    console.error('❌ Error generating GPA report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate GPA report',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Generate grade sheet (letter grade + grade point) for an assessment
+// @route   GET /api/reports/assessment/:assessmentId/grades
+// @access  Private (Teacher/Admin)
+const generateAssessmentGradeSheet = async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
+    const { format = 'json' } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(assessmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assessment ID'
+      });
+    }
+
+    const assessment = await Assessment.findById(assessmentId);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const isOwner = assessment.createdBy._id.toString() === req.user.id;
+    const isCollaborator = assessment.collaborators.some(
+      c => c.teacherId.toString() === req.user.id
+    );
+
+    if (req.user.role !== 'admin' && !isOwner && !isCollaborator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const attempts = await StudentResponse.find({
+      assessmentId,
+      status: { $in: ['submitted', 'auto_submitted', 'graded'] }
+    })
+      .populate('studentId', 'name email academicInfo.class')
+      .lean();
+
+    // Best attempt per student
+    const bestAttempts = new Map();
+    attempts.forEach(attempt => {
+      if (!attempt.studentId) return;
+      const key = attempt.studentId._id.toString();
+      const current = bestAttempts.get(key);
+      if (!current || attempt.scoring.percentage > current.scoring.percentage) {
+        bestAttempts.set(key, attempt);
+      }
+    });
+
+    const rows = Array.from(bestAttempts.values())
+      .map(attempt => {
+        // Attempts graded before the scheme was stored are re-graded on the fly
+        const grade = attempt.scoring.gradingScheme === assessment.grading.scheme && attempt.scoring.grade
+          ? { letter: attempt.scoring.grade, gradePoint: attempt.scoring.gradePoint ?? null }
+          : GradingSchemeService.gradeForPercentage(attempt.scoring.percentage, assessment.grading);
+
+        return {
+          studentId: attempt.studentId._id,
+          name: attempt.studentId.name,
+          email: attempt.studentId.email,
+          attemptNumber: attempt.attemptNumber,
+          marksObtained: attempt.scoring.marksObtained,
+          totalMarks: attempt.scoring.totalMarks,
+          percentage: attempt.scoring.percentage,
+          grade: grade.letter,
+          gradePoint: grade.gradePoint,
+          isPassed: attempt.scoring.marksObtained >= assessment.grading.passingMarks && grade.letter !== 'F',
+          submittedAt: attempt.submittedAt,
+          isLate: !!attempt.lateSubmission?.isLate,
+          minutesLate: attempt.lateSubmission?.isLate ? attempt.lateSubmission.minutesLate : null,
+          latePenalty: attempt.lateSubmission?.isLate ? attempt.lateSubmission.marksDeducted : null,
+          accommodation: describeAccommodation(assessment.getAccommodation(attempt.studentId._id))
+        };
+      })
+      .sort((a, b) => b.percentage - a.percentage);
+
+    const gradeDistribution = rows.reduce((acc, row) => {
+      acc[row.grade] = (acc[row.grade] || 0) + 1;
+      return acc;
+    }, {});
+
+    const withPoints = rows.filter(row => typeof row.gradePoint === 'number');
+    const reportData = {
+      assessment: {
+        _id: assessment._id,
+        title: assessment.title,
+        subject: assessment.subject,
+        class: assessment.class,
+        gradingScheme: assessment.grading.scheme,
+        totalMarks: assessment.grading.totalMarks,
+        passingMarks: assessment.grading.passingMarks
+      },
+      summary: {
+        totalStudents: rows.length,
+        passed: rows.filter(row => row.isPassed).length,
+        lateSubmissions: rows.filter(row => row.isLate).length,
+        withAccommodations: rows.filter(row => row.accommodation).length,
+        averageGradePoint: withPoints.length > 0
+          ? Math.round((withPoints.reduce((sum, row) => sum + row.gradePoint, 0) / withPoints.length) * 100) / 100
+          : null,
+        gradeDistribution
+      },
+      students: rows,
+      metadata: {
+        generatedAt: new Date()
+      }
+    };
+
+    if (format === 'excel') {
+      const workbook = buildGradeSheetWorkbook(reportData);
+      const fileName = `Grade_Sheet_${assessment._id}_${Date.now()}.xlsx`;
+
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    res.json({
+      success: true,
+      message: 'Grade sheet generated successfully',
+      data: reportData
+    });
+
+  } catch (error) {
+    console.error('❌ Error generating grade sheet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate grade sheet',
+      error: error.message
+    });
+  }
+};
+
 // ==========================================
 // 🔧 HELPER FUNCTIONS
 // ==========================================
@@ -1055,10 +1319,136 @@ async function generateStudentInsightsExcelReport(insights, student, options) {
   return 'student_insights.xlsx';
 }
 
+// Combine best attempts per assessment into subject-wise percentages
+function aggregateSubjectResults(attempts) {
+  const bestByAssessment = new Map();
+
+  attempts.forEach(attempt => {
+    if (!attempt.assessmentId) return;
+    const key = attempt.assessmentId._id.toString();
+    const current = bestByAssessment.get(key);
+    if (!current || attempt.scoring.percentage > current.scoring.percentage) {
+      bestByAssessment.set(key, attempt);
+    }
+  });
+
+  const subjects = {};
+  bestByAssessment.forEach(attempt => {
+    const subject = attempt.assessmentId.subject;
+    if (!subjects[subject]) {
+      subjects[subject] = { subject, marksObtained: 0, totalMarks: 0, assessmentsCount: 0 };
+    }
+    subjects[subject].marksObtained += attempt.scoring.marksObtained || 0;
+    subjects[subject].totalMarks += attempt.scoring.totalMarks || 0;
+    subjects[subject].assessmentsCount++;
+  });
+
+  // Marks-weighted so a 100-mark exam counts more than a 10-mark quiz
+  return Object.values(subjects).map(s => ({
+    subject: s.subject,
+    percentage: s.totalMarks > 0 ? (s.marksObtained / s.totalMarks) * 100 : 0,
+    assessmentsCount: s.assessmentsCount
+  }));
+}
+
+// Without an explicit scheme the report uses the GPA scheme the student's
+// assessments were graded on (the most common one if they differ)
+function resolveGPAScheme(attempts) {
+  const schemeByAssessment = new Map();
+  attempts.forEach(attempt => {
+    const scheme = attempt.assessmentId?.grading?.scheme;
+    if (GradingSchemeService.GPA_SCHEMES.includes(scheme)) {
+      schemeByAssessment.set(attempt.assessmentId._id.toString(), scheme);
+    }
+  });
+
+  const counts = {};
+  schemeByAssessment.forEach(scheme => {
+    counts[scheme] = (counts[scheme] || 0) + 1;
+  });
+
+  const [mostUsed] = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  return mostUsed || GradingSchemeService.DEFAULT_GPA_SCHEME;
+}
+
+function buildGPAWorkbook(reportData) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('GPA');
+
+  sheet.columns = [
+    { header: 'Subject', key: 'subject', width: 25 },
+    { header: 'Percentage', key: 'percentage', width: 12 },
+    { header: 'Grade', key: 'letter', width: 8 },
+    { header: 'Grade Point', key: 'gradePoint', width: 12 },
+    { header: 'Optional', key: 'isOptional', width: 10 },
+    { header: 'Assessments', key: 'assessmentsCount', width: 12 }
+  ];
+
+  reportData.subjects.forEach(subject => {
+    sheet.addRow({ ...subject, isOptional: subject.isOptional ? 'Yes' : '' });
+  });
+
+  sheet.addRow({});
+  sheet.addRow({ subject: 'GPA', letter: reportData.letterGrade, gradePoint: reportData.gpa });
+  sheet.getRow(1).font = { bold: true };
+
+  return workbook;
+}
+
+// Short summary of a student's accommodations for grade sheets, e.g.
+// "+50% time, own window, +1 attempt"
+function describeAccommodation(accommodation) {
+  if (!accommodation) return null;
+
+  const parts = [];
+  if (accommodation.extraTimePercentage > 0) parts.push(`+${accommodation.extraTimePercentage}% time`);
+  if (accommodation.startDate || accommodation.endDate) parts.push('own window');
+  if (accommodation.extraAttempts > 0) {
+    parts.push(`+${accommodation.extraAttempts} attempt${accommodation.extraAttempts > 1 ? 's' : ''}`);
+  }
+
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+function buildGradeSheetWorkbook(reportData) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Grades');
+
+  sheet.columns = [
+    { header: 'Student', key: 'name', width: 25 },
+    { header: 'Email', key: 'email', width: 30 },
+    { header: 'Attempt', key: 'attemptNumber', width: 10 },
+    { header: 'Marks', key: 'marksObtained', width: 10 },
+    { header: 'Total', key: 'totalMarks', width: 10 },
+    { header: 'Percentage', key: 'percentage', width: 12 },
+    { header: 'Grade', key: 'grade', width: 8 },
+    { header: 'Grade Point', key: 'gradePoint', width: 12 },
+    { header: 'Result', key: 'result', width: 10 },
+    { header: 'Submitted At', key: 'submittedAt', width: 22 },
+    { header: 'Late', key: 'late', width: 8 },
+    { header: 'Minutes Late', key: 'minutesLate', width: 14 },
+    { header: 'Late Penalty', key: 'latePenalty', width: 14 },
+    { header: 'Accommodations', key: 'accommodation', width: 35 }
+  ];
+
+  reportData.students.forEach(row => {
+    sheet.addRow({
+      ...row,
+      result: row.isPassed ? 'Pass' : 'Fail',
+      late: row.isLate ? 'Yes' : 'No'
+    });
+  });
+  sheet.getRow(1).font = { bold: true };
+
+  return workbook;
+}
+
 module.exports = {
   generateStudentProgressReport,
   generateClassProgressReport,
   generatePerformanceAnalyticsReport,
   generateTeacherDashboardReport,
-  generateStudentInsightsReport
+  generateStudentInsightsReport,
+  generateStudentGPAReport,
+  generateAssessmentGradeSheet
 };
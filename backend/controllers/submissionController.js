@@ -2,6 +2,17 @@ const Assessment = require('../models/Assessment');
 const StudentResponse = require('../models/StudentResponse');
 const Question = require('../models/Question');
 const User = require('../models/User');
+const AdaptiveTestingService = require('../services/AdaptiveTestingService');
+const ShuffleService = require('../services/ShuffleService');
+const BlueprintService = require('../services/BlueprintService');
+const AccessControlService = require('../services/AccessControlService');
+const SubmissionService = require('../services/SubmissionService');
+const AttemptTimerService = require('../services/AttemptTimerService');
+const LiveProctoringService = require('../services/LiveProctoringService');
+const AnswerSyncService = require('../services/AnswerSyncService');
+const NumericAnswerService = require('../services/NumericAnswerService');
+const ObjectiveItemService = require('../services/ObjectiveItemService');
+const { NotificationService } = require('../services/NotificationService');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 
@@ -32,11 +43,426 @@ const handleErrors = (error, res) => {
   });
 };
 
+// Build an empty response entry for an assessment question
+const buildResponseEntry = (assessmentQuestion, order) => ({
+  questionId: assessmentQuestion.questionId._id,
+  questionOrder: order,
+  questionType: StudentResponse.toResponseQuestionType(assessmentQuestion.questionId.type),
+  maxMarks: assessmentQuestion.marks,
+  answer: {},
+  timeSpent: 0,
+  isAnswered: false,
+  isMarkedForReview: false,
+  autoGrading: {},
+  manualGrading: {},
+  finalMarks: 0
+});
+
+// Strip answer keys from a question before sending it to a student.
+// `optionIds` is the attempt's stored option order (empty = canonical order);
+// `seed` shuffles matching and ordering items the same way on every reload.
+const formatQuestionForStudent = (assessmentQuestion, order, optionIds = [], seed = 0) => {
+  const question = assessmentQuestion.questionId.toObject();
+  
+  // Remove correct answers and explanations for students
+  delete question.correctAnswer;
+  delete question.explanation;
+  delete question.teacherNotes;
+  delete question.irtParameters;
+  
+  const options = question.options
+    ? ShuffleService.applyOptionOrder(question.options, optionIds).map(({ isCorrect, ...option }) => option)
+    : question.options;
+  
+  return {
+    _id: question._id,
+    questionText: question.question?.text || question.questionText,
+    type: question.type,
+    options,
+    marks: assessmentQuestion.marks,
+    order,
+    timeLimit: assessmentQuestion.timeLimit || 0,
+    isOptional: assessmentQuestion.isOptional,
+    images: question.images,
+    mathNotation: question.mathNotation,
+    creativeQuestion: question.creativeQuestion?.parts?.length > 0 ? {
+      stem: question.creativeQuestion.stem,
+      parts: question.creativeQuestion.parts.map(({ label, level, text, marks }) => ({ label, level, text, marks }))
+    } : undefined,
+    // Units the answer may be given in, never the value
+    numericAnswer: question.type === 'numeric' ? {
+      units: question.numericAnswer?.unit
+        ? [question.numericAnswer.unit, ...(question.numericAnswer.acceptedUnits || [])]
+        : [],
+      requireUnit: question.numericAnswer?.requireUnit || false
+    } : undefined,
+    ...ObjectiveItemService.formatForStudent(question, seed)
+  };
+};
+
+// An attempt as its student sees it while the exam is running. Marks and
+// grading explanations stay hidden until results are released, so saving
+// an answer again cannot be used to probe the answer key; matching and
+// ordering answers keep the attempt's masked IDs.
+const formatAttemptForStudent = (attempt) => {
+  const data = attempt.toObject();
+
+  return {
+    ...data,
+    scoring: { totalMarks: data.scoring?.totalMarks },
+    responses: data.responses.map(({ autoGrading, manualGrading, finalMarks, ...response }) => ({
+      ...response,
+      answer: ObjectiveItemService.maskAnswer(response.answer, data.presentation?.seed)
+    }))
+  };
+};
+
+// Fix the option order of a question for this attempt (seeded, so it is
+// the same on every reload) and return it
+const recordOptionOrder = (attempt, assessmentQuestion) => {
+  const question = assessmentQuestion.questionId;
+  const existing = attempt.getOptionOrder(question._id);
+  if (existing.length > 0 || !attempt.presentation.shuffleOptions) return existing;
+
+  const optionIds = ShuffleService.orderOptionIds(question, attempt.presentation.seed, true);
+  if (optionIds.length > 0) {
+    attempt.presentation.optionOrder.push({ questionId: question._id, optionIds });
+  }
+  return optionIds;
+};
+
+// Question entries an attempt is served from: its own drawn paper for
+// blueprint assessments, otherwise the assessment's fixed questions
+const getPaperQuestions = async (attempt, assessment) =>
+  attempt.paper?.source === 'blueprint'
+    ? BlueprintService.loadPaperQuestions(attempt.paper.items)
+    : assessment.questions;
+
+// Questions of an attempt in the order (and option order) it was first served
+const buildAttemptQuestions = (attempt, paperQuestions) =>
+  [...attempt.responses]
+    .sort((a, b) => a.questionOrder - b.questionOrder)
+    .map(response => {
+      const assessmentQuestion = paperQuestions.find(q =>
+        q.questionId && q.questionId._id.toString() === response.questionId.toString()
+      );
+      return assessmentQuestion
+        ? formatQuestionForStudent(
+          assessmentQuestion,
+          response.questionOrder,
+          attempt.getOptionOrder(response.questionId),
+          attempt.presentation?.seed
+        )
+        : null;
+    })
+    .filter(Boolean);
+
+// Re-estimate ability after an answer and serve the next adaptive item
+const advanceAdaptiveTest = async (attempt, assessment, answeredResponse) => {
+  const config = assessment.aiFeatures.adaptiveTesting;
+  const adaptive = attempt.adaptiveData;
+
+  await assessment.populate('questions.questionId');
+
+  const parameters = new Map(
+    assessment.questions
+      .filter(q => q.questionId)
+      .map(q => [q.questionId._id.toString(), AdaptiveTestingService.getItemParameters(q.questionId)])
+  );
+
+  // Every scored answer so far feeds the EAP estimate
+  const observations = attempt.responses
+    .filter(r => r.isAnswered && typeof r.autoGrading?.isCorrect === 'boolean')
+    .map(r => ({
+      item: parameters.get(r.questionId.toString()),
+      isCorrect: r.autoGrading.isCorrect
+    }))
+    .filter(o => o.item);
+
+  const { theta, standardError } = AdaptiveTestingService.estimateAbility(
+    observations,
+    config.initialAbility || 0
+  );
+
+  const answeredItem = parameters.get(answeredResponse.questionId.toString());
+  adaptive.abilityEstimate = theta;
+  adaptive.standardError = standardError;
+  adaptive.trajectory.push({
+    questionId: answeredResponse.questionId,
+    itemDifficulty: answeredItem?.difficulty,
+    isCorrect: answeredResponse.autoGrading.isCorrect,
+    theta,
+    standardError,
+    answeredAt: new Date()
+  });
+
+  const correctCount = observations.filter(o => o.isCorrect).length;
+  adaptive.performanceMetrics = {
+    ...adaptive.performanceMetrics,
+    accuracy: observations.length > 0 ? Math.round((correctCount / observations.length) * 100) : 0
+  };
+
+  const pool = AdaptiveTestingService.buildPool(
+    assessment.questions,
+    parameters,
+    attempt.responses.map(r => r.questionId)
+  );
+
+  const stopping = AdaptiveTestingService.checkStoppingRule({
+    answeredCount: observations.length,
+    standardError,
+    remainingCount: pool.length
+  }, config);
+
+  if (stopping.stop) {
+    adaptive.isComplete = true;
+    adaptive.stopReason = stopping.reason;
+    adaptive.nextQuestionSuggestions = [];
+    return null;
+  }
+
+  const next = AdaptiveTestingService.selectNextItem({
+    theta,
+    currentDifficulty: adaptive.currentDifficulty,
+    lastCorrect: answeredResponse.autoGrading.isCorrect
+  }, pool, config.algorithm);
+
+  const order = attempt.responses.length + 1;
+  attempt.responses.push(buildResponseEntry(next.assessmentQuestion, order));
+  attempt.scoring.totalMarks += next.assessmentQuestion.marks;
+
+  adaptive.currentDifficulty = next.difficulty || AdaptiveTestingService.difficultyForAbility(theta);
+  adaptive.nextQuestionSuggestions = [{
+    questionId: next.questionId,
+    probability: next.probability,
+    reasoning: next.reasoning
+  }];
+
+  return formatQuestionForStudent(
+    next.assessmentQuestion,
+    order,
+    recordOptionOrder(attempt, next.assessmentQuestion),
+    attempt.presentation.seed
+  );
+};
+
+// Access rules checked before an attempt starts or resumes. Returns null
+// when the student may start, otherwise the denial to report.
+const checkStartAccess = async (req, assessment, studentId, { isParticipant, ongoingAttempt, hasAttempts }) => {
+  const { participants } = assessment;
+
+  if (!isParticipant && !participants.openAccess.enabled) {
+    return { status: 403, reason: 'not_authorized', severity: 'medium', message: 'You are not authorized to take this assessment' };
+  }
+
+  // Exam-hall networks: applies to resumes too
+  if (participants.ipRestrictions?.enabled &&
+      !AccessControlService.isIPAllowed(req.ip, participants.ipRestrictions)) {
+    return { status: 403, reason: 'ip_not_allowed', severity: 'high', message: 'This assessment cannot be taken from your network' };
+  }
+
+  if (!isParticipant) {
+    const student = await User.findById(studentId).select('academicInfo');
+    const mismatch = AccessControlService.getCriteriaMismatch(student, participants.openAccess.criteria);
+    if (mismatch) {
+      return { status: 403, reason: 'criteria_not_met', severity: 'low', message: mismatch };
+    }
+
+    const { maxParticipants } = participants.openAccess;
+    if (maxParticipants > 0 && !hasAttempts) {
+      const startedStudents = await StudentResponse.distinct('studentId', { assessmentId: assessment._id });
+      if (startedStudents.length >= maxParticipants) {
+        return { status: 403, reason: 'participant_limit', severity: 'low', message: 'This assessment has reached its participant limit' };
+      }
+    }
+  }
+
+  // The code is asked once per attempt; resuming does not need it again
+  if (participants.accessCode && !ongoingAttempt) {
+    const lockedUntil = assessment.getAccessCodeLockout(studentId);
+    if (lockedUntil) {
+      return {
+        status: 429,
+        reason: 'access_code_locked',
+        severity: 'high',
+        message: 'Too many wrong access codes. Try again later.',
+        data: { lockedUntil }
+      };
+    }
+
+    const { accessCode } = req.body || {};
+    if (!accessCode) {
+      return { status: 403, reason: 'access_code_required', severity: 'low', message: 'An access code is required to start this assessment' };
+    }
+
+    if (!AccessControlService.isAccessCodeValid(participants.accessCode, accessCode)) {
+      const failure = await assessment.recordAccessCodeFailure(studentId);
+      return failure.lockedUntil
+        ? {
+          status: 429,
+          reason: 'access_code_locked',
+          severity: 'high',
+          message: 'Too many wrong access codes. Try again later.',
+          data: { lockedUntil: failure.lockedUntil }
+        }
+        : {
+          status: 403,
+          reason: 'access_code_invalid',
+          severity: 'medium',
+          message: 'Invalid access code',
+          data: { attemptsLeft: failure.attemptsLeft }
+        };
+    }
+
+    await assessment.clearAccessCodeFailures(studentId);
+  }
+
+  return null;
+};
+
+// Denied starts go on the student's latest attempt; a student with no
+// attempt yet is logged on the assessment's audit trail instead
+const recordDeniedStart = async (req, assessment, studentId, latestAttempt, denial) => {
+  const details = {
+    reason: denial.reason,
+    message: denial.message,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+
+  if (latestAttempt) {
+    await latestAttempt.addSecurityEvent('access_denied', details, denial.severity);
+    return;
+  }
+
+  await Assessment.updateOne(
+    { _id: assessment._id },
+    {
+      $push: {
+        auditTrail: {
+          action: 'start_denied',
+          performedBy: studentId,
+          details: { reason: denial.reason, severity: denial.severity },
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      }
+    }
+  );
+};
+
+// Store one answer on its response and auto-grade objective questions.
+// Returns why the answer was rejected (nothing is changed then), or null.
+const applyAnswer = async (attempt, assessment, questionResponse, { answer, timeSpent, isMarkedForReview }) => {
+  const questionType = questionResponse.questionType;
+  const question = ['MCQ', 'True/False', 'Fill in the Blanks', 'Numeric', ...ObjectiveItemService.RESPONSE_TYPES].includes(questionType)
+    ? await Question.findById(questionResponse.questionId)
+    : null;
+
+  // Grade on canonical option IDs, never on the position shown
+  const isChoice = questionType === 'MCQ' || questionType === 'True/False';
+  const correctOptionId = question && isChoice ? ShuffleService.getCorrectOptionId(question) : null;
+  let selectedOptionId = null;
+
+  if (correctOptionId) {
+    selectedOptionId = ShuffleService.resolveOptionId(
+      question,
+      answer,
+      attempt.getOptionOrder(questionResponse.questionId)
+    );
+
+    if (!selectedOptionId) {
+      return 'Selected option does not belong to this question';
+    }
+  }
+
+  // Multi-select, matching and ordering answers are stored by canonical IDs
+  const isItem = question && ObjectiveItemService.RESPONSE_TYPES.includes(questionType);
+  if (isItem) {
+    const normalized = ObjectiveItemService.normalizeAnswer(
+      question,
+      answer,
+      attempt.getOptionOrder(questionResponse.questionId),
+      attempt.presentation?.seed
+    );
+    if (normalized.error) return normalized.error;
+    answer = { ...answer, ...normalized.answer };
+  }
+
+  // Update the response
+  questionResponse.answer = answer;
+  questionResponse.timeSpent = (questionResponse.timeSpent || 0) + (timeSpent || 0);
+  questionResponse.isAnswered = true;
+  questionResponse.isMarkedForReview = isMarkedForReview || false;
+
+  // Perform auto-grading for objective questions
+  if (question) {
+    let isCorrect = false;
+    let marksAwarded = 0;
+    let explanation;
+
+    if (isChoice) {
+      if (correctOptionId) {
+        questionResponse.answer.selectedOptionId = selectedOptionId;
+        isCorrect = selectedOptionId === correctOptionId;
+      } else {
+        isCorrect = answer.selectedOption === question.correctAnswer?.text;
+      }
+      marksAwarded = isCorrect ? questionResponse.maxMarks : 0;
+      
+      // Apply negative marking if enabled
+      if (!isCorrect && assessment.configuration.negativeMarking.enabled) {
+        const negativePercentage = assessment.configuration.negativeMarking.percentage;
+        marksAwarded = -(questionResponse.maxMarks * negativePercentage / 100);
+      }
+    } else if (questionType === 'Fill in the Blanks') {
+      // One blank, keyed by correctAnswer.text; case and surrounding spaces are ignored
+      const key = (question.correctAnswer?.text || '').toLowerCase().trim();
+      const given = answer.fillAnswers?.[0] ?? answer.textAnswer;
+
+      isCorrect = !!key && typeof given === 'string' && given.toLowerCase().trim() === key;
+      marksAwarded = isCorrect ? questionResponse.maxMarks : 0;
+    } else if (isItem) {
+      ({ isCorrect, marksAwarded, explanation } = ObjectiveItemService.grade(
+        question,
+        questionResponse.answer,
+        questionResponse.maxMarks
+      ));
+    } else if (questionType === 'Numeric') {
+      ({ isCorrect, marksAwarded, explanation } = NumericAnswerService.grade(
+        answer.textAnswer,
+        question.numericAnswer,
+        questionResponse.maxMarks
+      ));
+    }
+
+    questionResponse.autoGrading = {
+      isCorrect,
+      marksAwarded: Math.max(marksAwarded, 0), // Ensure non-negative
+      explanation,
+      confidence: 1.0
+    };
+
+    questionResponse.finalMarks = questionResponse.autoGrading.marksAwarded;
+  }
+
+  return null;
+};
+
 // @desc    Start assessment attempt
 // @route   POST /api/assessments/:id/start
 // @access  Private (Student only)
 const startAssessment = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id: assessmentId } = req.params;
     const studentId = req.user.id;
 
@@ -59,10 +485,10 @@ const startAssessment = async (req, res) => {
       });
     }
 
-    // Check if assessment is accessible
+    // Check if assessment is accessible (accommodations may give the
+    // student their own window)
     const now = new Date();
-    const startTime = assessment.schedule.startDate;
-    const endTime = assessment.schedule.endDate;
+    const { startDate: startTime, endDate: endTime } = assessment.getStudentSchedule(studentId);
 
     if (now < startTime) {
       return res.status(400).json({
@@ -72,35 +498,80 @@ const startAssessment = async (req, res) => {
       });
     }
 
-    if (now > endTime) {
+    // After endDate, attempts may still start inside the late window
+    const closeTime = assessment.getSubmissionCloseDate(studentId);
+    const isLateStart = now > endTime;
+
+    if (now > closeTime) {
       return res.status(400).json({
         success: false,
         message: 'Assessment has ended',
-        data: { endTime }
+        data: { endTime, lateSubmissionClosedAt: closeTime > endTime ? closeTime : undefined }
       });
     }
 
+    // Check existing attempts
+    const existingAttempts = await StudentResponse.find({ 
+      assessmentId, 
+      studentId 
+    }).sort({ attemptNumber: -1 });
+
+    const ongoingAttempt = existingAttempts.find(attempt => 
+      ['started', 'in_progress', 'paused'].includes(attempt.status)
+    );
+
     // Check if student is allowed to take assessment
     const isParticipant = assessment.participants.students.some(
       p => p.studentId.toString() === studentId
     );
-    
-    const hasOpenAccess = assessment.participants.openAccess.enabled;
 
-    if (!isParticipant && !hasOpenAccess) {
-      return res.status(403).json({
+    const denial = await checkStartAccess(req, assessment, studentId, {
+      isParticipant,
+      ongoingAttempt,
+      hasAttempts: existingAttempts.length > 0
+    });
+
+    if (denial) {
+      await recordDeniedStart(req, assessment, studentId, existingAttempts[0], denial);
+      return res.status(denial.status).json({
         success: false,
-        message: 'You are not authorized to take this assessment'
+        message: denial.message,
+        data: { reason: denial.reason, ...denial.data }
       });
     }
 
-    // Check existing attempts
-    const existingAttempts = await StudentResponse.find({ 
-      assessmentId, 
-      studentId 
-    }).sort({ attemptNumber: -1 });
+    // An open attempt is resumed (or closed if it ran out of time) before the
+    // attempt limit applies: it already counts towards that limit
+    if (ongoingAttempt) {
+      const timer = AttemptTimerService.getTimerState(ongoingAttempt, assessment);
+
+      if (timer.isPastGrace && assessment.schedule.autoSubmit) {
+        await SubmissionService.finalizeAttempt(ongoingAttempt, assessment, {
+          status: 'auto_submitted',
+          submittedAt: timer.deadline
+        });
+
+        return res.status(400).json({
+          success: false,
+          message: 'Your previous attempt ran out of time and was submitted automatically',
+          data: { timeExpired: true, submissionId: ongoingAttempt._id }
+        });
+      }
+
+      LiveProctoringService.publishStudentUpdate(assessment, ongoingAttempt, 'rejoined');
 
-    const maxAttempts = assessment.configuration.maxAttempts;
+      return res.status(200).json({
+        success: true,
+        message: 'Resuming existing attempt',
+        data: {
+          ...formatAttemptForStudent(ongoingAttempt),
+          timer,
+          questions: buildAttemptQuestions(ongoingAttempt, await getPaperQuestions(ongoingAttempt, assessment))
+        }
+      });
+    }
+
+    const maxAttempts = assessment.getStudentMaxAttempts(studentId);
     
     if (existingAttempts.length >= maxAttempts) {
       return res.status(400).json({
@@ -113,45 +584,78 @@ const startAssessment = async (req, res) => {
       });
     }
 
-    // Check if there's an ongoing attempt
-    const ongoingAttempt = existingAttempts.find(attempt => 
-      ['started', 'in_progress', 'paused'].includes(attempt.status)
-    );
-
-    if (ongoingAttempt) {
-      return res.status(200).json({
-        success: true,
-        message: 'Resuming existing attempt',
-        data: ongoingAttempt
-      });
-    }
-
     // Create new attempt
     const attemptNumber = existingAttempts.length + 1;
     const timeRemaining = assessment.configuration.duration;
 
     // Prepare questions for the response
+    const seed = ShuffleService.generateSeed();
     let questions = assessment.questions;
+    let adaptiveData;
+    let paper = { source: 'fixed' };
+
+    if (assessment.blueprint?.enabled) {
+      // Draw this student's own paper from the question bank
+      const draw = await BlueprintService.drawPaper(assessment.blueprint, assessment.createdBy._id, seed);
+      const shortages = BlueprintService.getShortages(draw.sections);
+
+      if (shortages.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'The question bank no longer has enough questions for this assessment',
+          errors: shortages
+        });
+      }
 
-    // Shuffle questions if enabled
-    if (assessment.configuration.shuffleQuestions) {
-      questions = [...questions].sort(() => Math.random() - 0.5);
+      paper = { source: 'blueprint', drawnAt: new Date(), items: draw.items };
+      questions = await BlueprintService.loadPaperQuestions(draw.items);
+    }
+
+    const adaptiveConfig = assessment.aiFeatures.adaptiveTesting;
+
+    if (adaptiveConfig?.enabled) {
+      // Adaptive mode: serve one item at a time, starting near the initial ability
+      const parameters = await AdaptiveTestingService.calibratePool(
+        assessment.questions.map(q => q.questionId).filter(Boolean)
+      );
+      const pool = AdaptiveTestingService.buildPool(assessment.questions, parameters);
+      const initialAbility = adaptiveConfig.initialAbility || 0;
+      const startDifficulty = AdaptiveTestingService.difficultyForAbility(initialAbility);
+
+      const firstItem = AdaptiveTestingService.selectNextItem(
+        { theta: initialAbility, currentDifficulty: startDifficulty },
+        pool,
+        adaptiveConfig.algorithm
+      );
+
+      if (!firstItem) {
+        return res.status(400).json({
+          success: false,
+          message: 'Adaptive assessment has no auto-gradable questions in its pool'
+        });
+      }
+
+      questions = [firstItem.assessmentQuestion];
+      adaptiveData = {
+        enabled: true,
+        algorithm: adaptiveConfig.algorithm,
+        currentDifficulty: firstItem.difficulty || startDifficulty,
+        abilityEstimate: initialAbility,
+        standardError: 1,
+        trajectory: [],
+        nextQuestionSuggestions: [{
+          questionId: firstItem.questionId,
+          probability: firstItem.probability,
+          reasoning: firstItem.reasoning
+        }]
+      };
+    } else {
+      // Seeded per attempt, so the order survives pause/resume
+      questions = ShuffleService.orderQuestions(questions, seed, assessment.configuration.shuffleQuestions);
     }
 
     // Create response structure
-    const responses = questions.map((q, index) => ({
-      questionId: q.questionId._id,
-      questionOrder: index + 1,
-      questionType: q.questionId.type,
-      maxMarks: q.marks,
-      answer: {},
-      timeSpent: 0,
-      isAnswered: false,
-      isMarkedForReview: false,
-      autoGrading: {},
-      manualGrading: {},
-      finalMarks: 0
-    }));
+    const responses = questions.map((q, index) => buildResponseEntry(q, index + 1));
 
     const studentResponse = new StudentResponse({
       assessmentId,
@@ -162,10 +666,20 @@ const startAssessment = async (req, res) => {
       timeRemaining,
       responses,
       scoring: {
-        totalMarks: assessment.grading.totalMarks,
+        totalMarks: adaptiveData
+          ? responses.reduce((total, r) => total + r.maxMarks, 0)
+          : assessment.grading.totalMarks,
         marksObtained: 0,
         percentage: 0
       },
+      adaptiveData,
+      paper,
+      presentation: {
+        seed,
+        shuffleQuestions: !adaptiveData && !!assessment.configuration.shuffleQuestions,
+        shuffleOptions: !!assessment.configuration.shuffleOptions,
+        optionOrder: []
+      },
       submissionData: {
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
@@ -173,11 +687,20 @@ const startAssessment = async (req, res) => {
       }
     });
 
+    const optionOrders = questions.map(q => recordOptionOrder(studentResponse, q));
+
+    const durationMinutes = assessment.getStudentDuration(studentId);
+    studentResponse.timing = { durationMinutes, pauses: [] };
+    studentResponse.monitoring.lastActivityAt = new Date();
+    const timer = AttemptTimerService.syncAttempt(studentResponse, assessment);
+
     await studentResponse.save();
 
     // Update assessment participant status
     await assessment.updateParticipantStatus(studentId, 'started');
 
+    LiveProctoringService.publishStudentUpdate(assessment, studentResponse, 'started');
+
     // Prepare response data (hide sensitive information)
     const responseData = {
       _id: studentResponse._id,
@@ -186,6 +709,11 @@ const startAssessment = async (req, res) => {
       status: studentResponse.status,
       startedAt: studentResponse.startedAt,
       timeRemaining: studentResponse.timeRemaining,
+      timer,
+      lateSubmission: isLateStart ? {
+        penaltyPercentage: assessment.schedule.lateSubmission.penaltyPercentage,
+        closesAt: closeTime
+      } : undefined,
       assessment: {
         title: assessment.title,
         description: assessment.description,
@@ -193,42 +721,24 @@ const startAssessment = async (req, res) => {
         subject: assessment.subject,
         class: assessment.class,
         configuration: {
-          duration: assessment.configuration.duration,
+          duration: durationMinutes,
           questionsPerPage: assessment.configuration.questionsPerPage,
           allowBackward: assessment.configuration.allowBackward,
           showQuestionNumbers: assessment.configuration.showQuestionNumbers,
           showProgress: assessment.configuration.showProgress,
           preventCheating: assessment.configuration.preventCheating
         },
-        totalQuestions: questions.length,
-        totalMarks: assessment.grading.totalMarks
+        totalQuestions: adaptiveData ? null : questions.length,
+        totalMarks: adaptiveData ? null : assessment.grading.totalMarks,
+        adaptive: adaptiveData ? {
+          algorithm: adaptiveData.algorithm,
+          minQuestions: adaptiveConfig.minQuestions,
+          maxQuestions: adaptiveConfig.maxQuestions
+        } : undefined
       },
-      questions: questions.map((q, index) => {
-        const question = q.questionId.toObject();
-        
-        // Remove correct answers and explanations for students
-        delete question.correctAnswer;
-        delete question.explanation;
-        delete question.teacherNotes;
-        
-        // Shuffle options if enabled
-        if (assessment.configuration.shuffleOptions && question.options) {
-          question.options = [...question.options].sort(() => Math.random() - 0.5);
-        }
-        
-        return {
-          _id: question._id,
-          questionText: question.questionText,
-          type: question.type,
-          options: question.options,
-          marks: q.marks,
-          order: index + 1,
-          timeLimit: q.timeLimit || 0,
-          isOptional: q.isOptional,
-          images: question.images,
-          mathNotation: question.mathNotation
-        };
-      })
+      questions: questions.map((q, index) =>
+        formatQuestionForStudent(q, index + 1, optionOrders[index], seed)
+      )
     };
 
     res.status(201).json({
@@ -260,7 +770,7 @@ const getCurrentAttempt = async (req, res) => {
     const currentAttempt = await StudentResponse.findOne({
       assessmentId,
       studentId,
-      status: { $in: ['started', 'in_progress', 'paused'] }
+      status: { $in: SubmissionService.ACTIVE_STATUSES }
     }).populate('assessmentId', 'title type subject class configuration grading');
 
     if (!currentAttempt) {
@@ -270,32 +780,36 @@ const getCurrentAttempt = async (req, res) => {
       });
     }
 
-    // Check if time has expired
-    const timeElapsed = Math.floor((new Date() - currentAttempt.startedAt) / (1000 * 60));
-    const totalTime = currentAttempt.assessmentId.configuration.duration;
-    
-    if (timeElapsed >= totalTime) {
-      // Auto-submit the assessment
-      currentAttempt.status = 'auto_submitted';
-      currentAttempt.submittedAt = new Date();
-      currentAttempt.timeTaken = totalTime;
-      await currentAttempt.save();
+    const assessment = await Assessment.findById(assessmentId).populate('questions.questionId');
+
+    // The server owns the clock
+    const timer = AttemptTimerService.getTimerState(currentAttempt, assessment);
+
+    if (timer.isPastGrace && assessment.schedule.autoSubmit) {
+      await SubmissionService.finalizeAttempt(currentAttempt, assessment, {
+        status: 'auto_submitted',
+        submittedAt: timer.deadline
+      });
 
       return res.status(200).json({
         success: false,
         message: 'Assessment time expired. Automatically submitted.',
-        data: { timeExpired: true }
+        data: { timeExpired: true, submissionId: currentAttempt._id }
       });
     }
 
-    // Update time remaining
-    currentAttempt.timeRemaining = Math.max(0, totalTime - timeElapsed);
+    AttemptTimerService.syncAttempt(currentAttempt, assessment);
     await currentAttempt.save();
 
+    // Serve questions in the order stored on the attempt
     res.json({
       success: true,
       message: 'Current attempt retrieved successfully',
-      data: currentAttempt
+      data: {
+        ...formatAttemptForStudent(currentAttempt),
+        timer,
+        questions: buildAttemptQuestions(currentAttempt, await getPaperQuestions(currentAttempt, assessment))
+      }
     });
 
   } catch (error) {
@@ -309,7 +823,7 @@ const getCurrentAttempt = async (req, res) => {
 const saveAnswer = async (req, res) => {
   try {
     const { id: assessmentId } = req.params;
-    const { questionId, answer, timeSpent, isMarkedForReview } = req.body;
+    const { questionId, answer, timeSpent, isMarkedForReview, deviceId, sequence, clientTimestamp } = req.body;
     const studentId = req.user.id;
 
     // Validation
@@ -344,15 +858,29 @@ const saveAnswer = async (req, res) => {
       });
     }
 
-    // Check if time has expired
-    const timeElapsed = Math.floor((new Date() - currentAttempt.startedAt) / (1000 * 60));
+    if (currentAttempt.status === 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Resume the assessment before answering'
+      });
+    }
+
+    // Saves are accepted until the grace period after the deadline ends
     const assessment = await Assessment.findById(assessmentId);
-    const totalTime = assessment.configuration.duration;
+    const timer = AttemptTimerService.getTimerState(currentAttempt, assessment);
     
-    if (timeElapsed >= totalTime) {
+    if (timer.isPastGrace) {
+      if (assessment.schedule.autoSubmit) {
+        await SubmissionService.finalizeAttempt(currentAttempt, assessment, {
+          status: 'auto_submitted',
+          submittedAt: timer.deadline
+        });
+      }
+
       return res.status(400).json({
         success: false,
-        message: 'Assessment time has expired'
+        message: 'Assessment time has expired',
+        data: { timeExpired: true }
       });
     }
 
@@ -368,63 +896,66 @@ const saveAnswer = async (req, res) => {
       });
     }
 
-    // Update the response
-    questionResponse.answer = answer;
-    questionResponse.timeSpent = (questionResponse.timeSpent || 0) + (timeSpent || 0);
-    questionResponse.isAnswered = true;
-    questionResponse.isMarkedForReview = isMarkedForReview || false;
+    const isAdaptive = currentAttempt.adaptiveData?.enabled;
 
-    // Perform auto-grading for objective questions
-    if (['MCQ', 'True/False', 'Fill in the Blanks'].includes(questionResponse.questionType)) {
-      const question = await Question.findById(questionId);
-      
-      if (question) {
-        let isCorrect = false;
-        let marksAwarded = 0;
-
-        if (questionResponse.questionType === 'MCQ' || questionResponse.questionType === 'True/False') {
-          isCorrect = answer.selectedOption === question.correctAnswer;
-          marksAwarded = isCorrect ? questionResponse.maxMarks : 0;
-          
-          // Apply negative marking if enabled
-          if (!isCorrect && assessment.configuration.negativeMarking.enabled) {
-            const negativePercentage = assessment.configuration.negativeMarking.percentage;
-            marksAwarded = -(questionResponse.maxMarks * negativePercentage / 100);
-          }
-        } else if (questionResponse.questionType === 'Fill in the Blanks') {
-          // Simple string comparison (can be enhanced with fuzzy matching)
-          const correctAnswers = question.correctAnswer;
-          const studentAnswers = answer.fillAnswers || [];
-          
-          let correctCount = 0;
-          studentAnswers.forEach((ans, index) => {
-            if (correctAnswers[index] && 
-                ans.toLowerCase().trim() === correctAnswers[index].toLowerCase().trim()) {
-              correctCount++;
-            }
-          });
-          
-          marksAwarded = (correctCount / correctAnswers.length) * questionResponse.maxMarks;
-          isCorrect = correctCount === correctAnswers.length;
+    // Adaptive answers drive item selection, so they are final once given
+    if (isAdaptive && questionResponse.isAnswered) {
+      return res.status(400).json({
+        success: false,
+        message: 'Answers cannot be changed in an adaptive assessment'
+      });
+    }
+
+    // A replayed or out-of-order save must not overwrite a newer answer
+    const saveInfo = {
+      deviceId,
+      sequence,
+      clientTime: AnswerSyncService.getClientTime(clientTimestamp)
+    };
+    const saveOrder = AnswerSyncService.classifySave(questionResponse, saveInfo);
+
+    if (saveOrder !== 'apply') {
+      return res.status(saveOrder === 'duplicate' ? 200 : 409).json({
+        success: saveOrder === 'duplicate',
+        message: saveOrder === 'duplicate'
+          ? 'Answer already saved'
+          : 'A newer answer to this question is already saved',
+        data: {
+          questionId,
+          duplicate: saveOrder === 'duplicate',
+          current: AnswerSyncService.getAnswerState(questionResponse, currentAttempt.presentation?.seed)
         }
+      });
+    }
 
-        questionResponse.autoGrading = {
-          isCorrect,
-          marksAwarded: Math.max(marksAwarded, 0), // Ensure non-negative
-          confidence: 1.0
-        };
+    const answerError = await applyAnswer(currentAttempt, assessment, questionResponse, {
+      answer,
+      timeSpent,
+      isMarkedForReview
+    });
 
-        questionResponse.finalMarks = questionResponse.autoGrading.marksAwarded;
-      }
+    if (answerError) {
+      return res.status(400).json({
+        success: false,
+        message: answerError
+      });
     }
 
+    AnswerSyncService.recordSave(questionResponse, saveInfo);
+
     // Update attempt status
     if (currentAttempt.status === 'started') {
       currentAttempt.status = 'in_progress';
     }
 
     // Update time remaining
-    currentAttempt.timeRemaining = Math.max(0, totalTime - timeElapsed);
+    AttemptTimerService.syncAttempt(currentAttempt, assessment);
+
+    // Adaptive mode: update the ability estimate and pick the next item
+    let nextQuestion = null;
+    if (isAdaptive) {
+      nextQuestion = await advanceAdaptiveTest(currentAttempt, assessment, questionResponse);
+    }
 
     await currentAttempt.save();
 
@@ -434,17 +965,190 @@ const saveAnswer = async (req, res) => {
       timestamp: new Date(),
       questionId: questionId
     });
+    currentAttempt.monitoring.currentQuestionId = questionId;
+    currentAttempt.monitoring.lastActivityAt = new Date();
 
     await currentAttempt.save();
 
+    LiveProctoringService.publishStudentUpdate(assessment, currentAttempt, 'answer_saved');
+    await LiveProctoringService.publishLeaderboard(assessment);
+
     res.json({
       success: true,
       message: 'Answer saved successfully',
       data: {
         questionId,
         isAnswered: questionResponse.isAnswered,
-        autoGrading: questionResponse.autoGrading,
-        timeRemaining: currentAttempt.timeRemaining
+        timeRemaining: currentAttempt.timeRemaining,
+        remainingSeconds: timer.remainingSeconds,
+        adaptive: isAdaptive ? {
+          nextQuestion,
+          isComplete: currentAttempt.adaptiveData.isComplete,
+          stopReason: currentAttempt.adaptiveData.stopReason,
+          questionsAnswered: currentAttempt.adaptiveData.trajectory.length
+        } : undefined
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Sync a batch of answers saved while offline
+// @route   POST /api/assessments/:id/answers/sync
+// @access  Private (Student only)
+const syncAnswers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id: assessmentId } = req.params;
+    const { attemptId, deviceId, saves = [] } = req.body;
+    const studentId = req.user.id;
+
+    const currentAttempt = await StudentResponse.findOne({
+      assessmentId,
+      studentId,
+      status: { $in: SubmissionService.ACTIVE_STATUSES }
+    });
+
+    // The queued attempt may have been submitted (by the student elsewhere
+    // or by the expiry sweep) while the client was offline
+    if (!currentAttempt || (attemptId && currentAttempt._id.toString() !== attemptId)) {
+      const queuedAttempt = attemptId
+        ? await StudentResponse.findOne({ _id: attemptId, assessmentId, studentId })
+        : null;
+
+      return res.status(409).json({
+        success: false,
+        message: queuedAttempt && !SubmissionService.ACTIVE_STATUSES.includes(queuedAttempt.status)
+          ? 'This attempt has already been submitted'
+          : 'No active attempt found',
+        data: {
+          attemptClosed: true,
+          state: queuedAttempt ? AnswerSyncService.buildState(queuedAttempt, null) : null
+        }
+      });
+    }
+
+    if (currentAttempt.status === 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Resume the assessment before answering'
+      });
+    }
+
+    // Adaptive tests pick the next item after each answer, one at a time
+    if (currentAttempt.adaptiveData?.enabled && saves.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adaptive assessments must be answered one question at a time'
+      });
+    }
+
+    const assessment = await Assessment.findById(assessmentId);
+    const now = new Date();
+    const timer = AttemptTimerService.getTimerState(currentAttempt, assessment, now);
+
+    if (timer.isPastGrace) {
+      if (assessment.schedule.autoSubmit) {
+        await SubmissionService.finalizeAttempt(currentAttempt, assessment, {
+          status: 'auto_submitted',
+          submittedAt: timer.deadline
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Assessment time has expired',
+        data: { timeExpired: true }
+      });
+    }
+
+    // Replay in the order the student made the saves
+    const ordered = saves
+      .map(save => ({ ...save, clientTime: AnswerSyncService.getClientTime(save.clientTimestamp, now) }))
+      .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0) || a.clientTime - b.clientTime);
+
+    const results = [];
+    let lastQuestionId = null;
+
+    for (const save of ordered) {
+      const result = { questionId: save.questionId, sequence: save.sequence };
+      const questionResponse = currentAttempt.responses.find(
+        r => r.questionId.toString() === save.questionId
+      );
+
+      if (!questionResponse) {
+        results.push({ ...result, status: 'rejected', message: 'Question not found in this assessment' });
+        continue;
+      }
+
+      if (save.clientTime > timer.graceEndsAt) {
+        results.push({ ...result, status: 'rejected', message: 'Saved after time ran out' });
+        continue;
+      }
+
+      const saveInfo = { deviceId, sequence: save.sequence, clientTime: save.clientTime };
+      const saveOrder = AnswerSyncService.classifySave(questionResponse, saveInfo);
+
+      if (saveOrder !== 'apply') {
+        results.push({ ...result, status: saveOrder });
+        continue;
+      }
+
+      const answerError = await applyAnswer(currentAttempt, assessment, questionResponse, save);
+      if (answerError) {
+        results.push({ ...result, status: 'rejected', message: answerError });
+        continue;
+      }
+
+      AnswerSyncService.recordSave(questionResponse, saveInfo, now);
+
+      // Logged at the time the student answered, so a replayed queue is
+      // not mistaken for an answer burst
+      currentAttempt.monitoring.activityLog.push({
+        action: 'answer_saved',
+        timestamp: save.clientTime,
+        questionId: questionResponse.questionId
+      });
+
+      lastQuestionId = questionResponse.questionId;
+      results.push({ ...result, status: 'applied' });
+    }
+
+    const applied = results.filter(result => result.status === 'applied').length;
+
+    if (applied > 0) {
+      if (currentAttempt.status === 'started') {
+        currentAttempt.status = 'in_progress';
+      }
+      currentAttempt.monitoring.currentQuestionId = lastQuestionId;
+    }
+    currentAttempt.monitoring.lastActivityAt = now;
+
+    const syncedTimer = AttemptTimerService.syncAttempt(currentAttempt, assessment, now);
+    await currentAttempt.save();
+
+    if (applied > 0) {
+      LiveProctoringService.publishStudentUpdate(assessment, currentAttempt, 'answers_synced');
+      await LiveProctoringService.publishLeaderboard(assessment);
+    }
+
+    res.json({
+      success: true,
+      message: `${applied} of ${saves.length} answers saved`,
+      data: {
+        results,
+        applied,
+        state: AnswerSyncService.buildState(currentAttempt, syncedTimer)
       }
     });
 
@@ -490,58 +1194,28 @@ const submitAssessment = async (req, res) => {
       });
     }
 
-    // Calculate final scores
-    let totalMarksObtained = 0;
-    let negativeMarks = 0;
-
-    currentAttempt.responses.forEach(response => {
-      if (response.finalMarks > 0) {
-        totalMarksObtained += response.finalMarks;
-      } else if (response.finalMarks < 0) {
-        negativeMarks += Math.abs(response.finalMarks);
-      }
-    });
-
-    // Update scoring
-    currentAttempt.scoring.marksObtained = Math.max(0, totalMarksObtained - negativeMarks);
-    currentAttempt.scoring.negativeMarks = negativeMarks;
-    currentAttempt.scoring.percentage = Math.round(
-      (currentAttempt.scoring.marksObtained / currentAttempt.scoring.totalMarks) * 100
-    );
-
-    // Calculate grade
-    currentAttempt.calculateFinalGrade(assessment.grading.gradingScale);
-
-    // Update status and timing
-    currentAttempt.status = 'submitted';
-    currentAttempt.submittedAt = new Date();
-    currentAttempt.timeTaken = Math.floor(
-      (currentAttempt.submittedAt - currentAttempt.startedAt) / (1000 * 60)
-    );
+    // Past the grace period the answers were already frozen; the attempt
+    // is closed as auto-submitted at its deadline
+    const timer = AttemptTimerService.getTimerState(currentAttempt, assessment);
+    const submitted = await SubmissionService.finalizeAttempt(currentAttempt, assessment, timer.isPastGrace
+      ? { status: 'auto_submitted', submittedAt: timer.deadline }
+      : { status: 'submitted' });
 
-    await currentAttempt.save();
-
-    // Update assessment participant status
-    await assessment.updateParticipantStatus(studentId, 'completed', {
-      score: currentAttempt.scoring.percentage,
-      grade: currentAttempt.scoring.grade,
-      submittedAt: currentAttempt.submittedAt
-    });
-
-    // Update assessment statistics
-    await assessment.updateStatistics({
-      score: currentAttempt.scoring.percentage,
-      timeTaken: currentAttempt.timeTaken,
-      studentId
-    });
+    if (!submitted) {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted'
+      });
+    }
 
     // Prepare result data
     const showResults = assessment.configuration.showResults.immediately;
     const resultData = {
       submissionId: currentAttempt._id,
-      status: 'submitted',
+      status: currentAttempt.status,
       submittedAt: currentAttempt.submittedAt,
-      timeTaken: currentAttempt.timeTaken
+      timeTaken: currentAttempt.timeTaken,
+      lateSubmission: currentAttempt.lateSubmission?.isLate ? currentAttempt.lateSubmission : undefined
     };
 
     if (showResults) {
@@ -550,8 +1224,12 @@ const submitAssessment = async (req, res) => {
         marksObtained: currentAttempt.scoring.marksObtained,
         percentage: currentAttempt.scoring.percentage,
         grade: currentAttempt.scoring.grade,
+        gradePoint: currentAttempt.scoring.gradePoint,
+        gradingScheme: currentAttempt.scoring.gradingScheme,
         isPassed: currentAttempt.scoring.percentage >= ((assessment.grading.passingMarks / assessment.grading.totalMarks) * 100),
-        breakdown: currentAttempt.scoring.breakdown
+        breakdown: currentAttempt.scoring.breakdown,
+        // Marks are provisional while answers wait for teacher review
+        pendingReview: currentAttempt.pendingReviewCount
       };
 
       // Include question-wise results if configured
@@ -650,7 +1328,8 @@ const getResults = async (req, res) => {
         subject: assessment.subject,
         class: assessment.class,
         totalMarks: assessment.grading.totalMarks,
-        passingMarks: assessment.grading.passingMarks
+        passingMarks: assessment.grading.passingMarks,
+        gradingScheme: assessment.grading.scheme
       },
       
       bestAttempt: {
@@ -659,24 +1338,74 @@ const getResults = async (req, res) => {
         totalMarks: bestAttempt.scoring.totalMarks,
         percentage: bestAttempt.scoring.percentage,
         grade: bestAttempt.scoring.grade,
+        gradePoint: bestAttempt.scoring.gradePoint,
+        gradingScheme: bestAttempt.scoring.gradingScheme,
+        rank: bestAttempt.scoring.rank,
         isPassed: bestAttempt.scoring.percentage >= ((assessment.grading.passingMarks / assessment.grading.totalMarks) * 100),
         timeTaken: bestAttempt.timeTaken,
         submittedAt: bestAttempt.submittedAt,
-        breakdown: bestAttempt.scoring.breakdown
+        lateSubmission: bestAttempt.lateSubmission?.isLate ? bestAttempt.lateSubmission : undefined,
+        breakdown: bestAttempt.scoring.breakdown,
+        pendingReview: bestAttempt.pendingReviewCount,
+        adaptive: bestAttempt.adaptiveData?.enabled ? {
+          abilityEstimate: bestAttempt.adaptiveData.abilityEstimate,
+          standardError: bestAttempt.adaptiveData.standardError,
+          questionsAdministered: bestAttempt.responses.length,
+          stopReason: bestAttempt.adaptiveData.stopReason
+        } : undefined
       },
       
       allAttempts: attempts.map(attempt => ({
         attemptNumber: attempt.attemptNumber,
         percentage: attempt.scoring.percentage,
         grade: attempt.scoring.grade,
+        gradePoint: attempt.scoring.gradePoint,
         timeTaken: attempt.timeTaken,
         submittedAt: attempt.submittedAt,
+        isLate: !!attempt.lateSubmission?.isLate,
         status: attempt.status
       })),
       
-      teacherFeedback: bestAttempt.teacherFeedback
+      teacherFeedback: bestAttempt.teacherFeedback,
+      
+      appeals: {
+        enabled: assessment.configuration.appeals?.enabled !== false,
+        windowHours: assessment.configuration.appeals?.windowHours,
+        items: bestAttempt.appeals
+      }
     };
 
+    // Rubric feedback is always shown once a teacher has graded with it
+    const rubricFeedback = bestAttempt.responses
+      .filter(response => response.manualGrading?.rubricScores?.length > 0)
+      .map(response => {
+        const criteria = assessment.getQuestionRubric(response.questionId);
+
+        return {
+          questionId: response.questionId,
+          maxMarks: response.maxMarks,
+          marksAwarded: response.finalMarks,
+          feedback: response.manualGrading.feedback,
+          criteria: response.manualGrading.rubricScores.map(score => {
+            const criterion = criteria.find(c => c._id.toString() === score.criterionId?.toString());
+            const level = criterion?.levels.find(l => l.name === score.level);
+
+            return {
+              criteria: score.criteria,
+              level: score.level,
+              levelDescription: level?.description,
+              marksAwarded: score.marksAwarded,
+              maxMarks: score.maxMarks,
+              comments: score.comments
+            };
+          })
+        };
+      });
+
+    if (rubricFeedback.length > 0) {
+      resultsData.rubricFeedback = rubricFeedback;
+    }
+
     // Add detailed question results if enabled
     if (assessment.configuration.showCorrectAnswers || assessment.configuration.showExplanations) {
       resultsData.questionDetails = await Promise.all(
@@ -691,6 +1420,22 @@ const getResults = async (req, res) => {
             studentAnswer: response.answer
           };
 
+          if (response.questionType === 'Creative Question') {
+            questionDetail.partScores = (response.partScores || []).map(part => ({
+              label: part.label,
+              maxMarks: part.maxMarks,
+              marksAwarded: part.manualMarks ?? part.autoMarks ?? 0,
+              feedback: part.feedback
+            }));
+
+            if (assessment.configuration.showCorrectAnswers) {
+              questionDetail.partAnswerKeys = (question.creativeQuestion?.parts || []).map(part => ({
+                label: part.label,
+                answerKey: part.answerKey
+              }));
+            }
+          }
+
           if (assessment.configuration.showCorrectAnswers) {
             questionDetail.correctAnswer = question.correctAnswer;
             questionDetail.isCorrect = response.autoGrading.isCorrect;
@@ -737,12 +1482,36 @@ const pauseAssessment = async (req, res) => {
       });
     }
 
+    const assessment = await Assessment.findById(assessmentId);
+    const pauseBlocker = AttemptTimerService.getPauseBlocker(currentAttempt, assessment);
+
+    if (pauseBlocker) {
+      return res.status(400).json({
+        success: false,
+        message: pauseBlocker
+      });
+    }
+
     currentAttempt.status = 'paused';
+    currentAttempt.timing.pauses.push({ pausedAt: new Date() });
+    const timer = AttemptTimerService.syncAttempt(currentAttempt, assessment);
     await currentAttempt.save();
 
+    LiveProctoringService.publishStudentUpdate(assessment, currentAttempt, 'paused');
+
+    const policy = AttemptTimerService.getPausePolicy(assessment);
+
     res.json({
       success: true,
-      message: 'Assessment paused successfully'
+      message: 'Assessment paused successfully',
+      data: {
+        timer,
+        pausesLeft: policy.maxPauses - currentAttempt.timing.pauses.length,
+        // The clock keeps running once the pause allowance is used up
+        pauseAllowanceSeconds: Math.max(0, Math.floor(
+          (policy.maxPauseMinutes * 60 * 1000 - AttemptTimerService.getPausedMs(currentAttempt)) / 1000
+        ))
+      }
     });
 
   } catch (error) {
@@ -771,13 +1540,44 @@ const resumeAssessment = async (req, res) => {
       });
     }
 
+    const assessment = await Assessment.findById(assessmentId);
+    const now = new Date();
+
+    const openPause = currentAttempt.timing?.pauses?.find(pause => !pause.resumedAt);
+    if (openPause) openPause.resumedAt = now;
+
+    const timer = AttemptTimerService.getTimerState(currentAttempt, assessment, now);
+
+    // A pause that outlasted the allowance can run the clock out
+    if (timer.isPastGrace) {
+      if (assessment.schedule.autoSubmit) {
+        await SubmissionService.finalizeAttempt(currentAttempt, assessment, {
+          status: 'auto_submitted',
+          submittedAt: timer.deadline
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Assessment time has expired',
+        data: { timeExpired: true }
+      });
+    }
+
     currentAttempt.status = 'in_progress';
+    currentAttempt.monitoring.lastActivityAt = now;
+    AttemptTimerService.syncAttempt(currentAttempt, assessment, now);
     await currentAttempt.save();
 
+    LiveProctoringService.publishStudentUpdate(assessment, currentAttempt, 'resumed');
+
     res.json({
       success: true,
       message: 'Assessment resumed successfully',
-      data: currentAttempt
+      data: {
+        ...formatAttemptForStudent(currentAttempt),
+        timer
+      }
     });
 
   } catch (error) {
@@ -809,6 +1609,16 @@ const reportSecurityEvent = async (req, res) => {
 
     await currentAttempt.addSecurityEvent(eventType, details, severity);
 
+    // Teachers in the live room see violations as they happen
+    const assessment = await Assessment.findById(assessmentId);
+    if (assessment) {
+      LiveProctoringService.publishSecurityEvent(
+        assessment,
+        currentAttempt,
+        currentAttempt.securityEvents[currentAttempt.securityEvents.length - 1]
+      );
+    }
+
     res.json({
       success: true,
       message: 'Security event recorded'
@@ -819,13 +1629,175 @@ const reportSecurityEvent = async (req, res) => {
   }
 };
 
+// @desc    Appeal the grade of one question
+// @route   POST /api/assessments/:id/appeals
+// @access  Private (Student only)
+const submitAppeal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id: assessmentId } = req.params;
+    const { questionId, reason, submissionId } = req.body;
+    const studentId = req.user.id;
+
+    const assessment = await Assessment.findById(assessmentId);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (assessment.configuration.appeals?.enabled === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Appeals are not allowed for this assessment'
+      });
+    }
+
+    const attempts = await StudentResponse.find({
+      assessmentId,
+      studentId,
+      status: { $in: ['submitted', 'auto_submitted', 'graded'] }
+    });
+
+    // Appeals target the attempt shown on the results page unless one is named
+    const submission = submissionId
+      ? attempts.find(attempt => attempt._id.toString() === submissionId)
+      : attempts.reduce((best, current) =>
+        !best || current.scoring.percentage > best.scoring.percentage ? current : best, null);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'No completed attempt found'
+      });
+    }
+
+    const releasedAt = assessment.getResultsReleaseDate(submission.submittedAt);
+    const now = new Date();
+
+    if (!releasedAt || now < releasedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Results are not available yet'
+      });
+    }
+
+    const windowHours = assessment.configuration.appeals?.windowHours ?? 72;
+    const deadline = new Date(releasedAt.getTime() + windowHours * 60 * 60 * 1000);
+
+    if (now > deadline) {
+      return res.status(400).json({
+        success: false,
+        message: `The appeal window closed on ${deadline.toISOString()}`
+      });
+    }
+
+    const response = submission.responses.find(r => r.questionId.toString() === questionId);
+
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this attempt'
+      });
+    }
+
+    // One appeal per question
+    if (submission.appeals.some(appeal => appeal.questionId.toString() === questionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This question has already been appealed'
+      });
+    }
+
+    submission.appeals.push({
+      questionId,
+      reason,
+      previousMarks: response.finalMarks
+    });
+    const appeal = submission.appeals[submission.appeals.length - 1];
+
+    submission.syncAppealStatus();
+    submission.auditTrail.push({
+      action: 'appeal_submitted',
+      performedBy: studentId,
+      details: { appealId: appeal._id, questionId, previousMarks: appeal.previousMarks }
+    });
+
+    await submission.save();
+
+    // The appeal stands even if the notification cannot be delivered
+    try {
+      await NotificationService.sendAppealSubmittedNotification(assessment, submission, appeal, req.user.name);
+    } catch (notificationError) {
+      console.error('Appeal notification failed:', notificationError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted successfully',
+      data: {
+        appeal,
+        appealDeadline: deadline
+      }
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
+// @desc    Get my appeals for an assessment
+// @route   GET /api/assessments/:id/appeals
+// @access  Private (Student only)
+const getMyAppeals = async (req, res) => {
+  try {
+    const { id: assessmentId } = req.params;
+
+    const submissions = await StudentResponse.find({
+      assessmentId,
+      studentId: req.user.id,
+      'appeals.0': { $exists: true }
+    }).populate('appeals.questionId', 'title question.text type');
+
+    const appeals = submissions.flatMap(submission =>
+      submission.appeals.map(appeal => ({
+        submissionId: submission._id,
+        attemptNumber: submission.attemptNumber,
+        ...appeal.toObject()
+      }))
+    );
+
+    res.json({
+      success: true,
+      message: 'Appeals retrieved successfully',
+      data: appeals
+    });
+
+  } catch (error) {
+    handleErrors(error, res);
+  }
+};
+
 module.exports = {
   startAssessment,
   getCurrentAttempt,
   saveAnswer,
+  syncAnswers,
   submitAssessment,
   getResults,
   pauseAssessment,
   resumeAssessment,
-  reportSecurityEvent
+  reportSecurityEvent,
+  submitAppeal,
+  getMyAppeals
 };
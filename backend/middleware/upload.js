@@ -110,6 +110,24 @@ const uploadMultiple = multer({
   }
 }).array('files', 5);
 
+// Question bank import: kept in memory, the file is parsed and discarded
+const uploadQuestionFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /csv|xlsx|gift|txt|xml|zip/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+
+    if (extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only question files (csv, xlsx, gift, txt, xml, zip) are allowed'));
+    }
+  }
+}).single('file');
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -147,5 +165,6 @@ module.exports = {
   uploadAvatar,
   uploadDocument,
   uploadMultiple,
+  uploadQuestionFile,
   handleUploadError
 };
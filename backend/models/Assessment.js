@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const GradingSchemeService = require('../services/GradingSchemeService');
+const RubricService = require('../services/RubricService');
+const BlueprintService = require('../services/BlueprintService');
+const AccessControlService = require('../services/AccessControlService');
 
 // Assessment Schema - Advanced & Feature-Rich for Extraordinary Platform
 const assessmentSchema = new mongoose.Schema({
@@ -80,6 +84,62 @@ const assessmentSchema = new mongoose.Schema({
     }
   }],
   
+  // Blueprint Papers - when enabled, every attempt draws its own paper from
+  // the question bank instead of using the fixed `questions` list. Each
+  // section fixes count, difficulty and marks, so all papers carry the same
+  // total marks and difficulty mix.
+  blueprint: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    sections: [{
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Section name cannot exceed 100 characters']
+      },
+      subject: {
+        type: String,
+        trim: true
+      },
+      chapter: {
+        type: String,
+        trim: true
+      },
+      topic: {
+        type: String,
+        trim: true
+      },
+      class: {
+        type: Number,
+        min: 1,
+        max: 12
+      },
+      questionType: {
+        type: String,
+        enum: BlueprintService.QUESTION_TYPES
+      },
+      difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard'],
+        required: [true, 'Blueprint section difficulty is required']
+      },
+      count: {
+        type: Number,
+        required: [true, 'Blueprint section question count is required'],
+        min: [1, 'A blueprint section needs at least 1 question'],
+        max: [100, 'A blueprint section cannot exceed 100 questions']
+      },
+      marksPerQuestion: {
+        type: Number,
+        required: [true, 'Blueprint section marks per question is required'],
+        min: [1, 'Marks must be at least 1'],
+        max: [100, 'Marks cannot exceed 100 per question']
+      }
+    }]
+  },
+  
   // Advanced Assessment Configuration
   configuration: {
     // Timing Settings
@@ -90,6 +150,26 @@ const assessmentSchema = new mongoose.Schema({
       max: [480, 'Duration cannot exceed 8 hours']
     },
     
+    // Pausing stops the clock only up to maxPauseMinutes in total
+    pausing: {
+      allowed: {
+        type: Boolean,
+        default: true
+      },
+      maxPauses: {
+        type: Number,
+        default: 3,
+        min: 0,
+        max: 20
+      },
+      maxPauseMinutes: {
+        type: Number,
+        default: 15,
+        min: 0,
+        max: 120
+      }
+    },
+    
     // Display Settings
     questionsPerPage: {
       type: Number,
@@ -164,6 +244,60 @@ const assessmentSchema = new mongoose.Schema({
       }
     },
     
+    // Integrity scoring of submitted attempts (100 = clean)
+    integrity: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      flagBelow: {
+        type: Number,
+        default: 70,
+        min: [0, 'Integrity threshold cannot be negative'],
+        max: [100, 'Integrity threshold cannot exceed 100']
+      },
+      // Points deducted per security event type (overrides the defaults)
+      eventWeights: {
+        type: Map,
+        of: Number
+      },
+      answerBurst: {
+        maxAnswers: {
+          type: Number,
+          default: 5,
+          min: 2
+        },
+        windowSeconds: {
+          type: Number,
+          default: 30,
+          min: 5
+        },
+        weight: {
+          type: Number,
+          default: 10,
+          min: 0
+        }
+      },
+      sharedAnswers: {
+        minQuestions: {
+          type: Number,
+          default: 5,
+          min: 2
+        },
+        similarity: {
+          type: Number,
+          default: 0.9,
+          min: 0.5,
+          max: 1
+        },
+        weight: {
+          type: Number,
+          default: 30,
+          min: 0
+        }
+      }
+    },
+    
     // Attempt Management
     maxAttempts: {
       type: Number,
@@ -198,6 +332,20 @@ const assessmentSchema = new mongoose.Schema({
       }
     },
     
+    // Grade appeals (students appeal per question after results come out)
+    appeals: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      windowHours: {
+        type: Number,
+        default: 72,
+        min: [1, 'Appeal window must be at least 1 hour'],
+        max: [720, 'Appeal window cannot exceed 30 days']
+      }
+    },
+    
     // Grading System
     autoGrading: {
       type: Boolean,
@@ -284,6 +432,13 @@ const assessmentSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
+      // Extra time after endDate during which attempts may still start and submit
+      windowMinutes: {
+        type: Number,
+        default: 60,
+        min: [1, 'Late window must be at least 1 minute'],
+        max: [10080, 'Late window cannot exceed 7 days']
+      },
       penaltyPercentage: {
         type: Number,
         default: 10,
@@ -321,7 +476,35 @@ const assessmentSchema = new mongoose.Schema({
         default: 0
       },
       grade: String,
-      feedback: String
+      feedback: String,
+      
+      // Per-student overrides (extended time, own exam window, extra attempts)
+      accommodations: {
+        extraTimePercentage: {
+          type: Number,
+          default: 0,
+          min: [0, 'Extra time cannot be negative'],
+          max: [200, 'Extra time cannot exceed 200%']
+        },
+        startDate: Date,
+        endDate: Date,
+        extraAttempts: {
+          type: Number,
+          default: 0,
+          min: 0,
+          max: 10
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
+        grantedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        grantedAt: Date
+      }
     }],
     
     // Open Access Configuration
@@ -348,6 +531,36 @@ const assessmentSchema = new mongoose.Schema({
       uppercase: true
     },
     
+    // Wrong access codes lock a student out for a while
+    accessCodePolicy: {
+      maxFailedAttempts: {
+        type: Number,
+        default: 5,
+        min: 1,
+        max: 20
+      },
+      lockoutMinutes: {
+        type: Number,
+        default: 15,
+        min: 1,
+        max: 1440
+      }
+    },
+    
+    accessCodeFailures: [{
+      studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      count: {
+        type: Number,
+        default: 0
+      },
+      lastFailedAt: Date,
+      lockedUntil: Date
+    }],
+    
     // IP Restrictions
     ipRestrictions: {
       enabled: {
@@ -481,12 +694,21 @@ const assessmentSchema = new mongoose.Schema({
       min: 0
     },
     
+    // Named grading scheme (see GradingSchemeService)
+    // 'standard' uses gradingScale below, 'bd_ssc_hsc' uses the board GPA scale
+    scheme: {
+      type: String,
+      enum: ['standard', 'bd_ssc_hsc'],
+      default: 'standard'
+    },
+    
     // Grade Scale
     gradingScale: {
       type: Map,
       of: {
         min: Number,
         max: Number,
+        gradePoint: Number,
         description: String
       },
       default: new Map([
@@ -501,6 +723,12 @@ const assessmentSchema = new mongoose.Schema({
     
     // Custom Rubric for Subjective Questions
     rubric: [{
+      // Criteria sharing a questionId form that question's rubric; their
+      // maxMarks must add up to the question's marks
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+      },
       criteria: {
         type: String,
         required: true
@@ -615,7 +843,9 @@ const assessmentSchema = new mongoose.Schema({
         default: 0.8,
         min: 0,
         max: 1
-      }
+      },
+      // Last cohort-wide comparison (runs once after submissions close)
+      lastRunAt: Date
     },
     
     adaptiveTesting: {
@@ -627,6 +857,29 @@ const assessmentSchema = new mongoose.Schema({
         type: String,
         enum: ['irt', 'cat', 'simple'],
         default: 'simple'
+      },
+      minQuestions: {
+        type: Number,
+        default: 5,
+        min: 1
+      },
+      maxQuestions: {
+        type: Number,
+        default: 30,
+        min: 1
+      },
+      // Stop once the ability estimate's standard error drops below this
+      seThreshold: {
+        type: Number,
+        default: 0.3,
+        min: 0.05,
+        max: 1
+      },
+      initialAbility: {
+        type: Number,
+        default: 0,
+        min: -3,
+        max: 3
       }
     },
     
@@ -840,14 +1093,35 @@ assessmentSchema.virtual('averageDifficulty').get(function() {
 
 // Pre-save Middleware
 assessmentSchema.pre('save', function(next) {
-  // Calculate total marks from questions
-  if (this.questions && this.questions.length > 0) {
+  // Calculate total marks from the blueprint or the fixed questions
+  if (this.blueprint?.enabled) {
+    if (this.blueprint.sections.length === 0) {
+      return next(new Error('Blueprint needs at least one section'));
+    }
+    if (this.aiFeatures?.adaptiveTesting?.enabled) {
+      return next(new Error('Blueprint papers cannot be combined with adaptive testing'));
+    }
+    this.grading.totalMarks = BlueprintService.getTotalMarks(this.blueprint);
+  } else if (this.questions && this.questions.length > 0) {
     this.grading.totalMarks = this.questions.reduce((total, q) => total + q.marks, 0);
   }
   
-  // Set passing marks if not set (default to 40% of total)
+  // Set passing marks if not set (default to the scheme's pass mark, 40% for standard)
   if (!this.grading.passingMarks && this.grading.totalMarks) {
-    this.grading.passingMarks = Math.ceil(this.grading.totalMarks * 0.4);
+    const passPercentage = GradingSchemeService.getPassPercentage(this.grading.scheme);
+    this.grading.passingMarks = Math.ceil(this.grading.totalMarks * passPercentage / 100);
+  }
+  
+  // Validate IP allow-list entries
+  const ipErrors = AccessControlService.validateRestrictions(this.participants.ipRestrictions);
+  if (ipErrors.length > 0) {
+    return next(new Error(ipErrors[0]));
+  }
+  
+  // Validate question rubrics
+  const rubricErrors = RubricService.validateAssessmentRubrics(this.questions, this.grading.rubric);
+  if (rubricErrors.length > 0) {
+    return next(new Error(rubricErrors[0]));
   }
   
   // Validate schedule
@@ -855,6 +1129,15 @@ assessmentSchema.pre('save', function(next) {
     return next(new Error('End date must be after start date'));
   }
   
+  // Accommodation windows must be valid too
+  const badWindow = this.participants.students.find(p => {
+    const window = this.getStudentSchedule(p.studentId);
+    return window.startDate >= window.endDate;
+  });
+  if (badWindow) {
+    return next(new Error('Accommodation end date must be after its start date'));
+  }
+  
   // Generate access code if needed
   if (this.participants.accessCode === undefined && this.type === 'live-quiz') {
     this.participants.accessCode = this.generateAccessCode();
@@ -1004,6 +1287,142 @@ assessmentSchema.methods.updateStatistics = function(submissionData) {
   return this.save();
 };
 
+// When a submission's results become visible to the student (null while hidden)
+assessmentSchema.methods.getResultsReleaseDate = function(submittedAt) {
+  const showResults = this.configuration.showResults;
+  
+  if (showResults.immediately) return submittedAt;
+  if (showResults.afterDeadline) return this.schedule.endDate;
+  if (showResults.afterAllComplete && this.status === 'completed') return this.schedule.endDate;
+  
+  return null;
+};
+
+// Rubric criteria attached to one question
+assessmentSchema.methods.getQuestionRubric = function(questionId) {
+  return RubricService.getQuestionRubric(this.grading.rubric, questionId);
+};
+
+// Lockout end for a student after too many wrong access codes (null if not locked)
+assessmentSchema.methods.getAccessCodeLockout = function(studentId) {
+  const failure = this.participants.accessCodeFailures.find(
+    f => f.studentId.toString() === studentId.toString()
+  );
+  return failure?.lockedUntil && failure.lockedUntil > new Date() ? failure.lockedUntil : null;
+};
+
+// Wrong access codes are counted with atomic updates: students entering codes at
+// the same time must not race on saving the whole assessment
+assessmentSchema.methods.recordAccessCodeFailure = async function(studentId) {
+  const { maxFailedAttempts, lockoutMinutes } = this.participants.accessCodePolicy;
+  const Assessment = this.constructor;
+  const now = new Date();
+
+  // A finished lockout starts a fresh count
+  await Assessment.updateOne(
+    { _id: this._id },
+    { $pull: { 'participants.accessCodeFailures': { studentId, lockedUntil: { $lte: now } } } }
+  );
+
+  const increment = () => Assessment.findOneAndUpdate(
+    { _id: this._id, 'participants.accessCodeFailures.studentId': studentId },
+    {
+      $inc: { 'participants.accessCodeFailures.$.count': 1 },
+      $set: { 'participants.accessCodeFailures.$.lastFailedAt': now }
+    },
+    { new: true, projection: { 'participants.accessCodeFailures': 1 } }
+  );
+
+  let updated = await increment();
+  if (!updated) {
+    updated = await Assessment.findOneAndUpdate(
+      { _id: this._id, 'participants.accessCodeFailures.studentId': { $ne: studentId } },
+      { $push: { 'participants.accessCodeFailures': { studentId, count: 1, lastFailedAt: now } } },
+      { new: true, projection: { 'participants.accessCodeFailures': 1 } }
+    ) || await increment(); // another request added the entry first
+  }
+
+  const findFailure = (doc) => doc?.participants.accessCodeFailures.find(
+    f => f.studentId.toString() === studentId.toString()
+  );
+  let failure = findFailure(updated);
+
+  if (failure && failure.count >= maxFailedAttempts && !failure.lockedUntil) {
+    const lockedUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+    const locked = await Assessment.findOneAndUpdate(
+      {
+        _id: this._id,
+        'participants.accessCodeFailures': { $elemMatch: { studentId, lockedUntil: { $exists: false } } }
+      },
+      { $set: { 'participants.accessCodeFailures.$.lockedUntil': lockedUntil } },
+      { new: true, projection: { 'participants.accessCodeFailures': 1 } }
+    );
+    failure = findFailure(locked) || failure;
+  }
+
+  return {
+    attemptsLeft: Math.max(0, maxFailedAttempts - (failure?.count || 0)),
+    lockedUntil: failure?.lockedUntil || null
+  };
+};
+
+assessmentSchema.methods.clearAccessCodeFailures = async function(studentId) {
+  const hasFailures = this.participants.accessCodeFailures.some(
+    f => f.studentId.toString() === studentId.toString()
+  );
+  if (!hasFailures) return this;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { 'participants.accessCodeFailures': { studentId } } }
+  );
+  return this;
+};
+
+// A student's accommodations, or null when none were granted
+assessmentSchema.methods.getAccommodation = function(studentId) {
+  const id = (studentId._id || studentId).toString();
+  const participant = this.participants.students.find(
+    p => p.studentId.toString() === id
+  );
+  return participant?.accommodations?.grantedAt ? participant.accommodations : null;
+};
+
+// Exam window for a student (accommodation dates override the schedule)
+assessmentSchema.methods.getStudentSchedule = function(studentId) {
+  const accommodation = this.getAccommodation(studentId);
+  return {
+    startDate: accommodation?.startDate || this.schedule.startDate,
+    endDate: accommodation?.endDate || this.schedule.endDate
+  };
+};
+
+// Duration in minutes including any extra time
+assessmentSchema.methods.getStudentDuration = function(studentId) {
+  const extra = this.getAccommodation(studentId)?.extraTimePercentage || 0;
+  return Math.ceil(this.configuration.duration * (100 + extra) / 100);
+};
+
+assessmentSchema.methods.getStudentMaxAttempts = function(studentId) {
+  return this.configuration.maxAttempts + (this.getAccommodation(studentId)?.extraAttempts || 0);
+};
+
+// Last moment an attempt may run: endDate, or the end of the late window
+assessmentSchema.methods.getSubmissionCloseDate = function(studentId) {
+  const { endDate } = studentId ? this.getStudentSchedule(studentId) : this.schedule;
+  const { lateSubmission } = this.schedule;
+  if (!lateSubmission?.allowed) return endDate;
+  return new Date(endDate.getTime() + lateSubmission.windowMinutes * 60 * 1000);
+};
+
+// Submissions after endDate plus the grace period count as late
+assessmentSchema.methods.isLateSubmission = function(submittedAt, studentId) {
+  if (!this.schedule.lateSubmission?.allowed) return false;
+  const { endDate } = studentId ? this.getStudentSchedule(studentId) : this.schedule;
+  const graceMs = (this.schedule.gracePeriod || 0) * 60 * 1000;
+  return submittedAt.getTime() > endDate.getTime() + graceMs;
+};
+
 assessmentSchema.methods.generateAccessCode = function() {
   const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
   let result = '';
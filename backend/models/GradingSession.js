@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Grading Session Schema - one teacher working through an assessment's
+// subjective answers. Locks themselves live on StudentResponse.responses.
+const gradingSessionSchema = new mongoose.Schema({
+  assessmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assessment',
+    required: [true, 'Assessment ID is required']
+  },
+
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher ID is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+
+  configuration: {
+    gradingMode: {
+      type: String,
+      enum: ['sequential', 'random', 'priority'],
+      default: 'sequential'
+    },
+    // 'all' or a response question type (e.g. 'Creative Question')
+    focusArea: {
+      type: String,
+      default: 'all'
+    },
+    // Limit the session to one question
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    batchSize: {
+      type: Number,
+      default: 10,
+      min: 1,
+      max: 100
+    },
+    aiAssistance: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Item currently locked by this session
+  currentItem: {
+    submissionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StudentResponse'
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    lockedAt: Date
+  },
+
+  // Items skipped in this session come back only after everything else
+  skipped: [{
+    submissionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StudentResponse'
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    skippedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Progress
+  gradedCount: {
+    type: Number,
+    default: 0
+  },
+
+  totalGradingTime: {
+    type: Number,
+    default: 0 // in seconds
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+gradingSessionSchema.index({ assessmentId: 1, teacherId: 1, status: 1 });
+
+// Virtual for average seconds spent per graded answer
+gradingSessionSchema.virtual('averageGradingTime').get(function() {
+  if (this.gradedCount === 0) return 0;
+  return Math.round(this.totalGradingTime / this.gradedCount);
+});
+
+// Instance method to record a skip for the current item
+gradingSessionSchema.methods.recordSkip = function(submissionId, questionId) {
+  const alreadySkipped = this.skipped.some(item =>
+    item.submissionId.toString() === submissionId.toString() &&
+    item.questionId.toString() === questionId.toString()
+  );
+
+  if (!alreadySkipped) {
+    this.skipped.push({ submissionId, questionId });
+  }
+};
+
+// Instance method to record a completed grade
+gradingSessionSchema.methods.recordGrade = function(gradingDuration = 0) {
+  this.gradedCount += 1;
+  this.totalGradingTime += Math.max(0, Math.round(gradingDuration));
+  this.currentItem = undefined;
+  this.lastActivityAt = new Date();
+};
+
+module.exports = mongoose.model('GradingSession', gradingSessionSchema);
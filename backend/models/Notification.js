@@ -31,6 +31,9 @@ const notificationSchema = new mongoose.Schema({
       'assignment_due',         // Assignment deadline এর reminder
       'quiz_submitted',         // Student quiz submit করলে
       'quiz_graded',           // Teacher quiz grade করলে
+      'appeal_submitted',       // Student grade এর বিরুদ্ধে appeal করলে
+      'appeal_resolved',        // Teacher appeal approve/reject করলে
+      'question_reviewed',      // Reviewer question approve/reject করলে
       'achievement_unlocked',   // Student কোন achievement পেলে
       'system_announcement',    // Admin থেকে system announcement
       'account_verification',   // Email verification এর জন্য
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Plagiarism Report Schema - latest cohort-wide comparison of an
+// assessment's written answers. Per-answer scores live on
+// StudentResponse.responses[].aiAnalysis.plagiarismScore.
+const matchedAnswerSchema = new mongoose.Schema({
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentResponse'
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const plagiarismReportSchema = new mongoose.Schema({
+  assessmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assessment',
+    required: [true, 'Assessment ID is required'],
+    unique: true
+  },
+
+  threshold: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'manual'
+  },
+
+  answersCompared: {
+    type: Number,
+    default: 0
+  },
+
+  questions: [{
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    // Creative Question part (ka/kha/ga/gha), empty for whole answers
+    part: String,
+    answersCompared: Number,
+
+    // Pairs at or above the threshold, with the shared passages
+    pairs: [{
+      a: matchedAnswerSchema,
+      b: matchedAnswerSchema,
+      similarity: Number,
+      segments: [{
+        text: String,
+        // Word positions in each answer, for highlighting
+        a: { start: Number, end: Number },
+        b: { start: Number, end: Number }
+      }]
+    }],
+
+    // Groups of students linked by suspicious pairs
+    clusters: [{
+      members: [matchedAnswerSchema],
+      maxSimilarity: Number
+    }]
+  }]
+}, {
+  timestamps: true
+});
+
+// Virtual for the number of suspicious pairs across all questions
+plagiarismReportSchema.virtual('suspiciousPairs').get(function() {
+  return this.questions.reduce((total, question) => total + question.pairs.length, 0);
+});
+
+module.exports = mongoose.model('PlagiarismReport', plagiarismReportSchema);
@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const NumericAnswerService = require('../services/NumericAnswerService');
+const ExpressionService = require('../services/ExpressionService');
+const ObjectiveItemService = require('../services/ObjectiveItemService');
+const QuestionReviewService = require('../services/QuestionReviewService');
+
+// Board-standard CQ (সৃজনশীল প্রশ্ন) layout: four parts, 1/2/3/4 marks
+const CQ_PART_BLUEPRINT = [
+  { label: 'ka', banglaLabel: 'ক', level: 'knowledge', marks: 1 },
+  { label: 'kha', banglaLabel: 'খ', level: 'comprehension', marks: 2 },
+  { label: 'ga', banglaLabel: 'গ', level: 'application', marks: 3 },
+  { label: 'gha', banglaLabel: 'ঘ', level: 'higher_order', marks: 4 }
+];
+
+// Right-hand item of a matching question; its own _id keeps the answer hidden
+const matchItemSchema = new mongoose.Schema({
+  text: String,
+  image: String
+});
 
 const questionSchema = new mongoose.Schema({
   // Basic Information
@@ -9,7 +27,7 @@ const questionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['mcq', 'cq', 'true_false', 'fill_blank'],
+    enum: ['mcq', 'cq', 'true_false', 'fill_blank', 'numeric', 'multi_select', 'matching', 'ordering'],
     required: [true, 'Question type is required']
   },
   
@@ -61,7 +79,7 @@ const questionSchema = new mongoose.Schema({
     latex: String  // For mathematical expressions
   },
   
-  // MCQ Specific Fields
+  // MCQ Specific Fields (multi_select allows several correct options)
   options: [{
     text: {
       type: String,
@@ -76,12 +94,120 @@ const questionSchema = new mongoose.Schema({
     }
   }],
   
+  // Creative Question (CQ) Specific Fields
+  creativeQuestion: {
+    // Stimulus / উদ্দীপক shared by all parts
+    stem: {
+      text: String,
+      image: String
+    },
+    parts: [{
+      label: {
+        type: String,
+        enum: CQ_PART_BLUEPRINT.map(part => part.label),
+        required: true
+      },
+      level: {
+        type: String,
+        enum: CQ_PART_BLUEPRINT.map(part => part.level)
+      },
+      text: {
+        type: String,
+        required: [true, 'CQ part text is required']
+      },
+      marks: {
+        type: Number,
+        min: [1, 'CQ part marks must be at least 1']
+      },
+      answerKey: {
+        text: String,
+        keyPoints: [String]
+      }
+    }]
+  },
+  
+  // Matching Question Specific Fields
+  matching: {
+    pairs: [{
+      prompt: {
+        text: String,
+        image: String
+      },
+      match: matchItemSchema
+    }],
+    // Extra matches that belong to no prompt
+    distractors: [matchItemSchema]
+  },
+  
+  // Ordering Question Specific Fields (items stored in the correct order)
+  ordering: {
+    items: [{
+      text: String,
+      image: String
+    }]
+  },
+  
+  // Partial credit for multi_select, matching and ordering questions
+  scoringRule: {
+    type: String,
+    enum: [...new Set(Object.values(ObjectiveItemService.SCORING_RULES).flat())]
+  },
+  
+  // Numeric Question Specific Fields
+  numericAnswer: {
+    value: Number,
+    // Unit the value is given in (e.g. 'm/s'); empty for pure numbers
+    unit: String,
+    // Other units students may answer in; empty allows any unit of the same quantity
+    acceptedUnits: [String],
+    requireUnit: {
+      type: Boolean,
+      default: false
+    },
+    tolerance: {
+      absolute: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      // Fraction of the value, 0.01 = 1%
+      relative: {
+        type: Number,
+        min: 0,
+        default: 0
+      }
+    },
+    significantFigures: {
+      count: {
+        type: Number,
+        min: 1
+      },
+      rule: {
+        type: String,
+        enum: ['exact', 'at_least'],
+        default: 'exact'
+      },
+      // Marks lost for wrong significant figures; 100 rejects the answer
+      penaltyPercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 100
+      }
+    }
+  },
+  
   // Correct Answer (for different question types)
   correctAnswer: {
     text: String,
     explanation: String,
     image: String, // URL to answer explanation image
-    keyPoints: [String] // Key points for CQ answers
+    keyPoints: [String], // Key points for CQ answers
+    latex: String, // Algebra answer key, graded by equivalence
+    requiredForm: {
+      type: String,
+      enum: ExpressionService.REQUIRED_FORMS // e.g. 'factored' rejects 2x+2 for 2(x+1)
+    }
   },
   
   // Creator Information
@@ -113,6 +239,45 @@ const questionSchema = new mongoose.Schema({
     }
   },
   
+  // IRT Item Parameters (calibrated from usageStats for adaptive testing)
+  irtParameters: {
+    discrimination: {
+      type: Number,
+      default: 1
+    },
+    difficulty: Number,
+    guessing: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    sampleSize: {
+      type: Number,
+      default: 0
+    },
+    calibratedAt: Date
+  },
+
+  // Classical item analysis (computed from submitted responses)
+  itemAnalysis: {
+    pValue: Number,
+    pointBiserial: Number,
+    discriminationIndex: Number,
+    sampleSize: {
+      type: Number,
+      default: 0
+    },
+    flags: [{
+      type: String,
+      enum: [
+        'insufficient_data', 'too_hard', 'too_easy', 'low_discrimination',
+        'negative_discrimination', 'non_functional_distractors',
+        'distractor_attracts_top_scorers', 'possible_miskey'
+      ]
+    }],
+    analyzedAt: Date
+  },
+
   // Tags and Keywords
   tags: [String],
   keywords: [String],
@@ -127,11 +292,11 @@ const questionSchema = new mongoose.Schema({
     default: false // Teachers can make questions public for sharing
   },
   
-  // Review and Quality
+  // Review and Quality (only approved questions are shared publicly)
   reviewStatus: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'needs_revision'],
-    default: 'pending'
+    enum: ['draft', 'pending', 'approved', 'rejected', 'needs_revision'],
+    default: 'draft'
   },
   reviewNotes: String,
   reviewedBy: {
@@ -139,15 +304,49 @@ const questionSchema = new mongoose.Schema({
     ref: 'User'
   },
   reviewedAt: Date,
+  submittedForReviewAt: Date,
+  reviewHistory: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected', 'needs_revision']
+    },
+    notes: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
-  // Version Control
+  // Version Control (content edits create a new document; old versions stay for pinned attempts)
   version: {
     type: Number,
     default: 1
   },
+  // Version this one was edited from
   parentQuestion: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Question'
+  },
+  // First version; shared by the whole history
+  originalQuestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  },
+  // Set on retired versions
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  },
+  versionNote: String,
+
+  // Set on questions merged into another as near-duplicates
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
   }
 
 }, {
@@ -176,7 +375,8 @@ questionSchema.index({ type: 1, difficulty: 1 });
 questionSchema.index({ createdBy: 1 });
 questionSchema.index({ tags: 1 });
 questionSchema.index({ isActive: 1, isPublic: 1 });
-questionSchema.index({ reviewStatus: 1 });
+questionSchema.index({ reviewStatus: 1, submittedForReviewAt: 1 });
+questionSchema.index({ originalQuestion: 1, version: 1 });
 
 // Text search index
 questionSchema.index({
@@ -187,6 +387,88 @@ questionSchema.index({
   'chapter': 'text'
 });
 
+// Fill CQ defaults from the board blueprint before required-field validation
+questionSchema.pre('validate', function(next) {
+  if (this.type !== 'cq') return next();
+  
+  const parts = this.creativeQuestion?.parts || [];
+  
+  // Legacy flat CQs (question.text + keyPoints) stay valid until edited
+  if (parts.length === 0) {
+    if (this.isNew) {
+      return next(new Error('Creative questions must include a stem and ka/kha/ga/gha parts'));
+    }
+    return next();
+  }
+  
+  if (!this.creativeQuestion.stem?.text && !this.creativeQuestion.stem?.image) {
+    return next(new Error('Creative questions must include a stem'));
+  }
+  
+  const labels = parts.map(part => part.label);
+  const expected = CQ_PART_BLUEPRINT.map(part => part.label);
+  if (labels.length !== expected.length || expected.some((label, i) => labels[i] !== label)) {
+    return next(new Error('Creative questions must have parts ka, kha, ga and gha in order'));
+  }
+  
+  parts.forEach((part, i) => {
+    if (!part.level) part.level = CQ_PART_BLUEPRINT[i].level;
+    if (!part.marks) part.marks = CQ_PART_BLUEPRINT[i].marks;
+  });
+  
+  this.marks = parts.reduce((total, part) => total + part.marks, 0);
+  
+  // question.text mirrors the stem so search and listings keep working
+  if (!this.question?.text) {
+    this.set('question.text', this.creativeQuestion.stem.text || this.title);
+  }
+  
+  next();
+});
+
+// Check the numeric answer key and store units in canonical form
+questionSchema.pre('validate', function(next) {
+  if (this.type !== 'numeric') return next();
+  
+  const errors = NumericAnswerService.validateAnswerKey(this.numericAnswer);
+  if (errors.length > 0) {
+    return next(new Error(errors[0]));
+  }
+  
+  // correctAnswer.text mirrors the key so results and listings show it
+  if (!this.correctAnswer?.text) {
+    const { value, unit } = this.numericAnswer;
+    this.set('correctAnswer.text', unit ? `${value} ${unit}` : `${value}`);
+  }
+  
+  next();
+});
+
+// Check multi-select, matching and ordering answer keys
+questionSchema.pre('validate', function(next) {
+  if (!ObjectiveItemService.ITEM_TYPES.includes(this.type)) return next();
+  
+  const errors = ObjectiveItemService.validateQuestion(this);
+  if (errors.length > 0) {
+    return next(new Error(errors[0]));
+  }
+  
+  next();
+});
+
+// Algebra answer keys must be readable expressions
+questionSchema.pre('validate', function(next) {
+  const { latex, requiredForm } = this.correctAnswer || {};
+  if (!latex && (!requiredForm || requiredForm === 'any')) return next();
+  
+  const key = latex || this.correctAnswer.text;
+  if (!ExpressionService.isExpression(key)) {
+    return next(new Error(`Answer key "${key || ''}" is not a valid expression`));
+  }
+  
+  next();
+});
+
 // Pre-save middleware for validation
 questionSchema.pre('save', function(next) {
   // Ensure MCQ has exactly one correct answer
@@ -227,7 +509,8 @@ questionSchema.statics.getQuestionsByCriteria = function(criteria) {
 questionSchema.statics.getRandomQuestions = function(criteria, count = 30) {
   const { subject, chapter, class: classNum, difficulty } = criteria;
   
-  const matchQuery = { isActive: true };
+  // Practice draws only from reviewed, shared questions
+  const matchQuery = { isActive: true, ...QuestionReviewService.PUBLIC_FILTER };
   if (subject) matchQuery.subject = subject;
   if (chapter) matchQuery.chapter = chapter;
   if (classNum) matchQuery.class = classNum;
@@ -263,4 +546,14 @@ questionSchema.methods.updateUsageStats = function(isCorrect, timeSpent) {
   return this.save();
 };
 
+// Board-standard CQ part layout
+questionSchema.statics.getCQBlueprint = function() {
+  return CQ_PART_BLUEPRINT;
+};
+
+// Instance method to get a CQ part by label (ka/kha/ga/gha)
+questionSchema.methods.getCQPart = function(label) {
+  return (this.creativeQuestion?.parts || []).find(part => part.label === label);
+};
+
 module.exports = mongoose.model('Question', questionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const GradingSchemeService = require('../services/GradingSchemeService');
 
 // Student Response Schema for Assessment Submissions
 const studentResponseSchema = new mongoose.Schema({
@@ -52,6 +53,34 @@ const studentResponseSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Submitted in the late window; the penalty is taken off marksObtained
+  lateSubmission: {
+    isLate: {
+      type: Boolean,
+      default: false
+    },
+    minutesLate: Number,
+    penaltyPercentage: Number,
+    marksDeducted: {
+      type: Number,
+      default: 0
+    }
+  },
+  
+  // Server-owned clock: the deadline moves only with credited pause time
+  timing: {
+    durationMinutes: Number,
+    deadline: Date,
+    pauses: [{
+      pausedAt: {
+        type: Date,
+        required: true
+      },
+      resumedAt: Date
+    }],
+    lastSyncedAt: Date
+  },
+  
   // Question Responses
   responses: [{
     questionId: {
@@ -68,7 +97,7 @@ const studentResponseSchema = new mongoose.Schema({
     
     questionType: {
       type: String,
-      enum: ['MCQ', 'True/False', 'Fill in the Blanks', 'Short Answer', 'Long Answer', 'Essay'],
+      enum: ['MCQ', 'True/False', 'Fill in the Blanks', 'Numeric', 'Multiple Select', 'Matching', 'Ordering', 'Short Answer', 'Long Answer', 'Essay', 'Creative Question'],
       required: true
     },
     
@@ -83,17 +112,39 @@ const studentResponseSchema = new mongoose.Schema({
       // For MCQ/True-False: selected option
       selectedOption: String,
       
+      // Canonical option the choice maps to, whatever order it was shown in
+      selectedOptionId: mongoose.Schema.Types.ObjectId,
+      
+      // For Multiple Select: every chosen option
+      selectedOptionIds: [mongoose.Schema.Types.ObjectId],
+      
+      // For Matching: prompt (pair ID) -> chosen match
+      matches: [{
+        promptId: mongoose.Schema.Types.ObjectId,
+        matchId: mongoose.Schema.Types.ObjectId
+      }],
+      
+      // For Ordering: item IDs in the order the student arranged them
+      orderedItemIds: [mongoose.Schema.Types.ObjectId],
+      
       // For Fill in the Blanks: array of answers
       fillAnswers: [String],
       
-      // For text-based questions
+      // For text-based and numeric questions (value with unit, e.g. "12.5 m/s")
       textAnswer: String,
       
       // For image uploads (written answers)
       imageUrls: [String],
       
       // For file uploads
-      fileUrls: [String]
+      fileUrls: [String],
+      
+      // For Creative Questions: one answer per part (ka/kha/ga/gha)
+      cqAnswers: [{
+        label: String,
+        textAnswer: String,
+        imageUrls: [String]
+      }]
     },
     
     // Response Timing
@@ -112,6 +163,15 @@ const studentResponseSchema = new mongoose.Schema({
       default: false
     },
     
+    // Last accepted save, so replayed or out-of-order saves from an
+    // offline client cannot overwrite a newer answer
+    lastSave: {
+      deviceId: String,
+      sequence: Number,
+      clientTimestamp: Date,
+      receivedAt: Date
+    },
+    
     // Auto-grading Results
     autoGrading: {
       isCorrect: Boolean,
@@ -125,7 +185,18 @@ const studentResponseSchema = new mongoose.Schema({
         type: Number,
         min: 0,
         max: 1
-      }
+      },
+      provider: String,
+      // Low-confidence AI grades wait in the teacher review queue
+      reviewStatus: {
+        type: String,
+        enum: ['not_required', 'pending', 'accepted', 'overridden']
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date
     },
     
     // Manual Grading (for subjective questions)
@@ -141,13 +212,56 @@ const studentResponseSchema = new mongoose.Schema({
       },
       gradedAt: Date,
       rubricScores: [{
+        // Assessment grading.rubric criterion and the level picked for it
+        criterionId: mongoose.Schema.Types.ObjectId,
         criteria: String,
+        level: String,
         maxMarks: Number,
         marksAwarded: Number,
         comments: String
       }]
     },
     
+    // Per-part scores for Creative Questions (manual marks override auto marks)
+    partScores: [{
+      label: String,
+      maxMarks: Number,
+      autoMarks: {
+        type: Number,
+        min: 0
+      },
+      confidence: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      explanation: String,
+      manualMarks: {
+        type: Number,
+        min: 0
+      },
+      feedback: String,
+      gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      gradedAt: Date
+    }],
+    
+    // Grading-session lock so two teachers never grade the same answer
+    gradingLock: {
+      lockedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GradingSession'
+      },
+      lockedAt: Date,
+      expiresAt: Date
+    },
+    
     // Final Marks (auto + manual)
     finalMarks: {
       type: Number,
@@ -197,7 +311,24 @@ const studentResponseSchema = new mongoose.Schema({
     
     grade: {
       type: String,
-      enum: ['A+', 'A', 'B', 'C', 'D', 'F']
+      enum: ['A+', 'A', 'A-', 'B', 'C', 'D', 'F']
+    },
+    
+    // Grade point for GPA-based schemes (e.g. 5.00 for A+ on the BD board scale)
+    gradePoint: {
+      type: Number,
+      min: 0
+    },
+    
+    gradingScheme: {
+      type: String,
+      default: 'standard'
+    },
+    
+    // Position among students' best attempts (ties share a rank)
+    rank: {
+      type: Number,
+      min: 1
     },
     
     // Breakdown by question type
@@ -237,7 +368,8 @@ const studentResponseSchema = new mongoose.Schema({
       enum: [
         'tab_switch', 'window_blur', 'copy_attempt', 'paste_attempt', 
         'right_click', 'dev_tools', 'fullscreen_exit', 'browser_back',
-        'suspicious_activity', 'webcam_violation', 'face_not_detected'
+        'suspicious_activity', 'webcam_violation', 'face_not_detected',
+        'access_denied'
       ]
     },
     timestamp: {
@@ -254,6 +386,14 @@ const studentResponseSchema = new mongoose.Schema({
   
   // Live Monitoring Data
   monitoring: {
+    // Where the student is right now (live proctoring room)
+    currentQuestionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    currentQuestionIndex: Number,
+    lastActivityAt: Date,
+    
     webcamEnabled: {
       type: Boolean,
       default: false
@@ -288,6 +428,43 @@ const studentResponseSchema = new mongoose.Schema({
     }
   },
   
+  // Integrity score and the signals behind it
+  integrity: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    isFlagged: {
+      type: Boolean,
+      default: false
+    },
+    signals: [{
+      type: {
+        type: String,
+        enum: ['security_event', 'answer_burst', 'paste_then_answer', 'shared_answers']
+      },
+      label: String,
+      count: Number,
+      points: Number,
+      details: mongoose.Schema.Types.Mixed
+    }],
+    evaluatedAt: Date,
+    review: {
+      status: {
+        type: String,
+        enum: ['none', 'pending', 'cleared', 'confirmed'],
+        default: 'none'
+      },
+      notes: String,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date
+    }
+  },
+  
   // Teacher Feedback
   teacherFeedback: {
     overallComments: String,
@@ -343,6 +520,99 @@ const studentResponseSchema = new mongoose.Schema({
     appealReason: String
   },
   
+  // Per-question grade appeals (review.appealStatus summarises them)
+  appeals: [{
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question',
+      required: true
+    },
+    reason: {
+      type: String,
+      required: [true, 'Appeal reason is required'],
+      trim: true,
+      maxLength: [1000, 'Appeal reason cannot exceed 1000 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    previousMarks: Number,
+    newMarks: Number,
+    teacherResponse: String,
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }],
+  
+  // Audit Trail
+  auditTrail: [{
+    action: {
+      type: String,
+      required: true
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    details: mongoose.Schema.Types.Mixed
+  }],
+  
+  // Seeded question/option order for this attempt, so pause/resume and
+  // every reload show the same order
+  presentation: {
+    seed: Number,
+    shuffleQuestions: {
+      type: Boolean,
+      default: false
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false
+    },
+    optionOrder: [{
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+      },
+      optionIds: [mongoose.Schema.Types.ObjectId]
+    }]
+  },
+  
+  // Blueprint draw for this attempt (kept for grading and audit)
+  paper: {
+    source: {
+      type: String,
+      enum: ['fixed', 'blueprint'],
+      default: 'fixed'
+    },
+    drawnAt: Date,
+    items: [{
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+      },
+      section: String,
+      difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard']
+      },
+      marks: Number
+    }]
+  },
+  
   // Adaptive Testing Data
   adaptiveData: {
     enabled: {
@@ -369,7 +639,46 @@ const studentResponseSchema = new mongoose.Schema({
       },
       probability: Number,
       reasoning: String
-    }]
+    }],
+    
+    algorithm: {
+      type: String,
+      enum: ['irt', 'cat', 'simple']
+    },
+    
+    // Current ability estimate (theta) and its standard error
+    abilityEstimate: {
+      type: Number,
+      default: 0
+    },
+    
+    standardError: Number,
+    
+    // Ability estimate after every answered item, for teacher review
+    trajectory: [{
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+      },
+      itemDifficulty: Number,
+      isCorrect: Boolean,
+      theta: Number,
+      standardError: Number,
+      answeredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    
+    isComplete: {
+      type: Boolean,
+      default: false
+    },
+    
+    stopReason: {
+      type: String,
+      enum: ['se_threshold', 'max_questions', 'pool_exhausted']
+    }
   }
 
 }, {
@@ -383,6 +692,11 @@ studentResponseSchema.index({ assessmentId: 1, studentId: 1, attemptNumber: 1 },
 studentResponseSchema.index({ studentId: 1, status: 1 });
 studentResponseSchema.index({ assessmentId: 1, status: 1 });
 studentResponseSchema.index({ submittedAt: -1 });
+studentResponseSchema.index({ assessmentId: 1, 'responses.autoGrading.reviewStatus': 1 });
+studentResponseSchema.index({ assessmentId: 1, 'appeals.status': 1 });
+studentResponseSchema.index({ status: 1, 'timing.deadline': 1 });
+studentResponseSchema.index({ assessmentId: 1, status: 1, 'timing.deadline': 1 });
+studentResponseSchema.index({ assessmentId: 1, 'integrity.isFlagged': 1 });
 
 // Virtual for completion status
 studentResponseSchema.virtual('isCompleted').get(function() {
@@ -395,6 +709,11 @@ studentResponseSchema.virtual('isPassed').get(function() {
   return this.scoring.percentage >= 40; // Default 40% passing
 });
 
+// Virtual for AI grades still waiting for teacher review
+studentResponseSchema.virtual('pendingReviewCount').get(function() {
+  return (this.responses || []).filter(r => r.autoGrading?.reviewStatus === 'pending').length;
+});
+
 // Virtual for time efficiency
 studentResponseSchema.virtual('timeEfficiency').get(function() {
   if (!this.submittedAt || !this.startedAt) return 0;
@@ -405,13 +724,26 @@ studentResponseSchema.virtual('timeEfficiency').get(function() {
   return Math.round(((totalTimeAllowed - timeUsed) / totalTimeAllowed) * 100);
 });
 
+// Marks from each response's final marks, less any late penalty
+const computeMarksObtained = (attempt) => {
+  const rawMarks = Math.max(0, attempt.responses.reduce((total, response) => {
+    return total + (response.finalMarks || 0);
+  }, 0));
+  
+  const late = attempt.lateSubmission;
+  const marksDeducted = late?.isLate
+    ? Math.round(rawMarks * (late.penaltyPercentage || 0)) / 100
+    : 0;
+  
+  if (late) late.marksDeducted = marksDeducted;
+  return Math.round((rawMarks - marksDeducted) * 100) / 100;
+};
+
 // Pre-save middleware
 studentResponseSchema.pre('save', function(next) {
   // Calculate total marks obtained
   if (this.responses && this.responses.length > 0) {
-    this.scoring.marksObtained = this.responses.reduce((total, response) => {
-      return total + (response.finalMarks || 0);
-    }, 0);
+    this.scoring.marksObtained = computeMarksObtained(this);
     
     // Calculate percentage
     if (this.scoring.totalMarks > 0) {
@@ -436,18 +768,176 @@ studentResponseSchema.pre('save', function(next) {
   next();
 });
 
+// Map Question.type to the response questionType labels
+const QUESTION_TYPE_MAP = {
+  mcq: 'MCQ',
+  true_false: 'True/False',
+  fill_blank: 'Fill in the Blanks',
+  numeric: 'Numeric',
+  multi_select: 'Multiple Select',
+  matching: 'Matching',
+  ordering: 'Ordering',
+  cq: 'Creative Question'
+};
+
+studentResponseSchema.statics.toResponseQuestionType = function(questionType) {
+  return QUESTION_TYPE_MAP[questionType] || questionType;
+};
+
 // Instance methods
-studentResponseSchema.methods.calculateFinalGrade = function(gradingScale) {
-  const percentage = this.scoring.percentage;
+// Flag a late submission; the penalty is applied whenever marks are computed
+studentResponseSchema.methods.markLateSubmission = function(assessment) {
+  const { endDate } = assessment.getStudentSchedule(this.studentId);
+  const minutesLate = Math.ceil((this.submittedAt - endDate) / (1000 * 60));
+  
+  this.lateSubmission = {
+    isLate: true,
+    minutesLate,
+    penaltyPercentage: assessment.schedule.lateSubmission.penaltyPercentage,
+    marksDeducted: 0
+  };
+  
+  return this.lateSubmission;
+};
+
+// Accepts the assessment's grading config (scheme + gradingScale) or a bare gradingScale
+studentResponseSchema.methods.calculateFinalGrade = function(grading) {
+  const result = GradingSchemeService.gradeForPercentage(this.scoring.percentage, grading);
+  
+  this.scoring.grade = result.letter || undefined;
+  this.scoring.gradePoint = result.gradePoint ?? undefined;
+  this.scoring.gradingScheme = result.scheme;
   
-  for (const [grade, range] of Object.entries(gradingScale)) {
-    if (percentage >= range.min && percentage <= range.max) {
-      this.scoring.grade = grade;
-      break;
+  return this.scoring.grade;
+};
+
+// Recompute marks, percentage and grade from each response's final marks
+studentResponseSchema.methods.recalculateScores = function(grading) {
+  this.scoring.marksObtained = computeMarksObtained(this);
+  
+  if (this.scoring.totalMarks > 0) {
+    this.scoring.percentage = Math.round(
+      (this.scoring.marksObtained / this.scoring.totalMarks) * 100
+    );
+  }
+  
+  this.calculateFinalGrade(grading);
+  return this.scoring;
+};
+
+// Apply teacher scores to Creative Question parts. `parts` (the question's
+// CQ parts) seeds the breakdown for answers that were never auto-graded.
+// Returns an error message, or null when every score was applied.
+studentResponseSchema.methods.applyCQPartScores = function(questionResponse, partScores, { gradedBy, parts = [] } = {}) {
+  if (!questionResponse.partScores || questionResponse.partScores.length === 0) {
+    if (parts.length === 0) return 'This question has no CQ parts to grade';
+    
+    questionResponse.partScores = parts.map(part => ({
+      label: part.label,
+      maxMarks: part.marks
+    }));
+  }
+  
+  for (const score of partScores) {
+    const partScore = questionResponse.partScores.find(p => p.label === score.label);
+    const marks = parseFloat(score.marks);
+    
+    if (!partScore) return `Unknown CQ part: ${score.label}`;
+    if (isNaN(marks) || marks < 0 || marks > partScore.maxMarks) {
+      return `Marks for part ${score.label} must be between 0 and ${partScore.maxMarks}`;
     }
+    
+    partScore.manualMarks = marks;
+    partScore.feedback = score.feedback || partScore.feedback;
+    partScore.gradedBy = gradedBy;
+    partScore.gradedAt = new Date();
   }
   
-  return this.scoring.grade;
+  this.recalculateCQMarks(questionResponse);
+  return null;
+};
+
+// Store an AI grading result on a response. Teacher part marks survive a
+// re-grade; results waiting for review count 0 marks until resolved.
+studentResponseSchema.methods.applyAutoGradingResult = function(questionResponse, result, needsReview) {
+  if (result.partResults) {
+    questionResponse.partScores = result.partResults.map(part => {
+      const existing = (questionResponse.partScores || []).find(p => p.label === part.label);
+      return {
+        label: part.label,
+        maxMarks: part.maxMarks,
+        autoMarks: part.autoMarks,
+        confidence: part.confidence,
+        explanation: part.explanation,
+        manualMarks: existing?.manualMarks,
+        feedback: existing?.feedback,
+        gradedBy: existing?.gradedBy,
+        gradedAt: existing?.gradedAt
+      };
+    });
+  }
+  
+  questionResponse.autoGrading = {
+    isCorrect: result.isCorrect,
+    marksAwarded: Math.max(0, result.marksAwarded),
+    confidence: result.confidence,
+    explanation: result.explanation,
+    provider: result.provider,
+    reviewStatus: needsReview ? 'pending' : 'not_required'
+  };
+  
+  if (needsReview) {
+    questionResponse.finalMarks = 0;
+  } else if (result.partResults) {
+    this.recalculateCQMarks(questionResponse);
+  } else {
+    questionResponse.finalMarks = questionResponse.autoGrading.marksAwarded;
+  }
+  
+  return questionResponse;
+};
+
+// Sum a Creative Question's part scores into its final marks, scaled to the
+// marks the assessment assigns to the question (parts are stored out of 10)
+studentResponseSchema.methods.recalculateCQMarks = function(questionResponse) {
+  const parts = questionResponse.partScores || [];
+  const partsMax = parts.reduce((sum, part) => sum + (part.maxMarks || 0), 0);
+  const total = parts.reduce((sum, part) => {
+    const marks = part.manualMarks ?? part.autoMarks ?? 0;
+    return sum + Math.min(marks, part.maxMarks ?? marks);
+  }, 0);
+  
+  const scale = partsMax > 0 ? questionResponse.maxMarks / partsMax : 1;
+  questionResponse.finalMarks = Math.round(total * scale * 100) / 100;
+  return questionResponse.finalMarks;
+};
+
+// Option IDs in the order this attempt shows them (empty = canonical order)
+studentResponseSchema.methods.getOptionOrder = function(questionId) {
+  const entry = (this.presentation?.optionOrder || [])
+    .find(item => item.questionId.toString() === questionId.toString());
+  return entry ? entry.optionIds.map(id => id.toString()) : [];
+};
+
+// Keep the summary review fields in step with the per-question appeals
+studentResponseSchema.methods.syncAppealStatus = function() {
+  const appeals = this.appeals || [];
+  const latest = appeals[appeals.length - 1];
+  
+  this.review.reviewRequested = appeals.length > 0;
+  this.review.isUnderReview = appeals.some(appeal => appeal.status === 'pending');
+  
+  if (!latest) {
+    this.review.appealStatus = 'none';
+  } else if (this.review.isUnderReview) {
+    this.review.appealStatus = 'pending';
+    this.review.reviewRequestedAt = latest.requestedAt;
+    this.review.appealReason = latest.reason;
+  } else {
+    this.review.appealStatus = latest.status;
+  }
+  
+  return this.review;
 };
 
 studentResponseSchema.methods.addSecurityEvent = function(eventType, details, severity = 'medium') {
@@ -524,4 +1014,47 @@ studentResponseSchema.statics.getAssessmentStats = function(assessmentId) {
   ]);
 };
 
+// Rank every student's best attempt on an assessment by marks (ties share a
+// rank, e.g. 1, 2, 2, 4). Other attempts lose their rank.
+studentResponseSchema.statics.recalculateRanks = async function(assessmentId) {
+  const submissions = await this.find({
+    assessmentId,
+    status: { $in: ['submitted', 'auto_submitted', 'graded'] }
+  }).select('studentId scoring');
+  
+  const bestByStudent = new Map();
+  submissions.forEach(submission => {
+    const key = submission.studentId.toString();
+    const best = bestByStudent.get(key);
+    if (!best || submission.scoring.percentage > best.scoring.percentage) {
+      bestByStudent.set(key, submission);
+    }
+  });
+  
+  const ranked = Array.from(bestByStudent.values())
+    .sort((a, b) => b.scoring.marksObtained - a.scoring.marksObtained);
+  
+  const operations = ranked.map((submission, index) => {
+    const rank = index > 0 && submission.scoring.marksObtained === ranked[index - 1].scoring.marksObtained
+      ? ranked[index - 1].scoring.rank
+      : index + 1;
+    submission.scoring.rank = rank;
+    
+    return { updateOne: { filter: { _id: submission._id }, update: { $set: { 'scoring.rank': rank } } } };
+  });
+  
+  const bestIds = new Set(ranked.map(submission => submission._id.toString()));
+  submissions
+    .filter(submission => !bestIds.has(submission._id.toString()) && submission.scoring.rank)
+    .forEach(submission => {
+      operations.push({ updateOne: { filter: { _id: submission._id }, update: { $unset: { 'scoring.rank': '' } } } });
+    });
+  
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+  
+  return ranked.length;
+};
+
 module.exports = mongoose.model('StudentResponse', studentResponseSchema);
@@ -77,7 +77,8 @@ const userSchema = new mongoose.Schema({
       enum: ['science', 'commerce', 'arts']
     },
     institution: String,
-    subjects: [String] // Array of subject names
+    subjects: [String], // Array of subject names
+    optionalSubject: String // 4th subject for SSC/HSC GPA bonus
   },
   
   // Professional Information (for teachers)
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const {
   createAssessment,
   getAssessments,
@@ -10,21 +10,62 @@ const {
   addParticipants,
   generateAIQuestions,
   getAssessmentAnalytics,
-  archiveAssessment
+  getAdaptiveTrajectories,
+  archiveAssessment,
+  setQuestionRubric,
+  removeQuestionRubric,
+  setBlueprint,
+  previewBlueprint,
+  removeBlueprint,
+  setAccommodations,
+  removeAccommodations
 } = require('../controllers/assessmentController');
 
 const {
   startAssessment,
   getCurrentAttempt,
   saveAnswer,
+  syncAnswers,
   submitAssessment,
   getResults,
   pauseAssessment,
   resumeAssessment,
-  reportSecurityEvent
+  reportSecurityEvent,
+  submitAppeal,
+  getMyAppeals
 } = require('../controllers/submissionController');
 
+const {
+  getReviewQueue,
+  resolveReview,
+  startGradingSession,
+  getNextSubmission,
+  submitGrade,
+  endGradingSession,
+  getAIGradeSuggestion,
+  batchAIGrade,
+  getGradingAnalytics,
+  getComparativeGrading,
+  gradeWithRubric,
+  getRubricAnalytics,
+  getAppealInbox,
+  resolveAppeal
+} = require('../controllers/gradingController');
+
+const {
+  getLiveRoom,
+  sendLiveAnnouncement,
+  forceSubmitAttempt,
+  getIntegrityReviews,
+  getIntegrityEvidence,
+  reviewIntegrity,
+  recalculateIntegrity,
+  runPlagiarismCheck,
+  getPlagiarismReport
+} = require('../controllers/proctoringController');
+
 const { protect, authorize } = require('../middleware/auth');
+const BlueprintService = require('../services/BlueprintService');
 
 const router = express.Router();
 
@@ -67,6 +108,46 @@ const validateAssessment = [
     .isInt({ min: 1, max: 480 })
     .withMessage('Duration must be between 1-480 minutes'),
     
+  body('configuration.pausing.maxPauses')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('Max pauses must be between 0-20'),
+    
+  body('configuration.pausing.maxPauseMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Max pause time must be between 0-120 minutes'),
+    
+  body('configuration.integrity.flagBelow')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Integrity threshold must be between 0-100'),
+    
+  body('configuration.integrity.sharedAnswers.similarity')
+    .optional()
+    .isFloat({ min: 0.5, max: 1 })
+    .withMessage('Shared answer similarity must be between 0.5 and 1'),
+    
+  body('schedule.lateSubmission.windowMinutes')
+    .optional()
+    .isInt({ min: 1, max: 10080 })
+    .withMessage('Late window must be between 1 minute and 7 days'),
+    
+  body('schedule.lateSubmission.penaltyPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Late penalty must be between 0-100 percent'),
+    
+  body('configuration.appeals.windowHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Appeal window must be between 1-720 hours'),
+    
+  body('grading.scheme')
+    .optional()
+    .isIn(['standard', 'bd_ssc_hsc'])
+    .withMessage('Invalid grading scheme'),
+    
   body('questions')
     .optional()
     .isArray()
@@ -132,6 +213,15 @@ const validateAIGeneration = [
     .withMessage('Topics must be an array')
 ];
 
+const validateStart = [
+  body('accessCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Access code cannot exceed 20 characters')
+];
+
 const validateAnswer = [
   body('questionId')
     .isMongoId()
@@ -141,12 +231,87 @@ const validateAnswer = [
     .notEmpty()
     .withMessage('Answer is required'),
     
+  body('answer.selectedIndex')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('selectedIndex must be a non-negative integer')
+    .toInt(),
+    
   body('timeSpent')
     .optional()
     .isNumeric()
     .withMessage('Time spent must be a number'),
     
   body('isMarkedForReview')
+    .optional()
+    .isBoolean()
+    .withMessage('isMarkedForReview must be a boolean'),
+    
+  body('deviceId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device ID cannot exceed 100 characters'),
+    
+  body('sequence')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sequence must be a non-negative integer')
+    .toInt(),
+    
+  body('clientTimestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Client timestamp must be a valid date')
+];
+
+const validateAnswerSync = [
+  body('attemptId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid attempt ID is required'),
+    
+  body('deviceId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device ID cannot exceed 100 characters'),
+    
+  body('saves')
+    .isArray({ max: 100 })
+    .withMessage('Saves must be a list of at most 100 answers'),
+    
+  body('saves.*.questionId')
+    .isMongoId()
+    .withMessage('Valid question ID is required'),
+    
+  body('saves.*.answer')
+    .isObject()
+    .withMessage('Answer is required'),
+    
+  body('saves.*.answer.selectedIndex')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('selectedIndex must be a non-negative integer')
+    .toInt(),
+    
+  body('saves.*.sequence')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sequence must be a non-negative integer')
+    .toInt(),
+    
+  body('saves.*.clientTimestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Client timestamp must be a valid date'),
+    
+  body('saves.*.timeSpent')
+    .optional()
+    .isNumeric()
+    .withMessage('Time spent must be a number'),
+    
+  body('saves.*.isMarkedForReview')
     .optional()
     .isBoolean()
     .withMessage('isMarkedForReview must be a boolean')
@@ -167,6 +332,309 @@ const validateSecurityEvent = [
     .withMessage('Invalid severity level')
 ];
 
+const validateLiveAnnouncement = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Announcement must be 1-1000 characters'),
+    
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid priority')
+];
+
+const validateForceSubmit = [
+  param('studentId')
+    .isMongoId()
+    .withMessage('Valid student ID is required'),
+    
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const validateIntegrityReview = [
+  param('submissionId')
+    .isMongoId()
+    .withMessage('Valid submission ID is required'),
+    
+  body('decision')
+    .isIn(['cleared', 'confirmed'])
+    .withMessage('Decision must be cleared or confirmed'),
+    
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+];
+
+const validateReviewResolution = [
+  body('submissionId')
+    .isMongoId()
+    .withMessage('Valid submission ID is required'),
+    
+  body('questionId')
+    .isMongoId()
+    .withMessage('Valid question ID is required'),
+    
+  body('action')
+    .isIn(['accept', 'override'])
+    .withMessage('Action must be accept or override'),
+    
+  body('marksAwarded')
+    .if(body('action').equals('override'))
+    .isFloat({ min: 0 })
+    .withMessage('Marks awarded is required when overriding')
+];
+
+const validateGradingSession = [
+  body('gradingMode')
+    .optional()
+    .isIn(['sequential', 'random', 'priority'])
+    .withMessage('Invalid grading mode'),
+    
+  body('focusArea')
+    .optional()
+    .isIn(['all', 'Short Answer', 'Long Answer', 'Essay', 'Creative Question'])
+    .withMessage('Invalid focus area'),
+    
+  body('questionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid question ID'),
+    
+  body('batchSize')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Batch size must be between 1-100')
+];
+
+const validateNextSubmission = [
+  body('sessionId')
+    .isMongoId()
+    .withMessage('Valid session ID is required'),
+    
+  body('skip')
+    .optional()
+    .isBoolean()
+    .withMessage('skip must be a boolean')
+];
+
+const validateGrade = [
+  body('sessionId')
+    .isMongoId()
+    .withMessage('Valid session ID is required'),
+    
+  body('submissionId')
+    .isMongoId()
+    .withMessage('Valid submission ID is required'),
+    
+  body('questionId')
+    .isMongoId()
+    .withMessage('Valid question ID is required'),
+    
+  body('marksAwarded')
+    .if(body('partScores').not().exists())
+    .isFloat({ min: 0 })
+    .withMessage('Marks awarded or part scores are required'),
+    
+  body('partScores')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Part scores must be a non-empty array'),
+    
+  body('gradingDuration')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Grading duration must be a positive number')
+];
+
+const validateAISuggestion = [
+  body('questionId')
+    .isMongoId()
+    .withMessage('Valid question ID is required'),
+    
+  body('studentId')
+    .isMongoId()
+    .withMessage('Valid student ID is required')
+];
+
+const validateBatchAIGrade = [
+  body('questionId')
+    .isMongoId()
+    .withMessage('Valid question ID is required'),
+    
+  body('requireTeacherReview')
+    .optional()
+    .isBoolean()
+    .withMessage('requireTeacherReview must be a boolean'),
+    
+  body('confidenceThreshold')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Confidence threshold must be between 0-1')
+];
+
+const validateRubric = [
+  body('criteria')
+    .isArray({ min: 1 })
+    .withMessage('At least one rubric criterion is required'),
+    
+  body('criteria.*.criteria')
+    .trim()
+    .notEmpty()
+    .withMessage('Criterion name is required'),
+    
+  body('criteria.*.maxMarks')
+    .isFloat({ min: 1 })
+    .withMessage('Criterion max marks must be at least 1'),
+    
+  body('criteria.*.levels')
+    .isArray({ min: 1 })
+    .withMessage('Each criterion needs at least one level'),
+    
+  body('criteria.*.levels.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Level name is required'),
+    
+  body('criteria.*.levels.*.score')
+    .isFloat({ min: 0 })
+    .withMessage('Level score must be a positive number')
+];
+
+const validateBlueprint = [
+  body('sections')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Blueprint needs between 1 and 20 sections'),
+    
+  body('sections.*.name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Section name cannot exceed 100 characters'),
+    
+  body('sections.*.difficulty')
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Section difficulty must be easy, medium, or hard'),
+    
+  body('sections.*.questionType')
+    .optional()
+    .isIn(BlueprintService.QUESTION_TYPES)
+    .withMessage('Invalid section question type'),
+    
+  body('sections.*.class')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Class must be between 1-12'),
+    
+  body('sections.*.count')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Section question count must be between 1 and 100'),
+    
+  body('sections.*.marksPerQuestion')
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Marks per question must be between 1 and 100')
+];
+
+const validateAccommodations = [
+  param('studentId')
+    .isMongoId()
+    .withMessage('Valid student ID is required'),
+    
+  body('extraTimePercentage')
+    .optional()
+    .isFloat({ min: 0, max: 200 })
+    .withMessage('Extra time must be between 0-200 percent'),
+    
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+    
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+    
+  body('extraAttempts')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Extra attempts must be between 0-10'),
+    
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const validateRubricGrade = [
+  body('submissionId')
+    .isMongoId()
+    .withMessage('Valid submission ID is required'),
+    
+  body('questionId')
+    .isMongoId()
+    .withMessage('Valid question ID is required'),
+    
+  body('rubricScores')
+    .isArray({ min: 1 })
+    .withMessage('Pick a level for each rubric criterion'),
+    
+  body('rubricScores.*.criterionId')
+    .isMongoId()
+    .withMessage('Valid criterion ID is required'),
+    
+  body('rubricScores.*.level')
+    .trim()
+    .notEmpty()
+    .withMessage('Level is required')
+];
+
+const validateAppeal = [
+  body('questionId')
+    .isMongoId()
+    .withMessage('Valid question ID is required'),
+    
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10-1000 characters'),
+    
+  body('submissionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid submission ID')
+];
+
+const validateAppealResolution = [
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('Action must be approve or reject'),
+    
+  body('newMarks')
+    .if(body('action').equals('approve'))
+    .if(body('newPartScores').not().exists())
+    .isFloat({ min: 0 })
+    .withMessage('New marks or part scores are required when approving'),
+    
+  body('newPartScores')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('New part scores must be a non-empty array'),
+    
+  body('response')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Response cannot exceed 1000 characters')
+];
+
 // All routes require authentication
 router.use(protect);
 
@@ -198,17 +666,109 @@ router.post('/:id/generate-questions',
   generateAIQuestions
 );
 
+// Question Rubrics (Teacher only)
+router.route('/:id/questions/:questionId/rubric')
+  .put(authorize('teacher'), validateRubric, setQuestionRubric)
+  .delete(authorize('teacher'), removeQuestionRubric);
+
+// Student Accommodations (Teacher only)
+router.route('/:id/participants/:studentId/accommodations')
+  .put(authorize('teacher'), validateAccommodations, setAccommodations)
+  .delete(authorize('teacher'), removeAccommodations);
+
+// Blueprint Papers (Teacher only)
+router.route('/:id/blueprint')
+  .put(authorize('teacher'), validateBlueprint, setBlueprint)
+  .delete(authorize('teacher'), removeBlueprint);
+router.get('/:id/blueprint/preview', authorize('teacher'), previewBlueprint);
+
 // Analytics (Teacher only)
 router.get('/:id/analytics', authorize('teacher'), getAssessmentAnalytics);
+router.get('/:id/adaptive-trajectories', authorize('teacher'), getAdaptiveTrajectories);
+
+// AI Grading Review Queue (Teacher only)
+router.get('/:id/review-queue', authorize('teacher'), getReviewQueue);
+router.post('/:id/review-queue/resolve', 
+  authorize('teacher'), 
+  validateReviewResolution, 
+  resolveReview
+);
+
+// Teacher Grading Sessions (Teacher only)
+router.post('/:id/grading-sessions', 
+  authorize('teacher'), 
+  validateGradingSession, 
+  startGradingSession
+);
+router.post('/:id/grading-sessions/:sessionId/end', authorize('teacher'), endGradingSession);
+router.post('/:id/next-submission', 
+  authorize('teacher'), 
+  validateNextSubmission, 
+  getNextSubmission
+);
+router.post('/:id/grade', authorize('teacher'), validateGrade, submitGrade);
+router.post('/:id/ai-grade-suggestion', 
+  authorize('teacher'), 
+  validateAISuggestion, 
+  getAIGradeSuggestion
+);
+router.post('/:id/batch-ai-grade', 
+  authorize('teacher'), 
+  validateBatchAIGrade, 
+  batchAIGrade
+);
+router.get('/:id/grading-analytics', authorize('teacher'), getGradingAnalytics);
+router.get('/:id/comparative-grading/:questionId', authorize('teacher'), getComparativeGrading);
+router.post('/:id/rubric-grade', authorize('teacher'), validateRubricGrade, gradeWithRubric);
+router.get('/:id/rubric-analytics', authorize('teacher'), getRubricAnalytics);
+
+// Grade Appeals (Teacher only)
+router.get('/:id/appeal-inbox', authorize('teacher'), getAppealInbox);
+router.post('/:id/appeals/:appealId/resolve', 
+  authorize('teacher'), 
+  validateAppealResolution, 
+  resolveAppeal
+);
+
+// Live Proctoring (Teacher only)
+router.get('/:id/live', authorize('teacher', 'admin'), getLiveRoom);
+router.post('/:id/live/announcements', 
+  authorize('teacher', 'admin'), 
+  validateLiveAnnouncement, 
+  sendLiveAnnouncement
+);
+router.post('/:id/live/students/:studentId/force-submit', 
+  authorize('teacher', 'admin'), 
+  validateForceSubmit, 
+  forceSubmitAttempt
+);
+
+// Integrity Review (Teacher only)
+router.get('/:id/integrity', authorize('teacher', 'admin'), getIntegrityReviews);
+router.post('/:id/integrity/recalculate', authorize('teacher', 'admin'), recalculateIntegrity);
+router.get('/:id/integrity/:submissionId', authorize('teacher', 'admin'), getIntegrityEvidence);
+router.post('/:id/integrity/:submissionId/review', 
+  authorize('teacher', 'admin'), 
+  validateIntegrityReview, 
+  reviewIntegrity
+);
+
+// Plagiarism Reports (Teacher only)
+router.get('/:id/plagiarism', authorize('teacher', 'admin'), getPlagiarismReport);
+router.post('/:id/plagiarism/run', authorize('teacher', 'admin'), runPlagiarismCheck);
 
 // Student Assessment Routes
-router.post('/:id/start', authorize('student'), startAssessment);
+router.post('/:id/start', authorize('student'), validateStart, startAssessment);
 router.get('/:id/attempt', authorize('student'), getCurrentAttempt);
 router.post('/:id/answer', authorize('student'), validateAnswer, saveAnswer);
+router.post('/:id/answers/sync', authorize('student'), validateAnswerSync, syncAnswers);
 router.post('/:id/submit', authorize('student'), submitAssessment);
 router.get('/:id/results', authorize('student'), getResults);
 router.post('/:id/pause', authorize('student'), pauseAssessment);
 router.post('/:id/resume', authorize('student'), resumeAssessment);
 router.post('/:id/security-event', authorize('student'), validateSecurityEvent, reportSecurityEvent);
+router.route('/:id/appeals')
+  .get(authorize('student'), getMyAppeals)
+  .post(authorize('student'), validateAppeal, submitAppeal);
 
 module.exports = router;
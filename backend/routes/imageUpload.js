@@ -13,7 +13,7 @@ const {
 } = require('../controllers/imageUploadController');
 
 // @route   POST /api/image-upload/:assessmentId/upload/:questionId
-// @desc    Upload answer images for CQ/Essay questions
+// @desc    Upload answer images for CQ/Essay questions (CQ: optional 'part' field)
 // @access  Private (Student only)
 router.post(
   '/:assessmentId/upload/:questionId',
@@ -41,8 +41,17 @@ router.post(
       .isMongoId()
       .withMessage('Valid student ID is required'),
     body('marksAwarded')
+      .optional()
       .isFloat({ min: 0 })
       .withMessage('Marks awarded must be a positive number'),
+    body('partScores')
+      .optional()
+      .isArray()
+      .withMessage('Part scores must be an array'),
+    body('partScores.*.marks')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Part marks must be a positive number'),
     body('feedback')
       .optional()
       .trim()
@@ -10,10 +10,21 @@ const {
   getQuestionStats,
   getSubjectsAndChapters,
   generateQuestionsWithAI,
-  getAIProviderStatus
+  getAIProviderStatus,
+  importQuestions,
+  exportQuestions,
+  submitForReview,
+  getReviewQueue,
+  reviewQuestion,
+  getQuestionVersions,
+  diffQuestionVersions,
+  getDuplicateClusters,
+  mergeDuplicateQuestions,
+  rollbackQuestion
 } = require('../controllers/questionController');
 
-const { authenticateUser, teacherOnly } = require('../middleware/auth');
+const { authenticateUser, authorizeRoles, teacherOnly, adminOnly } = require('../middleware/auth');
+const { uploadQuestionFile, handleUploadError } = require('../middleware/upload');
 
 // Public routes (for students to access public questions)
 router.get('/public', authenticateUser, getQuestions);
@@ -26,6 +37,24 @@ router.put('/:id', authenticateUser, teacherOnly, updateQuestion);
 router.delete('/:id', authenticateUser, teacherOnly, deleteQuestion);
 router.get('/stats/teacher', authenticateUser, teacherOnly, getQuestionStats);
 
+// Question bank import/export (CSV, Excel, GIFT, QTI 2.1)
+router.post('/import', authenticateUser, teacherOnly, uploadQuestionFile, handleUploadError, importQuestions);
+router.get('/export', authenticateUser, teacherOnly, exportQuestions);
+
+// Review workflow (reviewer eligibility is checked in the controller)
+router.post('/:id/submit-review', authenticateUser, teacherOnly, submitForReview);
+router.get('/review/queue', authenticateUser, authorizeRoles('teacher', 'admin'), getReviewQueue);
+router.put('/:id/review', authenticateUser, authorizeRoles('teacher', 'admin'), reviewQuestion);
+
+// Version history, diff and rollback
+router.get('/:id/versions', authenticateUser, teacherOnly, getQuestionVersions);
+router.get('/:id/versions/diff', authenticateUser, teacherOnly, diffQuestionVersions);
+router.post('/:id/versions/:version/rollback', authenticateUser, teacherOnly, rollbackQuestion);
+
+// Near-duplicate clusters and merging (admin)
+router.get('/duplicates/clusters', authenticateUser, adminOnly, getDuplicateClusters);
+router.post('/duplicates/merge', authenticateUser, adminOnly, mergeDuplicateQuestions);
+
 // General routes (with role-based filtering inside controller)
 router.get('/', authenticateUser, getQuestions);
 router.get('/:id', authenticateUser, getQuestionById);
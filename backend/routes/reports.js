@@ -16,7 +16,9 @@ const {
   generateClassProgressReport,
   generatePerformanceAnalyticsReport,
   generateTeacherDashboardReport,
-  generateStudentInsightsReport
+  generateStudentInsightsReport,
+  generateStudentGPAReport,
+  generateAssessmentGradeSheet
 } = require('../controllers/reportsController');
 
 // ==========================================
@@ -33,6 +35,11 @@ router.get('/student/:studentId/progress', protect, generateStudentProgressRepor
 // @access  Private (Student/Teacher/Parent/Admin)
 router.get('/student/:studentId/insights', protect, generateStudentInsightsReport);
 
+// @desc    Generate subject-wise grade points and overall GPA
+// @route   GET /api/reports/student/:studentId/gpa
+// @access  Private (Student/Teacher/Parent/Admin)
+router.get('/student/:studentId/gpa', protect, generateStudentGPAReport);
+
 // @desc    Generate subject-wise student report
 // @route   GET /api/reports/student/:studentId/subject/:subject
 // @access  Private (Student/Teacher/Parent/Admin)
@@ -106,6 +113,11 @@ router.get('/teacher/:teacherId/dashboard', protect, authorize('teacher', 'admin
 // @access  Private (Teacher/Admin)
 router.get('/teacher/:teacherId/class/:classId/progress', protect, authorize('teacher', 'admin'), generateClassProgressReport);
 
+// @desc    Generate assessment grade sheet (letter grade + grade point)
+// @route   GET /api/reports/assessment/:assessmentId/grades
+// @access  Private (Teacher/Admin)
+router.get('/assessment/:assessmentId/grades', protect, authorize('teacher', 'admin'), generateAssessmentGradeSheet);
+
 // @desc    Generate assessment report
 // @route   GET /api/reports/teacher/:teacherId/assessment/:assessmentId
 // @access  Private (Teacher/Admin)
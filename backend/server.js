@@ -48,6 +48,13 @@ connectDB();
 const app = express();
 const server = http.createServer(app);
 
+// Behind Railway's (or any) reverse proxy, req.ip must come from X-Forwarded-For,
+// or every student shares the proxy's IP in rate limits and IP allow-lists.
+// TRUST_PROXY = number of proxy hops in front of the app. Off by default: a directly
+// exposed app that trusted the header would let anyone spoof their IP.
+const trustProxy = process.env.TRUST_PROXY ?? 'false';
+app.set('trust proxy', trustProxy === 'false' ? false : (parseInt(trustProxy) || trustProxy));
+
 // Security middleware
 app.use(helmet());
 
@@ -0,0 +1,139 @@
+const net = require('net');
+const crypto = require('crypto');
+
+// 🔐 GyanGuru Access Control Service - Who may start an assessment, and from where
+// Features: IP allow-lists, CIDR ranges (IPv4/IPv6), Access codes, Open-access criteria, Participant caps
+
+class AccessControlService {
+
+  // ==========================================
+  // 🌐 IP RESTRICTIONS
+  // ==========================================
+
+  /**
+   * Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients
+   * @param {String} ip - Client IP (e.g. "::ffff:10.0.0.5")
+   * @returns {String}
+   */
+  static normalizeIP(ip = '') {
+    const trimmed = ip.trim();
+    return /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(trimmed) ? trimmed.slice(7) : trimmed;
+  }
+
+  /**
+   * Parse a CIDR range such as "10.20.0.0/16" or "2001:db8::/32"
+   * @param {String} range - CIDR range
+   * @returns {Object|null} { address, prefix, type } or null when invalid
+   */
+  static parseRange(range = '') {
+    const [address, prefixText, extra] = range.trim().split('/');
+    const version = net.isIP(address);
+
+    if (!version || prefixText === undefined || extra !== undefined || !/^\d+$/.test(prefixText)) {
+      return null;
+    }
+
+    const prefix = Number(prefixText);
+    const maxPrefix = version === 4 ? 32 : 128;
+    if (prefix > maxPrefix) return null;
+
+    return { address, prefix, type: version === 4 ? 'ipv4' : 'ipv6' };
+  }
+
+  /**
+   * Allow-list entries that are not valid IPs or CIDR ranges
+   * @param {Object} restrictions - { allowedIPs, allowedRanges }
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validateRestrictions({ allowedIPs = [], allowedRanges = [] } = {}) {
+    return [
+      ...allowedIPs
+        .filter(ip => !net.isIP(this.normalizeIP(ip)))
+        .map(ip => `"${ip}" is not a valid IP address`),
+      ...allowedRanges
+        .filter(range => !this.parseRange(range))
+        .map(range => `"${range}" is not a valid CIDR range`)
+    ];
+  }
+
+  /**
+   * Whether a client IP is on the allow-list (exact IPs or CIDR ranges)
+   * @param {String} ip - Client IP
+   * @param {Object} restrictions - { allowedIPs, allowedRanges }
+   * @returns {Boolean}
+   */
+  static isIPAllowed(ip, { allowedIPs = [], allowedRanges = [] } = {}) {
+    const address = this.normalizeIP(ip);
+    const version = net.isIP(address);
+    if (!version) return false;
+
+    const type = version === 4 ? 'ipv4' : 'ipv6';
+    const allowList = new net.BlockList();
+
+    allowedIPs
+      .map(allowed => this.normalizeIP(allowed))
+      .filter(allowed => net.isIP(allowed))
+      .forEach(allowed => allowList.addAddress(allowed, net.isIP(allowed) === 4 ? 'ipv4' : 'ipv6'));
+
+    allowedRanges
+      .map(range => this.parseRange(range))
+      .filter(Boolean)
+      .forEach(({ address: network, prefix, type: rangeType }) => allowList.addSubnet(network, prefix, rangeType));
+
+    return allowList.check(address, type);
+  }
+
+  // ==========================================
+  // 🔑 ACCESS CODES
+  // ==========================================
+
+  /**
+   * Compare an entered access code with the assessment's (case-insensitive,
+   * constant time)
+   * @param {String} expected - Assessment access code
+   * @param {String} provided - Code entered by the student
+   * @returns {Boolean}
+   */
+  static isAccessCodeValid(expected, provided) {
+    if (!expected || typeof provided !== 'string') return false;
+
+    const a = Buffer.from(expected.trim().toUpperCase());
+    const b = Buffer.from(provided.trim().toUpperCase());
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // ==========================================
+  // 🎓 OPEN ACCESS
+  // ==========================================
+
+  /**
+   * Check a student against the open-access criteria. Empty lists do not
+   * restrict anything.
+   * @param {Object} student - User document
+   * @param {Object} criteria - { classes, subjects, schools }
+   * @returns {String|null} Why the student does not qualify, or null
+   */
+  static getCriteriaMismatch(student, criteria = {}) {
+    const academicInfo = student?.academicInfo || {};
+    const classes = criteria.classes || [];
+    const subjects = (criteria.subjects || []).map(subject => subject.trim().toLowerCase());
+    const schools = (criteria.schools || []).map(school => school.trim().toLowerCase());
+
+    if (classes.length > 0 && !classes.includes(academicInfo.class)) {
+      return 'This assessment is open to other classes only';
+    }
+
+    const studentSubjects = (academicInfo.subjects || []).map(subject => subject.trim().toLowerCase());
+    if (subjects.length > 0 && !studentSubjects.some(subject => subjects.includes(subject))) {
+      return 'This assessment is open to students of other subjects only';
+    }
+
+    if (schools.length > 0 && !schools.includes(academicInfo.institution?.trim().toLowerCase())) {
+      return 'This assessment is open to other schools only';
+    }
+
+    return null;
+  }
+}
+
+module.exports = AccessControlService;
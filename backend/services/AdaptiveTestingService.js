@@ -0,0 +1,353 @@
+const Question = require('../models/Question');
+
+// 🎯 GyanGuru Adaptive Testing Service - Computerized Adaptive Testing (CAT)
+// Features: IRT item calibration, EAP ability estimation, Next-item selection, SE-based stopping
+
+// Scaling constant that makes the logistic curve match the normal ogive
+const D = 1.7;
+
+// Item difficulty (b) used before a question has enough attempts to calibrate
+const DIFFICULTY_PRIORS = {
+  easy: -1.0,
+  medium: 0.0,
+  hard: 1.0
+};
+
+// Attempts needed before usage statistics outweigh the difficulty label
+const MIN_CALIBRATION_SAMPLE = 30;
+
+// Quadrature grid for EAP estimation (-4 to +4 in 0.1 steps)
+const QUADRATURE_POINTS = Array.from({ length: 81 }, (_, i) => -4 + i * 0.1);
+
+// Question types that can be scored instantly and therefore drive adaptation
+const ADAPTIVE_QUESTION_TYPES = ['mcq', 'true_false', 'fill_blank', 'numeric'];
+
+class AdaptiveTestingService {
+
+  static ADAPTIVE_QUESTION_TYPES = ADAPTIVE_QUESTION_TYPES;
+
+  // ==========================================
+  // 📐 ITEM CALIBRATION
+  // ==========================================
+
+  /**
+   * Calibrate 3PL item parameters from a question's usage statistics
+   * @param {Object} question - Question document (or lean object)
+   * @returns {Object} { discrimination, difficulty, guessing, sampleSize }
+   */
+  static calibrateItem(question) {
+    const totalAttempts = question.usageStats?.totalAttempts || 0;
+    const correctAttempts = question.usageStats?.correctAttempts || 0;
+
+    const discrimination = question.irtParameters?.discrimination || 1.0;
+    const guessing = this.getGuessingParameter(question);
+    const priorDifficulty = DIFFICULTY_PRIORS[question.difficulty] ?? 0;
+
+    if (totalAttempts === 0) {
+      return { discrimination, difficulty: priorDifficulty, guessing, sampleSize: 0 };
+    }
+
+    // Smoothed proportion correct, corrected for guessing
+    const pValue = (correctAttempts + 0.5) / (totalAttempts + 1);
+    const trueScore = this.clamp((pValue - guessing) / (1 - guessing), 0.02, 0.98);
+
+    // Normal-ogive approximation: marginal p = Φ(-b / √(1 + 1/a²)) for θ ~ N(0, 1)
+    const logit = Math.log(trueScore / (1 - trueScore));
+    const empiricalDifficulty = -(logit / D) * Math.sqrt(1 + 1 / (discrimination * discrimination));
+
+    // Shrink toward the label-based prior until the sample is large enough
+    const weight = totalAttempts / (totalAttempts + MIN_CALIBRATION_SAMPLE);
+    const difficulty = weight * empiricalDifficulty + (1 - weight) * priorDifficulty;
+
+    return {
+      discrimination,
+      difficulty: Math.round(this.clamp(difficulty, -4, 4) * 1000) / 1000,
+      guessing,
+      sampleSize: totalAttempts
+    };
+  }
+
+  /**
+   * Calibrate a pool of questions and persist the parameters on each question
+   * @param {Array} questions - Question documents
+   * @returns {Map} questionId -> item parameters
+   */
+  static async calibratePool(questions) {
+    const parameters = new Map();
+    const updates = [];
+
+    for (const question of questions) {
+      const item = this.calibrateItem(question);
+      parameters.set(question._id.toString(), item);
+
+      if (question.irtParameters?.sampleSize !== item.sampleSize) {
+        updates.push({
+          updateOne: {
+            filter: { _id: question._id },
+            update: {
+              $set: {
+                'irtParameters.discrimination': item.discrimination,
+                'irtParameters.difficulty': item.difficulty,
+                'irtParameters.guessing': item.guessing,
+                'irtParameters.sampleSize': item.sampleSize,
+                'irtParameters.calibratedAt': new Date()
+              }
+            }
+          }
+        });
+      }
+    }
+
+    if (updates.length > 0) {
+      await Question.bulkWrite(updates);
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Item parameters for a question, preferring the stored calibration so
+   * that estimates stay stable for the whole attempt
+   * @param {Object} question - Question document
+   * @returns {Object} { discrimination, difficulty, guessing }
+   */
+  static getItemParameters(question) {
+    const stored = question.irtParameters;
+
+    if (stored && typeof stored.difficulty === 'number') {
+      return {
+        discrimination: stored.discrimination || 1.0,
+        difficulty: stored.difficulty,
+        guessing: stored.guessing ?? this.getGuessingParameter(question),
+        sampleSize: stored.sampleSize || 0
+      };
+    }
+
+    return this.calibrateItem(question);
+  }
+
+  /**
+   * Pseudo-guessing parameter (c) based on the number of answer choices
+   * @param {Object} question - Question document
+   * @returns {Number} Guessing parameter
+   */
+  static getGuessingParameter(question) {
+    if (question.type === 'true_false') return 0.5;
+    if (question.type === 'mcq' && question.options?.length > 0) {
+      return Math.round((1 / question.options.length) * 1000) / 1000;
+    }
+    return 0;
+  }
+
+  // ==========================================
+  // 📈 IRT MODEL
+  // ==========================================
+
+  /**
+   * Probability of a correct response under the 3PL model
+   * @param {Number} theta - Student ability
+   * @param {Object} item - { discrimination, difficulty, guessing }
+   * @returns {Number} Probability (0-1)
+   */
+  static probability(theta, item) {
+    const { discrimination: a, difficulty: b, guessing: c } = item;
+    return c + (1 - c) / (1 + Math.exp(-D * a * (theta - b)));
+  }
+
+  /**
+   * Fisher information an item provides at a given ability
+   * @param {Number} theta - Student ability
+   * @param {Object} item - { discrimination, difficulty, guessing }
+   * @returns {Number} Item information
+   */
+  static itemInformation(theta, item) {
+    const { discrimination: a, guessing: c } = item;
+    const p = this.probability(theta, item);
+    const q = 1 - p;
+
+    if (p <= c || p >= 1) return 0;
+
+    return (D * D * a * a) * (Math.pow(p - c, 2) / Math.pow(1 - c, 2)) * (q / p);
+  }
+
+  // ==========================================
+  // 🧠 ABILITY ESTIMATION
+  // ==========================================
+
+  /**
+   * Expected a posteriori (EAP) ability estimate with a normal prior.
+   * Unlike maximum likelihood, EAP stays finite for all-correct or all-wrong patterns.
+   * @param {Array} observations - [{ item, isCorrect }]
+   * @param {Number} priorMean - Mean of the ability prior
+   * @returns {Object} { theta, standardError }
+   */
+  static estimateAbility(observations, priorMean = 0) {
+    const logPosterior = QUADRATURE_POINTS.map(theta => {
+      let logLikelihood = -0.5 * Math.pow(theta - priorMean, 2);
+
+      for (const { item, isCorrect } of observations) {
+        const p = this.clamp(this.probability(theta, item), 1e-9, 1 - 1e-9);
+        logLikelihood += isCorrect ? Math.log(p) : Math.log(1 - p);
+      }
+
+      return logLikelihood;
+    });
+
+    // Normalise in log space to avoid underflow on long tests
+    const maxLog = Math.max(...logPosterior);
+    const weights = logPosterior.map(value => Math.exp(value - maxLog));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    const theta = QUADRATURE_POINTS.reduce((sum, point, i) => sum + point * weights[i], 0) / totalWeight;
+    const variance = QUADRATURE_POINTS.reduce(
+      (sum, point, i) => sum + Math.pow(point - theta, 2) * weights[i], 0
+    ) / totalWeight;
+
+    return {
+      theta: Math.round(theta * 1000) / 1000,
+      standardError: Math.round(Math.sqrt(variance) * 1000) / 1000
+    };
+  }
+
+  // ==========================================
+  // 🎲 NEXT ITEM SELECTION
+  // ==========================================
+
+  /**
+   * Pick the next question from the remaining pool
+   * @param {Object} state - { theta, currentDifficulty, lastCorrect }
+   * @param {Array} pool - [{ questionId, item, difficulty }] not yet administered
+   * @param {String} algorithm - 'irt' | 'cat' | 'simple'
+   * @returns {Object|null} Selected pool entry with selection info
+   */
+  static selectNextItem(state, pool, algorithm = 'cat') {
+    if (pool.length === 0) return null;
+
+    if (algorithm === 'simple') {
+      return this.selectByStaircase(state, pool);
+    }
+
+    const ranked = pool
+      .map(entry => ({
+        ...entry,
+        information: this.itemInformation(state.theta, entry.item)
+      }))
+      .sort((x, y) => y.information - x.information);
+
+    // 'cat' adds randomesque exposure control so the same item is not
+    // served first to every student; 'irt' always takes the most informative
+    const candidates = algorithm === 'cat' ? ranked.slice(0, 3) : ranked.slice(0, 1);
+    const selected = candidates[Math.floor(Math.random() * candidates.length)];
+
+    return {
+      ...selected,
+      probability: this.probability(state.theta, selected.item),
+      reasoning: `Maximum information at θ=${state.theta.toFixed(2)} (I=${selected.information.toFixed(3)})`
+    };
+  }
+
+  /**
+   * Simple up/down staircase on the easy/medium/hard labels
+   * @param {Object} state - { currentDifficulty, lastCorrect }
+   * @param {Array} pool - Remaining pool entries
+   * @returns {Object} Selected pool entry
+   */
+  static selectByStaircase(state, pool) {
+    const levels = ['easy', 'medium', 'hard'];
+    let index = levels.indexOf(state.currentDifficulty || 'medium');
+
+    if (state.lastCorrect === true) index = Math.min(index + 1, levels.length - 1);
+    if (state.lastCorrect === false) index = Math.max(index - 1, 0);
+
+    // Nearest available level first, then the other neighbours
+    const searchOrder = [0, 1, -1, 2, -2]
+      .map(offset => levels[index + offset])
+      .filter(Boolean);
+
+    for (const level of searchOrder) {
+      const matches = pool.filter(entry => entry.difficulty === level);
+      if (matches.length > 0) {
+        const selected = matches[Math.floor(Math.random() * matches.length)];
+        return {
+          ...selected,
+          probability: this.probability(state.theta || 0, selected.item),
+          reasoning: `Staircase moved to ${levels[index]} difficulty`
+        };
+      }
+    }
+
+    return { ...pool[0], probability: null, reasoning: 'Fallback to first remaining item' };
+  }
+
+  // ==========================================
+  // 🛑 STOPPING RULES
+  // ==========================================
+
+  /**
+   * Decide whether the adaptive test should end
+   * @param {Object} state - { answeredCount, standardError, remainingCount }
+   * @param {Object} config - Assessment aiFeatures.adaptiveTesting
+   * @returns {Object} { stop, reason }
+   */
+  static checkStoppingRule(state, config = {}) {
+    const minQuestions = config.minQuestions || 5;
+    const maxQuestions = config.maxQuestions || 30;
+    const seThreshold = config.seThreshold || 0.3;
+
+    if (state.remainingCount === 0) {
+      return { stop: true, reason: 'pool_exhausted' };
+    }
+
+    if (state.answeredCount >= maxQuestions) {
+      return { stop: true, reason: 'max_questions' };
+    }
+
+    if (state.answeredCount >= minQuestions && state.standardError <= seThreshold) {
+      return { stop: true, reason: 'se_threshold' };
+    }
+
+    return { stop: false, reason: null };
+  }
+
+  // ==========================================
+  // 🔧 UTILITY METHODS
+  // ==========================================
+
+  /**
+   * Build the selectable pool from an assessment's populated questions
+   * @param {Array} assessmentQuestions - assessment.questions with questionId populated
+   * @param {Map} parameters - questionId -> item parameters
+   * @param {Array} administeredIds - Question IDs already served
+   * @returns {Array} Pool entries
+   */
+  static buildPool(assessmentQuestions, parameters, administeredIds = []) {
+    const administered = new Set(administeredIds.map(id => id.toString()));
+
+    return assessmentQuestions
+      .filter(q => q.questionId && ADAPTIVE_QUESTION_TYPES.includes(q.questionId.type))
+      .filter(q => !administered.has(q.questionId._id.toString()))
+      .map(q => ({
+        questionId: q.questionId._id,
+        assessmentQuestion: q,
+        difficulty: q.difficulty || q.questionId.difficulty,
+        item: parameters.get(q.questionId._id.toString()) || this.getItemParameters(q.questionId)
+      }));
+  }
+
+  /**
+   * Map an ability estimate to the easy/medium/hard label
+   * @param {Number} theta - Ability estimate
+   * @returns {String} Difficulty label
+   */
+  static difficultyForAbility(theta) {
+    if (theta < -0.5) return 'easy';
+    if (theta > 0.5) return 'hard';
+    return 'medium';
+  }
+
+  static clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+}
+
+module.exports = AdaptiveTestingService;
@@ -0,0 +1,114 @@
+// 📶 GyanGuru Answer Sync Service - Offline-safe answer saving
+// Features: Sequence-numbered saves, Stale overwrite protection, Idempotent replays, Canonical attempt state
+
+const ObjectiveItemService = require('./ObjectiveItemService');
+
+// Client clocks ahead of the server by more than this are not trusted
+const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+const MAX_BATCH_SIZE = 100;
+
+class AnswerSyncService {
+
+  static MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
+  // ==========================================
+  // 🔢 SAVE ORDERING
+  // ==========================================
+
+  /**
+   * When the student made a save, as reported by the client. Missing,
+   * invalid or future times fall back to the server clock.
+   * @param {String|Date} clientTimestamp - Client time of the save
+   * @param {Date} now - Server time
+   * @returns {Date}
+   */
+  static getClientTime(clientTimestamp, now = new Date()) {
+    if (!clientTimestamp) return now;
+
+    const time = new Date(clientTimestamp);
+    if (Number.isNaN(time.getTime()) || time.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+      return now;
+    }
+    return time;
+  }
+
+  /**
+   * How a save relates to the last accepted save of the same answer.
+   * Saves from one device are ordered by sequence number; saves from
+   * different devices by client time.
+   * @param {Object} response - StudentResponse response entry
+   * @param {Object} save - { deviceId, sequence, clientTime }
+   * @returns {String} 'apply' | 'duplicate' | 'stale'
+   */
+  static classifySave(response, { deviceId, sequence, clientTime }) {
+    const last = response.lastSave;
+    if (!last?.receivedAt) return 'apply';
+
+    const sameDevice = deviceId && last.deviceId === deviceId;
+    if (sameDevice && Number.isInteger(sequence) && Number.isInteger(last.sequence)) {
+      if (sequence === last.sequence) return 'duplicate';
+      return sequence < last.sequence ? 'stale' : 'apply';
+    }
+
+    if (last.clientTimestamp && clientTime < last.clientTimestamp) return 'stale';
+    return 'apply';
+  }
+
+  static recordSave(response, { deviceId, sequence, clientTime }, now = new Date()) {
+    response.lastSave = {
+      deviceId,
+      sequence: Number.isInteger(sequence) ? sequence : undefined,
+      clientTimestamp: clientTime,
+      receivedAt: now
+    };
+  }
+
+  // ==========================================
+  // 📋 CANONICAL STATE
+  // ==========================================
+
+  /**
+   * The server's copy of one answer. Matching and ordering answers are
+   * given in the attempt's masked IDs, as the student sent them.
+   * @param {Object} response - StudentResponse response entry
+   * @param {Number} seed - Attempt presentation seed
+   * @returns {Object}
+   */
+  static getAnswerState(response, seed) {
+    const answer = response.answer?.toObject ? response.answer.toObject() : response.answer;
+
+    return {
+      questionId: response.questionId,
+      answer: response.isAnswered ? ObjectiveItemService.maskAnswer(answer, seed) : null,
+      isAnswered: response.isAnswered,
+      isMarkedForReview: response.isMarkedForReview,
+      timeSpent: response.timeSpent,
+      lastSave: response.lastSave?.receivedAt ? {
+        deviceId: response.lastSave.deviceId,
+        sequence: response.lastSave.sequence,
+        clientTimestamp: response.lastSave.clientTimestamp
+      } : null
+    };
+  }
+
+  /**
+   * The server's copy of every answer in an attempt. Clients replace
+   * their local copy with this after syncing.
+   * @param {Object} attempt - StudentResponse document
+   * @param {Object} timer - Timer state of the attempt
+   * @returns {Object}
+   */
+  static buildState(attempt, timer) {
+    return {
+      attemptId: attempt._id,
+      status: attempt.status,
+      answers: attempt.responses.map(response => this.getAnswerState(response, attempt.presentation?.seed)),
+      answeredCount: attempt.responses.filter(response => response.isAnswered).length,
+      timer,
+      serverTime: new Date()
+    };
+  }
+}
+
+module.exports = AnswerSyncService;
@@ -0,0 +1,243 @@
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const SubmissionService = require('./SubmissionService');
+const SocketService = require('./SocketService');
+
+// ⏱️ GyanGuru Attempt Timer Service - Server-owned assessment clock
+// Features: Deadlines with pause credit, Grace periods, Expiry sweep & auto-submit, Live time sync
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_PAUSING = { allowed: true, maxPauses: 3, maxPauseMinutes: 15 };
+
+class AttemptTimerService {
+
+  // ==========================================
+  // 🧮 CLOCK
+  // ==========================================
+
+  static getPausePolicy(assessment) {
+    const pausing = assessment.configuration?.pausing || {};
+    return {
+      allowed: pausing.allowed ?? DEFAULT_PAUSING.allowed,
+      maxPauses: pausing.maxPauses ?? DEFAULT_PAUSING.maxPauses,
+      maxPauseMinutes: pausing.maxPauseMinutes ?? DEFAULT_PAUSING.maxPauseMinutes
+    };
+  }
+
+  /**
+   * Time spent paused so far (an open pause counts up to `now`)
+   * @returns {Number} Milliseconds
+   */
+  static getPausedMs(attempt, now = new Date()) {
+    return (attempt.timing?.pauses || []).reduce(
+      (total, pause) => total + Math.max(0, (pause.resumedAt || now) - pause.pausedAt), 0
+    );
+  }
+
+  /**
+   * Deadline of an attempt: start + duration + credited pause time, never
+   * later than the student's window (or its late window) closes
+   * @param {Object} attempt - StudentResponse document
+   * @param {Object} assessment - Assessment document
+   * @param {Date} now - Current time
+   * @returns {Date}
+   */
+  static getDeadline(attempt, assessment, now = new Date()) {
+    const policy = this.getPausePolicy(assessment);
+    const durationMinutes = attempt.timing?.durationMinutes || assessment.getStudentDuration(attempt.studentId);
+    const pauseCredit = policy.allowed
+      ? Math.min(this.getPausedMs(attempt, now), policy.maxPauseMinutes * MINUTE_MS)
+      : 0;
+
+    const deadline = attempt.startedAt.getTime() + durationMinutes * MINUTE_MS + pauseCredit;
+    return new Date(Math.min(deadline, assessment.getSubmissionCloseDate(attempt.studentId).getTime()));
+  }
+
+  /**
+   * Everything a client needs to render the clock
+   * @returns {Object} { deadline, graceEndsAt, remainingSeconds, isPaused, isExpired, isPastGrace, serverTime }
+   */
+  static getTimerState(attempt, assessment, now = new Date()) {
+    const deadline = this.getDeadline(attempt, assessment, now);
+    const graceEndsAt = new Date(deadline.getTime() + (assessment.schedule.gracePeriod || 0) * MINUTE_MS);
+
+    return {
+      deadline,
+      graceEndsAt,
+      remainingSeconds: Math.max(0, Math.floor((deadline - now) / 1000)),
+      isPaused: attempt.status === 'paused',
+      isExpired: now >= deadline,
+      isPastGrace: now > graceEndsAt,
+      serverTime: now
+    };
+  }
+
+  /**
+   * Store the current deadline and remaining minutes on the attempt
+   * (not saved)
+   */
+  static syncAttempt(attempt, assessment, now = new Date()) {
+    const state = this.getTimerState(attempt, assessment, now);
+
+    attempt.timing = attempt.timing || {};
+    attempt.timing.deadline = state.deadline;
+    attempt.timing.lastSyncedAt = now;
+    attempt.timeRemaining = Math.ceil(state.remainingSeconds / 60);
+
+    return state;
+  }
+
+  // ==========================================
+  // ⏸️ PAUSING
+  // ==========================================
+
+  /**
+   * Why an attempt may not be paused right now
+   * @returns {String|null} Reason, or null when pausing is allowed
+   */
+  static getPauseBlocker(attempt, assessment, now = new Date()) {
+    const policy = this.getPausePolicy(assessment);
+
+    if (!policy.allowed) return 'Pausing is not allowed for this assessment';
+    if ((attempt.timing?.pauses || []).length >= policy.maxPauses) {
+      return `You can pause at most ${policy.maxPauses} times`;
+    }
+    if (this.getTimerState(attempt, assessment, now).isExpired) return 'Assessment time has expired';
+
+    return null;
+  }
+
+  // ==========================================
+  // 🧹 EXPIRY SWEEP
+  // ==========================================
+
+  /**
+   * Auto-submit every open attempt whose time and grace period have run out
+   * (assessments with autoSubmit turned off are left for the student).
+   * A stored deadline only ever moves later (pause credit, extensions), so
+   * attempts whose stored deadline is still ahead are never loaded.
+   * @returns {Number} Attempts auto-submitted
+   */
+  static async sweepExpiredAttempts(now = new Date()) {
+    const openAssessmentIds = await StudentResponse.distinct('assessmentId', {
+      status: { $in: SubmissionService.ACTIVE_STATUSES }
+    });
+    if (openAssessmentIds.length === 0) return 0;
+
+    const assessments = new Map(
+      (await Assessment.find({ _id: { $in: openAssessmentIds }, 'schedule.autoSubmit': true }))
+        .map(assessment => [assessment._id.toString(), assessment])
+    );
+    if (assessments.size === 0) return 0;
+
+    const candidates = await StudentResponse.find({
+      assessmentId: { $in: Array.from(assessments.values()).map(assessment => assessment._id) },
+      status: { $in: SubmissionService.ACTIVE_STATUSES },
+      $or: [
+        { 'timing.deadline': { $lte: now } },
+        { 'timing.deadline': { $exists: false } }
+      ]
+    });
+
+    let submitted = 0;
+
+    for (const attempt of candidates) {
+      try {
+        const assessment = assessments.get(attempt.assessmentId.toString());
+
+        const state = this.getTimerState(attempt, assessment, now);
+        if (!state.isPastGrace) continue;
+
+        const result = await SubmissionService.finalizeAttempt(attempt, assessment, {
+          status: 'auto_submitted',
+          submittedAt: state.deadline
+        });
+
+        if (result) {
+          submitted++;
+          this.notifyAutoSubmitted(result);
+        }
+      } catch (error) {
+        console.error('❌ Auto-submit failed for attempt:', attempt._id.toString(), error.message);
+      }
+    }
+
+    return submitted;
+  }
+
+  // ==========================================
+  // 🔌 LIVE SYNC
+  // ==========================================
+
+  /**
+   * Push the server clock to every online student with an open attempt
+   * @returns {Number} Students synced
+   */
+  static async broadcastRemainingTime(now = new Date()) {
+    if (!SocketService.io) return 0;
+
+    const attempts = await StudentResponse.find({
+      status: { $in: ['started', 'in_progress'] }
+    }).select('assessmentId studentId status startedAt timing');
+
+    const assessments = new Map();
+    let synced = 0;
+
+    for (const attempt of attempts) {
+      const studentId = attempt.studentId.toString();
+      if (!SocketService.isUserOnline(studentId)) continue;
+
+      const key = attempt.assessmentId.toString();
+      if (!assessments.has(key)) {
+        assessments.set(key, await Assessment.findById(attempt.assessmentId).select('configuration schedule participants.students'));
+      }
+      const assessment = assessments.get(key);
+      if (!assessment) continue;
+
+      SocketService.sendAttemptTimer(studentId, {
+        assessmentId: key,
+        attemptId: attempt._id,
+        ...this.getTimerState(attempt, assessment, now)
+      });
+      synced++;
+    }
+
+    return synced;
+  }
+
+  /**
+   * Timer state of a student's open attempt on an assessment
+   * @returns {Object|null} Null when the student has no open attempt
+   */
+  static async getStudentTimerState(assessmentId, studentId) {
+    const attempt = await StudentResponse.findOne({
+      assessmentId,
+      studentId,
+      status: { $in: SubmissionService.ACTIVE_STATUSES }
+    }).select('assessmentId studentId status startedAt timing');
+    if (!attempt) return null;
+
+    const assessment = await Assessment.findById(assessmentId).select('configuration schedule participants.students');
+    if (!assessment) return null;
+
+    return {
+      assessmentId,
+      attemptId: attempt._id,
+      active: true,
+      ...this.getTimerState(attempt, assessment)
+    };
+  }
+
+  static notifyAutoSubmitted(attempt) {
+    if (!SocketService.io) return;
+
+    SocketService.sendAttemptAutoSubmitted(attempt.studentId.toString(), {
+      assessmentId: attempt.assessmentId,
+      attemptId: attempt._id,
+      submittedAt: attempt.submittedAt
+    });
+  }
+}
+
+module.exports = AttemptTimerService;
@@ -1,16 +1,50 @@
 const Question = require('../models/Question');
-const { AIQuestionGenerator } = require('./aiQuestionGenerator');
+const aiQuestionGenerator = require('./aiQuestionGenerator');
+const ShuffleService = require('./ShuffleService');
+const NumericAnswerService = require('./NumericAnswerService');
+const ExpressionService = require('./ExpressionService');
+const ObjectiveItemService = require('./ObjectiveItemService');
+
+// Expected shape of an AI grading reply
+const GRADING_RESPONSE_SCHEMA = {
+  score: { type: 'number', required: true, min: 0, max: 1 },
+  marksAwarded: { type: 'number', required: true, min: 0 },
+  confidence: { type: 'number', required: true, min: 0, max: 1 },
+  explanation: { type: 'string', required: true },
+  keyPoints: { type: 'array' },
+  qualityScore: { type: 'number', min: 0, max: 1 },
+  relevanceScore: { type: 'number', min: 0, max: 1 }
+};
+
+// Grades below this confidence wait for a teacher instead of being finalized
+const DEFAULT_REVIEW_THRESHOLD = 0.75;
+
+// Subjects whose short answers are usually expressions
+const MATH_SUBJECTS = ['Mathematics', 'Higher Mathematics', 'Physics', 'গণিত', 'উচ্চতর গণিত', 'পদার্থবিজ্ঞান'];
 
 class AutoGradingService {
-  constructor() {
-    this.aiService = new AIQuestionGenerator();
+  constructor(options = {}) {
+    // The AI client can be swapped (e.g. a stub in tests)
+    this.aiService = options.aiService || aiQuestionGenerator;
+    this.reviewThreshold = options.reviewThreshold ?? DEFAULT_REVIEW_THRESHOLD;
+  }
+
+  /**
+   * Whether a grading result is confident enough to finalize
+   */
+  needsReview(gradingResult) {
+    return gradingResult.needsManualGrading === true ||
+      (gradingResult.confidence ?? 0) < this.reviewThreshold;
   }
 
   /**
    * Grade Multiple Choice Question
    */
   gradeMCQ(studentAnswer, correctAnswer, maxMarks, negativeMarkingConfig = null) {
-    const isCorrect = studentAnswer.selectedOption === correctAnswer;
+    // Compare canonical option IDs when available so shuffled options grade correctly
+    const selected = studentAnswer.selectedOptionId || studentAnswer.selectedOption;
+    const isCorrect = selected !== undefined && selected !== null &&
+      selected.toString() === correctAnswer?.toString();
     
     if (isCorrect) {
       return {
@@ -31,7 +65,7 @@ class AutoGradingService {
         isCorrect: false,
         marksAwarded: Math.max(marksAwarded, -maxMarks), // Cap negative marks
         confidence: 1.0,
-        explanation: `Incorrect. Correct answer: ${correctAnswer}`
+        explanation: 'Incorrect option selected'
       };
     }
   }
@@ -103,35 +137,175 @@ class AutoGradingService {
         maxMarks
       );
 
-      const aiResponse = await this.aiService.generateResponse(prompt, 'groq');
-      const gradingResult = this.parseAIGradingResponse(aiResponse);
+      const { data: gradingResult, provider } = await this.aiService.generateJSON(
+        prompt,
+        GRADING_RESPONSE_SCHEMA,
+        {
+          systemPrompt: 'You are an expert teacher who grades student answers fairly and replies only with JSON.',
+          temperature: 0.1,
+          maxTokens: 600
+        }
+      );
+
+      // Never trust the model to respect the mark limit
+      const marksAwarded = Math.min(maxMarks, gradingResult.marksAwarded);
 
       return {
         isCorrect: gradingResult.score >= 0.7,
-        marksAwarded: Math.round(gradingResult.marksAwarded * 100) / 100,
+        marksAwarded: Math.round(marksAwarded * 100) / 100,
         confidence: gradingResult.confidence,
         explanation: gradingResult.explanation,
+        provider,
         aiAnalysis: {
-          keyPointsCovered: gradingResult.keyPoints,
+          keyPointsCovered: gradingResult.keyPoints || [],
           qualityScore: gradingResult.qualityScore,
           relevanceScore: gradingResult.relevanceScore
         }
       };
     } catch (error) {
-      console.error('AI grading failed:', error);
+      console.error('AI grading failed:', error.message);
       
       // Fallback to basic text similarity
-      return this.gradeTextSimilarity(studentAnswer.textAnswer, questionData.correctAnswer, maxMarks);
+      return this.gradeTextSimilarity(studentAnswer.textAnswer, this.getAnswerText(questionData.correctAnswer), maxMarks);
+    }
+  }
+
+  /**
+   * Grade Creative Question part by part (ka/kha/ga/gha)
+   */
+  async gradeCreativeQuestion(studentAnswer, questionData) {
+    const parts = questionData.creativeQuestion?.parts || [];
+    const answers = studentAnswer.cqAnswers || [];
+    const stem = questionData.creativeQuestion?.stem?.text || '';
+    const partResults = [];
+
+    for (const part of parts) {
+      const answer = answers.find(a => a.label === part.label);
+      const textAnswer = answer?.textAnswer?.trim();
+      const hasImages = answer?.imageUrls?.length > 0;
+
+      if (!textAnswer) {
+        partResults.push({
+          label: part.label,
+          maxMarks: part.marks,
+          autoMarks: 0,
+          confidence: hasImages ? 0 : 1.0,
+          explanation: hasImages ? 'Handwritten answer requires manual grading' : 'Not answered'
+        });
+        continue;
+      }
+
+      const expected = part.answerKey?.text || (part.answerKey?.keyPoints || []).join('. ');
+      let result;
+
+      if (part.level === 'knowledge') {
+        // Knowledge parts are short recall answers
+        result = this.gradeTextSimilarity(textAnswer, expected, part.marks);
+      } else {
+        result = await this.gradeShortAnswer(
+          { textAnswer },
+          { questionText: `${stem}\n\n${part.text}`, correctAnswer: expected },
+          part.marks
+        );
+      }
+
+      // Board marking awards whole marks for each part
+      partResults.push({
+        label: part.label,
+        maxMarks: part.marks,
+        autoMarks: Math.min(part.marks, Math.max(0, Math.round(result.marksAwarded))),
+        confidence: result.confidence,
+        explanation: result.explanation
+      });
+    }
+
+    const maxMarks = partResults.reduce((sum, p) => sum + p.maxMarks, 0);
+    const marksAwarded = partResults.reduce((sum, p) => sum + p.autoMarks, 0);
+
+    return {
+      isCorrect: maxMarks > 0 && marksAwarded === maxMarks,
+      marksAwarded,
+      confidence: partResults.length > 0 ? Math.min(...partResults.map(p => p.confidence)) : 0,
+      explanation: `${marksAwarded}/${maxMarks} marks across ${partResults.length} parts`,
+      partResults,
+      needsManualGrading: partResults.some(p => p.confidence < 0.7)
+    };
+  }
+
+  /**
+   * Grade a subjective response (Creative Question or free text) with AI.
+   * Short answers with an algebraic key are checked symbolically instead;
+   * Creative Questions and other short answers are left for manual grading
+   * when `useAI` is false.
+   * Returns null when the question cannot be auto-graded.
+   */
+  async gradeSubjectiveResponse(response, question, { useAI = true } = {}) {
+    if (response.questionType === 'Creative Question') {
+      if (!useAI || !question.creativeQuestion?.parts?.length) return null;
+      return this.gradeCreativeQuestion(response.answer, question);
     }
+
+    // Handwritten-only answers are left to the teacher
+    if (response.answer?.textAnswer?.trim() && this.isExpressionQuestion(question)) {
+      return this.gradeMathematical(
+        response.answer,
+        this.getExpressionKey(question),
+        response.maxMarks,
+        undefined,
+        { requiredForm: question.correctAnswer?.requiredForm }
+      );
+    }
+
+    if (!useAI) return null;
+
+    return this.gradeShortAnswer(
+      response.answer,
+      { questionText: question.question?.text, correctAnswer: question.correctAnswer },
+      response.maxMarks
+    );
+  }
+
+  /**
+   * Grade Numeric Question (tolerance, units and significant figures)
+   */
+  gradeNumeric(studentAnswer, numericAnswer, maxMarks) {
+    return NumericAnswerService.grade(studentAnswer.textAnswer, numericAnswer, maxMarks);
+  }
+
+  /**
+   * Grade Multiple Select, Matching or Ordering Question with the
+   * question's partial-credit rule
+   */
+  gradeObjectiveItem(studentAnswer, questionData, maxMarks) {
+    return ObjectiveItemService.grade(questionData, studentAnswer, maxMarks);
+  }
+
+  /**
+   * Answer key of an algebra question: LaTeX when stored, else the text
+   */
+  getExpressionKey(question) {
+    return question.correctAnswer?.latex || this.getAnswerText(question.correctAnswer);
+  }
+
+  /**
+   * Whether a short answer should be graded as an expression: the key is
+   * LaTeX or asks for a form, or a maths subject's key reads as one
+   */
+  isExpressionQuestion(question) {
+    const key = question.correctAnswer;
+    if (key?.latex || (key?.requiredForm && key.requiredForm !== 'any')) return true;
+
+    return MATH_SUBJECTS.includes(question.subject) &&
+      ExpressionService.isExpression(this.getAnswerText(key));
   }
 
   /**
    * Grade Mathematical Expression
    */
-  gradeMathematical(studentAnswer, correctAnswer, maxMarks, tolerance = 0.001) {
+  gradeMathematical(studentAnswer, correctAnswer, maxMarks, tolerance = 0.001, options = {}) {
     try {
       // For numerical answers
-      if (typeof correctAnswer === 'number' || !isNaN(parseFloat(correctAnswer))) {
+      if (typeof correctAnswer === 'number' || Number.isFinite(Number(correctAnswer))) {
         const studentNum = parseFloat(studentAnswer.textAnswer);
         const correctNum = parseFloat(correctAnswer);
         
@@ -154,16 +328,19 @@ class AutoGradingService {
         };
       }
       
-      // For algebraic expressions (basic string comparison for now)
-      // TODO: Implement symbolic math evaluation
-      const isCorrect = this.normalizeExpression(studentAnswer.textAnswer) === 
-                       this.normalizeExpression(correctAnswer);
+      // For algebraic expressions: equivalent after simplifying, in the required form
+      const result = ExpressionService.checkEquivalence(
+        studentAnswer.textAnswer,
+        correctAnswer,
+        { requiredForm: options.requiredForm }
+      );
+      const isCorrect = result.equivalent && result.formSatisfied;
       
       return {
         isCorrect,
         marksAwarded: isCorrect ? maxMarks : 0,
-        confidence: 0.8,
-        explanation: isCorrect ? 'Expression matches' : 'Expression does not match expected answer'
+        confidence: result.confidence,
+        explanation: result.explanation
       };
       
     } catch (error) {
@@ -190,7 +367,7 @@ class AutoGradingService {
       case 'MCQ':
         gradingResult = this.gradeMCQ(
           response.answer, 
-          questionData.correctAnswer, 
+          ShuffleService.getCorrectOptionId(questionData) || this.getAnswerText(questionData.correctAnswer), 
           maxMarks, 
           negativeMarking
         );
@@ -199,27 +376,40 @@ class AutoGradingService {
       case 'True/False':
         gradingResult = this.gradeTrueFalse(
           response.answer, 
-          questionData.correctAnswer, 
+          ShuffleService.getCorrectOptionId(questionData) || this.getAnswerText(questionData.correctAnswer), 
           maxMarks, 
           negativeMarking
         );
         break;
 
       case 'Fill in the Blanks':
+        // The key is one blank stored in correctAnswer.text
         gradingResult = this.gradeFillInTheBlanks(
           response.answer, 
-          questionData.correctAnswer, 
+          [this.getAnswerText(questionData.correctAnswer)], 
           maxMarks, 
           partialMarking
         );
         break;
 
+      case 'Numeric':
+        gradingResult = this.gradeNumeric(response.answer, questionData.numericAnswer, maxMarks);
+        break;
+
+      case 'Multiple Select':
+      case 'Matching':
+      case 'Ordering':
+        gradingResult = this.gradeObjectiveItem(response.answer, questionData, maxMarks);
+        break;
+
       case 'Short Answer':
-        if (questionData.subject === 'Mathematics' || questionData.subject === 'Physics') {
+        if (this.isExpressionQuestion(questionData)) {
           gradingResult = this.gradeMathematical(
             response.answer, 
-            questionData.correctAnswer, 
-            maxMarks
+            this.getExpressionKey(questionData), 
+            maxMarks,
+            undefined,
+            { requiredForm: questionData.correctAnswer?.requiredForm }
           );
         } else {
           gradingResult = await this.gradeShortAnswer(
@@ -230,6 +420,10 @@ class AutoGradingService {
         }
         break;
 
+      case 'Creative Question':
+        gradingResult = await this.gradeCreativeQuestion(response.answer, questionData);
+        break;
+
       case 'Long Answer':
       case 'Essay':
         // These require manual grading or advanced AI
@@ -333,22 +527,10 @@ class AutoGradingService {
     return text
       .toLowerCase()
       .trim()
-      .replace(/[^\w\s]/g, '') // Remove punctuation
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '') // Remove punctuation (keeps Bangla letters and vowel signs)
       .replace(/\s+/g, ' '); // Normalize whitespace
   }
 
-  /**
-   * Normalize mathematical expressions
-   */
-  normalizeExpression(expression) {
-    return expression
-      .toLowerCase()
-      .replace(/\s+/g, '') // Remove all spaces
-      .replace(/\*+/g, '*') // Normalize multiplication
-      .replace(/\++/g, '+') // Normalize addition
-      .replace(/-+/g, '-'); // Normalize subtraction
-  }
-
   /**
    * Calculate Levenshtein similarity
    */
@@ -397,7 +579,7 @@ class AutoGradingService {
       As an expert teacher, grade this student's answer:
       
       Question: ${questionText}
-      Correct Answer: ${correctAnswer}
+      Correct Answer: ${this.getAnswerText(correctAnswer)}
       Student Answer: ${studentAnswer}
       Max Marks: ${maxMarks}
       
@@ -413,42 +595,19 @@ class AutoGradingService {
       }
       
       Score should be between 0-1, where 1 means perfect answer.
+      marksAwarded must be between 0 and ${maxMarks}.
+      confidence is how sure you are of this grade (0-1); use a low value
+      if the answer is ambiguous, off-topic or in a language you cannot assess.
     `;
   }
 
   /**
-   * Parse AI grading response
+   * Model answer text from a correctAnswer field ({ text, keyPoints } or a string)
    */
-  parseAIGradingResponse(aiResponse) {
-    try {
-      // Extract JSON from AI response
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      // Fallback parsing
-      return {
-        score: 0.5,
-        marksAwarded: 0,
-        confidence: 0.3,
-        explanation: 'Could not parse AI response',
-        keyPoints: [],
-        qualityScore: 0.5,
-        relevanceScore: 0.5
-      };
-    } catch (error) {
-      console.error('Error parsing AI response:', error);
-      return {
-        score: 0,
-        marksAwarded: 0,
-        confidence: 0.1,
-        explanation: 'AI grading failed',
-        keyPoints: [],
-        qualityScore: 0,
-        relevanceScore: 0
-      };
-    }
+  getAnswerText(correctAnswer) {
+    if (!correctAnswer) return '';
+    if (typeof correctAnswer === 'string') return correctAnswer;
+    return correctAnswer.text || (correctAnswer.keyPoints || []).join('. ');
   }
 
   /**
@@ -527,4 +686,4 @@ class AutoGradingService {
   }
 }
 
-module.exports = { AutoGradingService };
+module.exports = { AutoGradingService, GRADING_RESPONSE_SCHEMA };
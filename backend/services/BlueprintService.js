@@ -0,0 +1,140 @@
+const Question = require('../models/Question');
+const ShuffleService = require('./ShuffleService');
+const QuestionReviewService = require('./QuestionReviewService');
+
+// 🧩 GyanGuru Blueprint Service - Per-student papers drawn from the question bank
+// Features: Section filters, Seeded draws, Equal marks & difficulty mix, Pool availability checks
+
+class BlueprintService {
+
+  // A section can ask for any question type the bank stores
+  static QUESTION_TYPES = Question.schema.path('type').enumValues;
+
+  // ==========================================
+  // 📐 BLUEPRINT SHAPE
+  // ==========================================
+
+  /**
+   * Total marks of every paper drawn from a blueprint
+   * @param {Object} blueprint - Assessment blueprint
+   * @returns {Number}
+   */
+  static getTotalMarks(blueprint) {
+    return (blueprint?.sections || []).reduce(
+      (total, section) => total + section.count * section.marksPerQuestion, 0
+    );
+  }
+
+  /**
+   * Question bank filter for one section. Only the assessment owner's
+   * questions and approved public questions are eligible.
+   * @param {Object} section - Blueprint section
+   * @param {String} ownerId - Assessment creator
+   * @returns {Object} Mongo query
+   */
+  static buildSectionQuery(section, ownerId) {
+    const query = {
+      isActive: true,
+      difficulty: section.difficulty,
+      $or: [{ createdBy: ownerId }, QuestionReviewService.PUBLIC_FILTER]
+    };
+
+    if (section.subject) query.subject = section.subject;
+    if (section.chapter) query.chapter = section.chapter;
+    if (section.topic) query.topic = section.topic;
+    if (section.class) query.class = section.class;
+    if (section.questionType) query.type = section.questionType;
+
+    return query;
+  }
+
+  static getSectionName(section, index) {
+    return section.name || `Section ${index + 1}`;
+  }
+
+  // ==========================================
+  // 🎲 DRAWING PAPERS
+  // ==========================================
+
+  /**
+   * Draw one paper. Sections are filled in order and a question is never
+   * used twice on the same paper. The same seed and question bank always
+   * give the same paper.
+   * @param {Object} blueprint - Assessment blueprint
+   * @param {String} ownerId - Assessment creator
+   * @param {Number} seed - Attempt seed
+   * @returns {Object} { items: [{ questionId, section, difficulty, marks }], sections: [{ name, requested, available, drawn }] }
+   */
+  static async drawPaper(blueprint, ownerId, seed) {
+    const used = new Set();
+    const items = [];
+    const sections = [];
+
+    for (const [index, section] of blueprint.sections.entries()) {
+      const candidates = await Question.find(this.buildSectionQuery(section, ownerId))
+        .select('_id')
+        .sort({ _id: 1 })
+        .lean();
+
+      const available = candidates
+        .map(candidate => candidate._id.toString())
+        .filter(id => !used.has(id));
+
+      const drawn = ShuffleService
+        .permute(available, ShuffleService.deriveSeed(seed, `section:${index}`))
+        .slice(0, section.count);
+
+      const name = this.getSectionName(section, index);
+      drawn.forEach(questionId => {
+        used.add(questionId);
+        items.push({
+          questionId,
+          section: name,
+          difficulty: section.difficulty,
+          marks: section.marksPerQuestion
+        });
+      });
+
+      sections.push({ name, requested: section.count, available: available.length, drawn: drawn.length });
+    }
+
+    return { items, sections };
+  }
+
+  /**
+   * Sections the question bank cannot fill
+   * @param {Array} sections - `sections` from drawPaper
+   * @returns {Array} Error messages (empty when every section is full)
+   */
+  static getShortages(sections) {
+    return sections
+      .filter(section => section.drawn < section.requested)
+      .map(section =>
+        `${section.name} needs ${section.requested} questions but the question bank has only ${section.drawn} eligible`
+      );
+  }
+
+  /**
+   * Load a drawn paper in the shape of `assessment.questions` entries
+   * (questionId populated), so it can be served like a fixed paper
+   * @param {Array} items - Paper items ({ questionId, difficulty, marks })
+   * @returns {Array} [{ questionId, marks, order, difficulty, timeLimit, isOptional }]
+   */
+  static async loadPaperQuestions(items) {
+    const questions = await Question.find({ _id: { $in: items.map(item => item.questionId) } });
+    const byId = new Map(questions.map(question => [question._id.toString(), question]));
+
+    return items
+      .map((item, index) => ({
+        questionId: byId.get(item.questionId.toString()),
+        marks: item.marks,
+        order: index + 1,
+        difficulty: item.difficulty,
+        timeLimit: 0,
+        isOptional: false
+      }))
+      .filter(entry => entry.questionId);
+  }
+}
+
+module.exports = BlueprintService;
@@ -0,0 +1,803 @@
+// ➗ GyanGuru Expression Service - Symbolic equivalence for algebra answers
+// Features: Plain/LaTeX expression parsing, Polynomial expand & simplify, Random-point equivalence, Required-form checks
+
+const NumericAnswerService = require('./NumericAnswerService');
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  sec: x => 1 / Math.cos(x),
+  csc: x => 1 / Math.sin(x),
+  cosec: x => 1 / Math.sin(x),
+  cot: x => 1 / Math.tan(x),
+  log: Math.log10,
+  ln: Math.log,
+  abs: Math.abs,
+  exp: Math.exp
+};
+// Longest names first so "cos" never shadows "cosec"
+const FUNCTION_NAMES = Object.keys(FUNCTIONS).sort((a, b) => b.length - a.length);
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const GREEK_LETTERS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', theta: 'θ', lambda: 'λ',
+  mu: 'μ', phi: 'φ', omega: 'ω', sigma: 'σ', rho: 'ρ', tau: 'τ'
+};
+
+const REQUIRED_FORMS = ['any', 'expanded', 'factored'];
+
+// Longest accepted input, to keep parsing cheap
+const MAX_EXPRESSION_LENGTH = 500;
+
+// Polynomials larger than this fall back to numeric checks only
+const MAX_POLYNOMIAL_TERMS = 200;
+const MAX_POLYNOMIAL_EXPONENT = 20;
+
+// Random-point equivalence
+const SAMPLE_POINTS = 24;
+const MIN_VALID_POINTS = 8;
+const RELATIVE_TOLERANCE = 1e-7;
+
+const round = (value) => Math.round(value * 1e9) / 1e9;
+
+const formatNumber = (value) => Number(round(value).toPrecision(10)).toString();
+
+// Deterministic generator so a response always grades the same way
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+class ExpressionService {
+
+  static REQUIRED_FORMS = REQUIRED_FORMS;
+
+  // ==========================================
+  // 📥 PARSING
+  // ==========================================
+
+  /**
+   * Read the contents of a LaTeX group ({...} or a single character)
+   * @returns {Object} { content, end } - end is the index after the group
+   */
+  static readLatexGroup(text, start) {
+    let i = start;
+    while (text[i] === ' ') i++;
+
+    if (text[i] !== '{') {
+      return { content: text[i] || '', end: i + 1 };
+    }
+
+    let depth = 0;
+    for (let j = i; j < text.length; j++) {
+      if (text[j] === '{') depth++;
+      if (text[j] === '}') depth--;
+      if (depth === 0) return { content: text.slice(i + 1, j), end: j + 1 };
+    }
+    throw new Error('Unbalanced braces');
+  }
+
+  /**
+   * Turn LaTeX (as stored in Question.question.latex) into plain notation
+   * @param {String} latex - e.g. "\frac{x^{2}-1}{x+1} \cdot 2"
+   * @returns {String} e.g. "((x^(2)-1)/(x+1)) * 2"
+   */
+  static latexToPlain(latex) {
+    let text = String(latex)
+      .replace(/\$/g, '')
+      .replace(/\\left|\\right/g, '')
+      .replace(/\\[,;:! ]/g, ' ')
+      .replace(/\\(?:cdot|times|ast)/g, '*')
+      .replace(/\\div/g, '/');
+
+    // \frac{a}{b} and \sqrt[n]{a}, innermost arguments converted recursively
+    const commandPattern = /\\(?:[dt]?frac|sqrt)/;
+    let match;
+    while ((match = text.match(commandPattern))) {
+      const start = match.index;
+      let end = start + match[0].length;
+      let replacement;
+
+      if (match[0] === '\\sqrt') {
+        let root = null;
+        if (text[end] === '[') {
+          const close = text.indexOf(']', end);
+          if (close === -1) throw new Error('Unbalanced brackets');
+          root = this.latexToPlain(text.slice(end + 1, close));
+          end = close + 1;
+        }
+        const radicand = this.readLatexGroup(text, end);
+        const inner = this.latexToPlain(radicand.content);
+        replacement = root ? `((${inner})^(1/(${root})))` : `sqrt(${inner})`;
+        end = radicand.end;
+      } else {
+        const numerator = this.readLatexGroup(text, end);
+        const denominator = this.readLatexGroup(text, numerator.end);
+        replacement = `((${this.latexToPlain(numerator.content)})/(${this.latexToPlain(denominator.content)}))`;
+        end = denominator.end;
+      }
+
+      text = text.slice(0, start) + replacement + text.slice(end);
+    }
+
+    return text
+      .replace(/\\([a-zA-Z]+)/g, (_, name) => GREEK_LETTERS[name] || (name === 'pi' ? 'π' : name))
+      .replace(/_\{(\w+)\}/g, '_$1')
+      .replace(/[{[]/g, '(')
+      .replace(/[}\]]/g, ')');
+  }
+
+  static tokenize(input) {
+    const text = NumericAnswerService.toAsciiDigits(input)
+      .replace(/[×·∙]/g, '*')
+      .replace(/÷/g, '/')
+      .replace(/[−–]/g, '-')
+      .replace(/²/g, '^2')
+      .replace(/³/g, '^3')
+      .replace(/√/g, 'sqrt')
+      .replace(/\*\*/g, '^');
+
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      const number = text.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (number) {
+        tokens.push({ type: 'num', value: parseFloat(number[0]) });
+        i += number[0].length;
+        continue;
+      }
+
+      if ('+-*/^()='.includes(char)) {
+        tokens.push({ type: 'op', value: char });
+        i++;
+        continue;
+      }
+
+      if (char === 'π') {
+        tokens.push({ type: 'const', value: 'pi' });
+        i++;
+        continue;
+      }
+
+      // A run of letters: function names and constants, otherwise
+      // single-letter variables multiplied together ("xy" = x*y)
+      const letters = text.slice(i).match(/^[a-zA-Zα-ω]+/);
+      if (!letters) {
+        throw new Error(`Unexpected character "${char}"`);
+      }
+
+      let run = letters[0];
+      i += run.length;
+
+      while (run.length > 0) {
+        const name = FUNCTION_NAMES.find(fn => run.toLowerCase().startsWith(fn));
+        if (name) {
+          tokens.push({ type: 'func', value: name });
+          run = run.slice(name.length);
+          continue;
+        }
+
+        if (run.toLowerCase().startsWith('pi')) {
+          tokens.push({ type: 'const', value: 'pi' });
+          run = run.slice(2);
+          continue;
+        }
+
+        if (run[0] === 'e') {
+          tokens.push({ type: 'const', value: 'e' });
+          run = run.slice(1);
+          continue;
+        }
+
+        // Subscripted variables such as x_1 are one variable
+        let variable = run[0];
+        run = run.slice(1);
+        if (run.length === 0) {
+          const subscript = text.slice(i).match(/^_(\w+)/);
+          if (subscript) {
+            variable += subscript[0];
+            i += subscript[0].length;
+          }
+        }
+        tokens.push({ type: 'var', value: variable });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse an expression (plain notation or LaTeX) into a syntax tree.
+   * Implicit multiplication is supported: 2x, 2(x+1), (x+1)(x-1), 3sin x.
+   * @param {String} input - Expression text
+   * @returns {Object} Syntax tree; an equation gives { type: 'eq', left, right }
+   * @throws {Error} When the expression cannot be read
+   */
+  static parse(input) {
+    if (!input || !String(input).trim()) {
+      throw new Error('Empty expression');
+    }
+    if (String(input).length > MAX_EXPRESSION_LENGTH) {
+      throw new Error('Expression is too long');
+    }
+
+    const text = /[\\{}$]/.test(input) ? this.latexToPlain(input) : String(input);
+    const tokens = this.tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expect = (value) => {
+      if (!isOp(value)) throw new Error(`Expected "${value}"`);
+      position++;
+    };
+    const startsOperand = () => {
+      const token = peek();
+      return token && (['num', 'var', 'const', 'func'].includes(token.type) || (token.type === 'op' && token.value === '('));
+    };
+
+    let parseExpression;
+
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) throw new Error('Expression ends unexpectedly');
+      position++;
+
+      if (token.type === 'num') return { type: 'num', value: token.value };
+      if (token.type === 'var') return { type: 'var', name: token.value };
+      if (token.type === 'const') return { type: 'const', name: token.value };
+
+      if (token.type === 'func') {
+        // sin^2 x means (sin x)^2
+        let power = null;
+        if (isOp('^')) {
+          position++;
+          power = parsePrimary();
+        }
+        const arg = isOp('(') ? parsePrimary() : parsePower();
+        const call = { type: 'func', name: token.value, arg };
+        return power ? { type: 'pow', base: call, exponent: power } : call;
+      }
+
+      if (token.type === 'op' && token.value === '(') {
+        const inner = parseExpression();
+        expect(')');
+        return { type: 'group', arg: inner };
+      }
+
+      throw new Error(`Unexpected "${token.value}"`);
+    };
+
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (isOp('^')) {
+        position++;
+        return { type: 'pow', base, exponent: parseUnary() };
+      }
+      return base;
+    };
+
+    const parseUnary = () => {
+      if (isOp('-')) {
+        position++;
+        return { type: 'neg', arg: parseUnary() };
+      }
+      if (isOp('+')) {
+        position++;
+        return parseUnary();
+      }
+      return parsePower();
+    };
+
+    const parseTerm = () => {
+      let node = parseUnary();
+      while (isOp('*') || isOp('/') || startsOperand()) {
+        if (isOp('/')) {
+          position++;
+          node = { type: 'div', left: node, right: parseUnary() };
+        } else {
+          if (isOp('*')) position++;
+          node = { type: 'mul', left: node, right: parseUnary() };
+        }
+      }
+      return node;
+    };
+
+    parseExpression = () => {
+      let node = parseTerm();
+      while (isOp('+') || isOp('-')) {
+        const op = peek().value;
+        position++;
+        const right = parseTerm();
+        node = op === '+' ? { type: 'add', left: node, right } : { type: 'sub', left: node, right };
+      }
+      return node;
+    };
+
+    let tree = parseExpression();
+    if (isOp('=')) {
+      position++;
+      tree = { type: 'eq', left: tree, right: parseExpression() };
+    }
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek().value}"`);
+    }
+
+    return tree;
+  }
+
+  /**
+   * Variables used in a syntax tree
+   * @returns {Set}
+   */
+  static getVariables(node, variables = new Set()) {
+    if (!node) return variables;
+    if (node.type === 'var') variables.add(node.name);
+    ['left', 'right', 'arg', 'base', 'exponent'].forEach(key => this.getVariables(node[key], variables));
+    return variables;
+  }
+
+  // ==========================================
+  // 🔢 EVALUATION
+  // ==========================================
+
+  static evaluate(node, scope) {
+    switch (node.type) {
+      case 'num': return node.value;
+      case 'var': return scope[node.name];
+      case 'const': return CONSTANTS[node.name];
+      case 'group': return this.evaluate(node.arg, scope);
+      case 'neg': return -this.evaluate(node.arg, scope);
+      case 'add': return this.evaluate(node.left, scope) + this.evaluate(node.right, scope);
+      case 'sub':
+      case 'eq': return this.evaluate(node.left, scope) - this.evaluate(node.right, scope);
+      case 'mul': return this.evaluate(node.left, scope) * this.evaluate(node.right, scope);
+      case 'div': return this.evaluate(node.left, scope) / this.evaluate(node.right, scope);
+      case 'pow': return Math.pow(this.evaluate(node.base, scope), this.evaluate(node.exponent, scope));
+      case 'func': return FUNCTIONS[node.name](this.evaluate(node.arg, scope));
+      default: return NaN;
+    }
+  }
+
+  // ==========================================
+  // 🧮 POLYNOMIALS (expand & simplify)
+  // ==========================================
+
+  // Monomial key: variables with exponents in name order, e.g. "x^2*y"
+  static monomialKey(powers) {
+    return Object.keys(powers).sort()
+      .filter(name => powers[name] !== 0)
+      .map(name => (powers[name] === 1 ? name : `${name}^${powers[name]}`))
+      .join('*');
+  }
+
+  static parseMonomialKey(key) {
+    const powers = {};
+    if (!key) return powers;
+    key.split('*').forEach(part => {
+      const [name, exponent] = part.split('^');
+      powers[name] = exponent ? parseInt(exponent, 10) : 1;
+    });
+    return powers;
+  }
+
+  static polyFromTerms(entries) {
+    const poly = new Map();
+    entries.forEach(([key, coefficient]) => {
+      const sum = round((poly.get(key) || 0) + coefficient);
+      if (sum === 0) poly.delete(key);
+      else poly.set(key, sum);
+    });
+    if (poly.size > MAX_POLYNOMIAL_TERMS) throw new Error('Polynomial too large');
+    return poly;
+  }
+
+  static polyMultiply(a, b) {
+    const entries = [];
+    a.forEach((coefA, keyA) => {
+      b.forEach((coefB, keyB) => {
+        const powers = this.parseMonomialKey(keyA);
+        Object.entries(this.parseMonomialKey(keyB)).forEach(([name, exponent]) => {
+          powers[name] = (powers[name] || 0) + exponent;
+        });
+        entries.push([this.monomialKey(powers), coefA * coefB]);
+      });
+    });
+    return this.polyFromTerms(entries);
+  }
+
+  static polyConstant(poly) {
+    if (poly.size === 0) return 0;
+    if (poly.size === 1 && poly.has('')) return poly.get('');
+    return null;
+  }
+
+  /**
+   * Expand a syntax tree into a polynomial (monomial key -> coefficient).
+   * Returns null when the expression is not a polynomial, e.g. it has
+   * functions, variable denominators or fractional powers.
+   */
+  static toPolynomial(node) {
+    try {
+      return this.expandNode(node);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static expandNode(node) {
+    switch (node.type) {
+      case 'num':
+        return this.polyFromTerms([['', node.value]]);
+      case 'var':
+        return this.polyFromTerms([[node.name, 1]]);
+      case 'const':
+        return this.polyFromTerms([['', CONSTANTS[node.name]]]);
+      case 'group':
+        return this.expandNode(node.arg);
+      case 'neg':
+        return this.polyFromTerms([...this.expandNode(node.arg)].map(([key, coef]) => [key, -coef]));
+      case 'add':
+      case 'sub':
+      case 'eq': {
+        const sign = node.type === 'add' ? 1 : -1;
+        return this.polyFromTerms([
+          ...this.expandNode(node.left),
+          ...[...this.expandNode(node.right)].map(([key, coef]) => [key, sign * coef])
+        ]);
+      }
+      case 'mul':
+        return this.polyMultiply(this.expandNode(node.left), this.expandNode(node.right));
+      case 'div': {
+        const divisor = this.polyConstant(this.expandNode(node.right));
+        if (!divisor) throw new Error('Not a polynomial');
+        return this.polyFromTerms([...this.expandNode(node.left)].map(([key, coef]) => [key, coef / divisor]));
+      }
+      case 'pow': {
+        const exponent = this.polyConstant(this.expandNode(node.exponent));
+        if (!Number.isInteger(exponent) || exponent < 0 || exponent > MAX_POLYNOMIAL_EXPONENT) {
+          throw new Error('Not a polynomial');
+        }
+        const base = this.expandNode(node.base);
+        let result = this.polyFromTerms([['', 1]]);
+        for (let i = 0; i < exponent; i++) result = this.polyMultiply(result, base);
+        return result;
+      }
+      default:
+        throw new Error('Not a polynomial');
+    }
+  }
+
+  static degreeOf(key) {
+    return Object.values(this.parseMonomialKey(key)).reduce((total, exponent) => total + exponent, 0);
+  }
+
+  /**
+   * Write a polynomial in standard form, highest degree first: "2x^2 + 3xy - 1"
+   */
+  static formatPolynomial(poly) {
+    if (poly.size === 0) return '0';
+
+    const terms = [...poly.entries()].sort(([a], [b]) =>
+      this.degreeOf(b) - this.degreeOf(a) || a.localeCompare(b)
+    );
+
+    return terms.map(([key, coefficient], i) => {
+      const magnitude = Math.abs(coefficient);
+      const variables = key.replace(/\*/g, '');
+      const body = !variables ? formatNumber(magnitude) : `${magnitude === 1 ? '' : formatNumber(magnitude)}${variables}`;
+      if (i === 0) return coefficient < 0 ? `-${body}` : body;
+      return coefficient < 0 ? ` - ${body}` : ` + ${body}`;
+    }).join('');
+  }
+
+  /**
+   * Expanded, simplified form of an expression, or null when it is not a polynomial
+   * @param {String} input - Expression text (plain or LaTeX)
+   * @returns {String|null}
+   */
+  static expand(input) {
+    const poly = this.toPolynomial(this.parse(input));
+    return poly ? this.formatPolynomial(poly) : null;
+  }
+
+  // ==========================================
+  // 📐 FORM CHECKS
+  // ==========================================
+
+  static unwrap(node) {
+    let current = node;
+    while (current.type === 'group') current = current.arg;
+    return current;
+  }
+
+  static containsSum(node) {
+    if (!node) return false;
+    if (['add', 'sub'].includes(node.type)) return true;
+    return ['left', 'right', 'arg', 'base'].some(key => this.containsSum(node[key]));
+  }
+
+  static flattenSum(node, terms = []) {
+    const current = this.unwrap(node);
+    if (current.type === 'add' || current.type === 'sub') {
+      this.flattenSum(current.left, terms);
+      this.flattenSum(current.right, terms);
+    } else {
+      terms.push(current);
+    }
+    return terms;
+  }
+
+  static flattenProduct(node, factors = []) {
+    const current = this.unwrap(node);
+    if (current.type === 'neg') return this.flattenProduct(current.arg, factors);
+    if (current.type === 'mul') {
+      this.flattenProduct(current.left, factors);
+      this.flattenProduct(current.right, factors);
+    } else {
+      factors.push(current);
+    }
+    return factors;
+  }
+
+  /**
+   * Why a polynomial factor could still be factored, or null when it cannot
+   * (with integer coefficients: common factors and rational roots).
+   */
+  static findFurtherFactor(poly) {
+    const coefficients = [...poly.values()];
+    if (poly.size < 2 || !coefficients.every(Number.isInteger)) return null;
+
+    const content = coefficients.reduce((result, coef) => gcd(result, coef), 0);
+    if (content > 1) return `a common factor ${content} can be taken out`;
+
+    const keys = [...poly.keys()];
+    const powers = keys.map(key => this.parseMonomialKey(key));
+    const shared = Object.keys(powers[0]).find(name => powers.every(term => term[name] > 0));
+    if (shared) return `a common factor ${shared} can be taken out`;
+
+    // Rational root test for one-variable factors of degree 2 or more
+    const variables = new Set(keys.flatMap(key => Object.keys(this.parseMonomialKey(key))));
+    if (variables.size !== 1) return null;
+
+    const [variable] = variables;
+    const degree = Math.max(...keys.map(key => this.degreeOf(key)));
+    if (degree < 2) return null;
+
+    const constant = Math.abs(poly.get('') || 0);
+    const leading = Math.abs(poly.get(this.monomialKey({ [variable]: degree })));
+    const divisors = (n) => Array.from({ length: n }, (_, i) => i + 1).filter(d => n % d === 0);
+    if (constant === 0 || constant > 10000 || leading > 10000) return null;
+
+    for (const p of divisors(constant)) {
+      for (const q of divisors(leading)) {
+        for (const root of [p / q, -p / q]) {
+          const value = [...poly.entries()].reduce(
+            (total, [key, coef]) => total + coef * Math.pow(root, this.degreeOf(key)), 0
+          );
+          if (Math.abs(value) < 1e-9) {
+            return `${this.formatPolynomial(poly)} has the factor (${variable} ${root < 0 ? '+' : '-'} ${formatNumber(Math.abs(root))})`;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether an expression is written in the required form
+   * @param {Object} tree - Syntax tree of the student's answer
+   * @param {String} form - 'any' | 'expanded' | 'factored'
+   * @returns {Object} { satisfied, reason }
+   */
+  static checkForm(tree, form) {
+    if (!form || form === 'any') return { satisfied: true };
+
+    if (form === 'expanded') {
+      const terms = this.flattenSum(tree);
+      if (terms.some(term => this.containsSum(term))) {
+        return { satisfied: false, reason: 'it still has brackets to multiply out' };
+      }
+
+      const poly = this.toPolynomial(tree);
+      if (poly && terms.length > Math.max(poly.size, 1)) {
+        return { satisfied: false, reason: `like terms are not collected (${this.formatPolynomial(poly)})` };
+      }
+      return { satisfied: true };
+    }
+
+    if (form === 'factored') {
+      const top = this.unwrap(tree);
+      if (top.type === 'add' || top.type === 'sub') {
+        return { satisfied: false, reason: 'it is a sum, not a product of factors' };
+      }
+
+      const factors = this.flattenProduct(top);
+      const isPowerOfSum = (factor) => factor.type === 'pow' && this.containsSum(factor.base);
+      if (factors.length < 2 && !factors.some(isPowerOfSum)) {
+        return { satisfied: false, reason: 'it is not written as a product of factors' };
+      }
+
+      for (const factor of factors) {
+        const base = factor.type === 'pow' ? factor.base : factor;
+        if (!this.containsSum(base)) continue;
+
+        const poly = this.toPolynomial(base);
+        const further = poly && this.findFurtherFactor(poly);
+        if (further) return { satisfied: false, reason: `it can be factored further: ${further}` };
+      }
+      return { satisfied: true };
+    }
+
+    return { satisfied: true };
+  }
+
+  // ==========================================
+  // ⚖️ EQUIVALENCE
+  // ==========================================
+
+  /**
+   * Compare two trees at random points. Equations compare their sides'
+   * difference up to a constant multiple (2x = 4 matches x = 2).
+   * @returns {Object} { equivalent, validPoints, counterexample }
+   */
+  static compareNumerically(a, b, seed = 1) {
+    const variables = [...new Set([...this.getVariables(a), ...this.getVariables(b)])].sort();
+    const random = createRandom(seed);
+    const isEquation = a.type === 'eq' && b.type === 'eq';
+    let ratio = null;
+    let validPoints = 0;
+
+    for (let i = 0; i < SAMPLE_POINTS * 2 && validPoints < SAMPLE_POINTS; i++) {
+      const scope = {};
+      variables.forEach(name => {
+        // Avoid values near zero, where 1/x style answers blow up
+        const magnitude = 0.5 + random() * 4.5;
+        scope[name] = round(random() < 0.5 ? -magnitude : magnitude);
+      });
+
+      const valueA = this.evaluate(a, scope);
+      const valueB = this.evaluate(b, scope);
+      if (!Number.isFinite(valueA) || !Number.isFinite(valueB)) continue;
+      validPoints++;
+
+      const scale = Math.max(1, Math.abs(valueA), Math.abs(valueB));
+      if (isEquation) {
+        if (Math.abs(valueB) < RELATIVE_TOLERANCE * scale) {
+          if (Math.abs(valueA) < RELATIVE_TOLERANCE * scale) continue;
+          return { equivalent: false, validPoints, counterexample: { scope, valueA, valueB } };
+        }
+        const current = valueA / valueB;
+        if (ratio === null) ratio = current;
+        if (Math.abs(current - ratio) > RELATIVE_TOLERANCE * Math.max(1, Math.abs(ratio)) || ratio === 0) {
+          return { equivalent: false, validPoints, counterexample: { scope, valueA, valueB } };
+        }
+      } else if (Math.abs(valueA - valueB) > RELATIVE_TOLERANCE * scale) {
+        return { equivalent: false, validPoints, counterexample: { scope, valueA, valueB } };
+      }
+    }
+
+    return { equivalent: validPoints >= MIN_VALID_POINTS, validPoints };
+  }
+
+  static describePoint(scope) {
+    const names = Object.keys(scope);
+    return names.length === 0 ? '' : ` at ${names.map(name => `${name} = ${formatNumber(scope[name])}`).join(', ')}`;
+  }
+
+  /**
+   * Check a student's expression against the answer key.
+   * Polynomials are compared exactly after expansion; anything else by
+   * evaluating both at random points.
+   * @param {String} studentInput - Student's answer (plain or LaTeX)
+   * @param {String} keyInput - Answer key (plain or LaTeX)
+   * @param {Object} options - { requiredForm }
+   * @returns {Object} { equivalent, formSatisfied, confidence, explanation, expanded }
+   */
+  static checkEquivalence(studentInput, keyInput, { requiredForm = 'any' } = {}) {
+    let key;
+    try {
+      key = this.parse(keyInput);
+    } catch (error) {
+      throw new Error(`Answer key "${keyInput}" is not a valid expression: ${error.message}`);
+    }
+
+    let student;
+    try {
+      student = this.parse(studentInput);
+    } catch (error) {
+      return {
+        equivalent: false,
+        formSatisfied: false,
+        confidence: 0.9,
+        explanation: `Could not read "${studentInput}" as an expression (${error.message})`
+      };
+    }
+
+    // "x = 3" answers a question whose key is just "3"
+    if (student.type === 'eq' && key.type !== 'eq' && this.unwrap(student.left).type === 'var') {
+      student = student.right;
+    }
+
+    let equivalent;
+    let confidence;
+    let explanation;
+    let expanded = null;
+
+    const studentPoly = student.type === 'eq' || key.type === 'eq' ? null : this.toPolynomial(student);
+    const keyPoly = studentPoly ? this.toPolynomial(key) : null;
+
+    if (studentPoly && keyPoly) {
+      expanded = { student: this.formatPolynomial(studentPoly), key: this.formatPolynomial(keyPoly) };
+      equivalent = expanded.student === expanded.key;
+      confidence = 1.0;
+      explanation = equivalent
+        ? `Equivalent: both simplify to ${expanded.key}`
+        : `Not equivalent: your answer simplifies to ${expanded.student}, the expected answer to ${expanded.key}`;
+    } else {
+      const comparison = this.compareNumerically(student, key);
+      equivalent = comparison.equivalent;
+
+      if (comparison.counterexample) {
+        const { scope, valueA, valueB } = comparison.counterexample;
+        confidence = 0.95;
+        explanation = key.type === 'eq'
+          ? `Not equivalent: the equations disagree${this.describePoint(scope)}`
+          : `Not equivalent${this.describePoint(scope)}: your answer gives ${formatNumber(valueA)}, the expected answer gives ${formatNumber(valueB)}`;
+      } else if (equivalent) {
+        confidence = 0.95;
+        explanation = `Equivalent: both agree at ${comparison.validPoints} random points`;
+      } else {
+        confidence = 0.5;
+        explanation = 'Could not check equivalence: the expressions are undefined at most test points';
+      }
+    }
+
+    let formSatisfied = equivalent;
+    if (equivalent && requiredForm !== 'any') {
+      const form = this.checkForm(student, requiredForm);
+      formSatisfied = form.satisfied;
+      explanation += form.satisfied
+        ? `, and written in ${requiredForm} form`
+        : `, but not in ${requiredForm} form: ${form.reason}`;
+    }
+
+    return { equivalent, formSatisfied, confidence, explanation, expanded };
+  }
+
+  /**
+   * Whether text reads as an expression rather than prose. Any word parses
+   * as a product of letters, so long letter runs that are not function
+   * names rule text out.
+   */
+  static isExpression(input) {
+    if (!input) return false;
+
+    try {
+      const text = /[\\{}$]/.test(input) ? this.latexToPlain(input) : String(input);
+      const functionNames = new RegExp(FUNCTION_NAMES.join('|'), 'g');
+      if (/[a-z]{4,}/.test(text.toLowerCase().replace(functionNames, ' '))) return false;
+      this.parse(input);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = ExpressionService;
@@ -0,0 +1,242 @@
+const StudentResponse = require('../models/StudentResponse');
+
+// 📝 GyanGuru Grading Queue Service - Teacher grading sessions
+// Features: Ungraded subjective answer queue, Per-answer locks, Skip handling, Ordering modes
+
+// Response types that need a teacher (or a reviewed AI grade)
+const SUBJECTIVE_TYPES = ['Short Answer', 'Long Answer', 'Essay', 'Creative Question'];
+
+// A lock that is not renewed within this window can be taken by another grader
+const LOCK_DURATION_MS = 10 * 60 * 1000;
+
+// AI review states that already count as a final grade
+const FINAL_REVIEW_STATES = ['not_required', 'accepted', 'overridden'];
+
+const DIFFICULTY_ORDER = { hard: 0, medium: 1, easy: 2 };
+
+class GradingQueueService {
+
+  static SUBJECTIVE_TYPES = SUBJECTIVE_TYPES;
+  static LOCK_DURATION_MS = LOCK_DURATION_MS;
+
+  // ==========================================
+  // 📋 QUEUE
+  // ==========================================
+
+  /**
+   * Whether a response still needs a teacher's grade
+   * @param {Object} response - StudentResponse.responses entry
+   * @param {Object} options - { includeGraded }
+   * @returns {Boolean}
+   */
+  static needsGrading(response, options = {}) {
+    if (!SUBJECTIVE_TYPES.includes(response.questionType) || !response.isAnswered) {
+      return false;
+    }
+
+    if (options.includeGraded) return true;
+
+    const manuallyGraded = response.manualGrading?.marksAwarded !== undefined &&
+      response.manualGrading?.marksAwarded !== null;
+    const reviewFinal = FINAL_REVIEW_STATES.includes(response.autoGrading?.reviewStatus);
+
+    return !manuallyGraded && !reviewFinal;
+  }
+
+  /**
+   * Whether another session holds a live lock on a response
+   * @param {Object} response - StudentResponse.responses entry
+   * @param {String} sessionId - Current grading session
+   * @returns {Boolean}
+   */
+  static isLockedByOther(response, sessionId) {
+    const lock = response.gradingLock;
+    if (!lock?.expiresAt || lock.expiresAt <= new Date()) return false;
+    return lock.sessionId?.toString() !== sessionId?.toString();
+  }
+
+  /**
+   * Subjective answers of an assessment, ordered for grading
+   * @param {String} assessmentId - Assessment ID
+   * @param {Object} options - { focusArea, questionId, gradingMode, prioritizeByDifficulty, includeGraded }
+   * @returns {Array} [{ submission, response }]
+   */
+  static async getQueue(assessmentId, options = {}) {
+    const {
+      focusArea = 'all',
+      questionId,
+      gradingMode = 'sequential',
+      prioritizeByDifficulty = false,
+      includeGraded = false
+    } = options;
+
+    const submissions = await StudentResponse.find({
+      assessmentId,
+      status: { $in: ['submitted', 'auto_submitted', 'graded'] },
+      'responses.questionType': { $in: SUBJECTIVE_TYPES }
+    })
+      .populate('studentId', 'name email avatar')
+      .populate('responses.questionId', 'title question.text type difficulty marks creativeQuestion correctAnswer')
+      .sort({ submittedAt: 1 });
+
+    let queue = submissions.flatMap(submission =>
+      submission.responses
+        .filter(response => this.needsGrading(response, { includeGraded }))
+        .filter(response => focusArea === 'all' || response.questionType === focusArea)
+        .filter(response => !questionId || this.getQuestionId(response) === questionId.toString())
+        .map(response => ({ submission, response }))
+    );
+
+    if (gradingMode === 'random') {
+      queue = this.shuffle(queue);
+    } else if (gradingMode === 'priority') {
+      // Pending AI reviews first (least confident first), then oldest submissions
+      queue.sort((a, b) => {
+        const aPending = a.response.autoGrading?.reviewStatus === 'pending';
+        const bPending = b.response.autoGrading?.reviewStatus === 'pending';
+        if (aPending !== bPending) return aPending ? -1 : 1;
+        if (aPending) return (a.response.autoGrading.confidence || 0) - (b.response.autoGrading.confidence || 0);
+        return 0;
+      });
+    }
+
+    if (prioritizeByDifficulty) {
+      queue.sort((a, b) =>
+        (DIFFICULTY_ORDER[a.response.questionId?.difficulty] ?? 1) -
+        (DIFFICULTY_ORDER[b.response.questionId?.difficulty] ?? 1)
+      );
+    }
+
+    return queue;
+  }
+
+  /**
+   * Lock the next gradable answer for a session
+   * @param {Object} session - GradingSession document
+   * @param {Object} preferences - { skipAlreadyGraded, prioritizeByDifficulty, randomOrder }
+   * @returns {Object|null} { submission, response, remaining }
+   */
+  static async findNextItem(session, preferences = {}) {
+    const queue = await this.getQueue(session.assessmentId, {
+      focusArea: session.configuration.focusArea,
+      questionId: session.configuration.questionId,
+      gradingMode: preferences.randomOrder ? 'random' : session.configuration.gradingMode,
+      prioritizeByDifficulty: preferences.prioritizeByDifficulty,
+      includeGraded: preferences.skipAlreadyGraded === false
+    });
+
+    const isSkipped = ({ submission, response }) => session.skipped.some(item =>
+      item.submissionId.toString() === submission._id.toString() &&
+      item.questionId.toString() === this.getQuestionId(response)
+    );
+
+    const available = queue.filter(item => !this.isLockedByOther(item.response, session._id));
+
+    // Skipped answers come back only once everything else is taken
+    const ordered = [
+      ...available.filter(item => !isSkipped(item)),
+      ...available.filter(item => isSkipped(item))
+    ];
+
+    for (const item of ordered) {
+      const locked = await this.acquireLock(
+        item.submission._id,
+        this.getQuestionId(item.response),
+        { teacherId: session.teacherId, sessionId: session._id }
+      );
+
+      // Another grader won the race; try the next answer
+      if (locked) {
+        return { ...item, remaining: available.length - 1 };
+      }
+    }
+
+    return null;
+  }
+
+  // ==========================================
+  // 🔒 LOCKS
+  // ==========================================
+
+  /**
+   * Atomically lock one answer for a session. Succeeds when the answer is
+   * unlocked, the lock has expired, or the session already holds it.
+   * @returns {Boolean} Whether the lock was acquired
+   */
+  static async acquireLock(submissionId, questionId, { teacherId, sessionId }) {
+    const now = new Date();
+
+    const result = await StudentResponse.updateOne(
+      {
+        _id: submissionId,
+        responses: {
+          $elemMatch: {
+            questionId,
+            $or: [
+              { 'gradingLock.expiresAt': { $exists: false } },
+              { 'gradingLock.expiresAt': null },
+              { 'gradingLock.expiresAt': { $lte: now } },
+              { 'gradingLock.sessionId': sessionId }
+            ]
+          }
+        }
+      },
+      {
+        $set: {
+          'responses.$.gradingLock': {
+            lockedBy: teacherId,
+            sessionId,
+            lockedAt: now,
+            expiresAt: new Date(now.getTime() + LOCK_DURATION_MS)
+          }
+        }
+      }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Release a session's lock on one answer
+   */
+  static async releaseLock(submissionId, questionId, sessionId) {
+    await StudentResponse.updateOne(
+      {
+        _id: submissionId,
+        responses: { $elemMatch: { questionId, 'gradingLock.sessionId': sessionId } }
+      },
+      { $unset: { 'responses.$.gradingLock': '' } }
+    );
+  }
+
+  /**
+   * Release every lock held by a session
+   */
+  static async releaseSessionLocks(assessmentId, sessionId) {
+    await StudentResponse.updateMany(
+      { assessmentId, 'responses.gradingLock.sessionId': sessionId },
+      { $unset: { 'responses.$[locked].gradingLock': '' } },
+      { arrayFilters: [{ 'locked.gradingLock.sessionId': sessionId }] }
+    );
+  }
+
+  // ==========================================
+  // 🔧 UTILITY METHODS
+  // ==========================================
+
+  // questionId may or may not be populated
+  static getQuestionId(response) {
+    return (response.questionId?._id || response.questionId).toString();
+  }
+
+  static shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+module.exports = GradingQueueService;
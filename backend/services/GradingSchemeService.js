@@ -0,0 +1,220 @@
+// 🎓 GyanGuru Grading Scheme Service - Letter grades, grade points and GPA
+// Features: Named grading schemes, Bangladesh board GPA, Subject-wise grade points, 4th subject bonus
+
+// Bangladesh SSC/HSC board scale (out of 5.00)
+const BD_SSC_HSC_SCALE = [
+  { letter: 'A+', min: 80, max: 100, gradePoint: 5.0, description: 'Outstanding' },
+  { letter: 'A', min: 70, max: 79, gradePoint: 4.0, description: 'Excellent' },
+  { letter: 'A-', min: 60, max: 69, gradePoint: 3.5, description: 'Very Good' },
+  { letter: 'B', min: 50, max: 59, gradePoint: 3.0, description: 'Good' },
+  { letter: 'C', min: 40, max: 49, gradePoint: 2.0, description: 'Satisfactory' },
+  { letter: 'D', min: 33, max: 39, gradePoint: 1.0, description: 'Pass' },
+  { letter: 'F', min: 0, max: 32, gradePoint: 0.0, description: 'Fail' }
+];
+
+const GRADING_SCHEMES = {
+  // Letter grades taken from the assessment's own gradingScale
+  standard: {
+    name: 'standard',
+    label: 'Standard letter grades',
+    maxGradePoint: null,
+    passPercentage: 40,
+    scale: null
+  },
+
+  bd_ssc_hsc: {
+    name: 'bd_ssc_hsc',
+    label: 'Bangladesh SSC/HSC GPA',
+    maxGradePoint: 5.0,
+    passPercentage: 33,
+    // Grade points above this on the optional (4th) subject count as bonus
+    optionalSubjectThreshold: 2.0,
+    scale: BD_SSC_HSC_SCALE
+  }
+};
+
+const DEFAULT_SCHEME = 'standard';
+const DEFAULT_GPA_SCHEME = 'bd_ssc_hsc';
+
+class GradingSchemeService {
+
+  static SCHEMES = Object.keys(GRADING_SCHEMES);
+
+  // Schemes with a fixed grade-point scale; only these can produce a GPA
+  static GPA_SCHEMES = Object.keys(GRADING_SCHEMES).filter(name => GRADING_SCHEMES[name].scale);
+
+  static DEFAULT_GPA_SCHEME = DEFAULT_GPA_SCHEME;
+
+  // ==========================================
+  // 📋 SCHEME LOOKUP
+  // ==========================================
+
+  /**
+   * Get a grading scheme definition by name
+   * @param {String} name - Scheme name
+   * @returns {Object} Scheme definition (falls back to standard)
+   */
+  static getScheme(name) {
+    return GRADING_SCHEMES[name] || GRADING_SCHEMES[DEFAULT_SCHEME];
+  }
+
+  /**
+   * Resolve the grade bands that apply to an assessment
+   * @param {Object} grading - Assessment grading config (or a bare gradingScale)
+   * @returns {Object} { scheme, bands } with bands sorted from highest minimum
+   */
+  static resolveScale(grading = {}) {
+    const isGradingConfig = grading && (grading.scheme !== undefined || grading.gradingScale !== undefined);
+    const scheme = this.getScheme(isGradingConfig ? grading.scheme : DEFAULT_SCHEME);
+
+    let bands;
+    if (scheme.scale) {
+      bands = scheme.scale;
+    } else {
+      const gradingScale = isGradingConfig ? grading.gradingScale : grading;
+      bands = this.normalizeScale(gradingScale);
+    }
+
+    return {
+      scheme,
+      bands: [...bands].sort((a, b) => b.min - a.min)
+    };
+  }
+
+  /**
+   * Convert a gradingScale Map (or plain object) into an array of bands
+   * @param {Map|Object} gradingScale - letter -> { min, max, description, gradePoint }
+   * @returns {Array} [{ letter, min, max, gradePoint, description }]
+   */
+  static normalizeScale(gradingScale) {
+    if (!gradingScale) return [];
+
+    const entries = gradingScale instanceof Map
+      ? Array.from(gradingScale.entries())
+      : Object.entries(gradingScale.toObject ? gradingScale.toObject() : gradingScale);
+
+    return entries.map(([letter, range]) => ({
+      letter,
+      min: range.min,
+      max: range.max,
+      gradePoint: typeof range.gradePoint === 'number' ? range.gradePoint : null,
+      description: range.description
+    }));
+  }
+
+  // ==========================================
+  // 🏷️ GRADE CALCULATION
+  // ==========================================
+
+  /**
+   * Letter grade and grade point for a percentage
+   * @param {Number} percentage - Score percentage (0-100)
+   * @param {Object} grading - Assessment grading config (or a bare gradingScale)
+   * @returns {Object} { letter, gradePoint, description, scheme, isPassed }
+   */
+  static gradeForPercentage(percentage, grading) {
+    const { scheme, bands } = this.resolveScale(grading);
+
+    // Bands are matched on their lower bound so fractional percentages
+    // (e.g. 79.5) never fall into the gap between two integer ranges
+    const value = Math.max(0, Number(percentage) || 0);
+    const band = bands.find(b => value >= b.min) || bands[bands.length - 1];
+
+    if (!band) {
+      return { letter: null, gradePoint: null, description: null, scheme: scheme.name, isPassed: false };
+    }
+
+    return {
+      letter: band.letter,
+      gradePoint: band.gradePoint,
+      description: band.description,
+      scheme: scheme.name,
+      isPassed: scheme.scale ? band.gradePoint > 0 : band.letter !== 'F'
+    };
+  }
+
+  /**
+   * Default passing percentage for a scheme
+   * @param {String} name - Scheme name
+   * @returns {Number} Passing percentage
+   */
+  static getPassPercentage(name) {
+    return this.getScheme(name).passPercentage;
+  }
+
+  // ==========================================
+  // 📊 GPA CALCULATION
+  // ==========================================
+
+  /**
+   * Overall GPA from subject-wise results.
+   * A fail in any compulsory subject makes the overall result F (0.00).
+   * The optional (4th) subject only adds the grade points above the
+   * threshold, and the total is still divided by the compulsory count.
+   * @param {Array} subjectResults - [{ subject, percentage }]
+   * @param {Object} options - { scheme, optionalSubject }
+   * @returns {Object} { gpa, letter, isPassed, subjects, optionalSubject }
+   */
+  static calculateGPA(subjectResults, options = {}) {
+    const scheme = this.getScheme(options.scheme || DEFAULT_GPA_SCHEME);
+    const grading = { scheme: scheme.name, gradingScale: options.gradingScale };
+    const optionalKey = options.optionalSubject ? options.optionalSubject.toLowerCase() : null;
+
+    const subjects = subjectResults.map(result => {
+      const grade = this.gradeForPercentage(result.percentage, grading);
+      return {
+        subject: result.subject,
+        percentage: Math.round(result.percentage * 100) / 100,
+        letter: grade.letter,
+        gradePoint: grade.gradePoint,
+        isPassed: grade.isPassed,
+        isOptional: !!optionalKey && result.subject?.toLowerCase() === optionalKey
+      };
+    });
+
+    const compulsory = subjects.filter(s => !s.isOptional);
+    const optional = subjects.find(s => s.isOptional) || null;
+
+    if (compulsory.length === 0) {
+      return { gpa: null, letter: null, isPassed: false, subjects, optionalSubject: optional };
+    }
+
+    // Fail in any compulsory subject means overall F
+    if (compulsory.some(s => !s.isPassed)) {
+      return { gpa: 0, letter: 'F', isPassed: false, subjects, optionalSubject: optional };
+    }
+
+    const totalPoints = compulsory.reduce((sum, s) => sum + (s.gradePoint || 0), 0);
+    const bonus = optional && scheme.optionalSubjectThreshold !== undefined
+      ? Math.max(0, (optional.gradePoint || 0) - scheme.optionalSubjectThreshold)
+      : 0;
+
+    let gpa = (totalPoints + bonus) / compulsory.length;
+    if (scheme.maxGradePoint) gpa = Math.min(gpa, scheme.maxGradePoint);
+    gpa = Math.round(gpa * 100) / 100;
+
+    return {
+      gpa,
+      letter: this.letterForGPA(gpa, scheme),
+      isPassed: true,
+      subjects,
+      optionalSubject: optional ? { ...optional, bonus: Math.round(bonus * 100) / 100 } : null
+    };
+  }
+
+  /**
+   * Letter grade for an overall GPA (the highest band whose point is reached)
+   * @param {Number} gpa - Grade point average
+   * @param {Object} scheme - Scheme definition
+   * @returns {String} Letter grade
+   */
+  static letterForGPA(gpa, scheme) {
+    if (!scheme.scale) return null;
+    const band = [...scheme.scale]
+      .sort((a, b) => b.gradePoint - a.gradePoint)
+      .find(b => gpa >= b.gradePoint);
+    return band ? band.letter : 'F';
+  }
+}
+
+module.exports = GradingSchemeService;
@@ -0,0 +1,474 @@
+const StudentResponse = require('../models/StudentResponse');
+
+// 🛡️ GyanGuru Integrity Service - Scoring submitted attempts for misconduct signals
+// Features: Weighted security events, Answer bursts, Paste-then-answer, Shared answer sequences, Evidence timelines
+
+// Points deducted per event (before the severity multiplier)
+const DEFAULT_EVENT_WEIGHTS = {
+  tab_switch: 3,
+  window_blur: 2,
+  copy_attempt: 4,
+  paste_attempt: 6,
+  right_click: 1,
+  dev_tools: 15,
+  fullscreen_exit: 4,
+  browser_back: 2,
+  suspicious_activity: 10,
+  webcam_violation: 10,
+  face_not_detected: 6,
+  access_denied: 0
+};
+
+const SEVERITY_MULTIPLIERS = { low: 0.5, medium: 1, high: 1.5, critical: 2 };
+
+// No single signal can take more than this off the score
+const MAX_SIGNAL_POINTS = 40;
+
+// A paste counts against the answer saved within this time after it
+const PASTE_ANSWER_WINDOW_MS = 60 * 1000;
+
+// Two strong students share many right answers; shared wrong answers are
+// what set copying apart, so a match needs at least this many of them
+const MIN_SHARED_WRONG_ANSWERS = 2;
+
+const OBJECTIVE_TYPES = ['MCQ', 'True/False', 'Fill in the Blanks', 'Numeric', 'Multiple Select', 'Matching', 'Ordering'];
+const SCORED_STATUSES = ['submitted', 'auto_submitted', 'graded'];
+const OPEN_STATUSES = ['started', 'in_progress', 'paused'];
+
+// Enough of an attempt to compare its answers with another one
+const PEER_FIELDS = '_id studentId status startedAt submittedAt responses.questionId responses.questionType ' +
+  'responses.isAnswered responses.answer responses.autoGrading.isCorrect';
+
+class IntegrityService {
+
+  // ==========================================
+  // ⚙️ POLICY
+  // ==========================================
+
+  static getPolicy(assessment) {
+    const integrity = assessment.configuration?.integrity || {};
+    const overrides = integrity.eventWeights instanceof Map
+      ? Object.fromEntries(integrity.eventWeights)
+      : integrity.eventWeights || {};
+
+    return {
+      enabled: integrity.enabled !== false,
+      flagBelow: integrity.flagBelow ?? 70,
+      eventWeights: { ...DEFAULT_EVENT_WEIGHTS, ...overrides },
+      answerBurst: {
+        maxAnswers: integrity.answerBurst?.maxAnswers ?? 5,
+        windowSeconds: integrity.answerBurst?.windowSeconds ?? 30,
+        weight: integrity.answerBurst?.weight ?? 10
+      },
+      sharedAnswers: {
+        minQuestions: integrity.sharedAnswers?.minQuestions ?? 5,
+        similarity: integrity.sharedAnswers?.similarity ?? 0.9,
+        weight: integrity.sharedAnswers?.weight ?? 30
+      }
+    };
+  }
+
+  // ==========================================
+  // 🔎 SIGNALS
+  // ==========================================
+
+  static getEventPoints(event, policy) {
+    const weight = policy.eventWeights[event.eventType] || 0;
+    return weight * (SEVERITY_MULTIPLIERS[event.severity] || 1);
+  }
+
+  /**
+   * One signal per security event type, weighted by severity
+   * @param {Set} excluded - Events already scored by another signal
+   * @returns {Array} Signals
+   */
+  static scoreSecurityEvents(attempt, policy, excluded = new Set()) {
+    const byType = new Map();
+
+    (attempt.securityEvents || []).forEach(event => {
+      if (excluded.has(event)) return;
+
+      const points = this.getEventPoints(event, policy);
+      const entry = byType.get(event.eventType) || { count: 0, points: 0 };
+
+      entry.count++;
+      entry.points += points;
+      byType.set(event.eventType, entry);
+    });
+
+    return Array.from(byType.entries())
+      .filter(([, entry]) => entry.points > 0)
+      .map(([eventType, entry]) => ({
+        type: 'security_event',
+        label: eventType,
+        count: entry.count,
+        points: Math.min(Math.round(entry.points * 10) / 10, MAX_SIGNAL_POINTS),
+        details: { eventType }
+      }));
+  }
+
+  static getAnswerSaveTimes(attempt) {
+    return (attempt.monitoring?.activityLog || [])
+      .filter(entry => entry.action === 'answer_saved' && entry.timestamp)
+      .map(entry => new Date(entry.timestamp).getTime())
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * More answers saved in a short window than anyone can read and answer
+   * @returns {Object|null} Signal
+   */
+  static detectAnswerBursts(attempt, policy) {
+    const { maxAnswers, windowSeconds, weight } = policy.answerBurst;
+    const times = this.getAnswerSaveTimes(attempt);
+    const bursts = [];
+
+    let start = 0;
+    while (start < times.length) {
+      let end = start;
+      while (end + 1 < times.length && times[end + 1] - times[start] <= windowSeconds * 1000) end++;
+
+      if (end - start + 1 > maxAnswers) {
+        bursts.push({ from: new Date(times[start]), to: new Date(times[end]), answers: end - start + 1 });
+        start = end + 1;
+      } else {
+        start++;
+      }
+    }
+
+    if (bursts.length === 0 || weight === 0) return null;
+
+    return {
+      type: 'answer_burst',
+      label: `${bursts.length} answer burst${bursts.length > 1 ? 's' : ''}`,
+      count: bursts.length,
+      points: Math.min(bursts.length * weight, MAX_SIGNAL_POINTS),
+      details: { bursts, maxAnswers, windowSeconds }
+    };
+  }
+
+  /**
+   * Paste events each paired with the answer saved right after them
+   * @returns {Array} [{ paste, save }]
+   */
+  static findPastedAnswers(attempt) {
+    const saves = (attempt.monitoring?.activityLog || [])
+      .filter(entry => entry.action === 'answer_saved' && entry.timestamp);
+
+    return (attempt.securityEvents || [])
+      .filter(event => event.eventType === 'paste_attempt')
+      .map(paste => {
+        const pastedAt = new Date(paste.timestamp).getTime();
+        const save = saves.find(entry => {
+          const savedAt = new Date(entry.timestamp).getTime();
+          return savedAt >= pastedAt && savedAt - pastedAt <= PASTE_ANSWER_WINDOW_MS;
+        });
+        return save ? { paste, save } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Answers saved right after a paste. Each paste is worth its security
+   * event weight and is left out of the paste_attempt signal.
+   * @param {Array} pastedAnswers - From findPastedAnswers
+   * @returns {Object|null} Signal
+   */
+  static detectPasteThenAnswer(pastedAnswers, policy) {
+    if (pastedAnswers.length === 0) return null;
+
+    const points = pastedAnswers.reduce((total, { paste }) => total + this.getEventPoints(paste, policy), 0);
+    if (points === 0) return null;
+
+    return {
+      type: 'paste_then_answer',
+      label: `${pastedAnswers.length} answer${pastedAnswers.length > 1 ? 's' : ''} saved right after a paste`,
+      count: pastedAnswers.length,
+      points: Math.min(Math.round(points * 10) / 10, MAX_SIGNAL_POINTS),
+      details: {
+        matches: pastedAnswers.map(({ paste, save }) => ({
+          pastedAt: paste.timestamp,
+          savedAt: save.timestamp,
+          questionId: save.questionId
+        }))
+      }
+    };
+  }
+
+  /**
+   * Objective answers of an attempt keyed by question
+   * @returns {Map} questionId -> { value, isCorrect }
+   */
+  static getAnswerSequence(attempt) {
+    const sequence = new Map();
+
+    (attempt.responses || []).forEach(response => {
+      if (!response.isAnswered || !OBJECTIVE_TYPES.includes(response.questionType)) return;
+
+      const answer = response.answer || {};
+      const value = answer.selectedOptionId?.toString() ||
+        answer.selectedOption ||
+        (answer.fillAnswers || []).map(text => text.trim().toLowerCase()).join('|') ||
+        (answer.selectedOptionIds || []).map(String).sort().join('|') ||
+        (answer.matches || []).map(match => `${match.promptId}:${match.matchId}`).sort().join('|') ||
+        (answer.orderedItemIds || []).map(String).join('|') ||
+        answer.textAnswer?.trim().toLowerCase();
+      if (!value) return;
+
+      sequence.set(response.questionId.toString(), {
+        value,
+        isCorrect: response.autoGrading?.isCorrect
+      });
+    });
+
+    return sequence;
+  }
+
+  /**
+   * Compare two answer sequences on the questions both students answered
+   * @returns {Object} { commonQuestions, identical, identicalIncorrect, similarity }
+   */
+  static compareSequences(a, b) {
+    let commonQuestions = 0;
+    let identical = 0;
+    let identicalIncorrect = 0;
+
+    a.forEach((answer, questionId) => {
+      const other = b.get(questionId);
+      if (!other) return;
+
+      commonQuestions++;
+      if (answer.value === other.value) {
+        identical++;
+        if (answer.isCorrect === false) identicalIncorrect++;
+      }
+    });
+
+    return {
+      commonQuestions,
+      identical,
+      identicalIncorrect,
+      similarity: commonQuestions > 0 ? Math.round((identical / commonQuestions) * 100) / 100 : 0
+    };
+  }
+
+  // Attempts by other students that ran at the same time
+  static isConcurrent(attempt, peer, now = new Date()) {
+    if (peer._id.toString() === attempt._id.toString()) return false;
+    if (peer.studentId.toString() === attempt.studentId.toString()) return false;
+
+    const start = new Date(attempt.startedAt).getTime();
+    const end = new Date(attempt.submittedAt || now).getTime();
+    const peerStart = new Date(peer.startedAt).getTime();
+    const peerEnd = new Date(peer.submittedAt || now).getTime();
+
+    return peerStart < end && peerEnd > start;
+  }
+
+  /**
+   * Students sitting at the same time with near-identical objective answers
+   * @returns {Object|null} Signal
+   */
+  static detectSharedAnswers(attempt, peers, policy) {
+    const { minQuestions, similarity, weight } = policy.sharedAnswers;
+    const sequence = this.getAnswerSequence(attempt);
+    if (sequence.size < minQuestions || weight === 0) return null;
+
+    const matches = peers
+      .filter(peer => this.isConcurrent(attempt, peer))
+      .map(peer => ({
+        peerAttemptId: peer._id,
+        peerStudentId: peer.studentId,
+        ...this.compareSequences(sequence, this.getAnswerSequence(peer))
+      }))
+      .filter(match =>
+        match.commonQuestions >= minQuestions &&
+        match.similarity >= similarity &&
+        match.identicalIncorrect >= MIN_SHARED_WRONG_ANSWERS
+      );
+
+    if (matches.length === 0) return null;
+
+    return {
+      type: 'shared_answers',
+      label: `Answers match ${matches.length} other student${matches.length > 1 ? 's' : ''} sitting at the same time`,
+      count: matches.length,
+      points: Math.min(matches.length * weight, MAX_SIGNAL_POINTS),
+      details: { matches }
+    };
+  }
+
+  // ==========================================
+  // 🧮 SCORING
+  // ==========================================
+
+  /**
+   * Integrity score of one attempt
+   * @param {Object} attempt - StudentResponse document
+   * @param {Object} assessment - Assessment document
+   * @param {Array} peers - Other attempts of the same assessment
+   * @returns {Object} { score, isFlagged, signals, evaluatedAt }
+   */
+  static evaluate(attempt, assessment, peers = []) {
+    const policy = this.getPolicy(assessment);
+    const pastedAnswers = this.findPastedAnswers(attempt);
+
+    // A paste followed by an answer is scored once, as paste_then_answer
+    const signals = [
+      ...this.scoreSecurityEvents(attempt, policy, new Set(pastedAnswers.map(({ paste }) => paste))),
+      this.detectAnswerBursts(attempt, policy),
+      this.detectPasteThenAnswer(pastedAnswers, policy),
+      this.detectSharedAnswers(attempt, peers, policy)
+    ].filter(Boolean);
+
+    const deducted = signals.reduce((total, signal) => total + signal.points, 0);
+    const score = Math.max(0, Math.round(100 - deducted));
+
+    return {
+      score,
+      isFlagged: score < policy.flagBelow,
+      signals,
+      evaluatedAt: new Date()
+    };
+  }
+
+  /**
+   * Keep a teacher's decision; a newly flagged attempt waits for review
+   */
+  static getReviewStatus(current = 'none', isFlagged) {
+    if (['cleared', 'confirmed'].includes(current)) return current;
+    return isFlagged ? 'pending' : 'none';
+  }
+
+  static async storeResult(attempt, result) {
+    const reviewStatus = this.getReviewStatus(attempt.integrity?.review?.status, result.isFlagged);
+
+    await StudentResponse.updateOne(
+      { _id: attempt._id },
+      {
+        $set: {
+          'integrity.score': result.score,
+          'integrity.isFlagged': result.isFlagged,
+          'integrity.signals': result.signals,
+          'integrity.evaluatedAt': result.evaluatedAt,
+          'integrity.review.status': reviewStatus
+        }
+      }
+    );
+
+    return { ...result, reviewStatus };
+  }
+
+  /**
+   * Score an attempt that was just submitted. Students it shares answers
+   * with are scored again, since they may have submitted first.
+   * Peers are loaded once, answers only; full documents are fetched just
+   * for the matched peers that get scored again.
+   * @returns {Object|null} Stored result, or null when integrity scoring is off
+   */
+  static async evaluateSubmission(attempt, assessment) {
+    if (!this.getPolicy(assessment).enabled) return null;
+
+    const peers = await StudentResponse.find({
+      assessmentId: assessment._id,
+      _id: { $ne: attempt._id },
+      status: { $in: [...SCORED_STATUSES, ...OPEN_STATUSES] },
+      startedAt: { $lt: attempt.submittedAt || new Date() }
+    })
+      .select(PEER_FIELDS)
+      .lean();
+
+    const result = await this.storeResult(attempt, this.evaluate(attempt, assessment, peers));
+
+    const matchedIds = new Set(
+      (result.signals.find(signal => signal.type === 'shared_answers')?.details.matches || [])
+        .map(match => match.peerAttemptId.toString())
+    );
+    const rescoreIds = peers
+      .filter(peer => matchedIds.has(peer._id.toString()) && SCORED_STATUSES.includes(peer.status))
+      .map(peer => peer._id);
+
+    if (rescoreIds.length === 0) return result;
+
+    // Matched peers ran alongside this attempt, so the same batch covers their peers
+    const pool = [attempt, ...peers];
+    const matchedPeers = await StudentResponse.find({ _id: { $in: rescoreIds } });
+    for (const peer of matchedPeers) {
+      await this.storeResult(peer, this.evaluate(peer, assessment, pool));
+    }
+
+    return result;
+  }
+
+  /**
+   * Score every submitted attempt of an assessment again (after the
+   * policy changes)
+   * @returns {Object} { evaluated, flagged }
+   */
+  static async evaluateAssessment(assessment) {
+    const attempts = await StudentResponse.find({
+      assessmentId: assessment._id,
+      status: { $in: SCORED_STATUSES }
+    });
+
+    let flagged = 0;
+    for (const attempt of attempts) {
+      const result = await this.storeResult(attempt, this.evaluate(attempt, assessment, attempts));
+      if (result.isFlagged) flagged++;
+    }
+
+    return { evaluated: attempts.length, flagged };
+  }
+
+  // ==========================================
+  // 🗂️ EVIDENCE
+  // ==========================================
+
+  /**
+   * Everything that happened during an attempt, oldest first
+   * @param {Object} attempt - StudentResponse document
+   * @returns {Array} [{ at, kind, label, severity, details }]
+   */
+  static buildEvidenceTimeline(attempt) {
+    const timeline = [{ at: attempt.startedAt, kind: 'attempt', label: 'Attempt started' }];
+
+    (attempt.securityEvents || []).forEach(event => timeline.push({
+      at: event.timestamp,
+      kind: 'security_event',
+      label: event.eventType,
+      severity: event.severity,
+      details: event.details
+    }));
+
+    (attempt.monitoring?.activityLog || []).forEach(entry => timeline.push({
+      at: entry.timestamp,
+      kind: 'activity',
+      label: entry.action,
+      details: entry.questionId ? { questionId: entry.questionId } : undefined
+    }));
+
+    (attempt.timing?.pauses || []).forEach(pause => {
+      timeline.push({ at: pause.pausedAt, kind: 'pause', label: 'Paused' });
+      if (pause.resumedAt) timeline.push({ at: pause.resumedAt, kind: 'pause', label: 'Resumed' });
+    });
+
+    const bursts = (attempt.integrity?.signals || [])
+      .find(signal => signal.type === 'answer_burst')?.details?.bursts || [];
+    bursts.forEach(burst => timeline.push({
+      at: burst.from,
+      kind: 'pattern',
+      label: `${burst.answers} answers saved within ${Math.round((new Date(burst.to) - new Date(burst.from)) / 1000)}s`,
+      severity: 'high'
+    }));
+
+    if (attempt.submittedAt) {
+      timeline.push({ at: attempt.submittedAt, kind: 'attempt', label: `Attempt ${attempt.status.replace('_', ' ')}` });
+    }
+
+    return timeline
+      .filter(entry => entry.at)
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+}
+
+module.exports = IntegrityService;
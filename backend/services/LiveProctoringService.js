@@ -0,0 +1,355 @@
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const User = require('../models/User');
+const SubmissionService = require('./SubmissionService');
+const AttemptTimerService = require('./AttemptTimerService');
+const SocketService = require('./SocketService');
+
+// 👁️ GyanGuru Live Proctoring Service - Teacher room for running assessments
+// Features: Live student progress, Idle tracking, Security event feed, Live leaderboard, Announcements, Force-submit
+
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_THROTTLE_MS = 5000;
+
+const SUBMITTED_STATUSES = ['submitted', 'auto_submitted', 'graded'];
+
+class LiveProctoringService {
+
+  static lastLeaderboardAt = new Map(); // assessmentId -> timestamp of last push
+
+  // ==========================================
+  // 🔐 ACCESS
+  // ==========================================
+
+  static getRoomName(assessmentId) {
+    return `proctor_${assessmentId}`;
+  }
+
+  /**
+   * Live features switched on for an assessment
+   * @returns {Object} { monitoring, leaderboard }
+   */
+  static getLivePolicy(assessment) {
+    return {
+      monitoring: !!(assessment.liveFeatures?.enabled && assessment.liveFeatures?.realTimeMonitoring),
+      leaderboard: !!assessment.configuration?.realTimeLeaderboard
+    };
+  }
+
+  // Admins, the creator and collaborators may watch an assessment
+  static canProctor(assessment, user) {
+    const userId = user._id?.toString() || user.id;
+
+    return user.role === 'admin' ||
+      assessment.createdBy._id.toString() === userId ||
+      assessment.collaborators.some(c => c.teacherId.toString() === userId);
+  }
+
+  /**
+   * Load an assessment for a proctor
+   * @param {String} assessmentId - Assessment ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { assessment } or { status, message } when refused
+   */
+  static async authorizeProctor(assessmentId, user) {
+    if (!user || !['teacher', 'admin'].includes(user.role)) {
+      return { status: 403, message: 'Only teachers can open the live room' };
+    }
+
+    const assessment = await Assessment.findById(assessmentId).catch(() => null);
+    if (!assessment) {
+      return { status: 404, message: 'Assessment not found' };
+    }
+
+    if (!this.canProctor(assessment, user)) {
+      return { status: 403, message: 'Access denied' };
+    }
+
+    if (!this.getLivePolicy(assessment).monitoring) {
+      return { status: 400, message: 'Real-time monitoring is not enabled for this assessment' };
+    }
+
+    return { assessment };
+  }
+
+  // ==========================================
+  // 📊 ROOM STATE
+  // ==========================================
+
+  /**
+   * One student's row in the live room
+   * @param {Object} attempt - StudentResponse document
+   * @param {Object} assessment - Assessment document
+   * @param {Date} now - Current time
+   * @returns {Object}
+   */
+  static getStudentStatus(attempt, assessment, now = new Date()) {
+    const responses = attempt.responses || [];
+    const answered = responses.filter(r => r.isAnswered).length;
+    const securityEvents = attempt.securityEvents || [];
+    const isActive = SubmissionService.ACTIVE_STATUSES.includes(attempt.status);
+    const lastActivityAt = attempt.monitoring?.lastActivityAt || attempt.startedAt;
+    const timer = isActive ? AttemptTimerService.getTimerState(attempt, assessment, now) : null;
+
+    return {
+      studentId: attempt.studentId?._id || attempt.studentId,
+      name: attempt.studentId?.name,
+      attemptId: attempt._id,
+      attemptNumber: attempt.attemptNumber,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      submittedAt: attempt.submittedAt,
+      currentQuestionId: attempt.monitoring?.currentQuestionId || null,
+      currentQuestionIndex: attempt.monitoring?.currentQuestionIndex ?? null,
+      answered,
+      totalQuestions: responses.length,
+      progress: responses.length > 0 ? Math.round((answered / responses.length) * 100) : 0,
+      lastActivityAt,
+      idleSeconds: isActive && lastActivityAt ? Math.max(0, Math.floor((now - lastActivityAt) / 1000)) : 0,
+      remainingSeconds: timer ? timer.remainingSeconds : 0,
+      security: {
+        tabSwitches: securityEvents.filter(e => e.eventType === 'tab_switch').length,
+        fullscreenExits: securityEvents.filter(e => e.eventType === 'fullscreen_exit').length,
+        totalEvents: securityEvents.length
+      }
+    };
+  }
+
+  /**
+   * Everything the live room shows when a teacher joins
+   * @param {Object} assessment - Assessment document
+   * @returns {Object} { assessment, summary, students, notStarted, leaderboard }
+   */
+  static async getRoomSnapshot(assessment, now = new Date()) {
+    const attempts = await StudentResponse.find({ assessmentId: assessment._id })
+      .select('studentId attemptNumber status startedAt submittedAt responses.isAnswered securityEvents monitoring.currentQuestionId monitoring.currentQuestionIndex monitoring.lastActivityAt timing')
+      .populate('studentId', 'name email')
+      .sort({ attemptNumber: -1 });
+
+    // Latest attempt per student
+    const latest = new Map();
+    attempts.forEach(attempt => {
+      if (!attempt.studentId) return;
+      const key = attempt.studentId._id.toString();
+      if (!latest.has(key)) latest.set(key, attempt);
+    });
+
+    const students = Array.from(latest.values()).map(attempt => this.getStudentStatus(attempt, assessment, now));
+
+    const startedIds = new Set(latest.keys());
+    const pendingIds = assessment.participants.students
+      .map(p => p.studentId.toString())
+      .filter(id => !startedIds.has(id));
+    const notStarted = await User.find({ _id: { $in: pendingIds } }).select('name email').lean();
+
+    const policy = this.getLivePolicy(assessment);
+
+    return {
+      assessment: {
+        _id: assessment._id,
+        title: assessment.title,
+        endDate: assessment.schedule.endDate,
+        realTimeLeaderboard: policy.leaderboard
+      },
+      summary: {
+        participants: assessment.participants.students.length,
+        inProgress: students.filter(s => SubmissionService.ACTIVE_STATUSES.includes(s.status)).length,
+        paused: students.filter(s => s.status === 'paused').length,
+        submitted: students.filter(s => SUBMITTED_STATUSES.includes(s.status)).length,
+        notStarted: notStarted.length
+      },
+      students,
+      notStarted,
+      leaderboard: policy.leaderboard ? await this.getLeaderboard(assessment._id) : undefined,
+      serverTime: now
+    };
+  }
+
+  /**
+   * Best score per student. Running attempts count the marks earned so
+   * far on auto-graded questions.
+   * @param {String} assessmentId - Assessment ID
+   * @param {Number} limit - Rows to return
+   * @returns {Array} [{ rank, studentId, name, marks, isFinal }]
+   */
+  static async getLeaderboard(assessmentId, limit = LEADERBOARD_SIZE) {
+    const attempts = await StudentResponse.find({
+      assessmentId,
+      status: { $in: [...SubmissionService.ACTIVE_STATUSES, ...SUBMITTED_STATUSES] }
+    })
+      .select('studentId status scoring.marksObtained responses.finalMarks submittedAt')
+      .populate('studentId', 'name')
+      .lean();
+
+    const best = new Map();
+    attempts.forEach(attempt => {
+      if (!attempt.studentId) return;
+      const isFinal = SUBMITTED_STATUSES.includes(attempt.status);
+      const marks = isFinal
+        ? attempt.scoring?.marksObtained || 0
+        : attempt.responses.reduce((total, r) => total + Math.max(r.finalMarks || 0, 0), 0);
+
+      const key = attempt.studentId._id.toString();
+      const current = best.get(key);
+      if (!current || marks > current.marks) {
+        best.set(key, { studentId: attempt.studentId._id, name: attempt.studentId.name, marks, isFinal });
+      }
+    });
+
+    return Array.from(best.values())
+      .sort((a, b) => b.marks - a.marks)
+      .slice(0, limit)
+      .map((row, index) => ({ rank: index + 1, ...row, marks: Math.round(row.marks * 100) / 100 }));
+  }
+
+  // ==========================================
+  // 📡 PUBLISHING
+  // ==========================================
+
+  /**
+   * Push a student's row to the live room
+   * @param {Object} assessment - Assessment document
+   * @param {Object} attempt - StudentResponse document
+   * @param {String} event - What happened (started, answer_saved, paused, submitted...)
+   */
+  static publishStudentUpdate(assessment, attempt, event) {
+    if (!SocketService.io || !this.getLivePolicy(assessment).monitoring) return;
+
+    SocketService.sendToProctors(assessment._id.toString(), 'proctor_student_update', {
+      event,
+      student: this.getStudentStatus(attempt, assessment)
+    });
+  }
+
+  static publishSecurityEvent(assessment, attempt, securityEvent) {
+    if (!SocketService.io || !this.getLivePolicy(assessment).monitoring) return;
+
+    SocketService.sendToProctors(assessment._id.toString(), 'proctor_security_event', {
+      studentId: attempt.studentId,
+      attemptId: attempt._id,
+      eventType: securityEvent.eventType,
+      severity: securityEvent.severity,
+      details: securityEvent.details,
+      timestamp: securityEvent.timestamp,
+      security: this.getStudentStatus(attempt, assessment).security
+    });
+  }
+
+  /**
+   * Push the leaderboard to teachers and students (at most once every few
+   * seconds per assessment)
+   */
+  static async publishLeaderboard(assessment, now = Date.now()) {
+    if (!SocketService.io || !this.getLivePolicy(assessment).leaderboard) return;
+
+    const key = assessment._id.toString();
+    if (now - (this.lastLeaderboardAt.get(key) || 0) < LEADERBOARD_THROTTLE_MS) return;
+    this.lastLeaderboardAt.set(key, now);
+
+    try {
+      const leaderboard = await this.getLeaderboard(assessment._id);
+      const data = { assessmentId: key, leaderboard, timestamp: new Date(now) };
+
+      SocketService.sendToProctors(key, 'leaderboard_update', data);
+      SocketService.sendToAssessment(key, 'leaderboard_update', data);
+    } catch (error) {
+      console.error('❌ Leaderboard update failed:', key, error.message);
+    }
+  }
+
+  /**
+   * Record where a student is (question shown, last activity) and tell the room
+   * @param {String} assessmentId - Assessment ID
+   * @param {String} studentId - Student ID
+   * @param {Object} activity - { questionId, questionIndex }
+   * @returns {Boolean} Whether an open attempt was found
+   */
+  static async recordActivity(assessmentId, studentId, { questionId, questionIndex } = {}) {
+    const attempt = await StudentResponse.findOne({
+      assessmentId,
+      studentId,
+      status: { $in: SubmissionService.ACTIVE_STATUSES }
+    });
+    if (!attempt) return false;
+
+    if (questionId) attempt.monitoring.currentQuestionId = questionId;
+    if (Number.isInteger(questionIndex)) attempt.monitoring.currentQuestionIndex = questionIndex;
+    attempt.monitoring.lastActivityAt = new Date();
+    await attempt.save();
+
+    const assessment = await Assessment.findById(assessmentId);
+    if (assessment) this.publishStudentUpdate(assessment, attempt, 'activity');
+
+    return true;
+  }
+
+  // ==========================================
+  // 🧑‍🏫 PROCTOR ACTIONS
+  // ==========================================
+
+  /**
+   * Send an announcement to every student in the assessment
+   * @returns {Object} The stored announcement
+   */
+  static async sendAnnouncement(assessment, teacherId, message, priority = 'medium') {
+    await assessment.addAnnouncement(message, teacherId, priority);
+    const announcement = assessment.liveFeatures.announcements[assessment.liveFeatures.announcements.length - 1];
+
+    if (SocketService.io) {
+      const data = {
+        assessmentId: assessment._id,
+        message: announcement.message,
+        priority: announcement.priority,
+        sentAt: announcement.sentAt
+      };
+      SocketService.sendToAssessment(assessment._id.toString(), 'assessment_announcement', data);
+      SocketService.sendToProctors(assessment._id.toString(), 'assessment_announcement', data);
+    }
+
+    return announcement;
+  }
+
+  /**
+   * Submit a student's open attempt on a teacher's order
+   * @param {Object} assessment - Assessment document
+   * @param {String} studentId - Student ID
+   * @param {String} teacherId - Teacher forcing the submit
+   * @param {String} reason - Shown to the student
+   * @returns {Object|null} The submitted attempt, or null when no attempt was open
+   */
+  static async forceSubmit(assessment, studentId, teacherId, reason) {
+    const attempt = await StudentResponse.findOne({
+      assessmentId: assessment._id,
+      studentId,
+      status: { $in: SubmissionService.ACTIVE_STATUSES }
+    });
+    if (!attempt) return null;
+
+    const now = new Date();
+    attempt.monitoring.activityLog.push({ action: 'force_submitted', timestamp: now });
+    assessment.auditTrail.push({
+      action: 'attempt_force_submitted',
+      performedBy: teacherId,
+      details: { studentId, attemptId: attempt._id, reason }
+    });
+
+    const submitted = await SubmissionService.finalizeAttempt(attempt, assessment, {
+      status: 'submitted',
+      submittedAt: now
+    });
+    if (!submitted) return null;
+
+    if (SocketService.io) {
+      SocketService.sendAttemptAutoSubmitted(studentId.toString(), {
+        assessmentId: assessment._id,
+        attemptId: submitted._id,
+        submittedAt: submitted.submittedAt,
+        reason: reason || 'Submitted by your teacher'
+      });
+    }
+
+    return submitted;
+  }
+}
+
+module.exports = LiveProctoringService;
@@ -283,6 +283,152 @@ class NotificationService {
     }
   }
 
+  // Send new appeal notification to the assessment owner
+  static async sendAppealSubmittedNotification(assessment, submission, appeal, studentName) {
+    try {
+      const notification = new Notification({
+        recipient: assessment.createdBy,
+        sender: submission.studentId,
+        type: 'appeal_submitted',
+        title: '📝 নতুন আপিল',
+        message: `${studentName || 'একজন শিক্ষার্থী'} "${assessment.title}" এর একটি প্রশ্নের নম্বরের বিরুদ্ধে আপিল করেছে। কারণ: ${appeal.reason}`,
+        priority: 'high',
+        icon: 'alert-triangle',
+        color: 'yellow',
+        category: 'academic',
+        data: {
+          assessmentId: assessment._id,
+          questionId: appeal.questionId,
+          submissionId: submission._id,
+          metadata: {
+            appealId: appeal._id,
+            previousMarks: appeal.previousMarks
+          },
+          actions: [{
+            label: 'আপিল দেখুন',
+            action: 'review_appeal',
+            url: `/assessments/${assessment._id}/appeal-inbox`,
+            style: 'primary'
+          }]
+        },
+        channels: {
+          inApp: { enabled: true },
+          email: { enabled: true }
+        }
+      });
+
+      await notification.save();
+      await this.deliverNotification(notification);
+
+      return notification;
+
+    } catch (error) {
+      console.error('❌ Appeal notification error:', error);
+      throw error;
+    }
+  }
+
+  // Send appeal decision notification
+  static async sendAppealResolvedNotification(assessment, submission, appeal, teacherId) {
+    try {
+      const approved = appeal.status === 'approved';
+
+      const notification = new Notification({
+        recipient: submission.studentId,
+        sender: teacherId,
+        type: 'appeal_resolved',
+        title: approved ? '✅ আপিল গৃহীত হয়েছে' : '❌ আপিল গৃহীত হয়নি',
+        message: approved
+          ? `"${assessment.title}" এর আপিল গৃহীত হয়েছে। নতুন নম্বর: ${appeal.newMarks} (আগে ছিল ${appeal.previousMarks})`
+          : `"${assessment.title}" এর আপিল গৃহীত হয়নি। নম্বর অপরিবর্তিত: ${appeal.previousMarks}`,
+        priority: 'high',
+        icon: approved ? 'check-circle' : 'info',
+        color: approved ? 'green' : 'yellow',
+        category: 'academic',
+        data: {
+          assessmentId: assessment._id,
+          questionId: appeal.questionId,
+          submissionId: submission._id,
+          metadata: {
+            appealId: appeal._id,
+            status: appeal.status,
+            previousMarks: appeal.previousMarks,
+            newMarks: appeal.newMarks,
+            teacherResponse: appeal.teacherResponse
+          },
+          actions: [{
+            label: 'ফলাফল দেখুন',
+            action: 'view_result',
+            url: `/results/${assessment._id}`,
+            style: 'primary'
+          }]
+        },
+        channels: {
+          inApp: { enabled: true },
+          email: { enabled: true }
+        }
+      });
+
+      await notification.save();
+      await this.deliverNotification(notification);
+
+      return notification;
+
+    } catch (error) {
+      console.error('❌ Appeal notification error:', error);
+      throw error;
+    }
+  }
+
+  // Send question review decision to the question's author
+  static async sendQuestionReviewedNotification(question, reviewerId) {
+    try {
+      const approved = question.reviewStatus === 'approved';
+      const title = approved ? '✅ প্রশ্ন অনুমোদিত হয়েছে'
+        : question.reviewStatus === 'rejected' ? '❌ প্রশ্ন অনুমোদিত হয়নি' : '✏️ প্রশ্নে সংশোধন প্রয়োজন';
+
+      const notification = new Notification({
+        recipient: question.createdBy,
+        sender: reviewerId,
+        type: 'question_reviewed',
+        title,
+        message: approved
+          ? `"${question.title}" প্রশ্নটি অনুমোদিত হয়েছে${question.isPublic ? ' এবং এখন সবার জন্য উন্মুক্ত' : ''}।`
+          : `"${question.title}" প্রশ্নটির রিভিউ মন্তব্য: ${question.reviewNotes}`,
+        priority: approved ? 'normal' : 'high',
+        icon: approved ? 'check-circle' : 'alert-triangle',
+        color: approved ? 'green' : 'yellow',
+        category: 'academic',
+        data: {
+          questionId: question._id,
+          metadata: {
+            reviewStatus: question.reviewStatus,
+            reviewNotes: question.reviewNotes
+          },
+          actions: [{
+            label: 'প্রশ্ন দেখুন',
+            action: 'view_question',
+            url: `/questions/${question._id}`,
+            style: 'primary'
+          }]
+        },
+        channels: {
+          inApp: { enabled: true },
+          email: { enabled: !approved }
+        }
+      });
+
+      await notification.save();
+      await this.deliverNotification(notification);
+
+      return notification;
+
+    } catch (error) {
+      console.error('❌ Question review notification error:', error);
+      throw error;
+    }
+  }
+
   // Send assignment notification
   static async sendAssignmentNotification(assessmentId, studentIds) {
     try {
@@ -0,0 +1,381 @@
+// 🔢 GyanGuru Numeric Answer Service - Grading for numeric questions
+// Features: Absolute/relative tolerance, Unit conversion, Significant-figure rules, Bangla digit input, Explained verdicts
+
+// Bangla digits ০-৯ (U+09E6 - U+09EF)
+const BANGLA_ZERO = 0x09E6;
+
+// Units by symbol: quantity measured and factor (plus offset) to the SI unit
+const UNITS = {
+  // Length
+  m: { quantity: 'length', factor: 1 },
+  km: { quantity: 'length', factor: 1000 },
+  cm: { quantity: 'length', factor: 0.01 },
+  mm: { quantity: 'length', factor: 0.001 },
+  // Area & volume
+  'm^2': { quantity: 'area', factor: 1 },
+  'cm^2': { quantity: 'area', factor: 1e-4 },
+  'm^3': { quantity: 'volume', factor: 1 },
+  'cm^3': { quantity: 'volume', factor: 1e-6 },
+  L: { quantity: 'volume', factor: 1e-3 },
+  mL: { quantity: 'volume', factor: 1e-6 },
+  // Time
+  s: { quantity: 'time', factor: 1 },
+  ms: { quantity: 'time', factor: 0.001 },
+  min: { quantity: 'time', factor: 60 },
+  h: { quantity: 'time', factor: 3600 },
+  // Speed & acceleration
+  'm/s': { quantity: 'speed', factor: 1 },
+  'km/h': { quantity: 'speed', factor: 1000 / 3600 },
+  'cm/s': { quantity: 'speed', factor: 0.01 },
+  'm/s^2': { quantity: 'acceleration', factor: 1 },
+  'cm/s^2': { quantity: 'acceleration', factor: 0.01 },
+  // Mass
+  kg: { quantity: 'mass', factor: 1 },
+  g: { quantity: 'mass', factor: 0.001 },
+  mg: { quantity: 'mass', factor: 1e-6 },
+  // Mechanics
+  N: { quantity: 'force', factor: 1 },
+  kN: { quantity: 'force', factor: 1000 },
+  dyn: { quantity: 'force', factor: 1e-5 },
+  J: { quantity: 'energy', factor: 1 },
+  kJ: { quantity: 'energy', factor: 1000 },
+  erg: { quantity: 'energy', factor: 1e-7 },
+  cal: { quantity: 'energy', factor: 4.184 },
+  kcal: { quantity: 'energy', factor: 4184 },
+  W: { quantity: 'power', factor: 1 },
+  kW: { quantity: 'power', factor: 1000 },
+  Pa: { quantity: 'pressure', factor: 1 },
+  kPa: { quantity: 'pressure', factor: 1000 },
+  atm: { quantity: 'pressure', factor: 101325 },
+  Hz: { quantity: 'frequency', factor: 1 },
+  // Temperature
+  K: { quantity: 'temperature', factor: 1 },
+  '°C': { quantity: 'temperature', factor: 1, offset: 273.15 },
+  '°F': { quantity: 'temperature', factor: 5 / 9, offset: 273.15 - 32 * 5 / 9 },
+  // Electricity
+  A: { quantity: 'current', factor: 1 },
+  mA: { quantity: 'current', factor: 0.001 },
+  V: { quantity: 'voltage', factor: 1 },
+  Ω: { quantity: 'resistance', factor: 1 },
+  C: { quantity: 'charge', factor: 1 },
+  // Chemistry
+  mol: { quantity: 'amount', factor: 1 },
+  'mol/L': { quantity: 'concentration', factor: 1000 }
+};
+
+// Other spellings students use, matched case-insensitively
+const UNIT_ALIASES = {
+  meter: 'm', metre: 'm', 'মিটার': 'm',
+  kilometer: 'km', kilometre: 'km', 'কিমি': 'km', 'কিলোমিটার': 'km',
+  centimeter: 'cm', 'সেমি': 'cm', 'সেন্টিমিটার': 'cm',
+  sec: 's', second: 's', seconds: 's', 'সেকেন্ড': 's',
+  hr: 'h', hour: 'h', 'ঘণ্টা': 'h',
+  'mps': 'm/s', 'ms^-1': 'm/s', 'm/sec': 'm/s',
+  'kmph': 'km/h', 'kmh': 'km/h', 'km/hr': 'km/h', 'kph': 'km/h', 'কিমি/ঘণ্টা': 'km/h',
+  'মি/সে': 'm/s', 'মিটার/সেকেন্ড': 'm/s',
+  'ms^-2': 'm/s^2', 'm/sec^2': 'm/s^2',
+  kilogram: 'kg', 'কেজি': 'kg', 'কিলোগ্রাম': 'kg',
+  gram: 'g', 'গ্রাম': 'g',
+  newton: 'N', joule: 'J', watt: 'W', pascal: 'Pa', hertz: 'Hz',
+  l: 'L', litre: 'L', liter: 'L', 'লিটার': 'L', ml: 'mL',
+  cc: 'cm^3',
+  degc: '°C', '℃': '°C', celsius: '°C', 'ºc': '°C', 'oc': '°C',
+  degf: '°F', '℉': '°F', fahrenheit: '°F',
+  kelvin: 'K',
+  ohm: 'Ω', ohms: 'Ω', 'ω': 'Ω',
+  volt: 'V', ampere: 'A', amp: 'A',
+  m: 'mol/L', 'mol/dm^3': 'mol/L', molar: 'mol/L'
+};
+
+// A number, optionally in scientific notation, followed by the unit
+const NUMBER_PATTERN = /^([+-]?(?:\d+(?:,\d+)*(?:\.\d*)?|\.\d+))(?:\s*(?:[eE]([+-]?\d+)|(?:[x×*]|\s)\s*10\s*\^\s*([+-]?\d+)))?\s*(.*)$/;
+
+// Answers within this fraction count as equal when no tolerance is set
+const FLOAT_EPSILON = 1e-9;
+
+const formatNumber = (value) => Number(value.toPrecision(6)).toString();
+
+class NumericAnswerService {
+
+  // ==========================================
+  // 📥 READING ANSWERS
+  // ==========================================
+
+  /**
+   * Replace Bangla digits with ASCII ones
+   * @param {String} text - Student input
+   * @returns {String}
+   */
+  static toAsciiDigits(text) {
+    return String(text).replace(/[০-৯]/g, digit => String(digit.charCodeAt(0) - BANGLA_ZERO));
+  }
+
+  /**
+   * Canonical symbol of a unit as typed, or null when not recognised
+   * @param {String} unit - Unit as typed (e.g. "km/hr", "m s^-1", "মিটার")
+   * @returns {String|null}
+   */
+  static normalizeUnit(unit) {
+    if (!unit) return null;
+
+    const compact = String(unit).trim()
+      .replace(/²/g, '^2')
+      .replace(/³/g, '^3')
+      .replace(/[−–]/g, '-')
+      .replace(/[\s·.]+/g, '')
+      .replace(/\^?(-?\d)/g, '^$1');
+
+    if (UNITS[compact]) return compact;
+
+    const lower = compact.toLowerCase();
+    if (UNIT_ALIASES[lower]) return UNIT_ALIASES[lower];
+
+    // "KM/H", "Kg": accept other casings when only one unit matches
+    const matches = Object.keys(UNITS).filter(symbol => symbol.toLowerCase() === lower);
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Significant figures of a number as written. Trailing zeros of a whole
+   * number ("1200") are ambiguous, so a range is returned.
+   * @param {String} mantissa - Digits of the number, without exponent
+   * @returns {Object} { min, max }
+   */
+  static countSignificantFigures(mantissa) {
+    const digits = mantissa.replace(/[+\-,]/g, '');
+    const significant = digits.replace('.', '').replace(/^0+/, '');
+
+    if (!significant) return { min: 1, max: 1 };
+    if (digits.includes('.')) return { min: significant.length, max: significant.length };
+
+    const withoutTrailingZeros = significant.replace(/0+$/, '');
+    return { min: withoutTrailingZeros.length, max: significant.length };
+  }
+
+  /**
+   * Read a typed answer such as "১২.৫ m/s", "-3.2e4 J" or "6.02 × 10^23"
+   * @param {String} text - Student input
+   * @returns {Object|null} { value, unitText, unit, significantFigures }
+   */
+  static parseAnswer(text) {
+    if (text === undefined || text === null) return null;
+
+    const match = this.toAsciiDigits(text).trim().match(NUMBER_PATTERN);
+    if (!match) return null;
+
+    const [, mantissa, eExponent, tenExponent, rest] = match;
+    const exponent = parseInt(eExponent ?? tenExponent ?? '0', 10);
+    const value = parseFloat(mantissa.replace(/,/g, '')) * Math.pow(10, exponent);
+    if (!Number.isFinite(value)) return null;
+
+    const unitText = rest.trim() || null;
+
+    return {
+      value,
+      unitText,
+      unit: this.normalizeUnit(unitText),
+      significantFigures: this.countSignificantFigures(mantissa)
+    };
+  }
+
+  // ==========================================
+  // 📏 UNITS
+  // ==========================================
+
+  static getUnit(symbol) {
+    return UNITS[symbol] || null;
+  }
+
+  /**
+   * Convert a value between two units of the same quantity
+   * @returns {Number|null} Converted value, or null when the units differ in quantity
+   */
+  static convert(value, fromUnit, toUnit) {
+    const from = UNITS[fromUnit];
+    const to = UNITS[toUnit];
+    if (!from || !to || from.quantity !== to.quantity) return null;
+    if (fromUnit === toUnit) return value;
+
+    const si = value * from.factor + (from.offset || 0);
+    return (si - (to.offset || 0)) / to.factor;
+  }
+
+  /**
+   * Check a numeric answer key and canonicalise its units in place
+   * @param {Object} numericAnswer - Question numericAnswer
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validateAnswerKey(numericAnswer) {
+    const errors = [];
+
+    if (!numericAnswer || typeof numericAnswer.value !== 'number' || !Number.isFinite(numericAnswer.value)) {
+      return ['Numeric questions need a numeric answer value'];
+    }
+
+    if (numericAnswer.unit) {
+      const unit = this.normalizeUnit(numericAnswer.unit);
+      if (!unit) {
+        errors.push(`Unit "${numericAnswer.unit}" is not supported`);
+      } else {
+        numericAnswer.unit = unit;
+      }
+    }
+
+    const quantity = UNITS[numericAnswer.unit]?.quantity;
+    (numericAnswer.acceptedUnits || []).forEach((accepted, i) => {
+      const unit = this.normalizeUnit(accepted);
+      if (!unit) {
+        errors.push(`Accepted unit "${accepted}" is not supported`);
+      } else if (!quantity) {
+        errors.push('Accepted units need the answer unit to be set');
+      } else if (UNITS[unit].quantity !== quantity) {
+        errors.push(`Accepted unit "${accepted}" does not measure ${quantity}`);
+      } else {
+        numericAnswer.acceptedUnits[i] = unit;
+      }
+    });
+
+    if (numericAnswer.requireUnit && !numericAnswer.unit) {
+      errors.push('A unit is required but the answer has no unit');
+    }
+
+    return errors;
+  }
+
+  // ==========================================
+  // ✅ GRADING
+  // ==========================================
+
+  /**
+   * Largest accepted difference from the answer key
+   */
+  static getAllowedError(numericAnswer) {
+    const { absolute = 0, relative = 0 } = numericAnswer.tolerance || {};
+    const allowed = Math.max(absolute, relative * Math.abs(numericAnswer.value));
+    return allowed > 0 ? allowed : FLOAT_EPSILON * Math.max(1, Math.abs(numericAnswer.value));
+  }
+
+  static describeTolerance(numericAnswer, unitSuffix) {
+    const { absolute = 0, relative = 0 } = numericAnswer.tolerance || {};
+    if (!absolute && !relative) return 'exactly';
+
+    const parts = [];
+    if (absolute) parts.push(`±${formatNumber(absolute)}${unitSuffix}`);
+    if (relative) parts.push(`±${formatNumber(relative * 100)}%`);
+    return `within ${parts.join(' or ')}`;
+  }
+
+  static rejection(explanation) {
+    return {
+      isCorrect: false,
+      marksAwarded: 0,
+      confidence: 1.0,
+      explanation
+    };
+  }
+
+  /**
+   * Grade a typed numeric answer against the question's answer key.
+   * The explanation states each check the answer passed or failed.
+   * @param {String} text - Student input
+   * @param {Object} numericAnswer - Question numericAnswer
+   * @param {Number} maxMarks - Marks for a correct answer
+   * @returns {Object} Grading result
+   */
+  static grade(text, numericAnswer, maxMarks) {
+    if (!text || !String(text).trim()) {
+      return this.rejection('No answer given');
+    }
+
+    const parsed = this.parseAnswer(text);
+    if (!parsed) {
+      return this.rejection(`Could not read a number from "${text}"`);
+    }
+
+    const expectedUnit = numericAnswer.unit || null;
+    const unitSuffix = expectedUnit ? ` ${expectedUnit}` : '';
+    const steps = [];
+    let value = parsed.value;
+
+    // "100 C" in a temperature question means degrees, not coulombs
+    if (UNITS[expectedUnit]?.quantity === 'temperature' && /^[CF]$/i.test(parsed.unitText || '')) {
+      parsed.unit = `°${parsed.unitText.toUpperCase()}`;
+    }
+
+    // Units: convert into the answer key's unit first
+    if (parsed.unitText && !parsed.unit) {
+      return this.rejection(`Unit "${parsed.unitText}" is not recognised`);
+    }
+
+    if (!parsed.unit) {
+      if (expectedUnit && numericAnswer.requireUnit) {
+        return this.rejection(`Unit missing: the answer must be given with a unit such as ${expectedUnit}`);
+      }
+      if (expectedUnit) steps.push(`No unit given, read as ${expectedUnit}`);
+    } else if (!expectedUnit) {
+      steps.push(`Unit ${parsed.unit} ignored: the answer has no unit`);
+    } else {
+      const converted = this.convert(parsed.value, parsed.unit, expectedUnit);
+      if (converted === null) {
+        return this.rejection(
+          `Unit ${parsed.unit} measures ${UNITS[parsed.unit].quantity}, but the answer measures ${UNITS[expectedUnit].quantity}`
+        );
+      }
+
+      const acceptedUnits = numericAnswer.acceptedUnits || [];
+      if (acceptedUnits.length > 0 && ![expectedUnit, ...acceptedUnits].includes(parsed.unit)) {
+        return this.rejection(
+          `Unit ${parsed.unit} is not accepted here; use ${[expectedUnit, ...acceptedUnits].join(', ')}`
+        );
+      }
+
+      value = converted;
+      if (parsed.unit !== expectedUnit) {
+        steps.push(`${formatNumber(parsed.value)} ${parsed.unit} = ${formatNumber(value)} ${expectedUnit}`);
+      }
+    }
+
+    // Value: compare within tolerance
+    const difference = Math.abs(value - numericAnswer.value);
+    const expected = `${formatNumber(numericAnswer.value)}${unitSuffix}`;
+    const tolerance = this.describeTolerance(numericAnswer, unitSuffix);
+
+    if (difference > this.getAllowedError(numericAnswer)) {
+      steps.push(`${formatNumber(value)}${unitSuffix} is not ${expected} ${tolerance} (off by ${formatNumber(difference)}${unitSuffix})`);
+      return this.rejection(`${steps.join('. ')}.`);
+    }
+
+    steps.push(`${formatNumber(value)}${unitSuffix} matches ${expected} ${tolerance}`);
+
+    // Significant figures: counted on the number as the student wrote it
+    const { count, rule = 'exact', penaltyPercentage = 100 } = numericAnswer.significantFigures || {};
+    let marksAwarded = maxMarks;
+    let isCorrect = true;
+
+    if (count) {
+      const { min, max } = parsed.significantFigures;
+      const written = min === max ? `${min}` : `${min}-${max}`;
+      const meetsRule = rule === 'at_least' ? max >= count : min <= count && count <= max;
+      const required = rule === 'at_least' ? `at least ${count}` : `${count}`;
+
+      if (meetsRule) {
+        steps.push(`${written} significant figures, ${required} required`);
+      } else {
+        isCorrect = false;
+        marksAwarded = Math.max(0, maxMarks * (1 - penaltyPercentage / 100));
+        steps.push(penaltyPercentage >= 100
+          ? `Rejected: ${written} significant figures written, ${required} required`
+          : `${written} significant figures written, ${required} required (-${penaltyPercentage}%)`);
+      }
+    }
+
+    return {
+      isCorrect,
+      marksAwarded: Math.round(marksAwarded * 100) / 100,
+      confidence: 1.0,
+      explanation: `${steps.join('. ')}.`
+    };
+  }
+}
+
+module.exports = NumericAnswerService;
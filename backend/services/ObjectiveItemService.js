@@ -0,0 +1,436 @@
+// 🧩 GyanGuru Objective Item Service - Multi-select, matching and ordering questions
+// Features: Answer-key validation, Shuffled student view, Partial-credit grading, Item analytics
+
+const crypto = require('crypto');
+const ShuffleService = require('./ShuffleService');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Partial-credit rules each question type supports; the first is the default
+const SCORING_RULES = {
+  multi_select: ['right_minus_wrong', 'per_option', 'all_or_nothing'],
+  matching: ['per_pair', 'all_or_nothing'],
+  ordering: ['adjacent_pairs', 'per_position', 'all_or_nothing']
+};
+
+const ITEM_TYPES = Object.keys(SCORING_RULES);
+
+// Question.type -> StudentResponse.questionType
+const RESPONSE_TYPES = {
+  multi_select: 'Multiple Select',
+  matching: 'Matching',
+  ordering: 'Ordering'
+};
+
+class ObjectiveItemService {
+
+  static ITEM_TYPES = ITEM_TYPES;
+  static RESPONSE_TYPES = Object.values(RESPONSE_TYPES);
+  static SCORING_RULES = SCORING_RULES;
+
+  static getScoringRule(question) {
+    return question.scoringRule || SCORING_RULES[question.type][0];
+  }
+
+  // ==========================================
+  // 📋 ANSWER KEY VALIDATION
+  // ==========================================
+
+  /**
+   * Check the answer key of a multi-select, matching or ordering question
+   * @param {Object} question - Question document
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validateQuestion(question) {
+    const errors = [];
+    const rules = SCORING_RULES[question.type];
+    if (!rules) return errors;
+
+    if (question.scoringRule && !rules.includes(question.scoringRule)) {
+      errors.push(`Scoring rule must be one of: ${rules.join(', ')}`);
+    }
+
+    if (question.type === 'multi_select') {
+      const options = question.options || [];
+      if (options.length < 2) errors.push('Multiple-select questions must have at least 2 options');
+      if (options.some(option => !option.text?.trim() && !option.image)) errors.push('Every option needs text or an image');
+      if (!options.some(option => option.isCorrect)) errors.push('Multiple-select questions need at least one correct option');
+    }
+
+    if (question.type === 'matching') {
+      const pairs = question.matching?.pairs || [];
+      if (pairs.length < 2) errors.push('Matching questions must have at least 2 pairs');
+
+      const hasContent = (item) => item?.text?.trim() || item?.image;
+      if (pairs.some(pair => !hasContent(pair.prompt) || !hasContent(pair.match))) {
+        errors.push('Every pair needs a prompt and a match');
+      }
+      if ((question.matching?.distractors || []).some(item => !hasContent(item))) {
+        errors.push('Every extra match needs text or an image');
+      }
+
+      const matchTexts = [...pairs.map(pair => pair.match), ...(question.matching?.distractors || [])]
+        .map(item => item?.text?.trim().toLowerCase())
+        .filter(Boolean);
+      if (new Set(matchTexts).size !== matchTexts.length) {
+        errors.push('Matches must be different from each other');
+      }
+    }
+
+    if (question.type === 'ordering') {
+      const items = question.ordering?.items || [];
+      if (items.length < 2) errors.push('Ordering questions must have at least 2 items');
+      if (items.some(item => !item.text?.trim() && !item.image)) errors.push('Every item needs text or an image');
+    }
+
+    return errors;
+  }
+
+  // ==========================================
+  // 👁️ STUDENT VIEW
+  // ==========================================
+
+  /**
+   * Shuffle seeded by the attempt, never leaving items in the answer order
+   */
+  static shuffleForAttempt(items, seed, key) {
+    const shuffled = ShuffleService.permute(items, ShuffleService.deriveSeed(seed || 0, key));
+    const unchanged = shuffled.every((item, i) => idOf(item) === idOf(items[i]));
+    return unchanged && items.length > 1 ? [...shuffled.slice(1), shuffled[0]] : shuffled;
+  }
+
+  /**
+   * Opaque ID of a prompt, match or item for one attempt. Subdocument
+   * ObjectIds are created in answer order (a match is its prompt's ID + 1),
+   * so students never see them.
+   */
+  static maskId(seed, id) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET || '')
+      .update(`${seed || 0}:${idOf(id)}`)
+      .digest('hex')
+      .slice(0, 24);
+  }
+
+  /**
+   * Masked ID -> canonical ID for every prompt, match and item of a question
+   */
+  static getIdMap(question, seed) {
+    const subdocs = [
+      ...(question.matching?.pairs || []).flatMap(pair => [pair, pair.match]),
+      ...(question.matching?.distractors || []),
+      ...(question.ordering?.items || [])
+    ].filter(Boolean);
+
+    return new Map(subdocs.map(item => [this.maskId(seed, item), idOf(item)]));
+  }
+
+  /**
+   * A stored matching or ordering answer in the attempt's masked IDs, the
+   * inverse of normalizeAnswer. Other answers are returned unchanged.
+   * @param {Object} answer - Stored answer (canonical IDs)
+   * @param {Number} seed - Attempt presentation seed
+   * @returns {Object}
+   */
+  static maskAnswer(answer, seed) {
+    if (!answer?.matches?.length && !answer?.orderedItemIds?.length) return answer;
+
+    const masked = { ...answer };
+    if (answer.matches?.length) {
+      masked.matches = answer.matches.map(({ promptId, matchId }) => ({
+        promptId: this.maskId(seed, promptId),
+        matchId: this.maskId(seed, matchId)
+      }));
+    }
+    if (answer.orderedItemIds?.length) {
+      masked.orderedItemIds = answer.orderedItemIds.map(id => this.maskId(seed, id));
+    }
+    return masked;
+  }
+
+  /**
+   * Matching columns and ordering items without the answer. Matches and
+   * items are shuffled the same way on every reload of the attempt, and
+   * every ID is masked for the attempt.
+   * @param {Object} question - Question (plain object)
+   * @param {Number} seed - Attempt presentation seed
+   * @returns {Object} { matching } or { ordering }, empty for other types
+   */
+  static formatForStudent(question, seed) {
+    const view = ({ _id, text, image }) => ({ _id: this.maskId(seed, _id), text, image });
+
+    if (question.type === 'matching') {
+      const pairs = question.matching?.pairs || [];
+      const matches = [...pairs.map(pair => pair.match), ...(question.matching?.distractors || [])];
+
+      return {
+        matching: {
+          prompts: pairs.map(pair => view({ _id: pair._id, text: pair.prompt?.text, image: pair.prompt?.image })),
+          matches: this.shuffleForAttempt(matches, seed, `${idOf(question)}:matching`).map(view)
+        }
+      };
+    }
+
+    if (question.type === 'ordering') {
+      return {
+        ordering: {
+          items: this.shuffleForAttempt(question.ordering?.items || [], seed, `${idOf(question)}:ordering`).map(view)
+        }
+      };
+    }
+
+    return {};
+  }
+
+  // ==========================================
+  // 📥 READING ANSWERS
+  // ==========================================
+
+  /**
+   * Check a student's answer and map it to canonical IDs
+   * @param {Object} question - Question document
+   * @param {Object} answer - Submitted answer
+   * @param {Array} optionIds - Option order shown in this attempt
+   * @param {Number} seed - Attempt presentation seed the matching/ordering IDs were masked with
+   * @returns {Object} { answer } with canonical fields, or { error }
+   */
+  static normalizeAnswer(question, answer = {}, optionIds = [], seed = 0) {
+    const idMap = this.getIdMap(question, seed);
+    const unmask = (id) => idMap.get(idOf(id)) || null;
+
+    if (question.type === 'multi_select') {
+      const shown = ShuffleService.applyOptionOrder(question.options, optionIds);
+      const chosen = Array.isArray(answer.selectedIndexes)
+        ? answer.selectedIndexes.map(index => idOf(shown[index]))
+        : (answer.selectedOptionIds || []).map(selected =>
+          ShuffleService.resolveOptionId(question, { selectedOption: selected })
+        );
+
+      if (chosen.some(id => !id)) {
+        return { error: 'Selected option does not belong to this question' };
+      }
+      return { answer: { selectedOptionIds: [...new Set(chosen)] } };
+    }
+
+    if (question.type === 'matching') {
+      const pairIds = new Set((question.matching?.pairs || []).map(pair => idOf(pair)));
+      const matchIds = new Set([
+        ...(question.matching?.pairs || []).map(pair => idOf(pair.match)),
+        ...(question.matching?.distractors || []).map(item => idOf(item))
+      ]);
+      const matches = (answer.matches || [])
+        .filter(match => match?.matchId)
+        .map(match => ({ promptId: unmask(match.promptId), matchId: unmask(match.matchId) }));
+
+      if (matches.some(match => !pairIds.has(match.promptId) || !matchIds.has(match.matchId))) {
+        return { error: 'Match does not belong to this question' };
+      }
+      if (new Set(matches.map(match => match.promptId)).size !== matches.length) {
+        return { error: 'Each prompt can only be matched once' };
+      }
+      return { answer: { matches } };
+    }
+
+    if (question.type === 'ordering') {
+      const itemIds = (question.ordering?.items || []).map(item => idOf(item));
+      const ordered = (answer.orderedItemIds || []).map(unmask);
+
+      if (ordered.length !== itemIds.length || [...itemIds].sort().join() !== [...ordered].sort().join()) {
+        return { error: 'The order must include every item exactly once' };
+      }
+      return { answer: { orderedItemIds: ordered } };
+    }
+
+    return { error: 'Unsupported question type' };
+  }
+
+  // ==========================================
+  // ✅ GRADING
+  // ==========================================
+
+  static gradeMultiSelect(question, answer, rule) {
+    const options = question.options || [];
+    const selected = new Set((answer.selectedOptionIds || []).map(id => idOf(id)));
+    const correctIds = options.filter(option => option.isCorrect).map(option => idOf(option));
+
+    const rightSelected = correctIds.filter(id => selected.has(id)).length;
+    const wrongSelected = [...selected].filter(id => !correctIds.includes(id)).length;
+    const summary = `${rightSelected} of ${correctIds.length} correct options selected, ` +
+      `${wrongSelected} incorrect option${wrongSelected === 1 ? '' : 's'} selected`;
+
+    let fraction;
+    if (rule === 'per_option') {
+      const decidedRight = options.filter(option => selected.has(idOf(option)) === !!option.isCorrect).length;
+      fraction = decidedRight / options.length;
+    } else if (rule === 'right_minus_wrong') {
+      fraction = Math.max(0, (rightSelected - wrongSelected) / correctIds.length);
+    } else {
+      fraction = rightSelected === correctIds.length && wrongSelected === 0 ? 1 : 0;
+    }
+
+    return { fraction, summary };
+  }
+
+  static gradeMatching(question, answer, rule) {
+    const pairs = question.matching?.pairs || [];
+    const given = new Map((answer.matches || []).map(match => [idOf(match.promptId), idOf(match.matchId)]));
+    const correct = pairs.filter(pair => given.get(idOf(pair)) === idOf(pair.match)).length;
+
+    const fraction = rule === 'per_pair'
+      ? correct / pairs.length
+      : (correct === pairs.length ? 1 : 0);
+
+    return { fraction, summary: `${correct} of ${pairs.length} pairs matched correctly` };
+  }
+
+  static gradeOrdering(question, answer, rule) {
+    const correctOrder = (question.ordering?.items || []).map(item => idOf(item));
+    const ordered = (answer.orderedItemIds || []).map(id => idOf(id));
+    const position = new Map(correctOrder.map((id, i) => [id, i]));
+
+    const inPlace = ordered.filter((id, i) => correctOrder[i] === id).length;
+    const adjacent = ordered.slice(1).filter((id, i) => position.get(id) === position.get(ordered[i]) + 1).length;
+
+    if (rule === 'per_position') {
+      return {
+        fraction: inPlace / correctOrder.length,
+        summary: `${inPlace} of ${correctOrder.length} items in the correct position`
+      };
+    }
+    if (rule === 'adjacent_pairs') {
+      return {
+        fraction: correctOrder.length > 1 ? adjacent / (correctOrder.length - 1) : 1,
+        summary: `${adjacent} of ${correctOrder.length - 1} neighbouring pairs in the correct order`
+      };
+    }
+    return {
+      fraction: inPlace === correctOrder.length ? 1 : 0,
+      summary: `${inPlace} of ${correctOrder.length} items in the correct position`
+    };
+  }
+
+  /**
+   * Grade a canonical answer (see normalizeAnswer) with the question's
+   * partial-credit rule
+   * @param {Object} question - Question document
+   * @param {Object} answer - { selectedOptionIds } | { matches } | { orderedItemIds }
+   * @param {Number} maxMarks - Marks for a fully correct answer
+   * @returns {Object} Grading result
+   */
+  static grade(question, answer = {}, maxMarks) {
+    const rule = this.getScoringRule(question);
+    const graders = {
+      multi_select: () => this.gradeMultiSelect(question, answer, rule),
+      matching: () => this.gradeMatching(question, answer, rule),
+      ordering: () => this.gradeOrdering(question, answer, rule)
+    };
+
+    const { fraction, summary } = graders[question.type]();
+    const marksAwarded = round(fraction * maxMarks);
+    const ruleLabel = rule.replace(/_/g, ' ');
+
+    return {
+      isCorrect: fraction === 1,
+      marksAwarded,
+      confidence: 1.0,
+      explanation: `${summary} (${ruleLabel}: ${marksAwarded}/${maxMarks} marks)`,
+      partialCredit: fraction > 0 && fraction < 1
+    };
+  }
+
+  // ==========================================
+  // 📊 ITEM ANALYTICS
+  // ==========================================
+
+  /**
+   * How students answered each multi-select, matching and ordering
+   * question: option pick rates, per-pair accuracy and the most common
+   * wrong match, and how often each item landed in its position
+   * @param {Array} questions - Question documents
+   * @param {Array} responses - StudentResponse response entries
+   * @returns {Array} One entry per question
+   */
+  static analyzeItems(questions, responses) {
+    return questions
+      .filter(question => ITEM_TYPES.includes(question.type))
+      .map(question => {
+        const answered = responses.filter(response =>
+          response.isAnswered && idOf(response.questionId) === idOf(question)
+        );
+        const attempts = answered.length;
+        const rate = (count) => (attempts > 0 ? round(count / attempts) : 0);
+
+        const analysis = {
+          questionId: question._id,
+          type: question.type,
+          scoringRule: this.getScoringRule(question),
+          attempts,
+          fullyCorrect: answered.filter(response => response.autoGrading?.isCorrect).length,
+          averageScore: attempts > 0
+            ? round(answered.reduce((sum, response) =>
+              sum + (response.maxMarks > 0 ? (response.autoGrading?.marksAwarded || 0) / response.maxMarks : 0), 0
+            ) / attempts)
+            : 0
+        };
+
+        if (question.type === 'multi_select') {
+          analysis.options = (question.options || []).map(option => {
+            const picked = answered.filter(response =>
+              (response.answer?.selectedOptionIds || []).some(id => idOf(id) === idOf(option))
+            ).length;
+            return { optionId: option._id, text: option.text, isCorrect: !!option.isCorrect, selectionRate: rate(picked) };
+          });
+        }
+
+        if (question.type === 'matching') {
+          const matchText = new Map([
+            ...(question.matching?.pairs || []).map(pair => [idOf(pair.match), pair.match.text]),
+            ...(question.matching?.distractors || []).map(item => [idOf(item), item.text])
+          ]);
+
+          analysis.pairs = (question.matching?.pairs || []).map(pair => {
+            const wrong = new Map();
+            let correct = 0;
+
+            answered.forEach(response => {
+              const given = (response.answer?.matches || []).find(match => idOf(match.promptId) === idOf(pair));
+              if (!given) return;
+              if (idOf(given.matchId) === idOf(pair.match)) correct++;
+              else wrong.set(idOf(given.matchId), (wrong.get(idOf(given.matchId)) || 0) + 1);
+            });
+
+            const [commonId, commonCount] = [...wrong.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+            return {
+              pairId: pair._id,
+              prompt: pair.prompt?.text,
+              accuracy: rate(correct),
+              commonWrongMatch: commonId ? { matchId: commonId, text: matchText.get(commonId), count: commonCount } : null
+            };
+          });
+        }
+
+        if (question.type === 'ordering') {
+          analysis.items = (question.ordering?.items || []).map((item, correctPosition) => {
+            const positions = answered
+              .map(response => (response.answer?.orderedItemIds || []).findIndex(id => idOf(id) === idOf(item)))
+              .filter(position => position >= 0);
+
+            return {
+              itemId: item._id,
+              text: item.text,
+              correctPosition: correctPosition + 1,
+              positionAccuracy: rate(positions.filter(position => position === correctPosition).length),
+              averagePosition: positions.length > 0
+                ? round(positions.reduce((sum, position) => sum + position + 1, 0) / positions.length)
+                : null
+            };
+          });
+        }
+
+        return analysis;
+      });
+  }
+}
+
+module.exports = ObjectiveItemService;
@@ -0,0 +1,464 @@
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const PlagiarismReport = require('../models/PlagiarismReport');
+
+// 🔍 GyanGuru Plagiarism Service - Cohort-wide comparison of written answers
+// Features: Unicode (Bangla) tokenizing, Word shingles, MinHash + LSH candidates, Similarity clusters, Matching passages
+
+// Word shingles: three consecutive words form one shingle
+const SHINGLE_SIZE = 3;
+
+// MinHash signature of 128 values, split into 32 LSH bands of 4 rows.
+// Pairs around 0.45 similarity already share a band, well below any
+// sensible threshold, and every candidate is checked exactly afterwards.
+const SIGNATURE_SIZE = 128;
+const LSH_BANDS = 32;
+const LSH_ROWS = SIGNATURE_SIZE / LSH_BANDS;
+
+// One-line answers match by nature and are not compared
+const MIN_WORDS = 8;
+
+// Shortest shared passage highlighted in the report
+const SEGMENT_MIN_WORDS = 4;
+const MAX_SEGMENTS_PER_PAIR = 20;
+
+// Pairs kept per question in the report (the most similar first)
+const MAX_REPORTED_PAIRS = 200;
+
+const SCORED_STATUSES = ['submitted', 'auto_submitted', 'graded'];
+const OPEN_STATUSES = ['started', 'in_progress', 'paused'];
+
+// murmur3 finalizer: a fast, well-mixed 32-bit hash of a 32-bit value
+const mix32 = (value) => {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// FNV-1a over UTF-16 code units (Bangla text hashes like any other)
+const hashString = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// Fixed seeds, so the same answers always get the same signature
+const SIGNATURE_SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix32(i + 0x9e3779b9));
+
+class PlagiarismService {
+
+  // ==========================================
+  // 🔤 TEXT PREPARATION
+  // ==========================================
+
+  /**
+   * Split an answer into words for display and normalized tokens for
+   * comparison. Letters, vowel signs and digits of any script are kept;
+   * punctuation (including the Bangla danda) and zero-width joiners are not.
+   * @param {String} text - Answer text
+   * @returns {Object} { words, tokens: [{ token, index }] }
+   */
+  static tokenize(text = '') {
+    const words = text.normalize('NFC').split(/\s+/).filter(Boolean);
+    const tokens = words
+      .map((word, index) => ({
+        token: word.toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, ''),
+        index
+      }))
+      .filter(entry => entry.token);
+
+    return { words, tokens };
+  }
+
+  /**
+   * Hashed word shingles of a token list
+   * @returns {Set<Number>}
+   */
+  static getShingles(tokens) {
+    const shingles = new Set();
+    const values = tokens.map(entry => entry.token);
+
+    for (let i = 0; i + SHINGLE_SIZE <= values.length; i++) {
+      shingles.add(hashString(values.slice(i, i + SHINGLE_SIZE).join(' ')));
+    }
+
+    return shingles;
+  }
+
+  /**
+   * MinHash signature of a shingle set
+   * @returns {Uint32Array}
+   */
+  static getSignature(shingles) {
+    const signature = new Uint32Array(SIGNATURE_SIZE).fill(0xffffffff);
+
+    shingles.forEach(shingle => {
+      for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        const value = mix32(shingle ^ SIGNATURE_SEEDS[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    });
+
+    return signature;
+  }
+
+  // Exact Jaccard similarity of two shingle sets
+  static getJaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let shared = 0;
+    small.forEach(shingle => {
+      if (large.has(shingle)) shared++;
+    });
+
+    return shared / (a.size + b.size - shared);
+  }
+
+  // ==========================================
+  // 🔗 COMPARING A COHORT
+  // ==========================================
+
+  /**
+   * Pairs of answers that share at least one LSH band. Answers by the
+   * same student (other attempts) are never paired.
+   * @param {Array} entries - [{ studentId, signature }]
+   * @returns {Array} [[indexA, indexB]]
+   */
+  static findCandidatePairs(entries) {
+    const seen = new Set();
+    const pairs = [];
+
+    for (let band = 0; band < LSH_BANDS; band++) {
+      const buckets = new Map();
+
+      entries.forEach((entry, index) => {
+        const key = entry.signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(',');
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      });
+
+      buckets.forEach(members => {
+        for (let i = 0; i < members.length; i++) {
+          for (let j = i + 1; j < members.length; j++) {
+            const [a, b] = [members[i], members[j]];
+            const key = `${a}:${b}`;
+            if (seen.has(key) || entries[a].studentId === entries[b].studentId) continue;
+
+            seen.add(key);
+            pairs.push([a, b]);
+          }
+        }
+      });
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Longest shared word runs of two answers, for highlighting
+   * @returns {Array} [{ text, a: { start, end }, b: { start, end } }] in word positions
+   */
+  static findMatchingSegments(first, second) {
+    const tokensA = first.tokens;
+    const tokensB = second.tokens;
+    const gramsB = new Map();
+
+    for (let j = 0; j + SEGMENT_MIN_WORDS <= tokensB.length; j++) {
+      const gram = tokensB.slice(j, j + SEGMENT_MIN_WORDS).map(entry => entry.token).join(' ');
+      if (!gramsB.has(gram)) gramsB.set(gram, []);
+      gramsB.get(gram).push(j);
+    }
+
+    const segments = [];
+    let i = 0;
+
+    while (i + SEGMENT_MIN_WORDS <= tokensA.length && segments.length < MAX_SEGMENTS_PER_PAIR) {
+      const gram = tokensA.slice(i, i + SEGMENT_MIN_WORDS).map(entry => entry.token).join(' ');
+      const starts = gramsB.get(gram);
+
+      if (!starts) {
+        i++;
+        continue;
+      }
+
+      // Extend to the longest run starting here
+      let best = { length: 0, start: 0 };
+      starts.forEach(j => {
+        let length = SEGMENT_MIN_WORDS;
+        while (i + length < tokensA.length && j + length < tokensB.length &&
+               tokensA[i + length].token === tokensB[j + length].token) {
+          length++;
+        }
+        if (length > best.length) best = { length, start: j };
+      });
+
+      const a = { start: tokensA[i].index, end: tokensA[i + best.length - 1].index };
+      const b = { start: tokensB[best.start].index, end: tokensB[best.start + best.length - 1].index };
+
+      segments.push({ text: first.words.slice(a.start, a.end + 1).join(' '), a, b });
+      i += best.length;
+    }
+
+    return segments;
+  }
+
+  // Group students linked by suspicious pairs (union-find)
+  static buildClusters(entries, pairs) {
+    const parent = entries.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    pairs.forEach(pair => {
+      parent[find(pair.indexA)] = find(pair.indexB);
+    });
+
+    const clusters = new Map();
+    pairs.forEach(pair => {
+      const root = find(pair.indexA);
+      const cluster = clusters.get(root) || { members: new Set(), maxSimilarity: 0 };
+      cluster.members.add(pair.indexA);
+      cluster.members.add(pair.indexB);
+      cluster.maxSimilarity = Math.max(cluster.maxSimilarity, pair.similarity);
+      clusters.set(root, cluster);
+    });
+
+    return Array.from(clusters.values())
+      .map(cluster => ({
+        members: Array.from(cluster.members).map(index => this.getOwner(entries[index])),
+        maxSimilarity: cluster.maxSimilarity
+      }))
+      .sort((a, b) => b.members.length - a.members.length || b.maxSimilarity - a.maxSimilarity);
+  }
+
+  static getOwner(entry) {
+    return { submissionId: entry.submissionId, studentId: entry.studentId };
+  }
+
+  /**
+   * Compare every answer to one question (or Creative Question part)
+   * @param {Array} answers - [{ submissionId, studentId, responseIndex, text }]
+   * @param {Number} threshold - Similarity that counts as suspicious
+   * @returns {Object} { entries, bestScores, pairs, clusters }
+   */
+  static compareAnswers(answers, threshold) {
+    const entries = answers
+      .map(answer => ({ ...answer, ...this.tokenize(answer.text) }))
+      .filter(entry => entry.tokens.length >= MIN_WORDS)
+      .map(entry => {
+        const shingles = this.getShingles(entry.tokens);
+        return { ...entry, shingles, signature: this.getSignature(shingles) };
+      });
+
+    // Highest similarity of each answer to anyone else's
+    const bestScores = new Array(entries.length).fill(0);
+    const suspicious = [];
+
+    this.findCandidatePairs(entries).forEach(([indexA, indexB]) => {
+      const similarity = this.getJaccard(entries[indexA].shingles, entries[indexB].shingles);
+
+      bestScores[indexA] = Math.max(bestScores[indexA], similarity);
+      bestScores[indexB] = Math.max(bestScores[indexB], similarity);
+
+      if (similarity >= threshold) {
+        suspicious.push({ indexA, indexB, similarity: Math.round(similarity * 100) / 100 });
+      }
+    });
+
+    suspicious.sort((x, y) => y.similarity - x.similarity);
+
+    const pairs = suspicious.slice(0, MAX_REPORTED_PAIRS).map(pair => ({
+      a: this.getOwner(entries[pair.indexA]),
+      b: this.getOwner(entries[pair.indexB]),
+      similarity: pair.similarity,
+      segments: this.findMatchingSegments(entries[pair.indexA], entries[pair.indexB])
+    }));
+
+    return {
+      entries,
+      bestScores,
+      pairs,
+      clusters: this.buildClusters(entries, suspicious)
+    };
+  }
+
+  // ==========================================
+  // 🏫 ASSESSMENT RUNS
+  // ==========================================
+
+  /**
+   * Written answers of submitted attempts grouped by question. Creative
+   * Question parts are compared part by part.
+   * @returns {Map} "questionId" or "questionId:part" -> answers
+   */
+  static collectAnswers(attempts) {
+    const groups = new Map();
+    const add = (key, questionId, part, answer) => {
+      if (!groups.has(key)) groups.set(key, { questionId, part, answers: [] });
+      groups.get(key).answers.push(answer);
+    };
+
+    attempts.forEach(attempt => {
+      attempt.responses.forEach((response, responseIndex) => {
+        if (!response.isAnswered) return;
+
+        const owner = {
+          submissionId: attempt._id,
+          studentId: attempt.studentId.toString(),
+          responseIndex
+        };
+        const questionId = response.questionId.toString();
+
+        if (response.answer?.textAnswer) {
+          add(questionId, questionId, '', { ...owner, text: response.answer.textAnswer });
+        }
+
+        (response.answer?.cqAnswers || [])
+          .filter(part => part.textAnswer)
+          .forEach(part => add(`${questionId}:${part.label}`, questionId, part.label, { ...owner, text: part.textAnswer }));
+      });
+    });
+
+    return groups;
+  }
+
+  /**
+   * Compare all written answers of an assessment, store each answer's
+   * plagiarism score and save the report
+   * @param {Object} assessment - Assessment document
+   * @param {Object} options - { trigger: 'scheduled' | 'manual', userId }
+   * @returns {Object} PlagiarismReport document
+   */
+  static async runForAssessment(assessment, options = {}) {
+    const { trigger = 'manual', userId } = options;
+    const threshold = assessment.aiFeatures?.plagiarismDetection?.threshold ?? 0.8;
+
+    const attempts = await StudentResponse.find({
+      assessmentId: assessment._id,
+      status: { $in: SCORED_STATUSES }
+    }).select('studentId responses.questionId responses.isAnswered responses.answer.textAnswer responses.answer.cqAnswers');
+
+    // submissionId -> responseIndex -> best score
+    const scores = new Map();
+    const questions = [];
+    let answersCompared = 0;
+
+    this.collectAnswers(attempts).forEach(({ questionId, part, answers }) => {
+      const result = this.compareAnswers(answers, threshold);
+      answersCompared += result.entries.length;
+
+      result.entries.forEach((entry, index) => {
+        const key = entry.submissionId.toString();
+        if (!scores.has(key)) scores.set(key, new Map());
+        const byResponse = scores.get(key);
+        byResponse.set(entry.responseIndex, Math.max(byResponse.get(entry.responseIndex) || 0, result.bestScores[index]));
+      });
+
+      questions.push({
+        questionId,
+        part,
+        answersCompared: result.entries.length,
+        pairs: result.pairs,
+        clusters: result.clusters
+      });
+    });
+
+    const updates = Array.from(scores.entries()).map(([submissionId, byResponse]) => ({
+      updateOne: {
+        filter: { _id: submissionId },
+        update: {
+          $set: Object.fromEntries(Array.from(byResponse.entries()).map(([responseIndex, score]) => [
+            `responses.${responseIndex}.aiAnalysis.plagiarismScore`,
+            Math.round(score * 100) / 100
+          ]))
+        }
+      }
+    }));
+    if (updates.length > 0) {
+      await StudentResponse.bulkWrite(updates);
+    }
+
+    questions.sort((a, b) => b.pairs.length - a.pairs.length);
+
+    const report = await PlagiarismReport.findOneAndUpdate(
+      { assessmentId: assessment._id },
+      {
+        threshold,
+        generatedAt: new Date(),
+        generatedBy: userId,
+        trigger,
+        answersCompared,
+        questions
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await Assessment.updateOne(
+      { _id: assessment._id },
+      { $set: { 'aiFeatures.plagiarismDetection.lastRunAt': report.generatedAt } }
+    );
+
+    return report;
+  }
+
+  /**
+   * Whether every student's window (accommodations and late windows
+   * included) has closed and no attempt is still open
+   */
+  static async isClosedForEveryone(assessment, now = new Date()) {
+    if (assessment.getSubmissionCloseDate() > now) return false;
+
+    const openWindow = assessment.participants.students.some(
+      participant => assessment.getSubmissionCloseDate(participant.studentId) > now
+    );
+    if (openWindow) return false;
+
+    const openAttempts = await StudentResponse.countDocuments({
+      assessmentId: assessment._id,
+      status: { $in: OPEN_STATUSES }
+    });
+    return openAttempts === 0;
+  }
+
+  /**
+   * Run the check once for every assessment with plagiarism detection on
+   * whose submissions have closed
+   * @returns {Number} Assessments checked
+   */
+  static async runDueChecks(now = new Date()) {
+    const assessments = await Assessment.find({
+      'aiFeatures.plagiarismDetection.enabled': true,
+      'aiFeatures.plagiarismDetection.lastRunAt': { $exists: false },
+      'schedule.endDate': { $lte: now },
+      status: { $ne: 'draft' }
+    });
+
+    let checked = 0;
+    for (const assessment of assessments) {
+      try {
+        if (!(await this.isClosedForEveryone(assessment, now))) continue;
+
+        await this.runForAssessment(assessment, { trigger: 'scheduled' });
+        checked++;
+      } catch (error) {
+        console.error('❌ Plagiarism check failed for assessment:', assessment._id.toString(), error.message);
+      }
+    }
+
+    return checked;
+  }
+}
+
+module.exports = PlagiarismService;
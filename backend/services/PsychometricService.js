@@ -0,0 +1,461 @@
+// 📐 GyanGuru Psychometric Service - Classical test theory item analysis
+// Features: p-values, Point-biserial & upper/lower discrimination, MCQ distractor analysis, KR-20/Cronbach alpha, Item flags
+
+const Question = require('../models/Question');
+const StudentResponse = require('../models/StudentResponse');
+const GradingQueueService = require('./GradingQueueService');
+
+const SUBMITTED_STATUSES = ['submitted', 'auto_submitted', 'graded'];
+
+// Item types whose options get a distractor breakdown
+const DISTRACTOR_TYPES = ['MCQ', 'True/False'];
+
+// Classical item-analysis rules of thumb
+const THRESHOLDS = {
+  minSampleSize: 10,        // fewer examinees give unstable statistics
+  tooHard: 0.2,             // p-value below this
+  tooEasy: 0.9,             // p-value above this
+  lowDiscrimination: 0.2,   // point-biserial below this
+  nonFunctional: 0.05,      // distractors chosen by fewer than 5% of examinees
+  groupFraction: 0.27       // upper and lower groups are the top and bottom 27%
+};
+
+// Questions re-analyzed together by the scheduled refresh
+const REFRESH_BATCH_SIZE = 200;
+
+const round = (value, places = 3) =>
+  (value === null || Number.isNaN(value) ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Population variance, as used by KR-20 and Cronbach's alpha
+const variance = (values) => {
+  const average = mean(values);
+  return values.length > 0 ? mean(values.map(value => (value - average) ** 2)) : null;
+};
+
+const correlation = (xs, ys) => {
+  if (xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+};
+
+class PsychometricService {
+
+  static THRESHOLDS = THRESHOLDS;
+  static SUBMITTED_STATUSES = SUBMITTED_STATUSES;
+
+  // ==========================================
+  // 🧮 SCORE MATRIX
+  // ==========================================
+
+  /**
+   * Fraction of the item's marks earned; null while an answer awaits grading
+   */
+  static scoreOf(response) {
+    if (!(response.maxMarks > 0)) return null;
+    if (!response.isAnswered) return 0;
+    if (GradingQueueService.needsGrading(response)) return null;
+    return Math.min(1, (response.finalMarks || 0) / response.maxMarks);
+  }
+
+  /**
+   * One row per examinee (their first submitted attempt, before any practice
+   * effect), with item scores keyed by question ID
+   * @param {Array} submissions - StudentResponse documents for one assessment
+   * @returns {Array} [{ studentId, responses: Map, scores: Map, marks: Map, total }]
+   */
+  static buildExaminees(submissions) {
+    const firstAttempts = new Map();
+    submissions
+      .filter(submission => SUBMITTED_STATUSES.includes(submission.status))
+      .forEach(submission => {
+        const key = idOf(submission.studentId);
+        const current = firstAttempts.get(key);
+        if (!current || (submission.attemptNumber || 1) < (current.attemptNumber || 1)) {
+          firstAttempts.set(key, submission);
+        }
+      });
+
+    return Array.from(firstAttempts.values()).map(submission => {
+      const responses = new Map();
+      const scores = new Map();
+      const marks = new Map();
+
+      submission.responses.forEach(response => {
+        const score = this.scoreOf(response);
+        if (score === null) return;
+
+        const key = idOf(response.questionId);
+        responses.set(key, response);
+        scores.set(key, score);
+        marks.set(key, score * response.maxMarks);
+      });
+
+      return {
+        studentId: submission.studentId,
+        responses,
+        scores,
+        marks,
+        total: Array.from(marks.values()).reduce((sum, value) => sum + value, 0)
+      };
+    });
+  }
+
+  /**
+   * Top and bottom 27% of examinees by total score
+   */
+  static splitGroups(examinees) {
+    const sorted = [...examinees].sort((a, b) => b.total - a.total);
+    const size = Math.max(1, Math.round(sorted.length * THRESHOLDS.groupFraction));
+    return {
+      upper: new Set(sorted.slice(0, size)),
+      lower: new Set(sorted.slice(-size))
+    };
+  }
+
+  // ==========================================
+  // 📊 ITEM STATISTICS
+  // ==========================================
+
+  /**
+   * Difficulty and discrimination for one item. The point-biserial is
+   * corrected: it correlates the item with the rest of the test, so the item
+   * does not inflate its own discrimination.
+   */
+  static analyzeItem(questionId, examinees, groups) {
+    const takers = examinees.filter(examinee => examinee.scores.has(questionId));
+    const itemScores = takers.map(examinee => examinee.scores.get(questionId));
+    const restScores = takers.map(examinee => examinee.total - examinee.marks.get(questionId));
+
+    const upper = takers.filter(examinee => groups.upper.has(examinee)).map(examinee => examinee.scores.get(questionId));
+    const lower = takers.filter(examinee => groups.lower.has(examinee)).map(examinee => examinee.scores.get(questionId));
+
+    return {
+      questionId,
+      sampleSize: takers.length,
+      pValue: round(mean(itemScores)),
+      pointBiserial: round(correlation(itemScores, restScores)),
+      discriminationIndex: upper.length > 0 && lower.length > 0 ? round(mean(upper) - mean(lower)) : null,
+      isDichotomous: itemScores.every(score => score === 0 || score === 1)
+    };
+  }
+
+  /**
+   * How often each option was picked overall and by the upper and lower
+   * groups. A working distractor attracts the lower group more than the upper.
+   * @param {Object} question - Question with options
+   */
+  static analyzeDistractors(question, examinees, groups) {
+    const questionId = idOf(question._id);
+    const takers = examinees.filter(examinee => examinee.responses.has(questionId));
+    if (takers.length === 0 || !(question.options || []).length) return [];
+
+    const choiceOf = (response) => {
+      const selected = response.answer?.selectedOptionId || response.answer?.selectedOption;
+      if (!selected) return null;
+      const option = question.options.find(item =>
+        idOf(item._id) === selected.toString() || item.text === selected.toString());
+      return option ? idOf(option._id) : null;
+    };
+
+    const choices = takers.map(examinee => ({ examinee, choice: choiceOf(examinee.responses.get(questionId)) }));
+    const upperCount = choices.filter(entry => groups.upper.has(entry.examinee)).length;
+    const lowerCount = choices.filter(entry => groups.lower.has(entry.examinee)).length;
+
+    return question.options.map(option => {
+      const optionId = idOf(option._id);
+      const chosen = choices.map(entry => (entry.choice === optionId ? 1 : 0));
+      const byUpper = choices.filter(entry => entry.choice === optionId && groups.upper.has(entry.examinee)).length;
+      const byLower = choices.filter(entry => entry.choice === optionId && groups.lower.has(entry.examinee)).length;
+
+      return {
+        optionId: option._id,
+        text: option.text,
+        isCorrect: Boolean(option.isCorrect),
+        count: chosen.reduce((sum, value) => sum + value, 0),
+        proportion: round(mean(chosen)),
+        upperProportion: upperCount > 0 ? round(byUpper / upperCount) : null,
+        lowerProportion: lowerCount > 0 ? round(byLower / lowerCount) : null,
+        pointBiserial: round(correlation(chosen, choices.map(entry => entry.examinee.total)))
+      };
+    });
+  }
+
+  /**
+   * Flags for a poorly performing item
+   * @returns {Array<String>}
+   */
+  static flagItem(item) {
+    if (item.sampleSize < THRESHOLDS.minSampleSize) return ['insufficient_data'];
+
+    const flags = [];
+    if (item.pValue !== null && item.pValue < THRESHOLDS.tooHard) flags.push('too_hard');
+    if (item.pValue !== null && item.pValue > THRESHOLDS.tooEasy) flags.push('too_easy');
+
+    if (item.pointBiserial !== null && item.pointBiserial < 0) {
+      flags.push('negative_discrimination');
+    } else if (item.pointBiserial !== null && item.pointBiserial < THRESHOLDS.lowDiscrimination) {
+      flags.push('low_discrimination');
+    }
+
+    const distractors = (item.distractors || []).filter(option => !option.isCorrect);
+    const key = (item.distractors || []).find(option => option.isCorrect);
+
+    if (distractors.some(option => option.proportion < THRESHOLDS.nonFunctional)) {
+      flags.push('non_functional_distractors');
+    }
+    if (distractors.some(option => option.upperProportion > option.lowerProportion)) {
+      flags.push('distractor_attracts_top_scorers');
+    }
+    if (key && distractors.some(option =>
+      option.pointBiserial > 0 && (key.pointBiserial === null || option.pointBiserial > key.pointBiserial))) {
+      flags.push('possible_miskey');
+    }
+
+    return flags;
+  }
+
+  // ==========================================
+  // 🔒 RELIABILITY
+  // ==========================================
+
+  /**
+   * Cronbach's alpha over the items every examinee answered; KR-20 as well
+   * when all of those items are scored right/wrong (it equals alpha then)
+   */
+  static reliability(examinees, items) {
+    const common = items
+      .filter(item => item.sampleSize === examinees.length && item.sampleSize > 0)
+      .map(item => item.questionId);
+    const k = common.length;
+
+    if (k < 2 || examinees.length < 2) {
+      return { itemCount: k, cronbachAlpha: null, kr20: null, standardErrorOfMeasurement: null, interpretation: 'insufficient_data' };
+    }
+
+    const totals = examinees.map(examinee => common.reduce((sum, id) => sum + examinee.marks.get(id), 0));
+    const totalVariance = variance(totals);
+    const itemVariances = common.map(id => variance(examinees.map(examinee => examinee.marks.get(id))));
+
+    const alpha = totalVariance > 0
+      ? (k / (k - 1)) * (1 - itemVariances.reduce((sum, value) => sum + value, 0) / totalVariance)
+      : null;
+    const dichotomous = items.filter(item => common.includes(item.questionId)).every(item => item.isDichotomous);
+
+    let interpretation = 'poor';
+    if (alpha === null) interpretation = 'insufficient_data';
+    else if (alpha >= 0.8) interpretation = 'good';
+    else if (alpha >= 0.7) interpretation = 'acceptable';
+    else if (alpha >= 0.6) interpretation = 'questionable';
+
+    return {
+      itemCount: k,
+      cronbachAlpha: round(alpha),
+      kr20: dichotomous ? round(alpha) : null,
+      standardErrorOfMeasurement: alpha !== null ? round(Math.sqrt(totalVariance) * Math.sqrt(Math.max(0, 1 - alpha)), 2) : null,
+      interpretation
+    };
+  }
+
+  // ==========================================
+  // 📋 REPORTS
+  // ==========================================
+
+  /**
+   * Full item analysis for one assessment
+   * @param {Array} submissions - StudentResponse documents
+   * @param {Array} questions - Question documents used in the assessment
+   * @returns {Object} { examinees, reliability, items, flaggedItems }
+   */
+  static analyzeAssessment(submissions, questions) {
+    const examinees = this.buildExaminees(submissions);
+    const groups = this.splitGroups(examinees);
+    const questionsById = new Map(questions.map(question => [idOf(question._id), question]));
+
+    const questionIds = [...new Set(examinees.flatMap(examinee => Array.from(examinee.scores.keys())))];
+    const items = questionIds.map(questionId => {
+      const item = this.analyzeItem(questionId, examinees, groups);
+      const question = questionsById.get(questionId);
+      const response = examinees.find(examinee => examinee.responses.has(questionId))?.responses.get(questionId);
+
+      item.title = question?.title;
+      item.questionType = response?.questionType;
+      if (question && DISTRACTOR_TYPES.includes(response?.questionType)) {
+        item.distractors = this.analyzeDistractors(question, examinees, groups);
+      }
+      item.flags = this.flagItem(item);
+      return item;
+    });
+
+    return {
+      examinees: examinees.length,
+      reliability: this.reliability(examinees, items),
+      items,
+      flaggedItems: items
+        .filter(item => item.flags.length > 0 && !item.flags.includes('insufficient_data'))
+        .map(item => ({ questionId: item.questionId, title: item.title, flags: item.flags }))
+    };
+  }
+
+  /**
+   * Question-level statistics pooled over every assessment that used the
+   * questions, weighted by each assessment's sample size
+   * @param {Array} submissions - StudentResponse documents from those assessments
+   * @param {Array} questions - Questions to report on
+   * @returns {Map} questionId -> { pValue, pointBiserial, discriminationIndex, sampleSize, flags }
+   */
+  static analyzeQuestions(submissions, questions) {
+    const byAssessment = new Map();
+    submissions.forEach(submission => {
+      const key = idOf(submission.assessmentId);
+      if (!byAssessment.has(key)) byAssessment.set(key, []);
+      byAssessment.get(key).push(submission);
+    });
+
+    const wanted = new Set(questions.map(question => idOf(question._id)));
+    const pooled = new Map();
+
+    byAssessment.forEach(assessmentSubmissions => {
+      const { items } = this.analyzeAssessment(assessmentSubmissions, questions);
+      items.filter(item => wanted.has(item.questionId)).forEach(item => {
+        if (!pooled.has(item.questionId)) pooled.set(item.questionId, []);
+        pooled.get(item.questionId).push(item);
+      });
+    });
+
+    const results = new Map();
+    pooled.forEach((items, questionId) => {
+      const sampleSize = items.reduce((sum, item) => sum + item.sampleSize, 0);
+      const weighted = (field) => {
+        const usable = items.filter(item => item[field] !== null);
+        const weight = usable.reduce((sum, item) => sum + item.sampleSize, 0);
+        return weight > 0 ? round(usable.reduce((sum, item) => sum + item[field] * item.sampleSize, 0) / weight) : null;
+      };
+
+      const summary = {
+        pValue: weighted('pValue'),
+        pointBiserial: weighted('pointBiserial'),
+        discriminationIndex: weighted('discriminationIndex'),
+        sampleSize,
+        assessments: items.length
+      };
+      // Distractor flags come from each assessment; difficulty and discrimination from the pooled values
+      const distractorFlags = items.flatMap(item => this.flagItem(item))
+        .filter(flag => ['non_functional_distractors', 'distractor_attracts_top_scorers', 'possible_miskey'].includes(flag));
+      summary.flags = [...new Set([...this.flagItem(summary), ...(sampleSize >= THRESHOLDS.minSampleSize ? distractorFlags : [])])];
+      results.set(questionId, summary);
+    });
+
+    return results;
+  }
+
+  // ==========================================
+  // 💾 LOADING & PERSISTENCE
+  // ==========================================
+
+  static findSubmissions(filter) {
+    return StudentResponse.find({ ...filter, status: { $in: SUBMITTED_STATUSES } })
+      .select('assessmentId studentId attemptNumber status responses')
+      .lean();
+  }
+
+  /**
+   * Item analysis report for one assessment's submissions
+   */
+  static async getAssessmentReport(assessmentId) {
+    const submissions = await this.findSubmissions({ assessmentId });
+    const questionIds = [...new Set(submissions.flatMap(submission =>
+      submission.responses.map(response => idOf(response.questionId))))];
+    const questions = await Question.find({ _id: { $in: questionIds } }).select('title options').lean();
+
+    return this.analyzeAssessment(submissions, questions);
+  }
+
+  /**
+   * Recompute and store itemAnalysis for the given questions from every
+   * assessment they appeared in
+   * @param {Array} questions - Question documents (title and options are enough)
+   * @returns {Promise<Map>} questionId -> item analysis
+   */
+  static async refreshQuestionAnalysis(questions) {
+    if (questions.length === 0) return new Map();
+
+    const questionIds = questions.map(question => question._id);
+    const assessmentIds = await StudentResponse.distinct('assessmentId', {
+      'responses.questionId': { $in: questionIds },
+      status: { $in: SUBMITTED_STATUSES }
+    });
+    if (assessmentIds.length === 0) return new Map();
+
+    const submissions = await this.findSubmissions({ assessmentId: { $in: assessmentIds } });
+    const results = this.analyzeQuestions(submissions, questions);
+    const analyzedAt = new Date();
+
+    if (results.size > 0) {
+      await Question.bulkWrite(Array.from(results.entries()).map(([questionId, analysis]) => ({
+        updateOne: {
+          filter: { _id: questionId },
+          update: {
+            $set: {
+              itemAnalysis: {
+                pValue: analysis.pValue,
+                pointBiserial: analysis.pointBiserial,
+                discriminationIndex: analysis.discriminationIndex,
+                sampleSize: analysis.sampleSize,
+                flags: analysis.flags,
+                analyzedAt
+              }
+            }
+          }
+        }
+      })));
+    }
+
+    return results;
+  }
+
+  /**
+   * Scheduled refresh: re-analyze every question of the assessments that got
+   * new submissions or grades since the last run
+   * @param {Date} since - Changes after this time are picked up
+   * @returns {Promise<Number>} Questions analyzed
+   */
+  static async runDueAnalyses(since) {
+    const assessmentIds = await StudentResponse.distinct('assessmentId', {
+      status: { $in: SUBMITTED_STATUSES },
+      updatedAt: { $gte: since }
+    });
+    if (assessmentIds.length === 0) return 0;
+
+    const questionIds = await StudentResponse.distinct('responses.questionId', {
+      assessmentId: { $in: assessmentIds },
+      status: { $in: SUBMITTED_STATUSES }
+    });
+
+    let analyzed = 0;
+    for (let i = 0; i < questionIds.length; i += REFRESH_BATCH_SIZE) {
+      const questions = await Question.find({ _id: { $in: questionIds.slice(i, i + REFRESH_BATCH_SIZE) } })
+        .select('title options')
+        .lean();
+      analyzed += (await this.refreshQuestionAnalysis(questions)).size;
+    }
+
+    return analyzed;
+  }
+}
+
+module.exports = PsychometricService;
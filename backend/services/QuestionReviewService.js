@@ -0,0 +1,191 @@
+// 🛡️ GyanGuru Question Review Service - Moderation before questions are shared
+// Features: Reviewer eligibility, Submit/approve/reject transitions, Public visibility filter, Review history
+
+// Reviewer decision -> Question.reviewStatus
+const REVIEW_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_changes: 'needs_revision'
+};
+
+// Verified teachers with this many years of experience may review
+const SENIOR_TEACHER_EXPERIENCE = 5;
+
+// Statuses a question can be (re)submitted from
+const SUBMITTABLE_STATUSES = ['draft', 'rejected', 'needs_revision'];
+
+// Editing any of these sends an approved or queued question back through review
+// (and creates a new question version)
+const CONTENT_FIELDS = [
+  'title', 'type', 'subject', 'chapter', 'topic', 'class', 'difficulty', 'marks',
+  'question', 'options', 'creativeQuestion', 'matching', 'ordering', 'scoringRule',
+  'numericAnswer', 'correctAnswer'
+];
+
+// Only the review endpoints may set these
+const REVIEW_FIELDS = ['reviewStatus', 'reviewNotes', 'reviewedBy', 'reviewedAt', 'reviewHistory', 'submittedForReviewAt'];
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+class QuestionReviewService {
+
+  static REVIEW_ACTIONS = Object.keys(REVIEW_ACTIONS);
+  static REVIEW_FIELDS = REVIEW_FIELDS;
+  static CONTENT_FIELDS = CONTENT_FIELDS;
+
+  // Shared questions students and other teachers may see
+  static PUBLIC_FILTER = { isPublic: true, reviewStatus: 'approved' };
+
+  // ==========================================
+  // 👥 REVIEWERS & VISIBILITY
+  // ==========================================
+
+  /**
+   * Admins, or verified senior teachers
+   * @param {Object} user - Authenticated user
+   * @returns {Boolean}
+   */
+  static canReview(user) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+
+    return user.role === 'teacher' &&
+      Boolean(user.teacherInfo?.isVerified) &&
+      (user.teacherInfo?.experience || 0) >= SENIOR_TEACHER_EXPERIENCE;
+  }
+
+  /**
+   * Owners always see their questions; others only approved public ones,
+   * except reviewers looking at a queued question
+   */
+  static isVisibleTo(question, user) {
+    if (idOf(question.createdBy) === idOf(user._id)) return true;
+    if (question.isPublic && question.reviewStatus === 'approved') return true;
+    return question.reviewStatus === 'pending' && this.canReview(user);
+  }
+
+  /**
+   * Queue filter: submitted questions by other teachers, oldest first.
+   * Questions saved before moderation defaulted to 'pending' without being
+   * submitted, so private ones are left out.
+   */
+  static buildQueueQuery(reviewer, filters = {}) {
+    const query = {
+      isActive: true,
+      reviewStatus: 'pending',
+      createdBy: { $ne: reviewer._id },
+      $or: [
+        { submittedForReviewAt: { $exists: true } },
+        { isPublic: true },
+        { source: 'ai_generated' }
+      ]
+    };
+
+    if (filters.subject) query.subject = filters.subject;
+    if (filters.class) query.class = parseInt(filters.class);
+    if (filters.type) query.type = filters.type;
+    if (filters.source) query.source = filters.source;
+
+    return query;
+  }
+
+  // ==========================================
+  // 🔄 TRANSITIONS
+  // ==========================================
+
+  /**
+   * Status for a new question: shared and AI-generated questions start in the queue
+   */
+  static initialStatus({ source, isPublic }) {
+    return source === 'ai_generated' || isPublic ? 'pending' : 'draft';
+  }
+
+  static addHistory(question, action, userId, notes) {
+    if (!question.reviewHistory) question.reviewHistory = [];
+    question.reviewHistory.push({ action, notes, by: userId, at: new Date() });
+  }
+
+  static markSubmitted(question, userId) {
+    question.reviewStatus = 'pending';
+    question.submittedForReviewAt = new Date();
+    this.addHistory(question, 'submitted', userId);
+  }
+
+  /**
+   * Owner sends a draft, rejected or revised question to the reviewer queue
+   * @returns {Object} {} on success, { error } otherwise
+   */
+  static submit(question, userId) {
+    if (question.reviewStatus === 'pending') {
+      return { error: 'Question is already waiting for review' };
+    }
+    if (!SUBMITTABLE_STATUSES.includes(question.reviewStatus)) {
+      return { error: 'Approved questions do not need another review' };
+    }
+
+    this.markSubmitted(question, userId);
+    return {};
+  }
+
+  /**
+   * Reviewer decision on a queued question. Rejections and change requests need notes.
+   * @returns {Object} {} on success, { error } otherwise
+   */
+  static review(question, reviewer, action, notes) {
+    const status = REVIEW_ACTIONS[action];
+    const trimmedNotes = (notes || '').trim();
+
+    if (!status) {
+      return { error: `Action must be one of: ${this.REVIEW_ACTIONS.join(', ')}` };
+    }
+    if (idOf(question.createdBy) === idOf(reviewer._id)) {
+      return { error: 'You cannot review your own question' };
+    }
+    if (question.reviewStatus !== 'pending') {
+      return { error: 'Only questions waiting for review can be reviewed' };
+    }
+    if (status !== 'approved' && !trimmedNotes) {
+      return { error: 'Please add notes explaining what needs to change' };
+    }
+
+    question.reviewStatus = status;
+    question.reviewNotes = trimmedNotes || undefined;
+    question.reviewedBy = reviewer._id;
+    question.reviewedAt = new Date();
+    this.addHistory(question, status, reviewer._id, trimmedNotes || undefined);
+
+    return {};
+  }
+
+  /**
+   * Call before saving an owner's edit. Changed content goes back to the queue
+   * when the question is shared or was already queued; sharing a draft submits it.
+   * @param {Boolean} contentChanged - Defaults to checking modified paths
+   * @returns {Boolean} Whether the review status changed
+   */
+  static applyEditRules(question, userId, contentChanged = CONTENT_FIELDS.some(field => question.isModified(field))) {
+    const madePublic = question.isModified('isPublic') && question.isPublic;
+    const shared = this.initialStatus(question) === 'pending';
+
+    if (contentChanged) {
+      if (shared || question.reviewStatus === 'pending') {
+        this.markSubmitted(question, userId);
+        return true;
+      }
+      if (question.reviewStatus === 'approved') {
+        question.reviewStatus = 'draft';
+        return true;
+      }
+      return false;
+    }
+
+    if (madePublic && question.reviewStatus === 'draft') {
+      this.markSubmitted(question, userId);
+      return true;
+    }
+
+    return false;
+  }
+}
+
+module.exports = QuestionReviewService;
@@ -0,0 +1,441 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const PlagiarismService = require('./PlagiarismService');
+const QuestionReviewService = require('./QuestionReviewService');
+
+// 🧬 GyanGuru Question Similarity Service - Near-duplicate detection in the question bank
+// Features: Character n-grams (Bangla & English), Option-set comparison, Cross-language hints, Duplicate clusters, Merge with usage stats
+
+// Character n-grams survive reordered words and inflected forms better than word shingles
+const NGRAM_SIZE = 3;
+
+// Similarity levels reported to teachers and admins
+const DUPLICATE_THRESHOLD = 0.9;
+const NEAR_DUPLICATE_THRESHOLD = 0.7;
+
+// With three or more options, the option set says as much as the stem does
+const OPTION_WEIGHT = 0.35;
+const MIN_COMPARED_OPTIONS = 3;
+
+// Bank questions compared against a new one, and per subject/class/type group in the cluster report
+const MAX_POOL_SIZE = 3000;
+const MAX_CLUSTER_GROUP = 1000;
+
+// The cluster report hands the event loop back after this many rows of comparisons
+const CLUSTER_ROWS_PER_TICK = 25;
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+const FEATURE_FIELDS = 'title type subject class question options creativeQuestion matching ordering createdBy reviewStatus isPublic usageStats tags createdAt';
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Bangla digits (U+09E6-U+09EF) to 0-9
+const toAsciiDigits = (text) => text.replace(/[\u09E6-\u09EF]/g, digit => String(digit.charCodeAt(0) - 0x09E6));
+
+class QuestionSimilarityService {
+
+  static DUPLICATE_THRESHOLD = DUPLICATE_THRESHOLD;
+  static NEAR_DUPLICATE_THRESHOLD = NEAR_DUPLICATE_THRESHOLD;
+
+  // ==========================================
+  // 🔤 FEATURES
+  // ==========================================
+
+  /**
+   * Normalized tokens: letters, vowel signs and digits of any script,
+   * Bangla digits folded to ASCII so numbers match across languages
+   */
+  static normalize(text = '') {
+    return PlagiarismService.tokenize(toAsciiDigits(text || '')).tokens.map(entry => entry.token);
+  }
+
+  static ngrams(tokens) {
+    const text = tokens.join(' ');
+    const grams = new Set();
+    for (let i = 0; i + NGRAM_SIZE <= text.length; i++) {
+      grams.add(text.slice(i, i + NGRAM_SIZE));
+    }
+    if (grams.size === 0 && text) grams.add(text);
+    return grams;
+  }
+
+  // 'bn' when most letters are Bengali script, otherwise 'latin'
+  static detectScript(tokens) {
+    const letters = tokens.join('').replace(/[\p{N}]/gu, '');
+    if (!letters) return null;
+    const bangla = (letters.match(/[\u0980-\u09FF]/g) || []).length;
+    return bangla / letters.length > 0.5 ? 'bn' : 'latin';
+  }
+
+  /**
+   * Everything compared for one question, computed once per question
+   */
+  static getFeatures(question) {
+    const stem = [
+      question.question?.text,
+      question.creativeQuestion?.stem?.text,
+      ...(question.creativeQuestion?.parts || []).map(part => part.text)
+    ].filter(Boolean).join(' ');
+
+    const choices = [
+      ...(question.options || []).map(option => option.text),
+      ...(question.matching?.pairs || []).map(pair => `${pair.prompt?.text} ${pair.match?.text}`),
+      ...(question.ordering?.items || []).map(item => item.text)
+    ];
+
+    const tokens = this.normalize(stem);
+    const options = new Set(choices.map(text => this.normalize(text).join(' ')).filter(Boolean));
+
+    return {
+      id: idOf(question._id),
+      type: question.type,
+      script: this.detectScript(tokens),
+      grams: this.ngrams(tokens),
+      numbers: new Set(tokens.filter(token => /^\d+$/.test(token))),
+      options
+    };
+  }
+
+  // ==========================================
+  // 📏 COMPARISON
+  // ==========================================
+
+  /**
+   * Similarity of two questions' features between 0 and 1. Same-language
+   * pairs compare the stem text (and options); a Bangla/English pair can only
+   * be matched on what translation leaves alone: numbers and identical options.
+   * @returns {Object} { similarity, level, crossLanguage }
+   */
+  static compare(a, b) {
+    const optionScore = a.options.size >= MIN_COMPARED_OPTIONS && b.options.size >= MIN_COMPARED_OPTIONS
+      ? PlagiarismService.getJaccard(a.options, b.options)
+      : null;
+    const crossLanguage = Boolean(a.script && b.script && a.script !== b.script);
+
+    let similarity;
+    if (!crossLanguage) {
+      const textScore = PlagiarismService.getJaccard(a.grams, b.grams);
+      similarity = optionScore === null ? textScore : (1 - OPTION_WEIGHT) * textScore + OPTION_WEIGHT * optionScore;
+    } else if (optionScore !== null && a.numbers.size > 0 && b.numbers.size > 0) {
+      similarity = (optionScore + PlagiarismService.getJaccard(a.numbers, b.numbers)) / 2;
+    } else {
+      similarity = 0;
+    }
+
+    // Translations are only ever a hint, never a certain duplicate
+    const level = this.levelOf(similarity);
+    return {
+      similarity: Math.round(similarity * 1000) / 1000,
+      level: crossLanguage && level ? 'near_duplicate' : level,
+      crossLanguage
+    };
+  }
+
+  static levelOf(similarity) {
+    if (similarity >= DUPLICATE_THRESHOLD) return 'duplicate';
+    if (similarity >= NEAR_DUPLICATE_THRESHOLD) return 'near_duplicate';
+    return null;
+  }
+
+  static summarize(question) {
+    return {
+      _id: question._id,
+      title: question.title,
+      text: (question.question?.text || question.creativeQuestion?.stem?.text || '').substring(0, 150),
+      type: question.type,
+      createdBy: question.createdBy,
+      reviewStatus: question.reviewStatus,
+      isPublic: question.isPublic,
+      totalAttempts: question.usageStats?.totalAttempts || 0,
+      createdAt: question.createdAt
+    };
+  }
+
+  // ==========================================
+  // 🔍 CHECKING NEW QUESTIONS
+  // ==========================================
+
+  /**
+   * Bank questions a teacher can see in the same subject, class and type
+   */
+  static loadPool({ subject, class: classNum, type }, userId) {
+    return Question.find({
+      subject,
+      class: classNum,
+      type,
+      isActive: true,
+      supersededBy: { $exists: false },
+      $or: [{ createdBy: userId }, QuestionReviewService.PUBLIC_FILTER]
+    })
+      .select(FEATURE_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(MAX_POOL_SIZE)
+      .lean();
+  }
+
+  /**
+   * Near-duplicates of several new questions, checked against the bank and
+   * against earlier questions in the same batch
+   * @param {Array} questions - Unsaved questions
+   * @param {String} userId - Teacher adding them
+   * @param {Object} options - { limit } matches kept per question
+   * @returns {Promise<Array>} One list per question: [{ question | index, similarity, level, crossLanguage }]
+   */
+  static async findSimilarBatch(questions, userId, { limit = 5 } = {}) {
+    const pools = new Map();
+    const batchFeatures = questions.map(question => this.getFeatures(question));
+
+    const results = [];
+    for (let i = 0; i < questions.length; i++) {
+      const question = questions[i];
+      const key = [question.subject, question.class, question.type].join('|');
+      if (!pools.has(key)) {
+        const bank = await this.loadPool(question, userId);
+        pools.set(key, bank.map(entry => ({ question: entry, features: this.getFeatures(entry) })));
+      }
+
+      const matches = [];
+      pools.get(key).forEach(entry => {
+        if (entry.features.id === batchFeatures[i].id) return;
+        const result = this.compare(batchFeatures[i], entry.features);
+        if (result.level) matches.push({ question: this.summarize(entry.question), ...result });
+      });
+
+      for (let j = 0; j < i; j++) {
+        if ([questions[j].subject, questions[j].class, questions[j].type].join('|') !== key) continue;
+        const result = this.compare(batchFeatures[i], batchFeatures[j]);
+        if (result.level) matches.push({ index: j, ...result });
+      }
+
+      results.push(matches.sort((a, b) => b.similarity - a.similarity).slice(0, limit));
+    }
+
+    return results;
+  }
+
+  static async findSimilar(question, userId, options) {
+    const [matches] = await this.findSimilarBatch([question], userId, options);
+    return matches;
+  }
+
+  // ==========================================
+  // 🗂️ DUPLICATE CLUSTERS
+  // ==========================================
+
+  /**
+   * Groups of near-duplicate questions in one subject and class of the bank.
+   * Questions are only compared within the same type, and the comparison
+   * yields to the event loop regularly so other requests keep being served.
+   * @param {Object} filters - { subject, class, type, threshold, limit }; subject and class are required
+   * @returns {Promise<Object>} { comparedQuestions, truncatedGroups, clusters }
+   */
+  static async findClusters(filters = {}) {
+    const threshold = Math.max(NEAR_DUPLICATE_THRESHOLD, parseFloat(filters.threshold) || NEAR_DUPLICATE_THRESHOLD);
+    const query = {
+      subject: filters.subject,
+      class: parseInt(filters.class),
+      isActive: true,
+      supersededBy: { $exists: false }
+    };
+    if (filters.type) query.type = filters.type;
+
+    const questions = await Question.find(query)
+      .select(FEATURE_FIELDS)
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const groups = new Map();
+    questions.forEach(question => {
+      const key = [question.subject, question.class, question.type].join('|');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(question);
+    });
+
+    const clusters = [];
+    let truncatedGroups = 0;
+
+    for (const group of groups.values()) {
+      if (group.length > MAX_CLUSTER_GROUP) truncatedGroups++;
+      const members = group.slice(0, MAX_CLUSTER_GROUP);
+      const features = members.map(question => this.getFeatures(question));
+
+      // Union-find over every pair above the threshold
+      const parent = members.map((_, i) => i);
+      const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+      const pairs = [];
+
+      for (let i = 0; i < members.length; i++) {
+        if (i > 0 && i % CLUSTER_ROWS_PER_TICK === 0) await nextTick();
+
+        for (let j = i + 1; j < members.length; j++) {
+          const result = this.compare(features[i], features[j]);
+          if (result.similarity < threshold) continue;
+          pairs.push({ a: i, b: j, ...result });
+          parent[find(j)] = find(i);
+        }
+      }
+
+      const byRoot = new Map();
+      pairs.forEach(pair => {
+        const root = find(pair.a);
+        if (!byRoot.has(root)) byRoot.set(root, { indexes: new Set(), pairs: [] });
+        const cluster = byRoot.get(root);
+        cluster.indexes.add(pair.a);
+        cluster.indexes.add(pair.b);
+        cluster.pairs.push(pair);
+      });
+
+      byRoot.forEach(cluster => {
+        const clusterMembers = Array.from(cluster.indexes).map(i => members[i]);
+        clusters.push({
+          subject: members[0].subject,
+          class: members[0].class,
+          type: members[0].type,
+          size: clusterMembers.length,
+          maxSimilarity: Math.max(...cluster.pairs.map(pair => pair.similarity)),
+          suggestedKeep: this.suggestKeep(clusterMembers)._id,
+          members: clusterMembers.map(question => this.summarize(question)),
+          pairs: cluster.pairs.map(pair => ({
+            a: members[pair.a]._id,
+            b: members[pair.b]._id,
+            similarity: pair.similarity,
+            level: pair.level,
+            crossLanguage: pair.crossLanguage
+          }))
+        });
+      });
+    }
+
+    clusters.sort((a, b) => b.size - a.size || b.maxSimilarity - a.maxSimilarity);
+    const reported = clusters.slice(0, parseInt(filters.limit) || 100);
+
+    // Authors are only looked up for the questions that made the report
+    const members = reported.flatMap(cluster => cluster.members);
+    await Question.populate(members, { path: 'createdBy', select: 'name email', model: 'User' });
+
+    return {
+      comparedQuestions: questions.length,
+      truncatedGroups,
+      clusters: reported
+    };
+  }
+
+  /**
+   * Approved public questions first, then the most used, then the oldest
+   */
+  static suggestKeep(questions) {
+    const rank = (question) => (question.isPublic && question.reviewStatus === 'approved' ? 1 : 0);
+    return [...questions].sort((a, b) =>
+      rank(b) - rank(a) ||
+      (b.usageStats?.totalAttempts || 0) - (a.usageStats?.totalAttempts || 0) ||
+      new Date(a.createdAt) - new Date(b.createdAt))[0];
+  }
+
+  // ==========================================
+  // 🔀 MERGE
+  // ==========================================
+
+  /**
+   * Fold duplicates into the kept question: usage statistics and tags are
+   * combined, assessments nobody has started switch to the kept question, and
+   * the duplicates are retired. Started assessments keep grading against their
+   * own copy. Everything runs in one transaction.
+   * @param {Document} keep - Question to keep
+   * @param {Array<Document>} duplicates - Questions merged into it
+   * @returns {Promise<Object>} { question, merged, updatedAssessments }
+   */
+  static async merge(keep, duplicates) {
+    const stats = [keep, ...duplicates].map(question => question.usageStats || {});
+    const totalAttempts = stats.reduce((sum, entry) => sum + (entry.totalAttempts || 0), 0);
+    const duplicateIds = duplicates.map(question => question._id);
+
+    keep.usageStats.totalAttempts = totalAttempts;
+    keep.usageStats.correctAttempts = stats.reduce((sum, entry) => sum + (entry.correctAttempts || 0), 0);
+    keep.usageStats.averageTime = totalAttempts > 0
+      ? Math.round(stats.reduce((sum, entry) => sum + (entry.averageTime || 0) * (entry.totalAttempts || 0), 0) / totalAttempts)
+      : 0;
+    keep.tags = [...new Set([...(keep.tags || []), ...duplicates.flatMap(question => question.tags || [])])];
+
+    const session = await mongoose.startSession();
+    let updatedAssessments = 0;
+
+    try {
+      await session.withTransaction(async () => {
+        updatedAssessments = 0;
+
+        // Retire the duplicates first; a concurrent edit or merge makes this match fewer
+        const retired = await Question.updateMany(
+          { _id: { $in: duplicateIds }, isActive: true, supersededBy: { $exists: false } },
+          { $set: { isActive: false, mergedInto: keep._id } },
+          { session }
+        );
+        if (retired.modifiedCount !== duplicateIds.length) {
+          const error = new Error('Some questions changed while merging; reload the duplicate report and try again');
+          error.statusCode = 409;
+          throw error;
+        }
+
+        await keep.save({ session });
+        updatedAssessments = await this.replaceInUnusedAssessments(duplicateIds, keep._id, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return { question: keep, merged: duplicates.length, updatedAssessments };
+  }
+
+  /**
+   * Point assessments no student has started at the kept question. An
+   * assessment that already has it just drops the duplicate, so no paper
+   * asks the same question twice.
+   * @returns {Promise<Number>} Assessments changed
+   */
+  static async replaceInUnusedAssessments(duplicateIds, keepId, session) {
+    const assessments = await Assessment.find({ 'questions.questionId': { $in: duplicateIds } }).session(session);
+    if (assessments.length === 0) return 0;
+
+    const started = await StudentResponse.distinct(
+      'assessmentId',
+      { assessmentId: { $in: assessments.map(assessment => assessment._id) } }
+    ).session(session);
+    const startedIds = new Set(started.map(idOf));
+    const duplicateKeys = new Set(duplicateIds.map(idOf));
+    const keepKey = idOf(keepId);
+    let updated = 0;
+
+    for (const assessment of assessments) {
+      if (startedIds.has(idOf(assessment._id))) continue;
+
+      let hasKeep = assessment.questions.some(item => idOf(item.questionId) === keepKey);
+      const kept = [];
+
+      [...assessment.questions]
+        .sort((a, b) => a.order - b.order)
+        .forEach(item => {
+          if (!duplicateKeys.has(idOf(item.questionId))) {
+            kept.push(item);
+          } else if (!hasKeep) {
+            item.questionId = keepId;
+            hasKeep = true;
+            kept.push(item);
+          }
+        });
+
+      kept.forEach((item, i) => {
+        item.order = i + 1;
+      });
+      assessment.questions = kept;
+
+      await assessment.save({ session });
+      updated++;
+    }
+
+    return updated;
+  }
+}
+
+module.exports = QuestionSimilarityService;
@@ -0,0 +1,1255 @@
+// 📦 GyanGuru Question Transfer Service - Question bank import and export
+// Features: CSV/Excel/GIFT/QTI 2.1 parsing, Row-level import reports, Duplicate detection, Bank export
+
+const path = require('path');
+const zlib = require('zlib');
+const archiver = require('archiver');
+const ExcelJS = require('exceljs');
+const Question = require('../models/Question');
+const NumericAnswerService = require('./NumericAnswerService');
+
+const FORMATS = ['csv', 'xlsx', 'gift', 'qti'];
+
+const FILE_EXTENSIONS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+  '.gift': 'gift',
+  '.txt': 'gift',
+  '.xml': 'qti',
+  '.zip': 'qti'
+};
+
+const MAX_IMPORT_ROWS = 2000;
+const MAX_EXPORT_QUESTIONS = 5000;
+
+// Unzipped QTI packages larger than this are rejected
+const MAX_UNZIPPED_SIZE = 50 * 1024 * 1024;
+
+// Spreadsheet columns around the optionA, optionB, ... columns
+const LEADING_COLUMNS = ['type', 'title', 'question', 'subject', 'chapter', 'topic', 'class', 'difficulty', 'marks', 'timeLimit'];
+const TRAILING_COLUMNS = ['answer', 'unit', 'tolerance', 'explanation', 'scoringRule', 'tags', 'isPublic'];
+const MIN_OPTION_COLUMNS = 4;
+
+const CQ_LABELS = ['ka', 'kha', 'ga', 'gha'];
+
+// Spellings teachers use in the type column -> Question.type
+const TYPE_ALIASES = {
+  mcq: 'mcq',
+  multiple_choice: 'mcq',
+  cq: 'cq',
+  creative: 'cq',
+  creative_question: 'cq',
+  true_false: 'true_false',
+  truefalse: 'true_false',
+  tf: 'true_false',
+  fill_blank: 'fill_blank',
+  fill_in_the_blank: 'fill_blank',
+  fill_in_the_blanks: 'fill_blank',
+  short_answer: 'fill_blank',
+  numeric: 'numeric',
+  numerical: 'numeric',
+  multi_select: 'multi_select',
+  multiple_select: 'multi_select',
+  multiple_response: 'multi_select',
+  matching: 'matching',
+  match: 'matching',
+  ordering: 'ordering',
+  order: 'ordering',
+  sequence: 'ordering'
+};
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const QTI_MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rp_templates/match_correct';
+
+// GIFT control characters; escaped ones are swapped for private-use characters while parsing
+const GIFT_SPECIAL = ['~', '=', '#', '{', '}', ':'];
+const GIFT_PLACEHOLDER_BASE = 0xE000;
+
+const BLANK = '_____';
+
+const letterOf = (index) => String.fromCharCode(65 + index);
+
+const cleanCell = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const toNumber = (value) => {
+  const text = cleanCell(value);
+  if (!text) return undefined;
+  const number = Number(NumericAnswerService.toAsciiDigits(text));
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const splitList = (value) => cleanCell(value).split(/[,|]/).map(item => item.trim()).filter(Boolean);
+
+const summarize = (text) => {
+  const clean = cleanCell(text).replace(/\s+/g, ' ');
+  return clean.length > 60 ? `${clean.slice(0, 57)}...` : clean;
+};
+
+// Lowercased letters and digits only, so punctuation and spacing never hide a duplicate
+const normalizeForMatch = (text) => cleanCell(text)
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const escapeXml = (value) => cleanCell(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const unescapeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&amp;/g, '&');
+
+const xmlText = (markup = '') => unescapeXml(markup.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+const parseAttributes = (markup = '') => {
+  const attributes = {};
+  for (const [, name, value] of markup.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = unescapeXml(value);
+  }
+  return attributes;
+};
+
+const readZipEntries = (buffer) => {
+  // End-of-central-directory record sits within the last 64KB of the archive
+  let end = buffer.length - 22;
+  const stop = Math.max(0, end - 0xFFFF);
+  while (end >= stop && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+  if (end < stop) {
+    throw new Error('Invalid zip archive');
+  }
+
+  const entries = [];
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  let unzippedSize = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid zip archive');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (method !== 0 && method !== 8) {
+      throw new Error(`Unsupported compression in ${name}`);
+    }
+
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(start, start + compressedSize);
+    const data = method === 8
+      ? zlib.inflateRawSync(raw, { maxOutputLength: MAX_UNZIPPED_SIZE - unzippedSize })
+      : raw;
+
+    unzippedSize += data.length;
+    if (unzippedSize > MAX_UNZIPPED_SIZE) {
+      throw new Error('Zip archive is too large once extracted');
+    }
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+};
+
+const buildZip = (files) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const chunks = [];
+
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+
+  files.forEach(file => archive.append(file.content, { name: file.name }));
+  archive.finalize();
+});
+
+class QuestionTransferService {
+
+  static FORMATS = FORMATS;
+  static MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+  static MAX_EXPORT_QUESTIONS = MAX_EXPORT_QUESTIONS;
+
+  /**
+   * Format from an explicit choice, falling back to the file extension
+   * @returns {string|null} One of FORMATS
+   */
+  static detectFormat(fileName, requested) {
+    const format = cleanCell(requested).toLowerCase();
+    if (format) return FORMATS.includes(format) ? format : null;
+    return FILE_EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null;
+  }
+
+  static normalizeType(value) {
+    const key = cleanCell(value).toLowerCase().replace(/[\s\-/]+/g, '_');
+    return TYPE_ALIASES[key] || null;
+  }
+
+  // ==========================================
+  // 📥 IMPORT
+  // ==========================================
+
+  /**
+   * Parse an uploaded file into createQuestion-style request bodies
+   * @param {Buffer} buffer - File contents
+   * @param {string} format - One of FORMATS
+   * @param {Object} defaults - subject, chapter, class, ... for rows or formats that omit them
+   * @returns {Promise<Array>} [{ row, label, data, errors }]
+   */
+  static async parse(buffer, format, defaults = {}) {
+    switch (format) {
+      case 'csv':
+        return this.parseSpreadsheet(this.parseCsv(buffer.toString('utf8')), defaults);
+      case 'xlsx':
+        return this.parseSpreadsheet(await this.readWorkbook(buffer), defaults);
+      case 'gift':
+        return this.parseGift(buffer.toString('utf8'), defaults);
+      case 'qti':
+        return this.parseQti(buffer, defaults);
+      default:
+        throw new Error(`Unsupported import format: ${format}`);
+    }
+  }
+
+  /**
+   * Fields shared by every format; row values win over the import defaults
+   */
+  static baseQuestion(type, fields, defaults) {
+    const classValue = fields.class !== undefined ? fields.class : toNumber(defaults.class);
+    const marks = fields.marks !== undefined ? fields.marks : toNumber(defaults.marks);
+
+    return {
+      title: fields.title || summarize(fields.text),
+      type,
+      subject: fields.subject || cleanCell(defaults.subject) || undefined,
+      chapter: fields.chapter || cleanCell(defaults.chapter) || undefined,
+      topic: fields.topic || cleanCell(defaults.topic) || undefined,
+      class: classValue,
+      difficulty: (fields.difficulty || cleanCell(defaults.difficulty) || 'medium').toLowerCase(),
+      marks: marks !== undefined ? marks : 1,
+      timeLimit: fields.timeLimit,
+      question: { text: fields.text },
+      tags: fields.tags || [],
+      isPublic: Boolean(fields.isPublic)
+    };
+  }
+
+  // 📄 CSV and Excel
+
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char !== '"') {
+          field += char;
+        } else if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  static async readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    for (let r = 1; r <= sheet.rowCount; r++) {
+      const row = sheet.getRow(r);
+      const values = [];
+      for (let c = 1; c <= sheet.columnCount; c++) {
+        values.push(row.getCell(c).text);
+      }
+      rows.push(values);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Turn a header row plus data rows into entries; row numbers match the sheet
+   */
+  static parseSpreadsheet(rows, defaults) {
+    if (rows.length === 0) return [];
+
+    const headers = rows[0].map(header => cleanCell(header).toLowerCase().replace(/[^a-z]/g, ''));
+    const entries = [];
+
+    rows.slice(1).forEach((cells, index) => {
+      if (cells.every(cell => !cleanCell(cell))) return;
+
+      const record = {};
+      headers.forEach((header, column) => {
+        if (header) record[header] = cleanCell(cells[column]);
+      });
+
+      entries.push({ row: index + 2, ...this.recordToQuestion(record, defaults) });
+    });
+
+    return entries;
+  }
+
+  /**
+   * One spreadsheet row -> createQuestion body. Option columns hold choices,
+   * "prompt -> match" pairs, ordering items in order or CQ parts ka..gha.
+   */
+  static recordToQuestion(record, defaults = {}) {
+    const errors = [];
+    const label = record.title || summarize(record.question);
+    const type = this.normalizeType(record.type);
+
+    if (!type) {
+      errors.push(record.type ? `Unknown question type "${record.type}"` : 'Question type is required');
+      return { label, data: null, errors };
+    }
+
+    const numbers = {};
+    ['class', 'marks', 'timelimit'].forEach(key => {
+      numbers[key] = toNumber(record[key]);
+      if (Number.isNaN(numbers[key])) errors.push(`${key} "${record[key]}" is not a number`);
+    });
+
+    const data = this.baseQuestion(type, {
+      title: record.title,
+      text: record.question,
+      subject: record.subject,
+      chapter: record.chapter,
+      topic: record.topic,
+      class: numbers.class,
+      difficulty: record.difficulty,
+      marks: numbers.marks,
+      timeLimit: numbers.timelimit,
+      tags: splitList(record.tags),
+      isPublic: /^(true|yes|1)$/i.test(record.ispublic || '')
+    }, defaults);
+
+    const options = Object.keys(record)
+      .filter(key => /^option[a-z]$/.test(key) && record[key])
+      .sort()
+      .map(key => ({ letter: key.slice(-1).toUpperCase(), text: record[key] }));
+    const answer = record.answer || '';
+
+    switch (type) {
+      case 'mcq':
+      case 'multi_select': {
+        const letters = answer.toUpperCase().split(/[\s,;]+/).filter(Boolean);
+        letters
+          .filter(letter => !options.some(option => option.letter === letter))
+          .forEach(letter => errors.push(`Answer "${letter}" does not match a filled option column`));
+        data.options = options.map(option => ({ text: option.text, isCorrect: letters.includes(option.letter) }));
+        break;
+      }
+
+      case 'true_false': {
+        const value = /^(true|t|yes|সত্য)$/i.test(answer) ? 'True'
+          : /^(false|f|no|মিথ্যা)$/i.test(answer) ? 'False' : null;
+        if (!value) {
+          errors.push('True/false answer must be True or False');
+          break;
+        }
+        data.options = ['True', 'False'].map(text => ({ text, isCorrect: text === value }));
+        data.correctAnswer = { text: value };
+        break;
+      }
+
+      case 'fill_blank':
+        if (!answer) errors.push('Answer is required');
+        data.correctAnswer = { text: answer };
+        break;
+
+      case 'numeric': {
+        const value = toNumber(answer);
+        if (value === undefined || Number.isNaN(value)) {
+          errors.push(answer ? `Answer "${answer}" is not a number` : 'Answer is required');
+          break;
+        }
+
+        const tolerance = cleanCell(record.tolerance);
+        const amount = toNumber(tolerance.replace('%', ''));
+        if (Number.isNaN(amount)) errors.push(`Tolerance "${tolerance}" is not a number`);
+
+        data.numericAnswer = {
+          value,
+          unit: record.unit || undefined,
+          tolerance: tolerance.endsWith('%')
+            ? { relative: (amount || 0) / 100 }
+            : { absolute: amount || 0 }
+        };
+        break;
+      }
+
+      case 'matching': {
+        const pairs = [];
+        const distractors = [];
+        options.forEach(option => {
+          const parts = option.text.split(/\s*(?:->|=>)\s*/);
+          if (parts.length !== 2) {
+            errors.push(`Option ${option.letter} must be written as "prompt -> match"`);
+          } else if (!parts[0]) {
+            distractors.push({ text: parts[1] });
+          } else {
+            pairs.push({ prompt: { text: parts[0] }, match: { text: parts[1] } });
+          }
+        });
+        data.matching = { pairs, distractors };
+        break;
+      }
+
+      case 'ordering':
+        data.ordering = { items: options.map(option => ({ text: option.text })) };
+        break;
+
+      case 'cq':
+        data.creativeQuestion = {
+          stem: { text: record.question },
+          parts: options.map((option, i) => ({ label: CQ_LABELS[i], text: option.text }))
+        };
+        break;
+    }
+
+    if (record.explanation) {
+      data.correctAnswer = { ...data.correctAnswer, explanation: record.explanation };
+    }
+    if (record.scoringrule) data.scoringRule = record.scoringrule;
+
+    return { label, data, errors };
+  }
+
+  // 🎁 Moodle GIFT
+
+  static protectGiftEscapes(text) {
+    return text.replace(/\\([~=#{}:])/g, (match, char) =>
+      String.fromCharCode(GIFT_PLACEHOLDER_BASE + GIFT_SPECIAL.indexOf(char)));
+  }
+
+  static restoreGiftEscapes(text) {
+    return text
+      .replace(/[\uE000-\uE005]/g, char => GIFT_SPECIAL[char.charCodeAt(0) - GIFT_PLACEHOLDER_BASE])
+      .replace(/\\n/g, '\n')
+      .trim();
+  }
+
+  static escapeGift(text) {
+    return cleanCell(text).replace(/([~=#{}:])/g, '\\$1').replace(/\n/g, '\\n');
+  }
+
+  /**
+   * Questions are separated by blank lines; $CATEGORY sets the chapter of what follows
+   */
+  static parseGift(text, defaults = {}) {
+    const entries = [];
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    let block = [];
+    let startLine = 0;
+    let category = null;
+
+    const flush = () => {
+      if (block.length > 0) {
+        entries.push({
+          row: startLine,
+          ...this.giftToQuestion(block.join('\n'), { ...defaults, chapter: category || defaults.chapter })
+        });
+      }
+      block = [];
+    };
+
+    lines.forEach((line, index) => {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('//')) return;
+
+      if (/^\$CATEGORY:/i.test(trimmed)) {
+        flush();
+        category = trimmed.replace(/^\$CATEGORY:/i, '').split('/').map(part => part.trim()).filter(Boolean).pop() || null;
+        return;
+      }
+
+      if (!trimmed) {
+        flush();
+        return;
+      }
+
+      if (block.length === 0) startLine = index + 1;
+      block.push(line);
+    });
+    flush();
+
+    return entries;
+  }
+
+  static giftToQuestion(source, defaults) {
+    const errors = [];
+    let text = this.protectGiftEscapes(source);
+    let title;
+
+    const titleMatch = text.match(/^\s*::([\s\S]*?)::/);
+    if (titleMatch) {
+      title = this.restoreGiftEscapes(titleMatch[1]);
+      text = text.slice(titleMatch[0].length);
+    }
+
+    const open = text.indexOf('{');
+    const close = text.indexOf('}', open);
+    if (open === -1 || close === -1) {
+      return { label: title || summarize(source), data: null, errors: ['Missing {answer} block'] };
+    }
+
+    const before = this.restoreGiftEscapes(text.slice(0, open).replace(/^\s*\[(html|moodle|plain|markdown)\]/i, ''));
+    const after = this.restoreGiftEscapes(text.slice(close + 1));
+    const body = text.slice(open + 1, close).trim();
+    // "is {=newton}." keeps the full stop against the blank
+    const questionText = after ? `${before} ${BLANK}${/^[.,;:!?।)]/.test(after) ? '' : ' '}${after}` : before;
+    const label = title || summarize(questionText);
+
+    const build = (type) => this.baseQuestion(type, { title, text: questionText }, defaults);
+
+    if (!body) {
+      return { label, data: null, errors: ['Essay questions have no answer key; import them as CQ from a spreadsheet'] };
+    }
+
+    if (/^(T|TRUE|F|FALSE)\b/i.test(body)) {
+      const value = /^T/i.test(body) ? 'True' : 'False';
+      const data = build('true_false');
+      data.options = ['True', 'False'].map(option => ({ text: option, isCorrect: option === value }));
+      data.correctAnswer = { text: value };
+      return { label, data, errors };
+    }
+
+    if (body.startsWith('#')) {
+      const first = body.slice(1).split(/[=~]/).map(part => part.trim()).find(Boolean) || '';
+      const spec = this.restoreGiftEscapes(first.replace(/^%-?[\d.]+%/, '').split('#')[0]);
+      const range = spec.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+      const [value, tolerance] = range
+        ? [(Number(range[1]) + Number(range[2])) / 2, Math.abs(Number(range[2]) - Number(range[1])) / 2]
+        : spec.split(':').map(Number);
+
+      if (!Number.isFinite(value)) {
+        return { label, data: null, errors: [`Numeric answer "${spec}" is not a number`] };
+      }
+
+      const data = build('numeric');
+      data.numericAnswer = { value, tolerance: { absolute: Number.isFinite(tolerance) ? tolerance : 0 } };
+      return { label, data, errors };
+    }
+
+    const answers = [...body.matchAll(/([=~])([^=~]*)/g)].map(([, marker, content]) => {
+      const weight = content.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+      const answerText = content.replace(/^\s*%-?\d+(?:\.\d+)?%/, '').split('#')[0];
+      return {
+        marker,
+        weight: weight ? Number(weight[1]) : null,
+        text: this.restoreGiftEscapes(answerText)
+      };
+    });
+
+    if (answers.some(answer => answer.text.includes('->'))) {
+      const data = build('matching');
+      data.matching = { pairs: [], distractors: [] };
+      answers.forEach(answer => {
+        const [prompt, match] = answer.text.split('->').map(part => part.trim());
+        if (!prompt) data.matching.distractors.push({ text: match });
+        else data.matching.pairs.push({ prompt: { text: prompt }, match: { text: match } });
+      });
+      return { label, data, errors };
+    }
+
+    // Only "=" answers: short answer or missing word
+    if (answers.every(answer => answer.marker === '=')) {
+      const data = build('fill_blank');
+      data.correctAnswer = { text: answers[0].text };
+      return { label, data, errors };
+    }
+
+    // "=" marks the single right choice; weighted "~%n%" answers mean several
+    const hasRightChoice = answers.some(answer => answer.marker === '=');
+    const data = build(hasRightChoice ? 'mcq' : 'multi_select');
+    data.options = answers.map(answer => ({
+      text: answer.text,
+      isCorrect: hasRightChoice ? answer.marker === '=' : answer.weight > 0
+    }));
+    return { label, data, errors };
+  }
+
+  // 🧾 IMS QTI 2.1
+
+  /**
+   * Accepts a content package (.zip) or a single XML file with one or more items
+   */
+  static parseQti(buffer, defaults = {}) {
+    const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+    const documents = isZip
+      ? readZipEntries(buffer)
+        .filter(entry => /\.xml$/i.test(entry.name) && !/imsmanifest\.xml$/i.test(entry.name))
+        .map(entry => entry.data.toString('utf8'))
+      : [buffer.toString('utf8')];
+
+    const items = documents.flatMap(xml => xml.match(/<assessmentItem\b[\s\S]*?<\/assessmentItem>/g) || []);
+    return items.map((xml, index) => ({ row: index + 1, ...this.qtiToQuestion(xml, defaults) }));
+  }
+
+  static qtiToQuestion(xml, defaults) {
+    const errors = [];
+    const item = parseAttributes((xml.match(/<assessmentItem\b([^>]*)>/) || [])[1]);
+
+    const declarations = {};
+    for (const [, attributes, inner = ''] of xml.matchAll(/<responseDeclaration\b([^>]*?)(?:\/>|>([\s\S]*?)<\/responseDeclaration>)/g)) {
+      const declaration = parseAttributes(attributes);
+      const correct = (inner.match(/<correctResponse\b[^>]*>([\s\S]*?)<\/correctResponse>/) || [])[1] || '';
+      declaration.values = [...correct.matchAll(/<value\b[^>]*>([\s\S]*?)<\/value>/g)].map(([, value]) => xmlText(value));
+      declarations[declaration.identifier] = declaration;
+    }
+
+    const score = parseAttributes((xml.match(/<outcomeDeclaration\b([^>]*identifier="SCORE"[^>]*)>/) || [])[1]);
+    const body = (xml.match(/<itemBody\b[^>]*>([\s\S]*?)<\/itemBody>/) || [])[1] || '';
+    const prompt = (body.match(/<prompt\b[^>]*>([\s\S]*?)<\/prompt>/) || [])[1];
+    const bodyText = xmlText(body
+      .replace(/<(choiceInteraction|orderInteraction|matchInteraction|extendedTextInteraction)\b[\s\S]*?(?:\/>|<\/\1>)/g, ' ')
+      .replace(/<span class="unit">[\s\S]*?<\/span>/g, ' ')
+      .replace(/<textEntryInteraction\b[^>]*\/>/g, ` ${BLANK} `))
+      .replace(new RegExp(`\\s*${BLANK}\\s*$`), '')
+      .replace(new RegExp(`${BLANK} (?=[.,;:!?।)])`), BLANK);
+    const questionText = prompt ? xmlText(prompt) : bodyText;
+    const label = item.title || summarize(questionText);
+
+    const marks = Number(score.normalMaximum);
+    const build = (type) => this.baseQuestion(type, {
+      title: item.title,
+      text: questionText,
+      marks: marks > 0 ? marks : undefined
+    }, defaults);
+
+    const interaction = (name) => {
+      const match = body.match(new RegExp(`<${name}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${name}>)`));
+      if (!match) return null;
+      const attributes = parseAttributes(match[1]);
+      return { ...attributes, inner: match[2] || '', declaration: declarations[attributes.responseIdentifier] || { values: [] } };
+    };
+
+    const choicesIn = (markup, tag) => [...markup.matchAll(new RegExp(`<${tag}\\b([^>]*)>([\\s\\S]*?)<\\/${tag}>`, 'g'))]
+      .map(([, attributes, content]) => ({ id: parseAttributes(attributes).identifier, text: xmlText(content) }));
+
+    const choice = interaction('choiceInteraction');
+    if (choice) {
+      const choices = choicesIn(choice.inner, 'simpleChoice');
+      const correct = choice.declaration.values;
+      const isTrueFalse = choice.declaration.cardinality !== 'multiple' && choices.length === 2 &&
+        choices.every(option => /^(true|false)$/i.test(option.text));
+      const data = build(choice.declaration.cardinality === 'multiple' ? 'multi_select' : isTrueFalse ? 'true_false' : 'mcq');
+      data.options = choices.map(option => ({ text: option.text, isCorrect: correct.includes(option.id) }));
+      if (isTrueFalse) {
+        const right = data.options.find(option => option.isCorrect);
+        data.correctAnswer = { text: right ? (/^true$/i.test(right.text) ? 'True' : 'False') : undefined };
+      }
+      return { label, data, errors };
+    }
+
+    const order = interaction('orderInteraction');
+    if (order) {
+      const choices = choicesIn(order.inner, 'simpleChoice');
+      const ordered = order.declaration.values.map(id => choices.find(option => option.id === id)).filter(Boolean);
+      if (ordered.length !== choices.length) {
+        return { label, data: null, errors: ['Ordering item has no complete correct order'] };
+      }
+      const data = build('ordering');
+      data.ordering = { items: ordered.map(option => ({ text: option.text })) };
+      return { label, data, errors };
+    }
+
+    const match = interaction('matchInteraction');
+    if (match) {
+      const sets = [...match.inner.matchAll(/<simpleMatchSet\b[^>]*>([\s\S]*?)<\/simpleMatchSet>/g)]
+        .map(([, content]) => choicesIn(content, 'simpleAssociableChoice'));
+      if (sets.length !== 2) {
+        return { label, data: null, errors: ['Matching item must have two match sets'] };
+      }
+
+      const [prompts, targets] = sets;
+      const correct = new Map(match.declaration.values.map(value => value.split(/\s+/)));
+      const data = build('matching');
+      data.matching = {
+        pairs: prompts.map(promptItem => ({
+          prompt: { text: promptItem.text },
+          match: { text: (targets.find(target => target.id === correct.get(promptItem.id)) || {}).text }
+        })),
+        distractors: targets
+          .filter(target => ![...correct.values()].includes(target.id))
+          .map(target => ({ text: target.text }))
+      };
+      prompts
+        .filter(promptItem => !correct.has(promptItem.id))
+        .forEach(promptItem => errors.push(`Prompt "${promptItem.text}" has no correct match`));
+      return { label, data, errors };
+    }
+
+    const entry = interaction('textEntryInteraction');
+    if (entry) {
+      const [value] = entry.declaration.values;
+      if (['float', 'integer'].includes(entry.declaration.baseType)) {
+        const equal = parseAttributes((xml.match(/<equal\b([^>]*)>/) || [])[1]);
+        const tolerance = Number((equal.tolerance || '0').split(/\s+/)[0]) || 0;
+        const unit = xmlText((body.match(/<span class="unit">([\s\S]*?)<\/span>/) || [])[1]);
+        const data = build('numeric');
+        data.numericAnswer = {
+          value: toNumber(value),
+          unit: unit || undefined,
+          tolerance: equal.toleranceMode === 'relative' ? { relative: tolerance / 100 } : { absolute: tolerance }
+        };
+        if (value === undefined || Number.isNaN(data.numericAnswer.value)) errors.push('Numeric item has no correct value');
+        return { label, data, errors };
+      }
+
+      const data = build('fill_blank');
+      data.correctAnswer = { text: value };
+      if (!value) errors.push('Text entry item has no correct response');
+      return { label, data, errors };
+    }
+
+    // CQ exported by GyanGuru: a stem followed by four extended-text parts
+    const parts = [...body.matchAll(/<p class="cq-part">([\s\S]*?)<\/p>/g)].map(([, content]) => xmlText(content));
+    if (parts.length > 0) {
+      const stem = xmlText((body.match(/<div class="cq-stem">([\s\S]*?)<\/div>/) || [])[1]);
+      const data = build('cq');
+      data.question = { text: stem };
+      data.creativeQuestion = {
+        stem: { text: stem },
+        parts: parts.map((text, i) => ({ label: CQ_LABELS[i], text }))
+      };
+      return { label, data, errors };
+    }
+
+    return { label, data: null, errors: ['Item uses an interaction that cannot be imported'] };
+  }
+
+  // ==========================================
+  // 🔁 DUPLICATE DETECTION
+  // ==========================================
+
+  /**
+   * Type, normalized text and answer choices; the same stem with different options is not a duplicate
+   */
+  static fingerprint(question) {
+    const parts = [question.type];
+
+    if (question.type === 'cq') {
+      parts.push(normalizeForMatch(question.creativeQuestion?.stem?.text || question.question?.text));
+      (question.creativeQuestion?.parts || []).forEach(part => parts.push(normalizeForMatch(part.text)));
+    } else {
+      parts.push(normalizeForMatch(question.question?.text));
+    }
+
+    parts.push((question.options || []).map(option => normalizeForMatch(option.text)).sort().join(','));
+    parts.push((question.matching?.pairs || [])
+      .map(pair => `${normalizeForMatch(pair.prompt?.text)}>${normalizeForMatch(pair.match?.text)}`)
+      .sort()
+      .join(','));
+    parts.push((question.ordering?.items || []).map(item => normalizeForMatch(item.text)).join(','));
+
+    return parts.join('|');
+  }
+
+  /**
+   * Flag entries that repeat an earlier row or one of the teacher's active questions
+   * @param {Array} entries - Valid entries with a `question` document
+   */
+  static async markDuplicates(entries, userId) {
+    if (entries.length === 0) return entries;
+
+    const types = [...new Set(entries.map(entry => entry.question.type))];
+    const existing = await Question.find({ createdBy: userId, isActive: true, type: { $in: types } })
+      .select('type question options matching ordering creativeQuestion')
+      .lean();
+
+    const known = new Map(existing.map(question => [this.fingerprint(question), question._id]));
+    const seen = new Map();
+
+    entries.forEach(entry => {
+      const key = this.fingerprint(entry.question);
+      if (known.has(key)) {
+        entry.duplicateOf = { question: known.get(key) };
+      } else if (seen.has(key)) {
+        entry.duplicateOf = { row: seen.get(key) };
+      } else {
+        seen.set(key, entry.row);
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Summary plus row-level errors, exact duplicates and near-duplicate warnings,
+   * shared by dry runs and real imports
+   */
+  static buildImportReport(entries, { format, dryRun, imported }) {
+    const invalid = entries.filter(entry => entry.errors.length > 0);
+    const duplicates = entries.filter(entry => entry.duplicateOf);
+    const nearDuplicates = entries.filter(entry => entry.similarTo?.length > 0);
+
+    return {
+      format,
+      dryRun,
+      totalRows: entries.length,
+      validRows: entries.length - invalid.length,
+      invalidRows: invalid.length,
+      duplicateRows: duplicates.length,
+      imported,
+      errors: invalid.map(entry => ({ row: entry.row, label: entry.label, errors: entry.errors })),
+      duplicates: duplicates.map(entry => ({ row: entry.row, label: entry.label, duplicateOf: entry.duplicateOf })),
+      nearDuplicateRows: nearDuplicates.length,
+      nearDuplicates: nearDuplicates.map(entry => ({ row: entry.row, label: entry.label, similarTo: entry.similarTo }))
+    };
+  }
+
+  // ==========================================
+  // 📤 EXPORT
+  // ==========================================
+
+  /**
+   * @returns {Promise<Object>} { buffer, contentType, fileName, skipped }
+   */
+  static async exportQuestions(questions, format) {
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    switch (format) {
+      case 'csv':
+        return {
+          buffer: Buffer.from(`\uFEFF${this.toCsv(questions)}`, 'utf8'),
+          contentType: 'text/csv; charset=utf-8',
+          fileName: `questions_${stamp}.csv`,
+          skipped: 0
+        };
+      case 'xlsx':
+        return {
+          buffer: await this.toWorkbook(questions),
+          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          fileName: `questions_${stamp}.xlsx`,
+          skipped: 0
+        };
+      case 'gift': {
+        const { text, skipped } = this.toGift(questions);
+        return {
+          buffer: Buffer.from(text, 'utf8'),
+          contentType: 'text/plain; charset=utf-8',
+          fileName: `questions_${stamp}.gift`,
+          skipped
+        };
+      }
+      case 'qti':
+        return {
+          buffer: await this.toQtiPackage(questions),
+          contentType: 'application/zip',
+          fileName: `questions_${stamp}_qti21.zip`,
+          skipped: 0
+        };
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  // 📄 CSV and Excel
+
+  static spreadsheetColumns(questions) {
+    const optionCount = Math.max(MIN_OPTION_COLUMNS, ...questions.map(question => this.optionCells(question).length));
+    const options = Array.from({ length: optionCount }, (_, i) => `option${letterOf(i)}`);
+    return [...LEADING_COLUMNS, ...options, ...TRAILING_COLUMNS];
+  }
+
+  static optionCells(question) {
+    switch (question.type) {
+      case 'matching':
+        return [
+          ...(question.matching?.pairs || []).map(pair => `${pair.prompt?.text || ''} -> ${pair.match?.text || ''}`),
+          ...(question.matching?.distractors || []).map(item => ` -> ${item.text || ''}`)
+        ];
+      case 'ordering':
+        return (question.ordering?.items || []).map(item => item.text || '');
+      case 'cq':
+        return (question.creativeQuestion?.parts || []).map(part => part.text || '');
+      case 'mcq':
+      case 'multi_select':
+      case 'true_false':
+        return question.type === 'true_false' ? [] : (question.options || []).map(option => option.text || '');
+      default:
+        return [];
+    }
+  }
+
+  static answerCell(question) {
+    switch (question.type) {
+      case 'mcq':
+      case 'multi_select':
+        return (question.options || [])
+          .map((option, i) => (option.isCorrect ? letterOf(i) : null))
+          .filter(Boolean)
+          .join(',');
+      case 'true_false': {
+        const right = (question.options || []).find(option => option.isCorrect);
+        return right ? right.text : (question.correctAnswer?.text || '');
+      }
+      case 'numeric':
+        return question.numericAnswer?.value ?? '';
+      case 'fill_blank':
+        return question.correctAnswer?.text || '';
+      default:
+        return '';
+    }
+  }
+
+  static toRecord(question) {
+    const record = {
+      type: question.type,
+      title: question.title,
+      question: question.type === 'cq' ? (question.creativeQuestion?.stem?.text || question.question?.text) : question.question?.text,
+      subject: question.subject,
+      chapter: question.chapter,
+      topic: question.topic || '',
+      class: question.class,
+      difficulty: question.difficulty,
+      marks: question.marks,
+      timeLimit: question.timeLimit ?? '',
+      answer: this.answerCell(question),
+      unit: question.type === 'numeric' ? (question.numericAnswer?.unit || '') : '',
+      tolerance: '',
+      explanation: question.correctAnswer?.explanation || '',
+      scoringRule: question.scoringRule || '',
+      tags: (question.tags || []).join(', '),
+      isPublic: question.isPublic ? 'TRUE' : 'FALSE'
+    };
+
+    if (question.type === 'numeric') {
+      const { absolute = 0, relative = 0 } = question.numericAnswer?.tolerance || {};
+      record.tolerance = relative ? `${Number((relative * 100).toPrecision(10))}%` : absolute || '';
+    }
+
+    this.optionCells(question).forEach((text, i) => {
+      record[`option${letterOf(i)}`] = text;
+    });
+
+    return record;
+  }
+
+  static toCsv(questions) {
+    const columns = this.spreadsheetColumns(questions);
+    const quote = (value) => {
+      const text = cleanCell(value);
+      return /[",\r\n]/.test(text) || text !== String(value ?? '') ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.join(',')];
+    questions.forEach(question => {
+      const record = this.toRecord(question);
+      lines.push(columns.map(column => quote(record[column] ?? '')).join(','));
+    });
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  static async toWorkbook(questions) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'GyanGuru Education Platform';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Questions');
+    const columns = this.spreadsheetColumns(questions);
+    sheet.columns = columns.map(column => ({
+      header: column,
+      key: column,
+      width: column === 'question' ? 50 : column.startsWith('option') ? 25 : 14
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    questions.forEach(question => sheet.addRow(this.toRecord(question)));
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  // 🎁 Moodle GIFT
+
+  static toGift(questions) {
+    const blocks = [];
+    const skipped = questions.filter(question => ['cq', 'ordering'].includes(question.type));
+    let category = null;
+
+    if (skipped.length > 0) {
+      blocks.push(`// ${skipped.length} CQ/ordering question(s) were left out; GIFT cannot represent them`);
+    }
+
+    questions.forEach(question => {
+      const body = this.giftAnswerBlock(question);
+      if (body === null) return;
+
+      const questionCategory = `$CATEGORY: $course$/${question.subject}/${question.chapter}`;
+      if (questionCategory !== category) {
+        category = questionCategory;
+        blocks.push(category);
+      }
+
+      const title = `::${this.escapeGift(question.title)}::`;
+      const text = question.question?.text || '';
+      const blank = question.type === 'fill_blank' ? text.indexOf(BLANK) : -1;
+
+      blocks.push(blank === -1
+        ? `// ${question.type} ${question._id}\n${title}${this.escapeGift(text)} ${body}`
+        : `// ${question.type} ${question._id}\n${title}${this.escapeGift(text.slice(0, blank))}${body}${this.escapeGift(text.slice(blank).replace(/^_+/, ''))}`);
+    });
+
+    return { text: `${blocks.join('\n\n')}\n`, skipped: skipped.length };
+  }
+
+  static giftAnswerBlock(question) {
+    const options = question.options || [];
+
+    switch (question.type) {
+      case 'mcq':
+        return `{${options.map(option => `${option.isCorrect ? '=' : '~'}${this.escapeGift(option.text)}`).join(' ')}}`;
+
+      case 'multi_select': {
+        const correctCount = options.filter(option => option.isCorrect).length || 1;
+        const weight = Number((100 / correctCount).toFixed(5));
+        return `{${options.map(option =>
+          `~%${option.isCorrect ? weight : -100}%${this.escapeGift(option.text)}`).join(' ')}}`;
+      }
+
+      case 'true_false':
+        return `{${/^true$/i.test(this.answerCell(question)) ? 'TRUE' : 'FALSE'}}`;
+
+      case 'fill_blank':
+        return `{=${this.escapeGift(question.correctAnswer?.text)}}`;
+
+      case 'numeric': {
+        const { value, tolerance = {} } = question.numericAnswer || {};
+        const margin = Math.max(tolerance.absolute || 0, Math.abs(value * (tolerance.relative || 0)));
+        return margin ? `{#${value}:${Number(margin.toPrecision(10))}}` : `{#${value}}`;
+      }
+
+      case 'matching':
+        return `{${[
+          ...(question.matching?.pairs || []).map(pair =>
+            `=${this.escapeGift(pair.prompt?.text)} -> ${this.escapeGift(pair.match?.text)}`),
+          ...(question.matching?.distractors || []).map(item => `= -> ${this.escapeGift(item.text)}`)
+        ].join(' ')}}`;
+
+      default:
+        return null;
+    }
+  }
+
+  // 🧾 IMS QTI 2.1
+
+  static qtiDeclaration(identifier, cardinality, baseType, values = []) {
+    const open = `  <responseDeclaration identifier="${identifier}" cardinality="${cardinality}" baseType="${baseType}"`;
+    if (values.length === 0) return `${open}/>`;
+
+    return [
+      `${open}>`,
+      '    <correctResponse>',
+      ...values.map(value => `      <value>${escapeXml(value)}</value>`),
+      '    </correctResponse>',
+      '  </responseDeclaration>'
+    ].join('\n');
+  }
+
+  static toQtiItem(question) {
+    const identifier = `Q${question._id}`;
+    const text = escapeXml(question.question?.text);
+    const prompt = `      <prompt>${text}</prompt>`;
+    const declarations = [];
+    let body = [];
+    let processing = `  <responseProcessing template="${QTI_MATCH_CORRECT}"/>`;
+
+    switch (question.type) {
+      case 'mcq':
+      case 'true_false':
+      case 'multi_select': {
+        const options = question.options || [];
+        const multiple = question.type === 'multi_select';
+        declarations.push(this.qtiDeclaration('RESPONSE', multiple ? 'multiple' : 'single', 'identifier',
+          options.map((option, i) => (option.isCorrect ? letterOf(i) : null)).filter(Boolean)));
+        body = [
+          `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type === 'true_false' ? 'false' : 'true'}" maxChoices="${multiple ? 0 : 1}">`,
+          prompt,
+          ...options.map((option, i) => `      <simpleChoice identifier="${letterOf(i)}">${escapeXml(option.text)}</simpleChoice>`),
+          '    </choiceInteraction>'
+        ];
+        break;
+      }
+
+      case 'fill_blank':
+      case 'numeric': {
+        const numeric = question.type === 'numeric';
+        const value = numeric ? question.numericAnswer?.value : question.correctAnswer?.text;
+        const entry = '<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="15"/>';
+        const unit = numeric && question.numericAnswer?.unit
+          ? ` <span class="unit">${escapeXml(question.numericAnswer.unit)}</span>` : '';
+
+        declarations.push(this.qtiDeclaration('RESPONSE', 'single', numeric ? 'float' : 'string',
+          value === undefined || value === null ? [] : [String(value)]));
+        body = text.includes(BLANK)
+          ? [`    <p>${text.replace(BLANK, entry)}${unit}</p>`]
+          : [`    <p>${text}</p>`, `    <p>${entry}${unit}</p>`];
+
+        if (numeric) {
+          const { absolute = 0, relative = 0 } = question.numericAnswer?.tolerance || {};
+          const [mode, amount] = relative ? ['relative', Number((relative * 100).toPrecision(10))] : ['absolute', absolute];
+          processing = [
+            '  <responseProcessing>',
+            '    <responseCondition>',
+            '      <responseIf>',
+            `        <equal toleranceMode="${amount ? mode : 'exact'}"${amount ? ` tolerance="${amount} ${amount}"` : ''}>`,
+            '          <variable identifier="RESPONSE"/>',
+            '          <correct identifier="RESPONSE"/>',
+            '        </equal>',
+            '        <setOutcomeValue identifier="SCORE">',
+            '          <baseValue baseType="float">1</baseValue>',
+            '        </setOutcomeValue>',
+            '      </responseIf>',
+            '    </responseCondition>',
+            '  </responseProcessing>'
+          ].join('\n');
+        }
+        break;
+      }
+
+      case 'matching': {
+        const pairs = question.matching?.pairs || [];
+        const targets = [...pairs.map(pair => pair.match), ...(question.matching?.distractors || [])];
+        declarations.push(this.qtiDeclaration('RESPONSE', 'multiple', 'directedPair',
+          pairs.map((pair, i) => `P${i + 1} M${i + 1}`)));
+        body = [
+          `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">`,
+          prompt,
+          '      <simpleMatchSet>',
+          ...pairs.map((pair, i) =>
+            `        <simpleAssociableChoice identifier="P${i + 1}" matchMax="1">${escapeXml(pair.prompt?.text)}</simpleAssociableChoice>`),
+          '      </simpleMatchSet>',
+          '      <simpleMatchSet>',
+          ...targets.map((target, i) =>
+            `        <simpleAssociableChoice identifier="M${i + 1}" matchMax="1">${escapeXml(target?.text)}</simpleAssociableChoice>`),
+          '      </simpleMatchSet>',
+          '    </matchInteraction>'
+        ];
+        break;
+      }
+
+      case 'ordering': {
+        const items = question.ordering?.items || [];
+        declarations.push(this.qtiDeclaration('RESPONSE', 'ordered', 'identifier', items.map((item, i) => `I${i + 1}`)));
+        body = [
+          '    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">',
+          prompt,
+          ...items.map((item, i) => `      <simpleChoice identifier="I${i + 1}">${escapeXml(item.text)}</simpleChoice>`),
+          '    </orderInteraction>'
+        ];
+        break;
+      }
+
+      case 'cq': {
+        const parts = question.creativeQuestion?.parts || [];
+        parts.forEach(part => declarations.push(this.qtiDeclaration(`RESPONSE_${part.label.toUpperCase()}`, 'single', 'string')));
+        body = [
+          `    <div class="cq-stem"><p>${escapeXml(question.creativeQuestion?.stem?.text || question.question?.text)}</p></div>`,
+          ...parts.flatMap(part => [
+            `    <p class="cq-part">${escapeXml(part.text)}</p>`,
+            `    <extendedTextInteraction responseIdentifier="RESPONSE_${part.label.toUpperCase()}"/>`
+          ])
+        ];
+        processing = null;
+        break;
+      }
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA}" identifier="${identifier}" title="${escapeXml(question.title)}" adaptive="false" timeDependent="false">`,
+      ...declarations,
+      `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${question.marks}"/>`,
+      '  <itemBody>',
+      ...body,
+      '  </itemBody>',
+      ...(processing ? [processing] : []),
+      '</assessmentItem>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * IMS content package: one item file per question plus imsmanifest.xml
+   */
+  static async toQtiPackage(questions) {
+    const files = questions.map(question => ({
+      identifier: `Q${question._id}`,
+      name: `items/Q${question._id}.xml`,
+      content: this.toQtiItem(question)
+    }));
+
+    const manifest = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="GYANGURU_${Date.now()}">`,
+      '  <organizations/>',
+      '  <resources>',
+      ...files.map(file => [
+        `    <resource identifier="${file.identifier}" type="imsqti_item_xmlv2p1" href="${file.name}">`,
+        `      <file href="${file.name}"/>`,
+        '    </resource>'
+      ].join('\n')),
+      '  </resources>',
+      '</manifest>',
+      ''
+    ].join('\n');
+
+    return buildZip([{ name: 'imsmanifest.xml', content: manifest }, ...files]);
+  }
+}
+
+module.exports = QuestionTransferService;
@@ -0,0 +1,239 @@
+// 🗂️ GyanGuru Question Version Service - Copy-on-write question edits
+// Features: New version per content edit, Attempts pinned to served versions, History, Field diff, Rollback, Per-version stats
+
+const Question = require('../models/Question');
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const QuestionReviewService = require('./QuestionReviewService');
+
+// Changing any of these creates a new version; other fields (tags, sharing, time limit, ...) are edited in place
+const VERSIONED_FIELDS = QuestionReviewService.CONTENT_FIELDS;
+
+// Never copied into a new version: identity, timestamps and statistics belong to one version
+const VERSION_LOCAL_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'usageStats', 'irtParameters', 'itemAnalysis', 'supersededBy', 'mergedInto'];
+
+// Owners cannot overwrite these through an edit
+const PROTECTED_FIELDS = ['_id', 'createdBy', 'createdAt', 'version', 'parentQuestion', 'originalQuestion', 'supersededBy', 'usageStats', 'irtParameters', 'itemAnalysis', 'mergedInto'];
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Nested values as dot paths ("options.1.isCorrect"); subdocument ids are left out
+const flatten = (value, prefix, into = {}) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0) into[prefix] = [];
+    value.forEach((item, i) => flatten(item, `${prefix}.${i}`, into));
+  } else if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+    Object.keys(value)
+      .filter(key => key !== '_id' && key !== 'id')
+      .forEach(key => flatten(value[key], `${prefix}.${key}`, into));
+  } else if (value !== undefined && value !== null && value !== '') {
+    into[prefix] = value;
+  }
+  return into;
+};
+
+class QuestionVersionService {
+
+  static VERSIONED_FIELDS = VERSIONED_FIELDS;
+
+  // ==========================================
+  // 📚 HISTORY
+  // ==========================================
+
+  /**
+   * First version of the question; every later version points back to it
+   */
+  static rootId(question) {
+    return idOf(question.originalQuestion) || idOf(question._id);
+  }
+
+  static historyQuery(question) {
+    const root = this.rootId(question);
+    return { $or: [{ _id: root }, { originalQuestion: root }] };
+  }
+
+  static async getHistory(question) {
+    return Question.find(this.historyQuery(question)).sort({ version: 1 });
+  }
+
+  static isSuperseded(question) {
+    return Boolean(question.supersededBy);
+  }
+
+  /**
+   * Current version of a question's history, or null if it was deleted
+   */
+  static async getLatest(question) {
+    return Question.findOne({ ...this.historyQuery(question), supersededBy: { $exists: false }, isActive: true });
+  }
+
+  /**
+   * Usage per version: attempts and success rate from usageStats, plus the
+   * assessments still pointing at each version
+   */
+  static async getVersionStats(versions) {
+    const ids = versions.map(version => version._id);
+    const usage = await Assessment.aggregate([
+      { $match: { 'questions.questionId': { $in: ids } } },
+      { $unwind: '$questions' },
+      { $match: { 'questions.questionId': { $in: ids } } },
+      { $group: { _id: '$questions.questionId', assessments: { $addToSet: '$_id' } } }
+    ]);
+    const assessmentsById = new Map(usage.map(entry => [idOf(entry._id), entry.assessments.length]));
+
+    return versions.map(version => {
+      const { totalAttempts = 0, correctAttempts = 0, averageTime = 0 } = version.usageStats || {};
+      return {
+        questionId: version._id,
+        version: version.version,
+        isCurrent: !version.supersededBy && version.isActive,
+        reviewStatus: version.reviewStatus,
+        versionNote: version.versionNote,
+        createdAt: version.createdAt,
+        totalAttempts,
+        correctAttempts,
+        successRate: totalAttempts > 0 ? Math.round(correctAttempts / totalAttempts * 10000) / 100 : null,
+        averageTime,
+        assessmentCount: assessmentsById.get(idOf(version._id)) || 0
+      };
+    });
+  }
+
+  // ==========================================
+  // 🔍 DIFF
+  // ==========================================
+
+  /**
+   * Field-level differences between two versions
+   * @returns {Array} [{ field, from, to }] in field order
+   */
+  static diff(fromVersion, toVersion) {
+    const fromObject = fromVersion.toObject ? fromVersion.toObject({ depopulate: true, virtuals: false }) : fromVersion;
+    const toObject = toVersion.toObject ? toVersion.toObject({ depopulate: true, virtuals: false }) : toVersion;
+    const changes = [];
+
+    VERSIONED_FIELDS.forEach(field => {
+      const before = flatten(fromObject[field], field);
+      const after = flatten(toObject[field], field);
+      const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+      paths.forEach(path => {
+        if (JSON.stringify(before[path]) !== JSON.stringify(after[path])) {
+          changes.push({ field: path, from: before[path] ?? null, to: after[path] ?? null });
+        }
+      });
+    });
+
+    return changes;
+  }
+
+  // ==========================================
+  // ✏️ EDITS & ROLLBACK
+  // ==========================================
+
+  /**
+   * Apply an owner's edit. Content changes are saved as a new version and the
+   * old one is retired, so attempts already served keep grading against it.
+   * Metadata-only edits are saved in place.
+   * @param {Document} question - Current version
+   * @param {Object} updates - Request body
+   * @param {String} userId - Editing teacher
+   * @param {String} note - Optional description of the change
+   * @returns {Promise<Object>} { question, versioned, repointedAssessments }
+   */
+  static async applyEdit(question, updates, userId, note) {
+    const before = question.toObject({ depopulate: true, virtuals: false });
+
+    Object.keys(updates).forEach(key => {
+      if (!PROTECTED_FIELDS.includes(key) && !QuestionReviewService.REVIEW_FIELDS.includes(key) && key !== 'versionNote') {
+        question[key] = updates[key];
+      }
+    });
+
+    // Compared by value: clients usually send the whole question back
+    const versioned = this.diff(before, question).length > 0;
+
+    // Edited content and newly shared drafts go back through review
+    QuestionReviewService.applyEditRules(question, userId, versioned);
+
+    if (!versioned) {
+      await question.save();
+      return { question, versioned: false, repointedAssessments: 0 };
+    }
+
+    const data = question.toObject({ depopulate: true, virtuals: false });
+    VERSION_LOCAL_FIELDS.forEach(field => delete data[field]);
+
+    const next = new Question({
+      ...data,
+      version: question.version + 1,
+      parentQuestion: question._id,
+      originalQuestion: this.rootId(question),
+      versionNote: note
+    });
+    await next.validate();
+
+    // Retire the old version before inserting the new one: of two concurrent edits
+    // (or an edit racing a delete) only one claims it, so there is one current version
+    const retired = await Question.updateOne(
+      { _id: question._id, isActive: true, supersededBy: { $exists: false } },
+      { $set: { isActive: false, supersededBy: next._id } }
+    );
+    if (retired.modifiedCount === 0) {
+      const error = new Error('This question was changed or deleted while you were editing it; reload it and try again');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    try {
+      await next.save();
+    } catch (error) {
+      await Question.updateOne(
+        { _id: question._id, supersededBy: next._id },
+        { $set: { isActive: true }, $unset: { supersededBy: 1 } }
+      );
+      throw error;
+    }
+
+    const repointedAssessments = await this.repointUnusedAssessments(question._id, next._id);
+
+    return { question: next, versioned: true, repointedAssessments };
+  }
+
+  /**
+   * Restore an older version's content as a new version on top of the current one
+   */
+  static async rollback(current, target, userId) {
+    const source = target.toObject({ depopulate: true, virtuals: false });
+    const updates = {};
+    VERSIONED_FIELDS.forEach(field => {
+      updates[field] = source[field];
+    });
+
+    return this.applyEdit(current, updates, userId, `Rolled back to version ${target.version}`);
+  }
+
+  /**
+   * Move assessments no student has started to the new version; the rest stay
+   * pinned to the version their attempts were served
+   */
+  static async repointUnusedAssessments(oldId, newId) {
+    const assessmentIds = await Assessment.distinct('_id', { 'questions.questionId': oldId });
+    if (assessmentIds.length === 0) return 0;
+
+    const started = await StudentResponse.distinct('assessmentId', { assessmentId: { $in: assessmentIds } });
+    const startedIds = new Set(started.map(idOf));
+    const unused = assessmentIds.filter(id => !startedIds.has(idOf(id)));
+    if (unused.length === 0) return 0;
+
+    const result = await Assessment.updateMany(
+      { _id: { $in: unused } },
+      { $set: { 'questions.$[item].questionId': newId } },
+      { arrayFilters: [{ 'item.questionId': oldId }] }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = QuestionVersionService;
@@ -0,0 +1,172 @@
+// 📐 GyanGuru Rubric Service - Criterion/level grading for subjective questions
+// Features: Per-question rubrics, Total-marks checks, Level-picking scores, Criterion analytics
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+class RubricService {
+
+  // ==========================================
+  // 📋 RUBRIC LOOKUP & VALIDATION
+  // ==========================================
+
+  /**
+   * Rubric criteria attached to one question
+   * @param {Array} rubric - Assessment grading.rubric
+   * @param {String} questionId - Question ID
+   * @returns {Array} Criteria for the question (empty when none attached)
+   */
+  static getQuestionRubric(rubric = [], questionId) {
+    return rubric.filter(criterion => criterion.questionId && idOf(criterion.questionId) === idOf(questionId));
+  }
+
+  /**
+   * Check one question's rubric: every criterion needs levels within its
+   * maxMarks (the best level earning full marks) and the criteria must add
+   * up to the question's marks.
+   * @param {Array} criteria - Criteria attached to the question
+   * @param {Number} questionMarks - Marks the assessment gives the question
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validateQuestionRubric(criteria, questionMarks) {
+    const errors = [];
+
+    criteria.forEach(criterion => {
+      const levels = criterion.levels || [];
+      const name = criterion.criteria;
+
+      if (levels.length === 0) {
+        errors.push(`Criterion "${name}" needs at least one level`);
+        return;
+      }
+
+      const names = levels.map(level => level.name?.trim().toLowerCase());
+      if (names.some(levelName => !levelName) || new Set(names).size !== names.length) {
+        errors.push(`Levels of criterion "${name}" need unique names`);
+      }
+
+      if (levels.some(level => typeof level.score !== 'number' || level.score < 0 || level.score > criterion.maxMarks)) {
+        errors.push(`Level scores of criterion "${name}" must be between 0 and ${criterion.maxMarks}`);
+      } else if (Math.max(...levels.map(level => level.score)) !== criterion.maxMarks) {
+        errors.push(`The best level of criterion "${name}" must score ${criterion.maxMarks}`);
+      }
+    });
+
+    const total = criteria.reduce((sum, criterion) => sum + (criterion.maxMarks || 0), 0);
+    if (criteria.length > 0 && total !== questionMarks) {
+      errors.push(`Rubric totals ${total} marks but the question is worth ${questionMarks}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check every question rubric on an assessment
+   * @param {Array} questions - Assessment questions ({ questionId, marks })
+   * @param {Array} rubric - Assessment grading.rubric
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validateAssessmentRubrics(questions = [], rubric = []) {
+    const errors = [];
+    const marksByQuestion = new Map(questions.map(q => [idOf(q.questionId), q.marks]));
+
+    const attachedIds = new Set(rubric.filter(c => c.questionId).map(c => idOf(c.questionId)));
+
+    attachedIds.forEach(questionId => {
+      if (!marksByQuestion.has(questionId)) {
+        errors.push(`Rubric is attached to question ${questionId}, which is not in this assessment`);
+        return;
+      }
+
+      errors.push(...this.validateQuestionRubric(
+        this.getQuestionRubric(rubric, questionId),
+        marksByQuestion.get(questionId)
+      ));
+    });
+
+    return errors;
+  }
+
+  // ==========================================
+  // ✅ LEVEL-PICKING GRADES
+  // ==========================================
+
+  /**
+   * Turn a teacher's level picks into rubric scores and a total.
+   * Every criterion must be scored exactly once.
+   * @param {Array} criteria - Criteria attached to the question
+   * @param {Array} selections - [{ criterionId, level, comments }]
+   * @returns {Object} { error } or { rubricScores, total }
+   */
+  static scoreSelections(criteria, selections = []) {
+    const rubricScores = [];
+
+    for (const criterion of criteria) {
+      const picks = selections.filter(s => idOf(s.criterionId) === idOf(criterion._id));
+
+      if (picks.length !== 1) {
+        return { error: `Pick exactly one level for criterion "${criterion.criteria}"` };
+      }
+
+      const level = criterion.levels.find(l => l.name?.toLowerCase() === String(picks[0].level).toLowerCase());
+      if (!level) {
+        return { error: `Unknown level "${picks[0].level}" for criterion "${criterion.criteria}"` };
+      }
+
+      rubricScores.push({
+        criterionId: criterion._id,
+        criteria: criterion.criteria,
+        level: level.name,
+        maxMarks: criterion.maxMarks,
+        marksAwarded: level.score,
+        comments: picks[0].comments || ''
+      });
+    }
+
+    const unknown = selections.find(s => !criteria.some(c => idOf(c._id) === idOf(s.criterionId)));
+    if (unknown) {
+      return { error: `Criterion ${unknown.criterionId} is not part of this question's rubric` };
+    }
+
+    const total = rubricScores.reduce((sum, score) => sum + score.marksAwarded, 0);
+    return { rubricScores, total: Math.round(total * 100) / 100 };
+  }
+
+  // ==========================================
+  // 📊 CRITERION ANALYTICS
+  // ==========================================
+
+  /**
+   * Class-wide results per criterion
+   * @param {Array} criteria - Criteria attached to the question
+   * @param {Array} responses - StudentResponse.responses entries for the question
+   * @returns {Array} [{ criterionId, criteria, maxMarks, gradedCount, averageScore, averagePercentage, levelDistribution }]
+   */
+  static buildCriterionAnalytics(criteria, responses) {
+    return criteria.map(criterion => {
+      const scores = responses
+        .flatMap(response => response.manualGrading?.rubricScores || [])
+        .filter(score => idOf(score.criterionId) === idOf(criterion._id));
+
+      const levelDistribution = Object.fromEntries(criterion.levels.map(level => [level.name, 0]));
+      scores.forEach(score => {
+        if (levelDistribution[score.level] !== undefined) levelDistribution[score.level]++;
+      });
+
+      const averageScore = scores.length > 0
+        ? scores.reduce((sum, score) => sum + (score.marksAwarded || 0), 0) / scores.length
+        : 0;
+
+      return {
+        criterionId: criterion._id,
+        criteria: criterion.criteria,
+        maxMarks: criterion.maxMarks,
+        gradedCount: scores.length,
+        averageScore: Math.round(averageScore * 100) / 100,
+        averagePercentage: criterion.maxMarks > 0 ? Math.round((averageScore / criterion.maxMarks) * 100) : 0,
+        levelDistribution
+      };
+    });
+  }
+}
+
+module.exports = RubricService;
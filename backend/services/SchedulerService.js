@@ -2,6 +2,9 @@ const cron = require('node-cron');
 const Assessment = require('../models/Assessment');
 const Notification = require('../models/Notification');
 const { NotificationService } = require('./NotificationService');
+const AttemptTimerService = require('./AttemptTimerService');
+const PlagiarismService = require('./PlagiarismService');
+const PsychometricService = require('./PsychometricService');
 
 // ⏰ GyanGuru Scheduler Service - Automated Notifications
 // Features: Deadline reminders, System maintenance, Cleanup tasks
@@ -9,6 +12,10 @@ const { NotificationService } = require('./NotificationService');
 class SchedulerService {
   
   static scheduledJobs = new Map();
+  static attemptSweepRunning = false;
+  static plagiarismCheckRunning = false;
+  static itemAnalysisRunning = false;
+  static itemAnalysisSince = null;
 
   // ==========================================
   // 🚀 INITIALIZE SCHEDULER
@@ -21,6 +28,15 @@ class SchedulerService {
       // Schedule deadline reminders
       this.scheduleDeadlineReminders();
       
+      // Schedule attempt expiry sweep and timer sync
+      this.scheduleAttemptTimers();
+      
+      // Schedule plagiarism checks of closed assessments
+      this.schedulePlagiarismChecks();
+      
+      // Schedule question item analysis refreshes
+      this.scheduleItemAnalysis();
+      
       // Schedule notification cleanup
       this.scheduleNotificationCleanup();
       
@@ -208,6 +224,100 @@ class SchedulerService {
     }
   }
 
+  // ==========================================
+  // ⏱️ ATTEMPT TIMER SCHEDULES
+  // ==========================================
+  
+  static scheduleAttemptTimers() {
+    
+    // Every minute: auto-submit expired attempts, then sync clocks
+    const timerJob = cron.schedule('* * * * *', async () => {
+      // A slow sweep must not overlap the next one
+      if (this.attemptSweepRunning) return;
+      this.attemptSweepRunning = true;
+
+      try {
+        const submitted = await AttemptTimerService.sweepExpiredAttempts();
+        if (submitted > 0) {
+          console.log(`⏱️ Auto-submitted ${submitted} expired attempts`);
+        }
+        await AttemptTimerService.broadcastRemainingTime();
+      } catch (error) {
+        console.error('❌ Attempt timer sweep error:', error);
+      } finally {
+        this.attemptSweepRunning = false;
+      }
+    }, { scheduled: false });
+
+    timerJob.start();
+    this.scheduledJobs.set('attempt_timer_sweep', timerJob);
+
+    console.log('⏱️ Attempt timer schedule set up successfully');
+  }
+
+  // ==========================================
+  // 🔍 PLAGIARISM SCHEDULES
+  // ==========================================
+  
+  static schedulePlagiarismChecks() {
+    
+    // Every 15 minutes: compare written answers of newly closed assessments
+    const plagiarismJob = cron.schedule('*/15 * * * *', async () => {
+      if (this.plagiarismCheckRunning) return;
+      this.plagiarismCheckRunning = true;
+
+      try {
+        const checked = await PlagiarismService.runDueChecks();
+        if (checked > 0) {
+          console.log(`🔍 Plagiarism check completed for ${checked} assessments`);
+        }
+      } catch (error) {
+        console.error('❌ Plagiarism check error:', error);
+      } finally {
+        this.plagiarismCheckRunning = false;
+      }
+    }, { scheduled: false });
+
+    plagiarismJob.start();
+    this.scheduledJobs.set('plagiarism_checks', plagiarismJob);
+
+    console.log('🔍 Plagiarism check schedule set up successfully');
+  }
+
+  // ==========================================
+  // 📐 ITEM ANALYSIS SCHEDULES
+  // ==========================================
+  
+  static scheduleItemAnalysis() {
+    
+    // Every hour: refresh item statistics of questions with new submissions or grades
+    const itemAnalysisJob = cron.schedule('20 * * * *', async () => {
+      if (this.itemAnalysisRunning) return;
+      this.itemAnalysisRunning = true;
+
+      // The first run after a restart looks back one day
+      const startedAt = new Date();
+      const since = this.itemAnalysisSince || new Date(startedAt.getTime() - 24 * 60 * 60 * 1000);
+
+      try {
+        const analyzed = await PsychometricService.runDueAnalyses(since);
+        this.itemAnalysisSince = startedAt;
+        if (analyzed > 0) {
+          console.log(`📐 Item analysis refreshed for ${analyzed} questions`);
+        }
+      } catch (error) {
+        console.error('❌ Item analysis refresh error:', error);
+      } finally {
+        this.itemAnalysisRunning = false;
+      }
+    }, { scheduled: false });
+
+    itemAnalysisJob.start();
+    this.scheduledJobs.set('item_analysis', itemAnalysisJob);
+
+    console.log('📐 Item analysis schedule set up successfully');
+  }
+
   // ==========================================
   // 🧹 CLEANUP SCHEDULES
   // ==========================================
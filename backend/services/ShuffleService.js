@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+// 🔀 GyanGuru Shuffle Service - Stable per-attempt question and option order
+// Features: Seeded permutations, Resume-safe ordering, Canonical option IDs for grading
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+class ShuffleService {
+
+  // ==========================================
+  // 🎲 SEEDED RANDOMNESS
+  // ==========================================
+
+  /**
+   * New 32-bit seed for an attempt
+   * @returns {Number}
+   */
+  static generateSeed() {
+    return crypto.randomInt(0, 2 ** 32);
+  }
+
+  /**
+   * Derive a sub-seed so every question gets its own, order-independent
+   * option permutation from the attempt seed (FNV-1a over the key)
+   * @param {Number} seed - Attempt seed
+   * @param {String} key - e.g. a question ID
+   * @returns {Number}
+   */
+  static deriveSeed(seed, key) {
+    let hash = (2166136261 ^ seed) >>> 0;
+    for (const char of String(key)) {
+      hash ^= char.charCodeAt(0);
+      hash = Math.imul(hash, 16777619) >>> 0;
+    }
+    return hash;
+  }
+
+  /**
+   * Deterministic random number generator (mulberry32)
+   * @param {Number} seed - 32-bit seed
+   * @returns {Function} Returns floats in [0, 1)
+   */
+  static createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Fisher-Yates shuffle driven by a seed (the input is not modified)
+   * @param {Array} items - Items to permute
+   * @param {Number} seed - 32-bit seed
+   * @returns {Array} Permuted copy
+   */
+  static permute(items, seed) {
+    const random = this.createRandom(seed);
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  // ==========================================
+  // 📋 ATTEMPT PRESENTATION
+  // ==========================================
+
+  /**
+   * Question order for a new attempt
+   * @param {Array} assessmentQuestions - Assessment questions (populated)
+   * @param {Number} seed - Attempt seed
+   * @param {Boolean} shuffle - configuration.shuffleQuestions
+   * @returns {Array} Assessment questions in presentation order
+   */
+  static orderQuestions(assessmentQuestions, seed, shuffle) {
+    return shuffle ? this.permute(assessmentQuestions, this.deriveSeed(seed, 'questions')) : [...assessmentQuestions];
+  }
+
+  /**
+   * Option order for one question, as canonical option IDs
+   * @param {Object} question - Question document
+   * @param {Number} seed - Attempt seed
+   * @param {Boolean} shuffle - configuration.shuffleOptions
+   * @returns {Array} Option ID strings in presentation order
+   */
+  static orderOptionIds(question, seed, shuffle) {
+    const optionIds = (question.options || []).map(option => idOf(option));
+    return shuffle ? this.permute(optionIds, this.deriveSeed(seed, idOf(question))) : optionIds;
+  }
+
+  /**
+   * Arrange options in a stored order. Options added after the attempt
+   * started are appended in their canonical order.
+   * @param {Array} options - Question options
+   * @param {Array} optionIds - Stored presentation order
+   * @returns {Array} Options in presentation order
+   */
+  static applyOptionOrder(options = [], optionIds = []) {
+    const byId = new Map(options.map(option => [idOf(option), option]));
+    const ordered = optionIds.map(id => byId.get(idOf(id))).filter(Boolean);
+    const placed = new Set(ordered.map(option => idOf(option)));
+    return [...ordered, ...options.filter(option => !placed.has(idOf(option)))];
+  }
+
+  // ==========================================
+  // ✅ CANONICAL OPTION IDS
+  // ==========================================
+
+  /**
+   * Map a student's choice back to the canonical option ID. Accepts an
+   * option ID, the option text, or `selectedIndex` (position in the order
+   * the student was shown).
+   * @param {Object} question - Question document
+   * @param {Object} answer - { selectedOption, selectedIndex }
+   * @param {Array} optionIds - Presentation order for this attempt
+   * @returns {String|null} Option ID, or null if nothing matches
+   */
+  static resolveOptionId(question, answer = {}, optionIds = []) {
+    const options = question.options || [];
+
+    if (Number.isInteger(answer.selectedIndex)) {
+      const shown = this.applyOptionOrder(options, optionIds);
+      return idOf(shown[answer.selectedIndex]) || null;
+    }
+
+    const selected = answer.selectedOption?.toString().trim();
+    if (!selected) return null;
+
+    const match = options.find(option => idOf(option) === selected) ||
+      options.find(option => option.text?.trim().toLowerCase() === selected.toLowerCase());
+
+    return match ? idOf(match) : null;
+  }
+
+  /**
+   * Canonical ID of the correct option
+   * @param {Object} question - Question document
+   * @returns {String|null}
+   */
+  static getCorrectOptionId(question) {
+    const correct = (question.options || []).find(option => option.isCorrect);
+    return correct ? idOf(correct) : null;
+  }
+}
+
+module.exports = ShuffleService;
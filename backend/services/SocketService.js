@@ -260,6 +260,25 @@ class SocketService {
       }
     });
 
+    // Server clock for the student's open attempt
+    socket.on('sync_assessment_timer', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        // Required lazily: the timer service pushes through this service
+        const AttemptTimerService = require('./AttemptTimerService');
+        const state = await AttemptTimerService.getStudentTimerState(data?.assessmentId, socket.userId);
+
+        socket.emit('assessment_timer', state || {
+          assessmentId: data?.assessmentId,
+          active: false
+        });
+      } catch (error) {
+        console.error('❌ Timer sync error:', error);
+        socket.emit('error', { message: 'Failed to sync assessment timer' });
+      }
+    });
+
     // Handle leave assessment room
     socket.on('leave_assessment', (data) => {
       if (socket.userId) {
@@ -269,6 +288,103 @@ class SocketService {
       }
     });
 
+    // ==========================================
+    // 👁️ LIVE PROCTORING EVENT HANDLERS
+    // ==========================================
+
+    // Student reports the question on screen (also counts as activity)
+    socket.on('assessment_activity', async (data) => {
+      try {
+        if (!socket.userId || socket.user.role !== 'student') return;
+
+        // Required lazily: the proctoring service pushes through this service
+        const LiveProctoringService = require('./LiveProctoringService');
+        await LiveProctoringService.recordActivity(data?.assessmentId, socket.userId, {
+          questionId: data?.questionId,
+          questionIndex: data?.questionIndex
+        });
+      } catch (error) {
+        console.error('❌ Assessment activity error:', error);
+      }
+    });
+
+    // Teacher opens the live room of an assessment
+    socket.on('join_proctor_room', async (data) => {
+      try {
+        const LiveProctoringService = require('./LiveProctoringService');
+        const { assessment, message } = await LiveProctoringService.authorizeProctor(data?.assessmentId, socket.user);
+
+        if (!assessment) {
+          socket.emit('proctor_error', { assessmentId: data?.assessmentId, message });
+          return;
+        }
+
+        socket.join(LiveProctoringService.getRoomName(assessment._id));
+        socket.emit('proctor_snapshot', await LiveProctoringService.getRoomSnapshot(assessment));
+        console.log(`👁️ User ${socket.userId} joined proctor room: ${assessment._id}`);
+      } catch (error) {
+        console.error('❌ Join proctor room error:', error);
+        socket.emit('proctor_error', { assessmentId: data?.assessmentId, message: 'Failed to open live room' });
+      }
+    });
+
+    socket.on('leave_proctor_room', (data) => {
+      if (socket.userId) {
+        socket.leave(`proctor_${data?.assessmentId}`);
+        console.log(`👁️ User ${socket.userId} left proctor room: ${data?.assessmentId}`);
+      }
+    });
+
+    // Teacher announcement to everyone taking the assessment
+    socket.on('proctor_announcement', async (data) => {
+      try {
+        const LiveProctoringService = require('./LiveProctoringService');
+        const { assessment, message } = await LiveProctoringService.authorizeProctor(data?.assessmentId, socket.user);
+
+        if (!assessment) {
+          socket.emit('proctor_error', { assessmentId: data?.assessmentId, message });
+          return;
+        }
+
+        const text = typeof data.message === 'string' ? data.message.trim() : '';
+        if (!text || text.length > 1000) {
+          socket.emit('proctor_error', { assessmentId: data.assessmentId, message: 'Announcement must be 1-1000 characters' });
+          return;
+        }
+
+        const priority = ['low', 'medium', 'high', 'urgent'].includes(data.priority) ? data.priority : 'medium';
+        await LiveProctoringService.sendAnnouncement(assessment, socket.userId, text, priority);
+      } catch (error) {
+        console.error('❌ Proctor announcement error:', error);
+        socket.emit('proctor_error', { assessmentId: data?.assessmentId, message: 'Failed to send announcement' });
+      }
+    });
+
+    // Teacher force-submits one student's attempt
+    socket.on('proctor_force_submit', async (data) => {
+      try {
+        const LiveProctoringService = require('./LiveProctoringService');
+        const { assessment, message } = await LiveProctoringService.authorizeProctor(data?.assessmentId, socket.user);
+
+        if (!assessment) {
+          socket.emit('proctor_error', { assessmentId: data?.assessmentId, message });
+          return;
+        }
+
+        const submitted = await LiveProctoringService.forceSubmit(assessment, data.studentId, socket.userId, data.reason);
+
+        socket.emit('proctor_force_submit_result', {
+          assessmentId: data.assessmentId,
+          studentId: data.studentId,
+          success: !!submitted,
+          message: submitted ? 'Attempt submitted' : 'No open attempt found for this student'
+        });
+      } catch (error) {
+        console.error('❌ Proctor force submit error:', error);
+        socket.emit('proctor_error', { assessmentId: data?.assessmentId, message: 'Failed to submit attempt' });
+      }
+    });
+
     // ==========================================
     // 💬 COMMUNICATION EVENT HANDLERS
     // ==========================================
@@ -425,6 +541,50 @@ class SocketService {
     }
   }
 
+  // Push the server-side remaining time of an attempt
+  static sendAttemptTimer(userId, timerState) {
+    try {
+      this.io.to(`user_${userId}`).emit('assessment_timer', { ...timerState, active: true });
+      return true;
+    } catch (error) {
+      console.error('❌ Send attempt timer error:', error);
+      return false;
+    }
+  }
+
+  // Tell a student their attempt was submitted when time ran out
+  static sendAttemptAutoSubmitted(userId, data) {
+    try {
+      this.io.to(`user_${userId}`).emit('assessment_auto_submitted', data);
+      return true;
+    } catch (error) {
+      console.error('❌ Send auto-submit notice error:', error);
+      return false;
+    }
+  }
+
+  // Push an event to teachers watching an assessment's live room
+  static sendToProctors(assessmentId, event, data) {
+    try {
+      this.io.to(`proctor_${assessmentId}`).emit(event, data);
+      return true;
+    } catch (error) {
+      console.error('❌ Send to proctors error:', error);
+      return false;
+    }
+  }
+
+  // Push an event to everyone who joined an assessment room
+  static sendToAssessment(assessmentId, event, data) {
+    try {
+      this.io.to(`assessment_${assessmentId}`).emit(event, data);
+      return true;
+    } catch (error) {
+      console.error('❌ Send to assessment error:', error);
+      return false;
+    }
+  }
+
   // Broadcast to all users of specific role
   static broadcastToRole(role, event, data) {
     try {
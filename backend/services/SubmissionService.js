@@ -0,0 +1,179 @@
+const StudentResponse = require('../models/StudentResponse');
+const Question = require('../models/Question');
+const { AutoGradingService } = require('./AutoGradingService');
+const IntegrityService = require('./IntegrityService');
+
+// 📤 GyanGuru Submission Service - Closing attempts
+// Features: Final scoring, Subjective auto-grading, Rank & statistics updates, Double-submit protection, Integrity scoring, Live room updates
+
+// Attempt states that can still be submitted
+const ACTIVE_STATUSES = ['started', 'in_progress', 'paused'];
+
+class SubmissionService {
+
+  static ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+  // ==========================================
+  // ✅ FINALIZE ATTEMPT
+  // ==========================================
+
+  /**
+   * Submit an attempt: grade, score, update ranks and assessment statistics.
+   * The status change is claimed atomically, so a student's submit and the
+   * expiry sweep can never both finalize the same attempt. If grading or
+   * scoring fails before the attempt is saved, the claim is released so the
+   * attempt can be submitted (or swept) again.
+   * @param {Object} attempt - StudentResponse document (still active)
+   * @param {Object} assessment - Assessment document
+   * @param {Object} options - { status: 'submitted' | 'auto_submitted', submittedAt }
+   * @returns {Object|null} The submitted attempt, or null if it was already closed
+   */
+  static async finalizeAttempt(attempt, assessment, options = {}) {
+    const { status = 'submitted', submittedAt = new Date() } = options;
+    const previous = { status: attempt.status, submittedAt: attempt.submittedAt };
+
+    const claimed = await StudentResponse.updateOne(
+      { _id: attempt._id, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status, submittedAt } }
+    );
+    if (claimed.modifiedCount === 0) return null;
+
+    try {
+      // Close a pause left open
+      const openPause = attempt.timing?.pauses?.find(pause => !pause.resumedAt);
+      if (openPause) openPause.resumedAt = submittedAt;
+
+      // Auto-grade Creative Questions and short answers
+      await this.autoGradeSubjectiveResponses(attempt, assessment);
+
+      attempt.status = status;
+      attempt.submittedAt = submittedAt;
+
+      // Late-window submissions carry the assessment's penalty
+      if (assessment.isLateSubmission(submittedAt, attempt.studentId)) {
+        attempt.markLateSubmission(assessment);
+      }
+
+      // Calculate final scores
+      attempt.scoring.negativeMarks = attempt.responses.reduce(
+        (total, response) => total + (response.finalMarks < 0 ? Math.abs(response.finalMarks) : 0), 0
+      );
+      attempt.recalculateScores(assessment.grading);
+
+      attempt.timeRemaining = 0;
+      attempt.timeTaken = Math.floor((submittedAt - attempt.startedAt) / (1000 * 60));
+
+      await attempt.save();
+    } catch (error) {
+      await this.releaseClaim(attempt._id, status, previous);
+      throw error;
+    }
+    await StudentResponse.recalculateRanks(assessment._id);
+
+    await this.updateQuestionUsageStats(attempt.responses);
+
+    // Update assessment participant status
+    await assessment.updateParticipantStatus(attempt.studentId, 'completed', {
+      score: attempt.scoring.percentage,
+      grade: attempt.scoring.grade,
+      submittedAt: attempt.submittedAt
+    });
+
+    // Update assessment statistics
+    await assessment.updateStatistics({
+      score: attempt.scoring.percentage,
+      timeTaken: attempt.timeTaken,
+      studentId: attempt.studentId
+    });
+
+    // A failed integrity check must not undo the submission
+    try {
+      const integrity = await IntegrityService.evaluateSubmission(attempt, assessment);
+      if (integrity) {
+        attempt.integrity.score = integrity.score;
+        attempt.integrity.isFlagged = integrity.isFlagged;
+        attempt.integrity.review.status = integrity.reviewStatus;
+      }
+    } catch (error) {
+      console.error('Integrity scoring failed:', attempt._id.toString(), error.message);
+    }
+
+    // Required lazily: the proctoring service submits through this service
+    const LiveProctoringService = require('./LiveProctoringService');
+    LiveProctoringService.publishStudentUpdate(assessment, attempt, status);
+    await LiveProctoringService.publishLeaderboard(assessment);
+
+    return attempt;
+  }
+
+  /**
+   * Undo a claim whose attempt could not be scored, returning it to the
+   * status it had so the submit can be retried
+   */
+  static async releaseClaim(attemptId, claimedStatus, previous) {
+    const update = previous.submittedAt
+      ? { $set: { status: previous.status, submittedAt: previous.submittedAt } }
+      : { $set: { status: previous.status }, $unset: { submittedAt: 1 } };
+
+    try {
+      await StudentResponse.updateOne({ _id: attemptId, status: claimedStatus }, update);
+    } catch (error) {
+      console.error('Failed to release submit claim:', attemptId.toString(), error.message);
+    }
+  }
+
+  // ==========================================
+  // 🤖 GRADING HELPERS
+  // ==========================================
+
+  /**
+   * Auto-grade subjective answers on submit. Creative Questions are scored
+   * part by part; algebra short answers are checked symbolically and other
+   * short answers use AI grading when the assessment enables it. Grades below the confidence threshold are queued for teacher review
+   * and contribute no marks until a teacher accepts or overrides them.
+   */
+  static async autoGradeSubjectiveResponses(attempt, assessment) {
+    const aiGradingEnabled = assessment.aiFeatures?.intelligentGrading?.enabled;
+    const gradable = attempt.responses.filter(r => r.isAnswered &&
+      ['Creative Question', 'Short Answer'].includes(r.questionType)
+    );
+    if (gradable.length === 0) return;
+
+    const questions = await Question.find({ _id: { $in: gradable.map(r => r.questionId) } });
+    const grader = new AutoGradingService({
+      reviewThreshold: assessment.aiFeatures?.intelligentGrading?.confidence
+    });
+
+    for (const response of gradable) {
+      const question = questions.find(q => q._id.toString() === response.questionId.toString());
+      if (!question) continue;
+
+      const result = await grader.gradeSubjectiveResponse(response, question, { useAI: aiGradingEnabled });
+      if (!result) continue;
+
+      attempt.applyAutoGradingResult(response, result, grader.needsReview(result));
+    }
+  }
+
+  /**
+   * Record answered objective items on the question bank (feeds IRT calibration)
+   */
+  static async updateQuestionUsageStats(responses) {
+    const scoredResponses = responses.filter(
+      r => r.isAnswered && typeof r.autoGrading?.isCorrect === 'boolean'
+    );
+
+    for (const response of scoredResponses) {
+      try {
+        const question = await Question.findById(response.questionId);
+        if (question) {
+          await question.updateUsageStats(response.autoGrading.isCorrect, response.timeSpent || 0);
+        }
+      } catch (error) {
+        console.error('Usage stats update failed:', response.questionId, error.message);
+      }
+    }
+  }
+}
+
+module.exports = SubmissionService;
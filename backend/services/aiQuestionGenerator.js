@@ -2,6 +2,7 @@
 // Multiple API options with fallback mechanism
 
 const axios = require('axios');
+const Question = require('../models/Question');
 
 class AIQuestionGenerator {
   constructor() {
@@ -77,9 +78,26 @@ class AIQuestionGenerator {
         rateLimit: 100000,
         priority: 6,
         tier: 'enterprise'
+      },
+      
+      // LOCAL STUB (Offline development & tests - never calls the network)
+      stub: {
+        enabled: process.env.AI_STUB_PROVIDER === 'true' || process.env.NODE_ENV === 'test',
+        local: true,
+        model: 'stub',
+        cost: 'FREE',
+        rateLimit: Infinity,
+        priority: 0,
+        tier: 'local'
       }
     };
     
+    // Per-request timeout for provider calls
+    this.requestTimeout = parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 20000;
+    
+    // Optional handler that produces stub responses: (prompt, options) => string
+    this.stubHandler = null;
+    
     // Track usage for cost optimization
     this.usageTracker = {
       daily: {},
@@ -90,13 +108,183 @@ class AIQuestionGenerator {
 
   // Get available provider with highest priority
   getAvailableProvider() {
-    const sortedProviders = Object.entries(this.providers)
-      .filter(([_, config]) => config.enabled && config.apiKey)
-      .sort((a, b) => a[1].priority - b[1].priority);
+    const sortedProviders = this.getAvailableProviders();
     
     return sortedProviders.length > 0 ? sortedProviders[0] : null;
   }
 
+  // All usable providers, highest priority first
+  getAvailableProviders() {
+    return Object.entries(this.providers)
+      .filter(([_, config]) => config.enabled && (config.apiKey || config.local))
+      .sort((a, b) => a[1].priority - b[1].priority);
+  }
+
+  // Install a custom stub response handler (pass null to restore the default)
+  setStubHandler(handler) {
+    this.stubHandler = handler;
+  }
+
+  // ==========================================
+  // 💬 PROVIDER-AGNOSTIC COMPLETION API
+  // ==========================================
+
+  /**
+   * Run a prompt against the available providers, falling back in priority order
+   * @param {String} prompt - User prompt
+   * @param {Object} options - { provider, systemPrompt, temperature, maxTokens, timeout, validate }
+   * @returns {Object} { text, provider, model, latencyMs }
+   */
+  async complete(prompt, options = {}) {
+    const available = this.getAvailableProviders();
+    if (available.length === 0) {
+      throw new Error('No AI provider available. Please configure API keys.');
+    }
+
+    // Preferred provider goes first, the rest keep their priority order
+    const ordered = options.provider
+      ? [
+          ...available.filter(([name]) => name === options.provider),
+          ...available.filter(([name]) => name !== options.provider)
+        ]
+      : available;
+
+    const failures = [];
+
+    for (const [providerName, config] of ordered) {
+      const startedAt = Date.now();
+
+      try {
+        const text = await this.withTimeout(
+          this.callProvider(providerName, config, prompt, options),
+          options.timeout || this.requestTimeout,
+          providerName
+        );
+
+        if (typeof text !== 'string' || text.trim() === '') {
+          throw new Error('Empty response');
+        }
+
+        // Let callers reject output (e.g. invalid JSON) so the next provider is tried
+        const validated = options.validate ? options.validate(text) : undefined;
+
+        this.trackUsage(providerName);
+
+        return {
+          text,
+          data: validated,
+          provider: providerName,
+          model: config.model,
+          latencyMs: Date.now() - startedAt
+        };
+      } catch (error) {
+        console.error(`AI provider ${providerName} failed:`, error.message);
+        failures.push(`${providerName}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All AI providers failed (${failures.join('; ')})`);
+  }
+
+  /**
+   * Text completion (kept for callers that only need the raw response)
+   * @param {String} prompt - User prompt
+   * @param {String} preferredProvider - Provider to try first
+   * @param {Object} options - See complete()
+   * @returns {String} Response text
+   */
+  async generateResponse(prompt, preferredProvider = null, options = {}) {
+    const result = await this.complete(prompt, { ...options, provider: preferredProvider || options.provider });
+    return result.text;
+  }
+
+  /**
+   * Completion that must return JSON matching a schema
+   * @param {String} prompt - User prompt
+   * @param {Object} schema - { field: { type, required, min, max } }
+   * @param {Object} options - See complete()
+   * @returns {Object} { data, provider, model, latencyMs }
+   */
+  async generateJSON(prompt, schema, options = {}) {
+    const result = await this.complete(prompt, {
+      temperature: 0.1,
+      ...options,
+      validate: (text) => {
+        const data = this.extractJSON(text);
+        const errors = this.validateJSON(data, schema);
+        if (errors.length > 0) {
+          throw new Error(`Invalid JSON output: ${errors.join(', ')}`);
+        }
+        return data;
+      }
+    });
+
+    return {
+      data: result.data,
+      provider: result.provider,
+      model: result.model,
+      latencyMs: result.latencyMs
+    };
+  }
+
+  // Pull the first JSON object out of a model response (handles ```json fences)
+  extractJSON(text) {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('No JSON object in response');
+    }
+    return JSON.parse(jsonMatch[0]);
+  }
+
+  // Minimal schema check: { field: { type: 'number'|'string'|'boolean'|'array'|'object', required, min, max } }
+  validateJSON(data, schema = {}) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['response is not an object'];
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+      const value = data[field];
+
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push(`${field} is required`);
+        continue;
+      }
+
+      const actualType = Array.isArray(value) ? 'array' : typeof value;
+      if (rule.type && actualType !== rule.type) {
+        errors.push(`${field} must be ${rule.type}`);
+        continue;
+      }
+
+      if (rule.type === 'number') {
+        if (!Number.isFinite(value)) errors.push(`${field} must be finite`);
+        if (rule.min !== undefined && value < rule.min) errors.push(`${field} must be >= ${rule.min}`);
+        if (rule.max !== undefined && value > rule.max) errors.push(`${field} must be <= ${rule.max}`);
+      }
+    }
+
+    return errors;
+  }
+
+  // Reject a provider call that takes longer than the timeout
+  withTimeout(promise, timeoutMs, providerName) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${providerName} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Count successful calls per provider per day
+  trackUsage(providerName) {
+    const day = new Date().toISOString().slice(0, 10);
+    this.usageTracker.daily[day] = this.usageTracker.daily[day] || {};
+    this.usageTracker.daily[day][providerName] = (this.usageTracker.daily[day][providerName] || 0) + 1;
+  }
+
   // Generate MCQ Questions
   async generateMCQ(options) {
     const {
@@ -176,30 +364,47 @@ class AIQuestionGenerator {
   }
 
   // Call specific AI provider
-  async callProvider(providerName, config, prompt) {
+  async callProvider(providerName, config, prompt, options = {}) {
     switch (providerName) {
       case 'groq':
-        return await this.callGroq(config, prompt);
+        return await this.callGroq(config, prompt, options);
       
       case 'openrouter':
-        return await this.callOpenRouter(config, prompt);
+        return await this.callOpenRouter(config, prompt, options);
       
       case 'huggingface':
-        return await this.callHuggingFace(config, prompt);
+        return await this.callHuggingFace(config, prompt, options);
       
       case 'gemini':
-        return await this.callGemini(config, prompt);
+        return await this.callGemini(config, prompt, options);
       
       case 'openai':
-        return await this.callOpenAI(config, prompt);
+        return await this.callOpenAI(config, prompt, options);
+      
+      case 'claude':
+        return await this.callClaude(config, prompt, options);
+      
+      case 'stub':
+        return await this.callStub(config, prompt, options);
       
       default:
         throw new Error(`Unknown provider: ${providerName}`);
     }
   }
 
+  // Shared request settings for provider calls
+  buildRequestSettings(options = {}) {
+    return {
+      systemPrompt: options.systemPrompt || 'You are an expert Bengali educator who creates high-quality educational questions.',
+      temperature: options.temperature ?? 0.7,
+      maxTokens: options.maxTokens || 2000,
+      timeout: options.timeout || this.requestTimeout
+    };
+  }
+
   // Groq API call (FREE)
-  async callGroq(config, prompt) {
+  async callGroq(config, prompt, options = {}) {
+    const settings = this.buildRequestSettings(options);
     const response = await axios.post(
       `${config.baseURL}/chat/completions`,
       {
@@ -207,21 +412,22 @@ class AIQuestionGenerator {
         messages: [
           {
             role: 'system',
-            content: 'You are an expert Bengali educator who creates high-quality educational questions.'
+            content: settings.systemPrompt
           },
           {
             role: 'user',
             content: prompt
           }
         ],
-        temperature: 0.7,
-        max_tokens: 2000
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens
       },
       {
         headers: {
           'Authorization': `Bearer ${config.apiKey}`,
           'Content-Type': 'application/json'
-        }
+        },
+        timeout: settings.timeout
       }
     );
 
@@ -229,7 +435,8 @@ class AIQuestionGenerator {
   }
 
   // OpenRouter API call (FREE tier available)
-  async callOpenRouter(config, prompt) {
+  async callOpenRouter(config, prompt, options = {}) {
+    const settings = this.buildRequestSettings(options);
     const response = await axios.post(
       `${config.baseURL}/chat/completions`,
       {
@@ -237,15 +444,15 @@ class AIQuestionGenerator {
         messages: [
           {
             role: 'system',
-            content: 'You are an expert Bengali educator who creates high-quality educational questions.'
+            content: settings.systemPrompt
           },
           {
             role: 'user',
             content: prompt
           }
         ],
-        temperature: 0.7,
-        max_tokens: 2000
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens
       },
       {
         headers: {
@@ -253,13 +460,153 @@ class AIQuestionGenerator {
           'Content-Type': 'application/json',
           'HTTP-Referer': 'https://gyanguru.com',
           'X-Title': 'GyanGuru Education Platform'
+        },
+        timeout: settings.timeout
+      }
+    );
+
+    return response.data.choices[0].message.content;
+  }
+
+  // Hugging Face Inference API call (FREE)
+  async callHuggingFace(config, prompt, options = {}) {
+    const settings = this.buildRequestSettings(options);
+    const response = await axios.post(
+      `${config.baseURL}/${config.model}`,
+      {
+        inputs: `${settings.systemPrompt}\n\n${prompt}`,
+        parameters: {
+          temperature: Math.max(settings.temperature, 0.01),
+          max_new_tokens: settings.maxTokens,
+          return_full_text: false
         }
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: settings.timeout
+      }
+    );
+
+    return Array.isArray(response.data)
+      ? response.data[0]?.generated_text
+      : response.data.generated_text;
+  }
+
+  // Google Gemini API call
+  async callGemini(config, prompt, options = {}) {
+    const settings = this.buildRequestSettings(options);
+    const response = await axios.post(
+      `${config.baseURL}/models/${config.model}:generateContent?key=${config.apiKey}`,
+      {
+        systemInstruction: {
+          parts: [{ text: settings.systemPrompt }]
+        },
+        contents: [
+          {
+            role: 'user',
+            parts: [{ text: prompt }]
+          }
+        ],
+        generationConfig: {
+          temperature: settings.temperature,
+          maxOutputTokens: settings.maxTokens
+        }
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: settings.timeout
+      }
+    );
+
+    return response.data.candidates?.[0]?.content?.parts?.map(part => part.text).join('');
+  }
+
+  // OpenAI API call
+  async callOpenAI(config, prompt, options = {}) {
+    const settings = this.buildRequestSettings(options);
+    const response = await axios.post(
+      `${config.baseURL}/chat/completions`,
+      {
+        model: config.model,
+        messages: [
+          {
+            role: 'system',
+            content: settings.systemPrompt
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: settings.timeout
       }
     );
 
     return response.data.choices[0].message.content;
   }
 
+  // Anthropic Messages API call
+  async callClaude(config, prompt, options = {}) {
+    const settings = this.buildRequestSettings(options);
+    const response = await axios.post(
+      `${config.baseURL}/messages`,
+      {
+        model: config.model,
+        system: settings.systemPrompt,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens
+      },
+      {
+        headers: {
+          'x-api-key': config.apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json'
+        },
+        timeout: settings.timeout
+      }
+    );
+
+    return response.data.content?.map(block => block.text).join('');
+  }
+
+  // Local stub provider (no network). Without a custom handler it answers
+  // with a zero-confidence result so nothing it produces is ever finalized.
+  async callStub(config, prompt, options = {}) {
+    if (this.stubHandler) {
+      return await this.stubHandler(prompt, options);
+    }
+
+    return JSON.stringify({
+      score: 0,
+      marksAwarded: 0,
+      confidence: 0,
+      explanation: 'Stub provider response',
+      keyPoints: [],
+      qualityScore: 0,
+      relevanceScore: 0,
+      questions: []
+    });
+  }
+
   // Build MCQ prompt
   buildMCQPrompt(options) {
     const { subject, chapter, topic, classNum, difficulty, count, language } = options;
@@ -338,11 +685,10 @@ ${topic ? `টপিক: ${topic}` : ''}
 কঠিনতা: ${difficulty}
 ভাষা: ${language}
 
-প্রতিটি প্রশ্নের জন্য:
+প্রতিটি প্রশ্নের জন্য বোর্ড প্রশ্নের কাঠামো অনুসরণ করুন:
 1. একটি উদ্দীপক (গল্প/ঘটনা/তথ্য)
-2. ৩-৪টি অংশে প্রশ্ন (ক, খ, গ, ঘ)
-3. প্রতিটি অংশের নমুনা উত্তর
-4. মানবণ্টন
+2. ঠিক ৪টি অংশ: ক (জ্ঞানমূলক, ১ নম্বর), খ (অনুধাবনমূলক, ২ নম্বর), গ (প্রয়োগমূলক, ৩ নম্বর), ঘ (উচ্চতর দক্ষতা, ৪ নম্বর)
+3. প্রতিটি অংশের নমুনা উত্তর ও মূল পয়েন্ট
 
 JSON format এ উত্তর দিন:
 {
@@ -355,7 +701,8 @@ JSON format এ উত্তর দিন:
           "part": "ক",
           "question": "প্রশ্ন ক",
           "marks": 1,
-          "answer": "নমুনা উত্তর"
+          "answer": "নমুনা উত্তর",
+          "keyPoints": ["মূল পয়েন্ট"]
         }
       ],
       "totalMarks": 10
@@ -417,30 +764,54 @@ JSON format এ উত্তর দিন:
 
       const data = JSON.parse(jsonMatch[0]);
       
-      return data.questions.map(q => ({
-        title: q.question.substring(0, 100) + '...',
-        type: 'cq',
-        subject: originalOptions.subject,
-        chapter: originalOptions.chapter,
-        topic: originalOptions.topic || '',
-        class: originalOptions.classNum,
-        difficulty: originalOptions.difficulty,
-        marks: q.totalMarks || 10,
-        timeLimit: 20,
-        question: {
-          text: `উদ্দীপক: ${q.stimulus}\n\n${q.question}`
-        },
-        correctAnswer: {
-          text: q.parts.map(p => `${p.part}) ${p.answer}`).join('\n'),
-          keyPoints: q.parts.map(p => p.answer)
-        },
-        source: 'ai_generated',
-        aiGenerationDetails: {
-          prompt: 'Creative Question Generation',
-          model: 'AI Assistant',
-          generatedAt: new Date()
-        }
-      }));
+      const blueprint = Question.getCQBlueprint();
+
+      return data.questions.map(q => {
+        // AI may label parts in Bangla (ক/খ/গ/ঘ) or by position
+        const parts = blueprint.map((slot, index) => {
+          const part = (q.parts || []).find(p => p.part === slot.banglaLabel || p.part === slot.label) ||
+            (q.parts || [])[index] || {};
+          return {
+            label: slot.label,
+            level: slot.level,
+            text: part.question,
+            marks: slot.marks,
+            answerKey: {
+              text: part.answer || '',
+              keyPoints: part.keyPoints || (part.answer ? [part.answer] : [])
+            }
+          };
+        });
+
+        return {
+          title: (q.question || q.stimulus).substring(0, 100) + '...',
+          type: 'cq',
+          subject: originalOptions.subject,
+          chapter: originalOptions.chapter,
+          topic: originalOptions.topic || '',
+          class: originalOptions.class ?? originalOptions.classNum,
+          difficulty: originalOptions.difficulty,
+          marks: parts.reduce((total, part) => total + part.marks, 0),
+          timeLimit: 20,
+          question: {
+            text: `উদ্দীপক: ${q.stimulus}\n\n${q.question || ''}`.trim()
+          },
+          creativeQuestion: {
+            stem: { text: q.stimulus },
+            parts
+          },
+          correctAnswer: {
+            text: parts.map(p => `${p.label}) ${p.answerKey.text}`).join('\n'),
+            keyPoints: parts.flatMap(p => p.answerKey.keyPoints)
+          },
+          source: 'ai_generated',
+          aiGenerationDetails: {
+            prompt: 'Creative Question Generation',
+            model: 'AI Assistant',
+            generatedAt: new Date()
+          }
+        };
+      });
 
     } catch (error) {
       console.error('Parse Creative Error:', error);
@@ -465,7 +836,7 @@ JSON format এ উত্তর দিন:
     for (const [name, config] of Object.entries(this.providers)) {
       status[name] = {
         enabled: config.enabled,
-        hasApiKey: !!config.apiKey,
+        hasApiKey: !!config.apiKey || !!config.local,
         cost: config.cost,
         priority: config.priority
       };
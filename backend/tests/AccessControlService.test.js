@@ -0,0 +1,84 @@
+const AccessControlService = require('../services/AccessControlService');
+
+describe('AccessControlService', () => {
+  describe('isIPAllowed', () => {
+    const restrictions = {
+      allowedIPs: ['203.0.113.7'],
+      allowedRanges: ['10.20.0.0/16', '2001:db8::/32']
+    };
+
+    it('accepts exact IPs and addresses inside a CIDR range', () => {
+      expect(AccessControlService.isIPAllowed('203.0.113.7', restrictions)).toBe(true);
+      expect(AccessControlService.isIPAllowed('10.20.255.1', restrictions)).toBe(true);
+      expect(AccessControlService.isIPAllowed('2001:db8:1::5', restrictions)).toBe(true);
+    });
+
+    it('rejects addresses outside the allow-list', () => {
+      expect(AccessControlService.isIPAllowed('10.21.0.1', restrictions)).toBe(false);
+      expect(AccessControlService.isIPAllowed('2001:db9::1', restrictions)).toBe(false);
+      expect(AccessControlService.isIPAllowed('not-an-ip', restrictions)).toBe(false);
+    });
+
+    it('matches IPv4 clients Express reports as IPv4-mapped IPv6', () => {
+      expect(AccessControlService.isIPAllowed('::ffff:10.20.0.9', restrictions)).toBe(true);
+    });
+  });
+
+  describe('parseRange', () => {
+    it('parses IPv4 and IPv6 ranges', () => {
+      expect(AccessControlService.parseRange('10.0.0.0/8')).toEqual({ address: '10.0.0.0', prefix: 8, type: 'ipv4' });
+      expect(AccessControlService.parseRange('2001:db8::/32')).toEqual({ address: '2001:db8::', prefix: 32, type: 'ipv6' });
+    });
+
+    it('rejects missing or out-of-range prefixes', () => {
+      ['10.0.0.0', '10.0.0.0/33', '10.0.0.0/8/1', '10.0.0.0/x', 'lab/24'].forEach(range => {
+        expect(AccessControlService.parseRange(range)).toBeNull();
+      });
+    });
+  });
+
+  describe('validateRestrictions', () => {
+    it('lists every bad entry', () => {
+      expect(AccessControlService.validateRestrictions({
+        allowedIPs: ['10.0.0.1', '10.0.0.256'],
+        allowedRanges: ['10.0.0.0/40']
+      })).toEqual([
+        '"10.0.0.256" is not a valid IP address',
+        '"10.0.0.0/40" is not a valid CIDR range'
+      ]);
+    });
+  });
+
+  describe('isAccessCodeValid', () => {
+    it('ignores case and surrounding spaces', () => {
+      expect(AccessControlService.isAccessCodeValid('PHY-9A', ' phy-9a ')).toBe(true);
+    });
+
+    it('rejects wrong, missing or non-string codes', () => {
+      expect(AccessControlService.isAccessCodeValid('PHY-9A', 'PHY-9B')).toBe(false);
+      expect(AccessControlService.isAccessCodeValid('PHY-9A', 'PHY')).toBe(false);
+      expect(AccessControlService.isAccessCodeValid('PHY-9A', ['PHY-9A'])).toBe(false);
+      expect(AccessControlService.isAccessCodeValid('', '')).toBe(false);
+    });
+  });
+
+  describe('getCriteriaMismatch', () => {
+    const student = { academicInfo: { class: 9, subjects: ['Physics'], institution: 'Dhaka College ' } };
+
+    it('lets through students who meet every criterion', () => {
+      expect(AccessControlService.getCriteriaMismatch(student, {
+        classes: [9, 10],
+        subjects: ['physics'],
+        schools: ['dhaka college']
+      })).toBeNull();
+      expect(AccessControlService.getCriteriaMismatch(student, {})).toBeNull();
+    });
+
+    it('explains which criterion failed', () => {
+      expect(AccessControlService.getCriteriaMismatch(student, { classes: [10] }))
+        .toBe('This assessment is open to other classes only');
+      expect(AccessControlService.getCriteriaMismatch(student, { schools: ['Notre Dame College'] }))
+        .toBe('This assessment is open to other schools only');
+    });
+  });
+});
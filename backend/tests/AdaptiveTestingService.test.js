@@ -0,0 +1,175 @@
+const AdaptiveTestingService = require('../services/AdaptiveTestingService');
+
+const item = (difficulty = 0, discrimination = 1, guessing = 0) => ({ discrimination, difficulty, guessing });
+
+describe('AdaptiveTestingService', () => {
+  describe('probability', () => {
+    it('follows the 3PL curve', () => {
+      expect(AdaptiveTestingService.probability(0, item())).toBe(0.5);
+      expect(AdaptiveTestingService.probability(1, item(1, 1, 0.25))).toBe(0.625);
+      expect(AdaptiveTestingService.probability(-10, item(0, 1, 0.25))).toBeCloseTo(0.25, 5);
+      expect(AdaptiveTestingService.probability(10, item())).toBeCloseTo(1, 5);
+    });
+  });
+
+  describe('itemInformation', () => {
+    it('peaks at the item difficulty with D²a²/4 for a 2PL item', () => {
+      expect(AdaptiveTestingService.itemInformation(0, item())).toBeCloseTo(0.7225, 6);
+      expect(AdaptiveTestingService.itemInformation(1, item())).toBeLessThan(0.7225);
+      expect(AdaptiveTestingService.itemInformation(0, item(0, 2))).toBeCloseTo(4 * 0.7225, 6);
+    });
+  });
+
+  describe('estimateAbility', () => {
+    it('returns the prior with no answers', () => {
+      expect(AdaptiveTestingService.estimateAbility([])).toEqual({ theta: 0, standardError: 1 });
+      expect(AdaptiveTestingService.estimateAbility([], 0.5).theta).toBeCloseTo(0.5, 2);
+    });
+
+    // Reference values: the same posterior integrated on a 0.001 grid over ±6
+    it('matches reference EAP estimates', () => {
+      expect(AdaptiveTestingService.estimateAbility([{ item: item(), isCorrect: true }]))
+        .toEqual({ theta: 0.564, standardError: 0.825 });
+
+      expect(AdaptiveTestingService.estimateAbility([
+        { item: item(), isCorrect: true },
+        { item: item(), isCorrect: false }
+      ])).toEqual({ theta: 0, standardError: 0.686 });
+
+      expect(AdaptiveTestingService.estimateAbility([
+        { item: item(-1, 1.5), isCorrect: true },
+        { item: item(0, 1.5), isCorrect: true },
+        { item: item(1, 1.5), isCorrect: false }
+      ])).toEqual({ theta: 0.384, standardError: 0.553 });
+    });
+
+    it('credits less for right answers that could be guesses', () => {
+      const guessable = Array(3).fill({ item: item(0, 1, 0.25), isCorrect: true });
+      const unguessable = Array(3).fill({ item: item(), isCorrect: true });
+
+      expect(AdaptiveTestingService.estimateAbility(guessable).theta).toBe(0.802);
+      expect(AdaptiveTestingService.estimateAbility(unguessable).theta)
+        .toBeGreaterThan(AdaptiveTestingService.estimateAbility(guessable).theta);
+    });
+
+    it('stays finite for all-correct patterns', () => {
+      const { theta, standardError } = AdaptiveTestingService.estimateAbility(
+        Array(20).fill({ item: item(), isCorrect: true })
+      );
+      expect(theta).toBeGreaterThan(1);
+      expect(theta).toBeLessThan(4);
+      expect(standardError).toBeGreaterThan(0);
+    });
+  });
+
+  describe('selectNextItem', () => {
+    const pool = [-2, -1, 0, 1, 2].map(difficulty => ({ questionId: `b${difficulty}`, difficulty: 'medium', item: item(difficulty) }));
+
+    it('takes the most informative item under irt', () => {
+      expect(AdaptiveTestingService.selectNextItem({ theta: 0.9 }, pool, 'irt').questionId).toBe('b1');
+      expect(AdaptiveTestingService.selectNextItem({ theta: -2.2 }, pool, 'irt').questionId).toBe('b-2');
+    });
+
+    it('picks among the three most informative items under cat', () => {
+      for (let i = 0; i < 20; i++) {
+        expect(['b-1', 'b0', 'b1']).toContain(AdaptiveTestingService.selectNextItem({ theta: 0 }, pool, 'cat').questionId);
+      }
+    });
+
+    it('moves the staircase one level after each answer', () => {
+      const labelled = ['easy', 'medium', 'hard'].map(difficulty => ({ questionId: difficulty, difficulty, item: item() }));
+
+      expect(AdaptiveTestingService.selectNextItem({ currentDifficulty: 'medium', lastCorrect: true }, labelled, 'simple').questionId).toBe('hard');
+      expect(AdaptiveTestingService.selectNextItem({ currentDifficulty: 'medium', lastCorrect: false }, labelled, 'simple').questionId).toBe('easy');
+      expect(AdaptiveTestingService.selectNextItem({ currentDifficulty: 'hard', lastCorrect: true }, labelled.slice(0, 2), 'simple').questionId).toBe('medium');
+    });
+
+    it('returns null when the pool is empty', () => {
+      expect(AdaptiveTestingService.selectNextItem({ theta: 0 }, [])).toBeNull();
+    });
+  });
+
+  describe('checkStoppingRule', () => {
+    const config = { minQuestions: 5, maxQuestions: 10, seThreshold: 0.3 };
+
+    it('stops once the standard error is small enough, but not before the minimum', () => {
+      expect(AdaptiveTestingService.checkStoppingRule({ answeredCount: 5, standardError: 0.29, remainingCount: 9 }, config))
+        .toEqual({ stop: true, reason: 'se_threshold' });
+      expect(AdaptiveTestingService.checkStoppingRule({ answeredCount: 4, standardError: 0.2, remainingCount: 9 }, config).stop)
+        .toBe(false);
+      expect(AdaptiveTestingService.checkStoppingRule({ answeredCount: 6, standardError: 0.31, remainingCount: 9 }, config).stop)
+        .toBe(false);
+    });
+
+    it('stops at the maximum number of items whatever the standard error', () => {
+      expect(AdaptiveTestingService.checkStoppingRule({ answeredCount: 10, standardError: 0.9, remainingCount: 9 }, config))
+        .toEqual({ stop: true, reason: 'max_questions' });
+    });
+
+    it('stops when the pool runs out', () => {
+      expect(AdaptiveTestingService.checkStoppingRule({ answeredCount: 2, standardError: 0.9, remainingCount: 0 }, config))
+        .toEqual({ stop: true, reason: 'pool_exhausted' });
+    });
+  });
+
+  describe('a full adaptive run', () => {
+    // Answers every item easier than the student's ability correctly
+    const run = (ability, pool, config) => {
+      let remaining = [...pool];
+      const observations = [];
+      let estimate = { theta: 0, standardError: 1 };
+
+      for (;;) {
+        const rule = AdaptiveTestingService.checkStoppingRule({
+          answeredCount: observations.length,
+          standardError: estimate.standardError,
+          remainingCount: remaining.length
+        }, config);
+        if (rule.stop) return { ...rule, ...estimate, answered: observations.length };
+
+        const next = AdaptiveTestingService.selectNextItem({ theta: estimate.theta }, remaining, 'irt');
+        remaining = remaining.filter(entry => entry.questionId !== next.questionId);
+        observations.push({ item: next.item, isCorrect: ability >= next.item.difficulty });
+        estimate = AdaptiveTestingService.estimateAbility(observations);
+      }
+    };
+
+    const pool = Array.from({ length: 40 }, (_, i) => ({
+      questionId: `q${i}`,
+      difficulty: 'medium',
+      item: item(-3 + i * 0.15, 2)
+    }));
+
+    it('homes in on the ability and stops on the standard error', () => {
+      const result = run(1.2, pool, { minQuestions: 5, maxQuestions: 30, seThreshold: 0.3 });
+
+      expect(result.reason).toBe('se_threshold');
+      expect(result.answered).toBeLessThan(30);
+      expect(result.theta).toBeCloseTo(1.2, 0);
+    });
+
+    it('stops on the item limit when the precision target is out of reach', () => {
+      const result = run(1.2, pool, { minQuestions: 5, maxQuestions: 8, seThreshold: 0.05 });
+
+      expect(result).toMatchObject({ reason: 'max_questions', answered: 8 });
+    });
+  });
+
+  describe('calibrateItem', () => {
+    it('uses the difficulty label until the question has been attempted', () => {
+      expect(AdaptiveTestingService.calibrateItem({ type: 'mcq', difficulty: 'hard', options: [{}, {}, {}, {}] }))
+        .toEqual({ discrimination: 1, difficulty: 1, guessing: 0.25, sampleSize: 0 });
+    });
+
+    it('moves a question that most students get wrong towards hard', () => {
+      const calibrated = AdaptiveTestingService.calibrateItem({
+        type: 'numeric',
+        difficulty: 'easy',
+        usageStats: { totalAttempts: 300, correctAttempts: 30 }
+      });
+
+      expect(calibrated.difficulty).toBeGreaterThan(0.5);
+      expect(calibrated.guessing).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const AnswerSyncService = require('../services/AnswerSyncService');
+const ObjectiveItemService = require('../services/ObjectiveItemService');
+
+const at = (time) => new Date(`2026-01-01T${time}Z`);
+
+// A response whose last accepted save came from the given device
+const savedBy = (deviceId, sequence, clientTime) => {
+  const response = {};
+  AnswerSyncService.recordSave(response, { deviceId, sequence, clientTime: at(clientTime) }, at('09:30:00'));
+  return response;
+};
+
+describe('AnswerSyncService', () => {
+  describe('classifySave', () => {
+    it('applies the first save of an answer', () => {
+      expect(AnswerSyncService.classifySave({}, { deviceId: 'phone', sequence: 1, clientTime: at('09:00:00') }))
+        .toBe('apply');
+    });
+
+    it('orders saves from the same device by sequence number', () => {
+      const response = savedBy('phone', 5, '09:10:00');
+
+      expect(AnswerSyncService.classifySave(response, { deviceId: 'phone', sequence: 5, clientTime: at('09:10:00') }))
+        .toBe('duplicate');
+      expect(AnswerSyncService.classifySave(response, { deviceId: 'phone', sequence: 4, clientTime: at('09:20:00') }))
+        .toBe('stale');
+      expect(AnswerSyncService.classifySave(response, { deviceId: 'phone', sequence: 6, clientTime: at('09:05:00') }))
+        .toBe('apply');
+    });
+
+    it('orders saves from different devices by client time', () => {
+      const response = savedBy('phone', 5, '09:10:00');
+
+      expect(AnswerSyncService.classifySave(response, { deviceId: 'laptop', sequence: 9, clientTime: at('09:09:59') }))
+        .toBe('stale');
+      expect(AnswerSyncService.classifySave(response, { deviceId: 'laptop', sequence: 1, clientTime: at('09:10:01') }))
+        .toBe('apply');
+    });
+  });
+
+  describe('recordSave', () => {
+    it('drops a sequence that is not a whole number', () => {
+      const response = {};
+      AnswerSyncService.recordSave(response, { deviceId: 'phone', sequence: '3', clientTime: at('09:00:00') });
+
+      expect(response.lastSave.sequence).toBeUndefined();
+      expect(response.lastSave.receivedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('getClientTime', () => {
+    const now = at('09:00:00');
+
+    it('trusts client clocks up to two minutes ahead', () => {
+      expect(AnswerSyncService.getClientTime('2026-01-01T09:01:30Z', now)).toEqual(at('09:01:30'));
+      expect(AnswerSyncService.getClientTime('2026-01-01T08:30:00Z', now)).toEqual(at('08:30:00'));
+    });
+
+    it('falls back to the server clock for missing, invalid or future times', () => {
+      expect(AnswerSyncService.getClientTime(undefined, now)).toBe(now);
+      expect(AnswerSyncService.getClientTime('yesterday-ish', now)).toBe(now);
+      expect(AnswerSyncService.getClientTime('2026-01-01T09:03:00Z', now)).toBe(now);
+    });
+  });
+
+  describe('getAnswerState', () => {
+    it('hides the answer of an unanswered question', () => {
+      const state = AnswerSyncService.getAnswerState({ questionId: 'q1', isAnswered: false, answer: { textAnswer: 'x' } });
+
+      expect(state.answer).toBeNull();
+      expect(state.lastSave).toBeNull();
+    });
+
+    it('never returns canonical matching IDs', () => {
+      const state = AnswerSyncService.getAnswerState({
+        questionId: 'q1',
+        isAnswered: true,
+        answer: { matches: [{ promptId: 'p1', matchId: 'm1' }] }
+      }, 7);
+
+      expect(state.answer.matches).toEqual([{
+        promptId: ObjectiveItemService.maskId(7, 'p1'),
+        matchId: ObjectiveItemService.maskId(7, 'm1')
+      }]);
+    });
+  });
+});
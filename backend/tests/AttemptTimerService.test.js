@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const AttemptTimerService = require('../services/AttemptTimerService');
+
+const at = (time) => new Date(`2026-01-01T${time}:00Z`);
+
+const buildAssessment = (schedule = {}, configuration = {}) => new Assessment({
+  title: 'Physics quiz',
+  type: 'quiz',
+  subject: 'Physics',
+  class: 9,
+  createdBy: new mongoose.Types.ObjectId(),
+  configuration: { duration: 30, ...configuration },
+  schedule: { startDate: at('09:00'), endDate: at('10:00'), gracePeriod: 2, ...schedule }
+});
+
+const buildAttempt = (startedAt, pauses = []) => new StudentResponse({
+  assessmentId: new mongoose.Types.ObjectId(),
+  studentId: new mongoose.Types.ObjectId(),
+  startedAt,
+  timing: { pauses }
+});
+
+describe('AttemptTimerService', () => {
+  describe('getDeadline', () => {
+    it('is the start time plus the duration', () => {
+      const deadline = AttemptTimerService.getDeadline(buildAttempt(at('09:10')), buildAssessment(), at('09:20'));
+      expect(deadline).toEqual(at('09:40'));
+    });
+
+    it('credits pause time up to the pause limit', () => {
+      const assessment = buildAssessment({}, { pausing: { allowed: true, maxPauses: 3, maxPauseMinutes: 15 } });
+      const short = buildAttempt(at('09:00'), [{ pausedAt: at('09:05'), resumedAt: at('09:10') }]);
+      const long = buildAttempt(at('09:00'), [{ pausedAt: at('09:05'), resumedAt: at('09:25') }]);
+
+      expect(AttemptTimerService.getDeadline(short, assessment, at('09:30'))).toEqual(at('09:35'));
+      expect(AttemptTimerService.getDeadline(long, assessment, at('09:30'))).toEqual(at('09:45'));
+    });
+
+    it('counts an open pause up to now', () => {
+      const attempt = buildAttempt(at('09:00'), [{ pausedAt: at('09:05') }]);
+      expect(AttemptTimerService.getDeadline(attempt, buildAssessment(), at('09:08'))).toEqual(at('09:33'));
+    });
+
+    it('gives no pause credit when pausing is off', () => {
+      const assessment = buildAssessment({}, { pausing: { allowed: false } });
+      const attempt = buildAttempt(at('09:00'), [{ pausedAt: at('09:05'), resumedAt: at('09:10') }]);
+      expect(AttemptTimerService.getDeadline(attempt, assessment, at('09:30'))).toEqual(at('09:30'));
+    });
+
+    it('never runs past the end of the exam window', () => {
+      const deadline = AttemptTimerService.getDeadline(buildAttempt(at('09:45')), buildAssessment(), at('09:50'));
+      expect(deadline).toEqual(at('10:00'));
+    });
+
+    it('runs into the late window when late submission is allowed', () => {
+      const assessment = buildAssessment({ lateSubmission: { allowed: true, windowMinutes: 10 } });
+      const deadline = AttemptTimerService.getDeadline(buildAttempt(at('09:45')), assessment, at('09:50'));
+      expect(deadline).toEqual(at('10:10'));
+    });
+  });
+
+  describe('getTimerState', () => {
+    const assessment = buildAssessment();
+    const attempt = buildAttempt(at('09:00'));
+
+    it('counts down to the deadline', () => {
+      const state = AttemptTimerService.getTimerState(attempt, assessment, at('09:20'));
+      expect(state.remainingSeconds).toBe(600);
+      expect(state.isExpired).toBe(false);
+    });
+
+    it('expires at the deadline and closes after the grace period', () => {
+      const inGrace = AttemptTimerService.getTimerState(attempt, assessment, at('09:31'));
+      expect(inGrace.isExpired).toBe(true);
+      expect(inGrace.isPastGrace).toBe(false);
+      expect(inGrace.remainingSeconds).toBe(0);
+
+      expect(AttemptTimerService.getTimerState(attempt, assessment, at('09:33')).isPastGrace).toBe(true);
+    });
+  });
+
+  describe('getPauseBlocker', () => {
+    it('enforces the pause count and expiry', () => {
+      const assessment = buildAssessment({}, { pausing: { allowed: true, maxPauses: 1, maxPauseMinutes: 15 } });
+
+      expect(AttemptTimerService.getPauseBlocker(buildAttempt(at('09:00')), assessment, at('09:10'))).toBeNull();
+      expect(AttemptTimerService.getPauseBlocker(
+        buildAttempt(at('09:00'), [{ pausedAt: at('09:05'), resumedAt: at('09:06') }]), assessment, at('09:10')
+      )).toContain('at most 1');
+      expect(AttemptTimerService.getPauseBlocker(buildAttempt(at('09:00')), assessment, at('09:45')))
+        .toBe('Assessment time has expired');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const StudentResponse = require('../models/StudentResponse');
+const SubmissionService = require('../services/SubmissionService');
+const aiQuestionGenerator = require('../services/aiQuestionGenerator');
+const { AutoGradingService } = require('../services/AutoGradingService');
+
+const cqQuestion = {
+  type: 'cq',
+  subject: 'Physics',
+  creativeQuestion: {
+    stem: { text: 'A car speeds up from rest.' },
+    parts: [
+      { label: 'a', level: 'knowledge', text: 'What is speed?', marks: 1 },
+      { label: 'b', level: 'comprehension', text: 'Why does it speed up?', marks: 2 }
+    ]
+  }
+};
+
+const cqResponse = {
+  questionType: 'Creative Question',
+  maxMarks: 10,
+  answer: { cqAnswers: [{ label: 'a', textAnswer: 'Distance per time' }, { label: 'b', textAnswer: 'A force acts' }] }
+};
+
+describe('AutoGradingService', () => {
+  describe('gradeSubjectiveResponse', () => {
+    it('leaves Creative Questions for the teacher when AI grading is off', async () => {
+      const aiService = { generateJSON: jest.fn() };
+      const grader = new AutoGradingService({ aiService });
+
+      expect(await grader.gradeSubjectiveResponse(cqResponse, cqQuestion, { useAI: false })).toBeNull();
+      expect(aiService.generateJSON).not.toHaveBeenCalled();
+    });
+
+    it('sends the written Creative Question parts to the AI when it is on', async () => {
+      const aiService = {
+        generateJSON: jest.fn().mockResolvedValue({
+          data: { score: 1, marksAwarded: 2, confidence: 0.9, explanation: 'Names the force' },
+          provider: 'stub'
+        })
+      };
+      const grader = new AutoGradingService({ aiService });
+
+      const result = await grader.gradeSubjectiveResponse(cqResponse, cqQuestion, { useAI: true });
+
+      expect(aiService.generateJSON).toHaveBeenCalledTimes(1);
+      expect(result.partResults.find(part => part.label === 'b').autoMarks).toBe(2);
+    });
+  });
+
+  describe('needsReview', () => {
+    const shortAnswer = new Question({
+      subject: 'Biology',
+      question: { text: 'Why do leaves need sunlight?' },
+      correctAnswer: { text: 'Light powers photosynthesis, which makes glucose' }
+    });
+
+    const buildAttempt = () => new StudentResponse({
+      assessmentId: new mongoose.Types.ObjectId(),
+      studentId: new mongoose.Types.ObjectId(),
+      responses: [{
+        questionId: shortAnswer._id,
+        questionType: 'Short Answer',
+        questionOrder: 1,
+        maxMarks: 4,
+        isAnswered: true,
+        answer: { textAnswer: 'To make food' }
+      }]
+    });
+
+    const gradeWithStub = async (reply) => {
+      aiQuestionGenerator.setStubHandler(() => JSON.stringify(reply));
+      const attempt = buildAttempt();
+      await SubmissionService.autoGradeSubjectiveResponses(attempt, {
+        aiFeatures: { intelligentGrading: { enabled: true, confidence: 0.75 } }
+      });
+      return attempt.responses[0];
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Question, 'find').mockResolvedValue([shortAnswer]);
+    });
+
+    afterEach(() => {
+      aiQuestionGenerator.setStubHandler(null);
+      jest.restoreAllMocks();
+    });
+
+    it('queues low-confidence grades for review with no marks until a teacher decides', async () => {
+      const response = await gradeWithStub({ score: 0.5, marksAwarded: 2, confidence: 0.4, explanation: 'Partly right' });
+
+      expect(response.autoGrading.reviewStatus).toBe('pending');
+      expect(response.autoGrading.marksAwarded).toBe(2);
+      expect(response.finalMarks).toBe(0);
+    });
+
+    it('finalizes confident grades', async () => {
+      const response = await gradeWithStub({ score: 0.75, marksAwarded: 3, confidence: 0.9, explanation: 'Mostly right' });
+
+      expect(response.autoGrading.reviewStatus).toBe('not_required');
+      expect(response.finalMarks).toBe(3);
+    });
+
+    it('never finalizes the default stub reply', async () => {
+      aiQuestionGenerator.setStubHandler(null);
+      const grader = new AutoGradingService();
+      const result = await grader.gradeSubjectiveResponse(buildAttempt().responses[0], shortAnswer);
+
+      expect(result.provider).toBe('stub');
+      expect(grader.needsReview(result)).toBe(true);
+    });
+
+    it('reviews anything that asks for manual grading, whatever its confidence', () => {
+      const grader = new AutoGradingService({ reviewThreshold: 0.5 });
+
+      expect(grader.needsReview({ confidence: 0.6 })).toBe(false);
+      expect(grader.needsReview({ confidence: 0.9, needsManualGrading: true })).toBe(true);
+      expect(grader.needsReview({})).toBe(true);
+    });
+  });
+});
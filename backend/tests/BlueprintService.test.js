@@ -0,0 +1,72 @@
+const Question = require('../models/Question');
+const BlueprintService = require('../services/BlueprintService');
+
+const blueprint = {
+  sections: [
+    { name: 'Easy MCQ', subject: 'Physics', difficulty: 'easy', questionType: 'mcq', count: 3, marksPerQuestion: 1 },
+    { subject: 'Physics', difficulty: 'easy', count: 2, marksPerQuestion: 5 }
+  ]
+};
+
+// Every section sees the same six easy questions, so the draw must avoid repeats
+const BANK = ['q1', 'q2', 'q3', 'q4', 'q5', 'q6'].map(_id => ({ _id }));
+
+const mockBank = (bank) => jest.spyOn(Question, 'find').mockImplementation(() => ({
+  select: () => ({ sort: () => ({ lean: async () => bank }) })
+}));
+
+describe('BlueprintService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('getTotalMarks', () => {
+    it('adds up count times marks for every section', () => {
+      expect(BlueprintService.getTotalMarks(blueprint)).toBe(13);
+      expect(BlueprintService.getTotalMarks(null)).toBe(0);
+    });
+  });
+
+  describe('buildSectionQuery', () => {
+    it('filters on the section and limits the pool to the owner and public questions', () => {
+      const query = BlueprintService.buildSectionQuery(blueprint.sections[0], 'teacher-1');
+
+      expect(query).toMatchObject({ isActive: true, difficulty: 'easy', subject: 'Physics', type: 'mcq' });
+      expect(query.$or[0]).toEqual({ createdBy: 'teacher-1' });
+      expect(query).not.toHaveProperty('chapter');
+    });
+  });
+
+  describe('QUESTION_TYPES', () => {
+    it('matches the question bank types', () => {
+      expect(BlueprintService.QUESTION_TYPES).toEqual(Question.schema.path('type').enumValues);
+    });
+  });
+
+  describe('drawPaper', () => {
+    it('draws the same paper for the same seed', async () => {
+      mockBank(BANK);
+      const first = await BlueprintService.drawPaper(blueprint, 'teacher-1', 11);
+      const again = await BlueprintService.drawPaper(blueprint, 'teacher-1', 11);
+
+      expect(again.items).toEqual(first.items);
+    });
+
+    it('never uses a question twice on one paper', async () => {
+      mockBank(BANK);
+      const { items, sections } = await BlueprintService.drawPaper(blueprint, 'teacher-1', 11);
+      const ids = items.map(item => item.questionId);
+
+      expect(new Set(ids).size).toBe(5);
+      expect(items.slice(3).map(item => item.section)).toEqual(['Section 2', 'Section 2']);
+      expect(sections[1]).toEqual({ name: 'Section 2', requested: 2, available: 3, drawn: 2 });
+    });
+
+    it('reports sections the bank cannot fill', async () => {
+      mockBank(BANK.slice(0, 4));
+      const { sections } = await BlueprintService.drawPaper(blueprint, 'teacher-1', 11);
+
+      expect(BlueprintService.getShortages(sections)).toEqual([
+        'Section 2 needs 2 questions but the question bank has only 1 eligible'
+      ]);
+    });
+  });
+});
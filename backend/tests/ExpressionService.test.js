@@ -0,0 +1,84 @@
+const ExpressionService = require('../services/ExpressionService');
+
+describe('ExpressionService', () => {
+  describe('expand', () => {
+    it('multiplies out and collects like terms', () => {
+      expect(ExpressionService.expand('(x+1)^2')).toBe('x^2 + 2x + 1');
+      expect(ExpressionService.expand('(x+1)(x-1)')).toBe('x^2 - 1');
+    });
+  });
+
+  describe('checkEquivalence', () => {
+    it('compares polynomials exactly after expansion', () => {
+      const result = ExpressionService.checkEquivalence('(x+1)(x+2)', 'x^2+3x+2');
+      expect(result.equivalent).toBe(true);
+      expect(result.confidence).toBe(1);
+
+      const wrong = ExpressionService.checkEquivalence('(x+1)(x+2)', 'x^2+3x+3');
+      expect(wrong.equivalent).toBe(false);
+      expect(wrong.explanation).toContain('x^2 + 3x + 2');
+    });
+
+    it('reads LaTeX answers', () => {
+      expect(ExpressionService.checkEquivalence('\\frac{x^{2}-1}{x-1}', 'x+1').equivalent).toBe(true);
+    });
+
+    it('checks non-polynomials at random points', () => {
+      const result = ExpressionService.checkEquivalence('sin(x)^2+cos(x)^2', '1');
+      expect(result.equivalent).toBe(true);
+      expect(result.explanation).toContain('random points');
+    });
+
+    it('matches equations up to a constant multiple', () => {
+      expect(ExpressionService.checkEquivalence('x=2', '2x=4').equivalent).toBe(true);
+      expect(ExpressionService.checkEquivalence('x=3', '2x=4').equivalent).toBe(false);
+    });
+
+    it('accepts "x = value" for a bare value key', () => {
+      expect(ExpressionService.checkEquivalence('x = 3', '3').equivalent).toBe(true);
+    });
+
+    it('gives the same verdict on every run', () => {
+      const first = ExpressionService.checkEquivalence('1/x + 1/x', '2/x');
+      const second = ExpressionService.checkEquivalence('1/x + 1/x', '2/x');
+      expect(second).toEqual(first);
+    });
+
+    it('marks unreadable answers wrong without throwing', () => {
+      const result = ExpressionService.checkEquivalence('x+', '1');
+      expect(result.equivalent).toBe(false);
+      expect(result.explanation).toContain('Could not read');
+    });
+
+    it('throws on an invalid answer key', () => {
+      expect(() => ExpressionService.checkEquivalence('1', 'x+')).toThrow('Answer key');
+    });
+  });
+
+  describe('required forms', () => {
+    it('requires a product for factored form', () => {
+      expect(ExpressionService.checkEquivalence('2(x+1)', '2x+2', { requiredForm: 'factored' }).formSatisfied).toBe(true);
+      expect(ExpressionService.checkEquivalence('2x+2', '2(x+1)', { requiredForm: 'factored' }).formSatisfied).toBe(false);
+    });
+
+    it('rejects factors that can be factored further', () => {
+      const result = ExpressionService.checkEquivalence('2(x^2-1)', '2x^2-2', { requiredForm: 'factored' });
+      expect(result.equivalent).toBe(true);
+      expect(result.formSatisfied).toBe(false);
+      expect(result.explanation).toContain('factored further');
+    });
+
+    it('requires collected like terms for expanded form', () => {
+      const result = ExpressionService.checkEquivalence('x^2+x+x', 'x^2+2x', { requiredForm: 'expanded' });
+      expect(result.formSatisfied).toBe(false);
+      expect(ExpressionService.checkEquivalence('x^2+2x', 'x(x+2)', { requiredForm: 'expanded' }).formSatisfied).toBe(true);
+    });
+  });
+
+  describe('isExpression', () => {
+    it('tells expressions from prose', () => {
+      expect(ExpressionService.isExpression('sin(x)+1')).toBe(true);
+      expect(ExpressionService.isExpression('the answer is x')).toBe(false);
+    });
+  });
+});
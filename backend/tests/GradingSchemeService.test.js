@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const GradingSchemeService = require('../services/GradingSchemeService');
+const { generateStudentGPAReport } = require('../controllers/reportsController');
+
+const BD = { scheme: 'bd_ssc_hsc' };
+
+const results = (percentages) => Object.entries(percentages).map(([subject, percentage]) => ({ subject, percentage }));
+
+describe('GradingSchemeService', () => {
+  describe('gradeForPercentage (Bangladesh SSC/HSC)', () => {
+    it.each([
+      [100, 'A+', 5], [80, 'A+', 5],
+      [79.99, 'A', 4], [70, 'A', 4],
+      [69.5, 'A-', 3.5], [60, 'A-', 3.5],
+      [59, 'B', 3], [50, 'B', 3],
+      [49, 'C', 2], [40, 'C', 2],
+      [39, 'D', 1], [33, 'D', 1],
+      [32.99, 'F', 0], [0, 'F', 0]
+    ])('%d%% is %s (%d)', (percentage, letter, gradePoint) => {
+      expect(GradingSchemeService.gradeForPercentage(percentage, BD)).toMatchObject({ letter, gradePoint });
+    });
+
+    it('passes from 33%', () => {
+      expect(GradingSchemeService.gradeForPercentage(33, BD).isPassed).toBe(true);
+      expect(GradingSchemeService.gradeForPercentage(32, BD).isPassed).toBe(false);
+    });
+  });
+
+  describe('calculateGPA', () => {
+    it('averages the compulsory subjects', () => {
+      const result = GradingSchemeService.calculateGPA(results({ Bangla: 85, English: 72, Mathematics: 65, Physics: 55 }), BD);
+
+      // (5 + 4 + 3.5 + 3) / 4
+      expect(result).toMatchObject({ gpa: 3.88, letter: 'A-', isPassed: true });
+    });
+
+    it('gives F when any compulsory subject is failed', () => {
+      const result = GradingSchemeService.calculateGPA(results({ Bangla: 95, English: 90, Mathematics: 30 }), BD);
+
+      expect(result).toMatchObject({ gpa: 0, letter: 'F', isPassed: false });
+    });
+
+    it('counts only the 4th-subject points above 2.0, divided by the compulsory count', () => {
+      const result = GradingSchemeService.calculateGPA(
+        results({ Bangla: 72, English: 72, Mathematics: 72, Biology: 85 }),
+        { ...BD, optionalSubject: 'biology' }
+      );
+
+      // (4 + 4 + 4 + (5 - 2)) / 3
+      expect(result.gpa).toBe(5);
+      expect(result.optionalSubject).toMatchObject({ subject: 'Biology', bonus: 3 });
+    });
+
+    it('adds nothing for a 4th subject at or below 2.0, and a failed one does not fail the student', () => {
+      const atThreshold = GradingSchemeService.calculateGPA(
+        results({ Bangla: 72, English: 60, Biology: 45 }),
+        { ...BD, optionalSubject: 'Biology' }
+      );
+      const failed = GradingSchemeService.calculateGPA(
+        results({ Bangla: 72, English: 60, Biology: 10 }),
+        { ...BD, optionalSubject: 'Biology' }
+      );
+
+      expect(atThreshold.gpa).toBe(3.75);
+      expect(atThreshold.optionalSubject.bonus).toBe(0);
+      expect(failed).toMatchObject({ gpa: 3.75, isPassed: true });
+    });
+
+    it('caps the GPA at 5.00', () => {
+      const result = GradingSchemeService.calculateGPA(
+        results({ Bangla: 90, English: 90, Mathematics: 90, 'Higher Mathematics': 90 }),
+        { ...BD, optionalSubject: 'Higher Mathematics' }
+      );
+
+      expect(result).toMatchObject({ gpa: 5, letter: 'A+' });
+      expect(result.optionalSubject.bonus).toBe(3);
+    });
+  });
+
+  describe('GPA schemes', () => {
+    const respond = async (scheme) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+      await generateStudentGPAReport({
+        params: { studentId: new mongoose.Types.ObjectId().toString() },
+        query: { scheme },
+        user: { role: 'teacher', id: 'teacher-1' }
+      }, res);
+      return res;
+    };
+
+    it('only lists schemes with a grade-point scale', () => {
+      expect(GradingSchemeService.GPA_SCHEMES).toEqual(['bd_ssc_hsc']);
+      expect(GradingSchemeService.GPA_SCHEMES).toContain(GradingSchemeService.DEFAULT_GPA_SCHEME);
+    });
+
+    it.each(['standard', 'us_4_0'])('rejects a GPA report in the %s scheme', async (scheme) => {
+      const res = await respond(scheme);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Unknown GPA scheme. Use one of: bd_ssc_hsc'
+      });
+    });
+  });
+});
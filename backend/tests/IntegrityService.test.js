@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+const IntegrityService = require('../services/IntegrityService');
+
+const at = (time) => new Date(`2026-01-01T${time}Z`);
+
+const buildAssessment = (integrity = {}) => new Assessment({
+  title: 'History test',
+  type: 'quiz',
+  subject: 'History',
+  class: 9,
+  createdBy: new mongoose.Types.ObjectId(),
+  configuration: { duration: 30, integrity },
+  schedule: { startDate: at('09:00:00'), endDate: at('10:00:00') }
+});
+
+const event = (eventType, severity = 'medium', time = '09:05:00') => ({ eventType, severity, timestamp: at(time) });
+const saved = (time) => ({ action: 'answer_saved', timestamp: at(time), questionId: `q-${time}` });
+
+const buildAttempt = ({ securityEvents = [], activityLog = [], responses = [], ...rest } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  studentId: new mongoose.Types.ObjectId(),
+  startedAt: at('09:00:00'),
+  submittedAt: at('09:30:00'),
+  securityEvents,
+  monitoring: { activityLog },
+  responses,
+  ...rest
+});
+
+describe('IntegrityService', () => {
+  const policy = IntegrityService.getPolicy(buildAssessment());
+
+  describe('getPolicy', () => {
+    it('lets an assessment override single event weights', () => {
+      const custom = IntegrityService.getPolicy(buildAssessment({ eventWeights: { tab_switch: 10 }, flagBelow: 50 }));
+
+      expect(custom.eventWeights.tab_switch).toBe(10);
+      expect(custom.eventWeights.dev_tools).toBe(15);
+      expect(custom.flagBelow).toBe(50);
+      expect(policy.flagBelow).toBe(70);
+    });
+  });
+
+  describe('getEventPoints', () => {
+    it('multiplies the event weight by its severity', () => {
+      expect(IntegrityService.getEventPoints(event('tab_switch', 'low'), policy)).toBe(1.5);
+      expect(IntegrityService.getEventPoints(event('tab_switch', 'medium'), policy)).toBe(3);
+      expect(IntegrityService.getEventPoints(event('tab_switch', 'high'), policy)).toBe(4.5);
+      expect(IntegrityService.getEventPoints(event('dev_tools', 'critical'), policy)).toBe(30);
+    });
+
+    it('scores unknown severities as medium and unknown events as nothing', () => {
+      expect(IntegrityService.getEventPoints(event('fullscreen_exit', undefined), policy)).toBe(4);
+      expect(IntegrityService.getEventPoints(event('access_denied'), policy)).toBe(0);
+      expect(IntegrityService.getEventPoints(event('sneezed'), policy)).toBe(0);
+    });
+  });
+
+  describe('scoreSecurityEvents', () => {
+    it('adds up one signal per event type', () => {
+      const attempt = buildAttempt({
+        securityEvents: [event('tab_switch'), event('tab_switch', 'high'), event('right_click', 'low'), event('access_denied')]
+      });
+
+      expect(IntegrityService.scoreSecurityEvents(attempt, policy)).toEqual([
+        { type: 'security_event', label: 'tab_switch', count: 2, points: 7.5, details: { eventType: 'tab_switch' } },
+        { type: 'security_event', label: 'right_click', count: 1, points: 0.5, details: { eventType: 'right_click' } }
+      ]);
+    });
+
+    it('caps each event type at 40 points', () => {
+      const attempt = buildAttempt({ securityEvents: Array(5).fill(event('dev_tools', 'critical')) });
+
+      expect(IntegrityService.scoreSecurityEvents(attempt, policy)[0]).toMatchObject({ count: 5, points: 40 });
+    });
+
+    it('skips events another signal has scored', () => {
+      const paste = event('paste_attempt');
+      const attempt = buildAttempt({ securityEvents: [paste, event('paste_attempt', 'medium', '09:20:00')] });
+
+      expect(IntegrityService.scoreSecurityEvents(attempt, policy, new Set([paste]))[0]).toMatchObject({ count: 1, points: 6 });
+    });
+  });
+
+  describe('paste then answer', () => {
+    it('pairs a paste with the answer saved within a minute after it', () => {
+      const quick = event('paste_attempt', 'medium', '09:05:00');
+      const slow = event('paste_attempt', 'medium', '09:10:00');
+      const attempt = buildAttempt({
+        securityEvents: [quick, slow],
+        activityLog: [saved('09:04:59'), saved('09:05:40'), saved('09:11:01')]
+      });
+
+      const pasted = IntegrityService.findPastedAnswers(attempt);
+
+      expect(pasted).toHaveLength(1);
+      expect(pasted[0].paste).toBe(quick);
+      expect(pasted[0].save.questionId).toBe('q-09:05:40');
+    });
+
+    it('scores each pasted answer at its paste weight instead of as a plain paste', () => {
+      const paste = event('paste_attempt', 'high', '09:05:00');
+      const attempt = buildAttempt({
+        securityEvents: [paste, event('paste_attempt', 'medium', '09:20:00')],
+        activityLog: [saved('09:05:30')]
+      });
+
+      const result = IntegrityService.evaluate(attempt, buildAssessment());
+
+      expect(result.signals.find(signal => signal.type === 'paste_then_answer')).toMatchObject({ count: 1, points: 9 });
+      expect(result.signals.find(signal => signal.label === 'paste_attempt')).toMatchObject({ count: 1, points: 6 });
+      expect(result.score).toBe(85);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('takes the points of every signal off 100 and flags below the threshold', () => {
+      const attempt = buildAttempt({
+        securityEvents: [event('dev_tools', 'high'), ...Array(3).fill(event('fullscreen_exit'))],
+        activityLog: ['09:20:00', '09:20:05', '09:20:10', '09:20:15', '09:20:20', '09:20:25'].map(saved)
+      });
+
+      const result = IntegrityService.evaluate(attempt, buildAssessment());
+
+      // dev_tools 22.5 + fullscreen_exit 12 + one answer burst 10
+      expect(result.score).toBe(56);
+      expect(result.isFlagged).toBe(true);
+      expect(IntegrityService.evaluate(attempt, buildAssessment({ flagBelow: 50 })).isFlagged).toBe(false);
+    });
+
+    it('never goes below zero', () => {
+      const attempt = buildAttempt({
+        securityEvents: ['dev_tools', 'suspicious_activity', 'webcam_violation', 'tab_switch']
+          .flatMap(type => Array(10).fill(event(type, 'critical')))
+      });
+
+      expect(IntegrityService.evaluate(attempt, buildAssessment()).score).toBe(0);
+    });
+
+    it('gives a clean attempt full marks', () => {
+      expect(IntegrityService.evaluate(buildAttempt(), buildAssessment())).toMatchObject({ score: 100, isFlagged: false, signals: [] });
+    });
+  });
+
+  describe('getReviewStatus', () => {
+    it('keeps a teacher\'s decision and queues new flags', () => {
+      expect(IntegrityService.getReviewStatus('cleared', true)).toBe('cleared');
+      expect(IntegrityService.getReviewStatus('confirmed', false)).toBe('confirmed');
+      expect(IntegrityService.getReviewStatus('none', true)).toBe('pending');
+      expect(IntegrityService.getReviewStatus('pending', false)).toBe('none');
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const LiveProctoringService = require('../services/LiveProctoringService');
+const SocketService = require('../services/SocketService');
+const { reportSecurityEvent } = require('../controllers/submissionController');
+
+const at = (time) => new Date(`2026-01-01T${time}:00Z`);
+
+const teacherId = new mongoose.Types.ObjectId();
+const collaboratorId = new mongoose.Types.ObjectId();
+
+const buildAssessment = ({ monitoring = true, leaderboard = false } = {}) => new Assessment({
+  title: 'Chemistry test',
+  type: 'quiz',
+  subject: 'Chemistry',
+  class: 10,
+  createdBy: teacherId,
+  collaborators: [{ teacherId: collaboratorId }],
+  configuration: { duration: 30, realTimeLeaderboard: leaderboard },
+  schedule: { startDate: at('09:00'), endDate: at('10:00') },
+  liveFeatures: { enabled: monitoring, realTimeMonitoring: monitoring }
+});
+
+const buildAttempt = (status = 'in_progress', securityEvents = []) => new StudentResponse({
+  assessmentId: new mongoose.Types.ObjectId(),
+  studentId: new mongoose.Types.ObjectId(),
+  status,
+  startedAt: at('09:00'),
+  monitoring: { currentQuestionIndex: 2, lastActivityAt: at('09:10') },
+  securityEvents,
+  responses: [true, true, false, false].map((isAnswered, i) => ({
+    questionId: new mongoose.Types.ObjectId(),
+    questionType: 'MCQ',
+    questionOrder: i + 1,
+    maxMarks: 2,
+    isAnswered
+  }))
+});
+
+describe('LiveProctoringService', () => {
+  afterEach(() => {
+    SocketService.io = null;
+    LiveProctoringService.lastLeaderboardAt.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('authorizeProctor', () => {
+    it('lets in admins, the creator and collaborators', () => {
+      const assessment = buildAssessment();
+
+      expect(LiveProctoringService.canProctor(assessment, { role: 'admin', id: 'someone' })).toBe(true);
+      expect(LiveProctoringService.canProctor(assessment, { role: 'teacher', id: teacherId.toString() })).toBe(true);
+      expect(LiveProctoringService.canProctor(assessment, { role: 'teacher', _id: collaboratorId })).toBe(true);
+      expect(LiveProctoringService.canProctor(assessment, { role: 'teacher', id: 'another-teacher' })).toBe(false);
+    });
+
+    it('refuses students before loading anything', async () => {
+      const findById = jest.spyOn(Assessment, 'findById');
+
+      expect(await LiveProctoringService.authorizeProctor('a1', { role: 'student', id: 's1' }))
+        .toEqual({ status: 403, message: 'Only teachers can open the live room' });
+      expect(findById).not.toHaveBeenCalled();
+    });
+
+    it('refuses assessments without real-time monitoring', async () => {
+      jest.spyOn(Assessment, 'findById').mockResolvedValue(buildAssessment({ monitoring: false }));
+
+      expect(await LiveProctoringService.authorizeProctor('a1', { role: 'teacher', id: teacherId.toString() }))
+        .toEqual({ status: 400, message: 'Real-time monitoring is not enabled for this assessment' });
+    });
+  });
+
+  describe('getStudentStatus', () => {
+    it('reports progress, idle time and violation counts', () => {
+      const attempt = buildAttempt('in_progress', [
+        { eventType: 'tab_switch' },
+        { eventType: 'tab_switch' },
+        { eventType: 'fullscreen_exit' },
+        { eventType: 'copy_attempt' }
+      ]);
+
+      const status = LiveProctoringService.getStudentStatus(attempt, buildAssessment(), at('09:12'));
+
+      expect(status).toMatchObject({
+        currentQuestionIndex: 2,
+        answered: 2,
+        totalQuestions: 4,
+        progress: 50,
+        idleSeconds: 120,
+        remainingSeconds: 18 * 60,
+        security: { tabSwitches: 2, fullscreenExits: 1, totalEvents: 4 }
+      });
+    });
+
+    it('stops counting idle and remaining time once submitted', () => {
+      const status = LiveProctoringService.getStudentStatus(buildAttempt('submitted'), buildAssessment(), at('09:40'));
+
+      expect(status).toMatchObject({ idleSeconds: 0, remainingSeconds: 0 });
+    });
+  });
+
+  describe('security events', () => {
+    const respond = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() });
+
+    beforeEach(() => {
+      SocketService.io = {};
+      jest.spyOn(SocketService, 'sendToProctors').mockReturnValue(true);
+      jest.spyOn(StudentResponse.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+    });
+
+    it('stores a reported event and pushes it to the live room with updated counts', async () => {
+      const assessment = buildAssessment();
+      const attempt = buildAttempt('in_progress', [{ eventType: 'tab_switch' }]);
+      jest.spyOn(StudentResponse, 'findOne').mockResolvedValue(attempt);
+      jest.spyOn(Assessment, 'findById').mockResolvedValue(assessment);
+      const res = respond();
+
+      await reportSecurityEvent({
+        params: { id: assessment._id.toString() },
+        body: { eventType: 'tab_switch', severity: 'high', details: { hiddenFor: 4 } },
+        user: { id: attempt.studentId.toString() }
+      }, res);
+
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Security event recorded' });
+      expect(attempt.securityEvents).toHaveLength(2);
+      expect(SocketService.sendToProctors).toHaveBeenCalledWith(
+        assessment._id.toString(),
+        'proctor_security_event',
+        expect.objectContaining({
+          attemptId: attempt._id,
+          eventType: 'tab_switch',
+          severity: 'high',
+          details: { hiddenFor: 4 },
+          security: { tabSwitches: 2, fullscreenExits: 0, totalEvents: 2 }
+        })
+      );
+    });
+
+    it('only looks for open attempts and 404s without one', async () => {
+      const findOne = jest.spyOn(StudentResponse, 'findOne').mockResolvedValue(null);
+      const res = respond();
+
+      await reportSecurityEvent({
+        params: { id: 'a1' },
+        body: { eventType: 'tab_switch' },
+        user: { id: 's1' }
+      }, res);
+
+      expect(findOne).toHaveBeenCalledWith(expect.objectContaining({
+        status: { $in: ['started', 'in_progress', 'paused'] }
+      }));
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(SocketService.sendToProctors).not.toHaveBeenCalled();
+    });
+
+    it('pushes nothing when monitoring is off or sockets are down', () => {
+      const attempt = buildAttempt();
+      const event = { eventType: 'fullscreen_exit', severity: 'medium', timestamp: at('09:05') };
+
+      LiveProctoringService.publishSecurityEvent(buildAssessment({ monitoring: false }), attempt, event);
+      SocketService.io = null;
+      LiveProctoringService.publishSecurityEvent(buildAssessment(), attempt, event);
+
+      expect(SocketService.sendToProctors).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publishLeaderboard', () => {
+    beforeEach(() => {
+      SocketService.io = {};
+      jest.spyOn(SocketService, 'sendToProctors').mockReturnValue(true);
+      jest.spyOn(SocketService, 'sendToAssessment').mockReturnValue(true);
+      jest.spyOn(LiveProctoringService, 'getLeaderboard').mockResolvedValue([]);
+    });
+
+    it('sends to teachers and students at most once every five seconds', async () => {
+      const assessment = buildAssessment({ leaderboard: true });
+
+      await LiveProctoringService.publishLeaderboard(assessment, 10000);
+      await LiveProctoringService.publishLeaderboard(assessment, 14999);
+      await LiveProctoringService.publishLeaderboard(assessment, 15000);
+
+      expect(LiveProctoringService.getLeaderboard).toHaveBeenCalledTimes(2);
+      expect(SocketService.sendToAssessment).toHaveBeenCalledWith(
+        assessment._id.toString(),
+        'leaderboard_update',
+        expect.objectContaining({ leaderboard: [] })
+      );
+    });
+
+    it('stays quiet when the leaderboard is off', async () => {
+      await LiveProctoringService.publishLeaderboard(buildAssessment(), 10000);
+
+      expect(LiveProctoringService.getLeaderboard).not.toHaveBeenCalled();
+    });
+  });
+});
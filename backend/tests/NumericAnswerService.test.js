@@ -0,0 +1,103 @@
+const NumericAnswerService = require('../services/NumericAnswerService');
+
+describe('NumericAnswerService', () => {
+  describe('parseAnswer', () => {
+    it('reads Bangla digits and units', () => {
+      const parsed = NumericAnswerService.parseAnswer('১২.৫ মি/সে');
+      expect(parsed.value).toBe(12.5);
+      expect(parsed.unit).toBe('m/s');
+    });
+
+    it('reads scientific notation in both spellings', () => {
+      expect(NumericAnswerService.parseAnswer('-3.2e4 J').value).toBe(-32000);
+      expect(NumericAnswerService.parseAnswer('6.02 × 10^23').value).toBeCloseTo(6.02e23, -20);
+    });
+
+    it('counts trailing zeros of whole numbers as ambiguous', () => {
+      expect(NumericAnswerService.parseAnswer('1200').significantFigures).toEqual({ min: 2, max: 4 });
+      expect(NumericAnswerService.parseAnswer('0.0120').significantFigures).toEqual({ min: 3, max: 3 });
+    });
+
+    it('returns null without a number', () => {
+      expect(NumericAnswerService.parseAnswer('about ten')).toBeNull();
+    });
+  });
+
+  describe('normalizeUnit', () => {
+    it('accepts aliases, casings and superscripts', () => {
+      expect(NumericAnswerService.normalizeUnit('km/hr')).toBe('km/h');
+      expect(NumericAnswerService.normalizeUnit('KM/H')).toBe('km/h');
+      expect(NumericAnswerService.normalizeUnit('m s^-1')).toBe('m/s');
+      expect(NumericAnswerService.normalizeUnit('cm²')).toBe('cm^2');
+      expect(NumericAnswerService.normalizeUnit('furlong')).toBeNull();
+    });
+  });
+
+  describe('convert', () => {
+    it('converts between units of the same quantity', () => {
+      expect(NumericAnswerService.convert(72, 'km/h', 'm/s')).toBeCloseTo(20);
+      expect(NumericAnswerService.convert(1.5, 'kJ', 'J')).toBeCloseTo(1500);
+    });
+
+    it('applies temperature offsets', () => {
+      expect(NumericAnswerService.convert(100, '°C', 'K')).toBeCloseTo(373.15);
+      expect(NumericAnswerService.convert(212, '°F', '°C')).toBeCloseTo(100);
+    });
+
+    it('refuses units of different quantities', () => {
+      expect(NumericAnswerService.convert(5, 'm', 's')).toBeNull();
+    });
+  });
+
+  describe('grade', () => {
+    const key = { value: 20, unit: 'm/s', tolerance: { absolute: 0.5 } };
+
+    it('accepts an equivalent answer in another unit', () => {
+      const result = NumericAnswerService.grade('72 km/h', key, 4);
+      expect(result.isCorrect).toBe(true);
+      expect(result.marksAwarded).toBe(4);
+      expect(result.explanation).toContain('72 km/h = 20 m/s');
+    });
+
+    it('applies the tolerance', () => {
+      expect(NumericAnswerService.grade('20.4', key, 4).isCorrect).toBe(true);
+      expect(NumericAnswerService.grade('20.6', key, 4).isCorrect).toBe(false);
+    });
+
+    it('rejects a unit of the wrong quantity', () => {
+      const result = NumericAnswerService.grade('20 kg', key, 4);
+      expect(result.isCorrect).toBe(false);
+      expect(result.explanation).toContain('measures mass');
+    });
+
+    it('requires a unit when the key says so', () => {
+      const result = NumericAnswerService.grade('20', { ...key, requireUnit: true }, 4);
+      expect(result.isCorrect).toBe(false);
+      expect(result.explanation).toContain('Unit missing');
+    });
+
+    it('reads a bare C as degrees in temperature questions', () => {
+      expect(NumericAnswerService.grade('100 C', { value: 373.15, unit: 'K' }, 2).isCorrect).toBe(true);
+    });
+
+    it('takes the significant-figure penalty off the marks', () => {
+      const withFigures = { value: 9.81, unit: 'm/s^2', significantFigures: { count: 3, penaltyPercentage: 50 } };
+      expect(NumericAnswerService.grade('9.81', withFigures, 4).marksAwarded).toBe(4);
+
+      const result = NumericAnswerService.grade('9.810', withFigures, 4);
+      expect(result.isCorrect).toBe(false);
+      expect(result.marksAwarded).toBe(2);
+    });
+  });
+
+  describe('validateAnswerKey', () => {
+    it('canonicalises units and rejects mismatched accepted units', () => {
+      const key = { value: 1, unit: 'metre', acceptedUnits: ['cm', 'kg'] };
+      const errors = NumericAnswerService.validateAnswerKey(key);
+
+      expect(key.unit).toBe('m');
+      expect(key.acceptedUnits[0]).toBe('cm');
+      expect(errors).toEqual(['Accepted unit "kg" does not measure length']);
+    });
+  });
+});
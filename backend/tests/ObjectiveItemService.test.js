@@ -0,0 +1,146 @@
+const ObjectiveItemService = require('../services/ObjectiveItemService');
+
+const multiSelect = (scoringRule) => ({
+  _id: 'q1',
+  type: 'multi_select',
+  scoringRule,
+  options: [
+    { _id: 'a', text: 'Oxygen', isCorrect: true },
+    { _id: 'b', text: 'Nitrogen', isCorrect: true },
+    { _id: 'c', text: 'Gold' },
+    { _id: 'd', text: 'Iron' }
+  ]
+});
+
+const matching = (scoringRule) => ({
+  _id: 'q2',
+  type: 'matching',
+  scoringRule,
+  matching: {
+    pairs: [
+      { _id: 'p1', prompt: { text: 'Dhaka' }, match: { _id: 'm1', text: 'Bangladesh' } },
+      { _id: 'p2', prompt: { text: 'Delhi' }, match: { _id: 'm2', text: 'India' } },
+      { _id: 'p3', prompt: { text: 'Kathmandu' }, match: { _id: 'm3', text: 'Nepal' } }
+    ],
+    distractors: [{ _id: 'x1', text: 'Bhutan' }]
+  }
+});
+
+const ordering = (scoringRule) => ({
+  _id: 'q3',
+  type: 'ordering',
+  scoringRule,
+  ordering: { items: ['i1', 'i2', 'i3', 'i4'].map(_id => ({ _id, text: _id })) }
+});
+
+describe('ObjectiveItemService', () => {
+  describe('grade', () => {
+    it('takes wrong picks off right picks for multi-select by default', () => {
+      const question = multiSelect();
+      expect(ObjectiveItemService.grade(question, { selectedOptionIds: ['a'] }, 2).marksAwarded).toBe(1);
+      expect(ObjectiveItemService.grade(question, { selectedOptionIds: ['a', 'c'] }, 2).marksAwarded).toBe(0);
+      expect(ObjectiveItemService.grade(question, { selectedOptionIds: ['a', 'b'] }, 2).isCorrect).toBe(true);
+    });
+
+    it('credits every option decided correctly under per_option', () => {
+      const result = ObjectiveItemService.grade(multiSelect('per_option'), { selectedOptionIds: ['a'] }, 4);
+      expect(result.marksAwarded).toBe(3);
+      expect(result.partialCredit).toBe(true);
+    });
+
+    it('gives nothing for a partly right answer under all_or_nothing', () => {
+      const result = ObjectiveItemService.grade(multiSelect('all_or_nothing'), { selectedOptionIds: ['a'] }, 2);
+      expect(result.marksAwarded).toBe(0);
+    });
+
+    it('credits each correct pair under per_pair', () => {
+      const answer = {
+        matches: [
+          { promptId: 'p1', matchId: 'm1' },
+          { promptId: 'p2', matchId: 'm3' },
+          { promptId: 'p3', matchId: 'm2' }
+        ]
+      };
+      const result = ObjectiveItemService.grade(matching(), answer, 3);
+
+      expect(result.marksAwarded).toBe(1);
+      expect(result.explanation).toContain('1 of 3 pairs matched correctly');
+    });
+
+    it('credits neighbouring pairs in order by default and positions under per_position', () => {
+      const answer = { orderedItemIds: ['i2', 'i3', 'i4', 'i1'] };
+
+      expect(ObjectiveItemService.grade(ordering(), answer, 3).marksAwarded).toBe(2);
+      expect(ObjectiveItemService.grade(ordering('per_position'), answer, 3).marksAwarded).toBe(0);
+    });
+  });
+
+  describe('formatForStudent and normalizeAnswer', () => {
+    it('masks every ID and maps the student\'s answer back to the answer key', () => {
+      const question = matching();
+      const { matching: view } = ObjectiveItemService.formatForStudent(question, 7);
+      const canonical = ['p1', 'p2', 'p3', 'm1', 'm2', 'm3', 'x1'];
+
+      [...view.prompts, ...view.matches].forEach(item => expect(canonical).not.toContain(item._id));
+
+      const byText = new Map(view.matches.map(match => [match.text, match._id]));
+      const answer = {
+        matches: view.prompts.map((prompt, i) => ({
+          promptId: prompt._id,
+          matchId: byText.get(['Bangladesh', 'India', 'Nepal'][i])
+        }))
+      };
+      const normalized = ObjectiveItemService.normalizeAnswer(question, answer, [], 7);
+
+      expect(normalized.answer.matches).toEqual([
+        { promptId: 'p1', matchId: 'm1' },
+        { promptId: 'p2', matchId: 'm2' },
+        { promptId: 'p3', matchId: 'm3' }
+      ]);
+      expect(ObjectiveItemService.grade(question, normalized.answer, 3).isCorrect).toBe(true);
+    });
+
+    it('rejects IDs masked for another attempt', () => {
+      const question = ordering();
+      const { ordering: view } = ObjectiveItemService.formatForStudent(question, 7);
+      const result = ObjectiveItemService.normalizeAnswer(question, {
+        orderedItemIds: view.items.map(item => item._id)
+      }, [], 8);
+
+      expect(result.error).toBe('The order must include every item exactly once');
+    });
+
+    it('gives a stored answer back in the masked IDs the student sent', () => {
+      const question = ordering();
+      const { ordering: view } = ObjectiveItemService.formatForStudent(question, 7);
+      const sent = { orderedItemIds: view.items.map(item => item._id) };
+      const { answer } = ObjectiveItemService.normalizeAnswer(question, sent, [], 7);
+
+      expect(ObjectiveItemService.maskAnswer(answer, 7)).toEqual(sent);
+      expect(ObjectiveItemService.maskAnswer({ textAnswer: '42' }, 7)).toEqual({ textAnswer: '42' });
+    });
+
+    it('shuffles the same way on every reload but never shows the answer order', () => {
+      const question = ordering();
+      const first = ObjectiveItemService.formatForStudent(question, 3).ordering.items.map(item => item.text);
+
+      expect(ObjectiveItemService.formatForStudent(question, 3).ordering.items.map(item => item.text)).toEqual(first);
+      expect(first).not.toEqual(['i1', 'i2', 'i3', 'i4']);
+    });
+  });
+
+  describe('validateQuestion', () => {
+    it('requires a correct option and distinct matches', () => {
+      const noKey = { ...multiSelect(), options: multiSelect().options.map(({ isCorrect, ...option }) => option) };
+      expect(ObjectiveItemService.validateQuestion(noKey))
+        .toContain('Multiple-select questions need at least one correct option');
+
+      const duplicate = matching();
+      duplicate.matching.distractors = [{ _id: 'x1', text: 'nepal' }];
+      expect(ObjectiveItemService.validateQuestion(duplicate)).toContain('Matches must be different from each other');
+
+      expect(ObjectiveItemService.validateQuestion(ordering('per_pair')))
+        .toContain('Scoring rule must be one of: adjacent_pairs, per_position, all_or_nothing');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const PlagiarismService = require('../services/PlagiarismService');
+
+const ESSAY = 'Photosynthesis is the process by which green plants use sunlight water and carbon dioxide to make glucose and release oxygen';
+const OTHER = 'The French revolution began in seventeen eighty nine and ended the absolute monarchy of the Bourbon kings in France';
+
+const answer = (studentId, text) => ({ submissionId: `sub-${studentId}`, studentId, responseIndex: 0, text });
+
+const shinglesOf = (text) => PlagiarismService.getShingles(PlagiarismService.tokenize(text).tokens);
+
+describe('PlagiarismService', () => {
+  describe('tokenize', () => {
+    it('drops punctuation, the Bangla danda and zero-width joiners but keeps vowel signs', () => {
+      const { words, tokens } = PlagiarismService.tokenize('সালোকসংশ্লেষণ হলো, প্রক্রিয়া। Wa\u200Dter!');
+
+      expect(words).toHaveLength(4);
+      expect(tokens.map(entry => entry.token)).toEqual(['সালোকসংশ্লেষণ', 'হলো', 'প্রক্রিয়া', 'water']);
+    });
+  });
+
+  describe('getJaccard', () => {
+    it('is 1 for identical answers and 0 for unrelated ones', () => {
+      expect(PlagiarismService.getJaccard(shinglesOf(ESSAY), shinglesOf(ESSAY.toUpperCase()))).toBe(1);
+      expect(PlagiarismService.getJaccard(shinglesOf(ESSAY), shinglesOf(OTHER))).toBe(0);
+      expect(PlagiarismService.getJaccard(new Set(), shinglesOf(ESSAY))).toBe(0);
+    });
+  });
+
+  describe('getSignature', () => {
+    it('is the same for the same shingles', () => {
+      expect(PlagiarismService.getSignature(shinglesOf(ESSAY))).toEqual(PlagiarismService.getSignature(shinglesOf(ESSAY)));
+    });
+  });
+
+  describe('compareAnswers', () => {
+    it('flags a copied answer and highlights the shared words', () => {
+      const copied = `${ESSAY} in the leaves`;
+      const { pairs, clusters } = PlagiarismService.compareAnswers([
+        answer('s1', ESSAY),
+        answer('s2', copied),
+        answer('s3', OTHER)
+      ], 0.7);
+
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0].a.studentId).toBe('s1');
+      expect(pairs[0].b.studentId).toBe('s2');
+      expect(pairs[0].similarity).toBeGreaterThanOrEqual(0.7);
+      expect(pairs[0].segments[0].text).toBe(ESSAY);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].members.map(member => member.studentId).sort()).toEqual(['s1', 's2']);
+    });
+
+    it('never pairs two attempts by the same student', () => {
+      const { pairs } = PlagiarismService.compareAnswers([answer('s1', ESSAY), answer('s1', ESSAY)], 0.5);
+      expect(pairs).toEqual([]);
+    });
+
+    it('skips answers too short to compare', () => {
+      const { entries } = PlagiarismService.compareAnswers([answer('s1', 'Plants make food'), answer('s2', ESSAY)], 0.5);
+      expect(entries.map(entry => entry.studentId)).toEqual(['s2']);
+    });
+
+    it('groups students linked through shared answers into one cluster', () => {
+      const { clusters } = PlagiarismService.compareAnswers([
+        answer('s1', ESSAY),
+        answer('s2', ESSAY),
+        answer('s3', ESSAY),
+        answer('s4', OTHER)
+      ], 0.9);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].members).toHaveLength(3);
+      expect(clusters[0].maxSimilarity).toBe(1);
+    });
+  });
+
+  describe('collectAnswers', () => {
+    it('groups written answers by question and Creative Question part', () => {
+      const groups = PlagiarismService.collectAnswers([{
+        _id: 'sub-1',
+        studentId: 's1',
+        responses: [
+          { questionId: 'q1', isAnswered: true, answer: { textAnswer: ESSAY } },
+          { questionId: 'q2', isAnswered: true, answer: { cqAnswers: [{ label: 'c', textAnswer: OTHER }, { label: 'd' }] } },
+          { questionId: 'q3', isAnswered: false, answer: { textAnswer: 'draft' } }
+        ]
+      }]);
+
+      expect([...groups.keys()]).toEqual(['q1', 'q2:c']);
+      expect(groups.get('q2:c')).toMatchObject({ questionId: 'q2', part: 'c' });
+      expect(groups.get('q2:c').answers[0]).toMatchObject({ studentId: 's1', responseIndex: 1, text: OTHER });
+    });
+  });
+});
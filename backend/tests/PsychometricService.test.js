@@ -0,0 +1,129 @@
+const PsychometricService = require('../services/PsychometricService');
+
+// One submission per row; each column is one question's marks
+const buildSubmissions = (rows, maxMarks = 1) => rows.map((row, i) => ({
+  studentId: `student-${i}`,
+  status: 'graded',
+  attemptNumber: 1,
+  responses: row.map((marks, j) => ({
+    questionId: `q${j}`,
+    questionType: 'MCQ',
+    maxMarks,
+    isAnswered: true,
+    finalMarks: marks
+  }))
+}));
+
+// Worked example: item variances sum to 0.64 and the total-score variance is 1.36
+const ROWS = [
+  [1, 1, 1],
+  [1, 1, 0],
+  [1, 0, 0],
+  [0, 0, 0],
+  [1, 1, 1]
+];
+
+describe('PsychometricService', () => {
+  describe('reliability', () => {
+    it('computes KR-20 for right/wrong items', () => {
+      const { reliability } = PsychometricService.analyzeAssessment(buildSubmissions(ROWS), []);
+
+      // 3/2 * (1 - 0.64 / 1.36)
+      expect(reliability.kr20).toBe(0.794);
+      expect(reliability.cronbachAlpha).toBe(0.794);
+      expect(reliability.standardErrorOfMeasurement).toBe(0.53);
+      expect(reliability.interpretation).toBe('acceptable');
+    });
+
+    it('reports alpha but no KR-20 when items carry partial credit', () => {
+      const { reliability } = PsychometricService.analyzeAssessment(
+        buildSubmissions([[2, 1, 2], [1, 1, 0], [2, 0, 1], [0, 0, 0], [2, 2, 2]], 2),
+        []
+      );
+
+      expect(reliability.cronbachAlpha).not.toBeNull();
+      expect(reliability.kr20).toBeNull();
+    });
+
+    it('needs at least two items and two examinees', () => {
+      const { reliability } = PsychometricService.analyzeAssessment(buildSubmissions([[1, 0]]), []);
+      expect(reliability.interpretation).toBe('insufficient_data');
+      expect(reliability.kr20).toBeNull();
+    });
+  });
+
+  describe('analyzeItem', () => {
+    it('correlates the item with the rest of the test (corrected point-biserial)', () => {
+      const { items } = PsychometricService.analyzeAssessment(buildSubmissions(ROWS), []);
+      const first = items.find(item => item.questionId === 'q0');
+
+      // Item [1,1,1,0,1] against rest scores [2,1,0,0,2]: 1 / sqrt(0.8 * 4)
+      expect(first.pValue).toBe(0.8);
+      expect(first.pointBiserial).toBe(0.559);
+      expect(first.isDichotomous).toBe(true);
+    });
+
+    it('gives no point-biserial when everyone scored the same', () => {
+      const { items } = PsychometricService.analyzeAssessment(buildSubmissions([[1, 1], [1, 0], [1, 1]]), []);
+      expect(items.find(item => item.questionId === 'q0').pointBiserial).toBeNull();
+    });
+  });
+
+  describe('buildExaminees', () => {
+    it('uses each student\'s first submitted attempt only', () => {
+      const [first] = buildSubmissions([[1, 1]]);
+      const retake = { ...buildSubmissions([[0, 0]])[0], studentId: first.studentId, attemptNumber: 2 };
+      const open = { ...buildSubmissions([[0, 0]])[0], studentId: 'student-9', status: 'in_progress' };
+
+      const examinees = PsychometricService.buildExaminees([retake, first, open]);
+      expect(examinees).toHaveLength(1);
+      expect(examinees[0].total).toBe(2);
+    });
+
+    it('leaves out answers still waiting for a teacher', () => {
+      const [submission] = buildSubmissions([[1]]);
+      submission.responses.push({
+        questionId: 'essay',
+        questionType: 'Essay',
+        maxMarks: 5,
+        isAnswered: true,
+        finalMarks: 0
+      });
+
+      const [examinee] = PsychometricService.buildExaminees([submission]);
+      expect(examinee.scores.has('essay')).toBe(false);
+    });
+  });
+
+  describe('flagItem', () => {
+    const item = (fields) => ({ sampleSize: 30, pValue: 0.5, pointBiserial: 0.4, ...fields });
+
+    it('flags small samples only as insufficient data', () => {
+      expect(PsychometricService.flagItem(item({ sampleSize: 5, pValue: 0.05 }))).toEqual(['insufficient_data']);
+    });
+
+    it('flags difficulty and discrimination problems', () => {
+      expect(PsychometricService.flagItem(item({ pValue: 0.1 }))).toContain('too_hard');
+      expect(PsychometricService.flagItem(item({ pValue: 0.95 }))).toContain('too_easy');
+      expect(PsychometricService.flagItem(item({ pointBiserial: -0.1 }))).toEqual(['negative_discrimination']);
+      expect(PsychometricService.flagItem(item({ pointBiserial: 0.1 }))).toEqual(['low_discrimination']);
+      expect(PsychometricService.flagItem(item())).toEqual([]);
+    });
+
+    it('flags a distractor that outperforms the key as a possible miskey', () => {
+      const flags = PsychometricService.flagItem(item({
+        distractors: [
+          { isCorrect: true, proportion: 0.3, upperProportion: 0.2, lowerProportion: 0.4, pointBiserial: -0.2 },
+          { isCorrect: false, proportion: 0.6, upperProportion: 0.8, lowerProportion: 0.3, pointBiserial: 0.3 },
+          { isCorrect: false, proportion: 0.02, upperProportion: 0, lowerProportion: 0.05, pointBiserial: -0.1 }
+        ]
+      }));
+
+      expect(flags).toEqual(expect.arrayContaining([
+        'possible_miskey',
+        'distractor_attracts_top_scorers',
+        'non_functional_distractors'
+      ]));
+    });
+  });
+});
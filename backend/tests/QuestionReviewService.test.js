@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuestionReviewService = require('../services/QuestionReviewService');
+
+const ownerId = new mongoose.Types.ObjectId();
+const reviewer = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+// A question as loaded from the database, so only later changes count as modified
+const loadQuestion = (fields = {}) => Question.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Photosynthesis',
+  type: 'mcq',
+  subject: 'Biology',
+  chapter: 'Plants',
+  class: 9,
+  difficulty: 'easy',
+  marks: 1,
+  question: { text: 'What do leaves need to make food?' },
+  createdBy: ownerId,
+  source: 'manual',
+  isPublic: false,
+  reviewStatus: 'draft',
+  reviewHistory: [],
+  ...fields
+});
+
+describe('QuestionReviewService', () => {
+  describe('canReview', () => {
+    const teacher = (isVerified, experience) => ({ role: 'teacher', teacherInfo: { isVerified, experience } });
+
+    it('allows admins and verified teachers with five or more years', () => {
+      expect(QuestionReviewService.canReview({ role: 'admin' })).toBe(true);
+      expect(QuestionReviewService.canReview(teacher(true, 5))).toBe(true);
+    });
+
+    it('refuses junior or unverified teachers, students and nobody', () => {
+      expect(QuestionReviewService.canReview(teacher(true, 4))).toBe(false);
+      expect(QuestionReviewService.canReview(teacher(false, 12))).toBe(false);
+      expect(QuestionReviewService.canReview({ role: 'teacher' })).toBe(false);
+      expect(QuestionReviewService.canReview({ role: 'student', teacherInfo: { isVerified: true, experience: 10 } })).toBe(false);
+      expect(QuestionReviewService.canReview(null)).toBe(false);
+    });
+  });
+
+  describe('submit', () => {
+    it.each(['draft', 'rejected', 'needs_revision'])('queues a %s question and records it', (reviewStatus) => {
+      const question = loadQuestion({ reviewStatus });
+
+      expect(QuestionReviewService.submit(question, ownerId)).toEqual({});
+      expect(question.reviewStatus).toBe('pending');
+      expect(question.submittedForReviewAt).toBeInstanceOf(Date);
+      expect(question.reviewHistory[0]).toMatchObject({ action: 'submitted', by: ownerId });
+    });
+
+    it('refuses questions already queued or approved', () => {
+      expect(QuestionReviewService.submit(loadQuestion({ reviewStatus: 'pending' }), ownerId))
+        .toEqual({ error: 'Question is already waiting for review' });
+      expect(QuestionReviewService.submit(loadQuestion({ reviewStatus: 'approved' }), ownerId))
+        .toEqual({ error: 'Approved questions do not need another review' });
+    });
+  });
+
+  describe('review', () => {
+    it('approves a queued question without notes', () => {
+      const question = loadQuestion({ reviewStatus: 'pending' });
+
+      expect(QuestionReviewService.review(question, reviewer, 'approve', '  ')).toEqual({});
+      expect(question.reviewStatus).toBe('approved');
+      expect(question.reviewNotes).toBeUndefined();
+      expect(question.reviewedBy).toEqual(reviewer._id);
+      expect(question.reviewHistory[0]).toMatchObject({ action: 'approved', by: reviewer._id });
+    });
+
+    it('needs notes to reject or ask for changes', () => {
+      const question = loadQuestion({ reviewStatus: 'pending' });
+
+      expect(QuestionReviewService.review(question, reviewer, 'reject'))
+        .toEqual({ error: 'Please add notes explaining what needs to change' });
+      expect(question.reviewStatus).toBe('pending');
+
+      expect(QuestionReviewService.review(question, reviewer, 'request_changes', ' Option B is also right ')).toEqual({});
+      expect(question.reviewStatus).toBe('needs_revision');
+      expect(question.reviewNotes).toBe('Option B is also right');
+    });
+
+    it('refuses unknown actions, own questions and questions not in the queue', () => {
+      expect(QuestionReviewService.review(loadQuestion({ reviewStatus: 'pending' }), reviewer, 'publish'))
+        .toEqual({ error: 'Action must be one of: approve, reject, request_changes' });
+      expect(QuestionReviewService.review(loadQuestion({ reviewStatus: 'pending' }), { _id: ownerId, role: 'admin' }, 'approve'))
+        .toEqual({ error: 'You cannot review your own question' });
+      expect(QuestionReviewService.review(loadQuestion({ reviewStatus: 'draft' }), reviewer, 'approve'))
+        .toEqual({ error: 'Only questions waiting for review can be reviewed' });
+    });
+  });
+
+  describe('applyEditRules', () => {
+    it('sends an edited shared question back to the queue', () => {
+      const question = loadQuestion({ isPublic: true, reviewStatus: 'approved' });
+      question.marks = 2;
+
+      expect(QuestionReviewService.applyEditRules(question, ownerId)).toBe(true);
+      expect(question.reviewStatus).toBe('pending');
+      expect(question.reviewHistory[0].action).toBe('submitted');
+    });
+
+    it('turns an edited private approved question back into a draft', () => {
+      const question = loadQuestion({ reviewStatus: 'approved' });
+      question.question.text = 'What do roots take up?';
+
+      expect(QuestionReviewService.applyEditRules(question, ownerId)).toBe(true);
+      expect(question.reviewStatus).toBe('draft');
+      expect(question.reviewHistory).toHaveLength(0);
+    });
+
+    it('submits a draft when it is made public', () => {
+      const question = loadQuestion();
+      question.isPublic = true;
+
+      expect(QuestionReviewService.applyEditRules(question, ownerId)).toBe(true);
+      expect(question.reviewStatus).toBe('pending');
+    });
+
+    it('leaves non-content edits and private drafts alone', () => {
+      const approved = loadQuestion({ isPublic: true, reviewStatus: 'approved' });
+      approved.tags = ['plants'];
+      const draft = loadQuestion();
+      draft.marks = 3;
+
+      expect(QuestionReviewService.applyEditRules(approved, ownerId)).toBe(false);
+      expect(approved.reviewStatus).toBe('approved');
+      expect(QuestionReviewService.applyEditRules(draft, ownerId)).toBe(false);
+      expect(draft.reviewStatus).toBe('draft');
+    });
+
+    it('keeps AI-generated questions in the queue after edits', () => {
+      const question = loadQuestion({ source: 'ai_generated', reviewStatus: 'rejected' });
+
+      expect(QuestionReviewService.applyEditRules(question, ownerId, true)).toBe(true);
+      expect(question.reviewStatus).toBe('pending');
+    });
+  });
+});
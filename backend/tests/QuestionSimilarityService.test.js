@@ -0,0 +1,80 @@
+const QuestionSimilarityService = require('../services/QuestionSimilarityService');
+
+const SPEED_OPTIONS = ['20 m/s', '25 m/s', '500 m/s', '95 m/s'].map(text => ({ text }));
+
+const mcq = (_id, text, options = SPEED_OPTIONS) => ({ _id, type: 'mcq', question: { text }, options });
+
+const compare = (a, b) => QuestionSimilarityService.compare(
+  QuestionSimilarityService.getFeatures(a),
+  QuestionSimilarityService.getFeatures(b)
+);
+
+describe('QuestionSimilarityService', () => {
+  describe('normalize', () => {
+    it('folds Bangla digits to ASCII and drops punctuation', () => {
+      expect(QuestionSimilarityService.normalize('গাড়িটি ১০০ মিটার যায়।')).toEqual(['গাড়িটি', '100', 'মিটার', 'যায়']);
+    });
+  });
+
+  describe('compare', () => {
+    it('calls a reworded copy a duplicate', () => {
+      const result = compare(
+        mcq('q1', 'A car travels 100 m in 5 s. What is its speed?'),
+        mcq('q2', 'A car travels 100 m in 5 s; what is its speed')
+      );
+
+      expect(result.level).toBe('duplicate');
+      expect(result.crossLanguage).toBe(false);
+    });
+
+    it('leaves unrelated questions alone', () => {
+      const result = compare(
+        mcq('q1', 'A car travels 100 m in 5 s. What is its speed?'),
+        mcq('q2', 'Which gas do green plants release during photosynthesis?', ['Oxygen', 'Nitrogen', 'Hydrogen'].map(text => ({ text })))
+      );
+
+      expect(result.level).toBeNull();
+      expect(result.similarity).toBeLessThan(QuestionSimilarityService.NEAR_DUPLICATE_THRESHOLD);
+    });
+
+    it('matches a translation only on numbers and options, and never as a certain duplicate', () => {
+      const english = mcq('q1', 'A car travels 100 m in 5 s. What is its speed?');
+      const bangla = mcq('q2', 'একটি গাড়ি ৫ সেকেন্ডে ১০০ মিটার যায়। এর বেগ কত?');
+
+      const result = compare(english, bangla);
+      expect(result).toEqual({ similarity: 1, level: 'near_duplicate', crossLanguage: true });
+
+      const withoutOptions = compare({ ...english, options: [] }, { ...bangla, options: [] });
+      expect(withoutOptions.similarity).toBe(0);
+    });
+
+    it('lets different options pull an identical stem below duplicate', () => {
+      const result = compare(
+        mcq('q1', 'A car travels 100 m in 5 s. What is its speed?'),
+        mcq('q2', 'A car travels 100 m in 5 s. What is its speed?', ['2 m/s', '4 m/s', '6 m/s', '8 m/s'].map(text => ({ text })))
+      );
+
+      expect(result.similarity).toBe(0.65);
+      expect(result.level).toBeNull();
+    });
+  });
+
+  describe('detectScript', () => {
+    it('goes by the majority of letters and ignores digits', () => {
+      expect(QuestionSimilarityService.detectScript(['গাড়ি', 'km'])).toBe('bn');
+      expect(QuestionSimilarityService.detectScript(['speed', '১০০'])).toBe('latin');
+      expect(QuestionSimilarityService.detectScript(['100'])).toBeNull();
+    });
+  });
+
+  describe('suggestKeep', () => {
+    it('prefers approved public questions, then usage, then age', () => {
+      const draft = { _id: 'a', usageStats: { totalAttempts: 90 }, createdAt: '2026-01-01' };
+      const approved = { _id: 'b', isPublic: true, reviewStatus: 'approved', createdAt: '2026-03-01' };
+      const older = { _id: 'c', usageStats: { totalAttempts: 90 }, createdAt: '2025-06-01' };
+
+      expect(QuestionSimilarityService.suggestKeep([draft, approved, older])._id).toBe('b');
+      expect(QuestionSimilarityService.suggestKeep([draft, older])._id).toBe('c');
+    });
+  });
+});
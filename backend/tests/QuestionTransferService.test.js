@@ -0,0 +1,114 @@
+const QuestionTransferService = require('../services/QuestionTransferService');
+
+const base = { subject: 'Physics', chapter: 'Motion', class: 9, difficulty: 'easy', marks: 2, tags: ['kinematics'] };
+
+const QUESTIONS = [
+  {
+    ...base,
+    title: 'Capital',
+    type: 'mcq',
+    question: { text: 'Capital of Bangladesh?' },
+    options: [{ text: 'Dhaka', isCorrect: true }, { text: 'Khulna' }, { text: 'Sylhet' }, { text: 'Rajshahi' }]
+  },
+  {
+    ...base,
+    title: 'Light',
+    type: 'true_false',
+    question: { text: 'Light travels faster than sound: {true}?' },
+    options: [{ text: 'True', isCorrect: true }, { text: 'False' }],
+    correctAnswer: { text: 'True' }
+  },
+  {
+    ...base,
+    title: 'Force unit',
+    type: 'fill_blank',
+    question: { text: 'The SI unit of force is _____.' },
+    correctAnswer: { text: 'newton' }
+  },
+  {
+    ...base,
+    title: 'Speed',
+    type: 'numeric',
+    question: { text: 'Speed of a car covering 100 m in 5 s?' },
+    numericAnswer: { value: 20, unit: 'm/s', tolerance: { absolute: 0.5 } }
+  }
+];
+
+const roundTrip = async (format) => {
+  const { buffer } = await QuestionTransferService.exportQuestions(QUESTIONS, format);
+  return QuestionTransferService.parse(buffer, format, { subject: 'Physics', chapter: 'Motion', class: 9 });
+};
+
+// What every format keeps: type, text and the answer key
+const essentials = (data) => ({
+  type: data.type,
+  text: data.question.text,
+  options: data.options?.map(option => ({ text: option.text, isCorrect: Boolean(option.isCorrect) })),
+  answer: data.correctAnswer?.text,
+  value: data.numericAnswer?.value,
+  tolerance: data.numericAnswer?.tolerance
+});
+
+describe('QuestionTransferService', () => {
+  describe('export and import round-trips', () => {
+    it.each(['csv', 'xlsx', 'gift', 'qti'])('%s keeps every question and its answer key', async (format) => {
+      const entries = await roundTrip(format);
+
+      expect(entries).toHaveLength(QUESTIONS.length);
+      entries.forEach(entry => expect(entry.errors).toEqual([]));
+      expect(entries.map(entry => essentials(entry.data))).toEqual(QUESTIONS.map(essentials));
+    });
+
+    it.each(['csv', 'xlsx'])('%s also keeps marks, tags and units', async (format) => {
+      const entries = await roundTrip(format);
+
+      entries.forEach(entry => {
+        expect(entry.data.marks).toBe(2);
+        expect(entry.data.tags).toEqual(['kinematics']);
+      });
+      expect(entries[3].data.numericAnswer.unit).toBe('m/s');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('handles quoted commas, quotes and line breaks', () => {
+      const rows = QuestionTransferService.parseCsv('a,"b, c","say ""hi"""\n1,"line1\nline2",3\n');
+      expect(rows).toEqual([['a', 'b, c', 'say "hi"'], ['1', 'line1\nline2', '3']]);
+    });
+  });
+
+  describe('row errors', () => {
+    it('reports each bad row with its line number', async () => {
+      const csv = [
+        'type,question,answer,subject,chapter,class',
+        'essay,What?,x,Physics,Motion,9',
+        'mcq,Pick one,A,Physics,Motion,9',
+        'numeric,How far?,abc,Physics,Motion,9'
+      ].join('\n');
+
+      const entries = await QuestionTransferService.parse(Buffer.from(csv), 'csv');
+      expect(entries.map(entry => [entry.row, entry.errors])).toEqual([
+        [2, ['Unknown question type "essay"']],
+        [3, ['Answer "A" does not match a filled option column']],
+        [4, ['Answer "abc" is not a number']]
+      ]);
+    });
+  });
+
+  describe('detectFormat', () => {
+    it('prefers the requested format and falls back to the extension', () => {
+      expect(QuestionTransferService.detectFormat('bank.XLSX')).toBe('xlsx');
+      expect(QuestionTransferService.detectFormat('package.zip')).toBe('qti');
+      expect(QuestionTransferService.detectFormat('bank.csv', 'gift')).toBe('gift');
+      expect(QuestionTransferService.detectFormat('bank.csv', 'pdf')).toBeNull();
+    });
+  });
+
+  describe('normalizeType', () => {
+    it('accepts the spellings teachers use', () => {
+      expect(QuestionTransferService.normalizeType('Multiple Choice')).toBe('mcq');
+      expect(QuestionTransferService.normalizeType('Fill-in-the-blank')).toBe('fill_blank');
+      expect(QuestionTransferService.normalizeType('essay')).toBeNull();
+    });
+  });
+});
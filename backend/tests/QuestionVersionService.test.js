@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuestionVersionService = require('../services/QuestionVersionService');
+
+const teacherId = new mongoose.Types.ObjectId();
+
+const buildQuestion = (fields = {}) => new Question({
+  title: 'Capital',
+  type: 'mcq',
+  subject: 'Geography',
+  chapter: 'Asia',
+  class: 8,
+  difficulty: 'easy',
+  marks: 1,
+  question: { text: 'Capital of Bangladesh?' },
+  options: [{ text: 'Dhaka', isCorrect: true }, { text: 'Khulna' }],
+  createdBy: teacherId,
+  ...fields
+});
+
+describe('QuestionVersionService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('diff', () => {
+    it('lists changed fields as dot paths', () => {
+      const before = buildQuestion();
+      const after = buildQuestion({ marks: 2 });
+      after.options = [{ text: 'Dhaka' }, { text: 'Khulna', isCorrect: true }];
+
+      expect(QuestionVersionService.diff(before, after)).toEqual([
+        { field: 'marks', from: 1, to: 2 },
+        { field: 'options.0.isCorrect', from: true, to: false },
+        { field: 'options.1.isCorrect', from: false, to: true }
+      ]);
+    });
+
+    it('ignores subdocument ids and fields that are not versioned', () => {
+      const before = buildQuestion({ tags: ['capitals'] });
+      const after = buildQuestion({ tags: ['cities'] });
+
+      expect(QuestionVersionService.diff(before, after)).toEqual([]);
+    });
+
+    it('reports added and removed values as null on the other side', () => {
+      const before = buildQuestion();
+      const after = buildQuestion({ topic: 'South Asia' });
+      after.options.pop();
+
+      expect(QuestionVersionService.diff(before, after)).toEqual([
+        { field: 'topic', from: null, to: 'South Asia' },
+        { field: 'options.1.text', from: 'Khulna', to: null },
+        { field: 'options.1.isCorrect', from: false, to: null }
+      ]);
+    });
+  });
+
+  describe('rootId', () => {
+    it('points every version at the first one', () => {
+      const first = buildQuestion();
+      expect(QuestionVersionService.rootId(first)).toBe(first._id.toString());
+      expect(QuestionVersionService.rootId(buildQuestion({ originalQuestion: first._id }))).toBe(first._id.toString());
+    });
+  });
+
+  describe('applyEdit', () => {
+    beforeEach(() => {
+      jest.spyOn(Question.prototype, 'save').mockImplementation(async function() { return this; });
+      jest.spyOn(QuestionVersionService, 'repointUnusedAssessments').mockResolvedValue(0);
+    });
+
+    it('saves metadata edits in place', async () => {
+      const question = buildQuestion();
+      const updateOne = jest.spyOn(Question, 'updateOne');
+
+      const result = await QuestionVersionService.applyEdit(question, { tags: ['capitals'] }, teacherId);
+
+      expect(result.versioned).toBe(false);
+      expect(result.question).toBe(question);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it('saves content edits as a new version and retires the old one', async () => {
+      const question = buildQuestion();
+      const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await QuestionVersionService.applyEdit(question, { marks: 2 }, teacherId, 'More marks');
+
+      expect(result.versioned).toBe(true);
+      expect(result.question.version).toBe(question.version + 1);
+      expect(result.question.originalQuestion.toString()).toBe(question._id.toString());
+      expect(result.question.versionNote).toBe('More marks');
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: question._id, isActive: true, supersededBy: { $exists: false } },
+        { $set: { isActive: false, supersededBy: result.question._id } }
+      );
+    });
+
+    it('refuses an edit when another edit retired the version first', async () => {
+      jest.spyOn(Question, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(QuestionVersionService.applyEdit(buildQuestion(), { marks: 2 }, teacherId))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Question.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('brings the old version back when the new one cannot be saved', async () => {
+      const question = buildQuestion();
+      const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      Question.prototype.save.mockRejectedValue(new Error('write failed'));
+
+      await expect(QuestionVersionService.applyEdit(question, { marks: 2 }, teacherId)).rejects.toThrow('write failed');
+      expect(updateOne).toHaveBeenLastCalledWith(
+        { _id: question._id, supersededBy: expect.anything() },
+        { $set: { isActive: true }, $unset: { supersededBy: 1 } }
+      );
+    });
+  });
+});
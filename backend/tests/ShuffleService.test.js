@@ -0,0 +1,90 @@
+const ShuffleService = require('../services/ShuffleService');
+
+const question = {
+  _id: 'q1',
+  options: [
+    { _id: 'a', text: 'Dhaka', isCorrect: true },
+    { _id: 'b', text: 'Chattogram' },
+    { _id: 'c', text: 'Khulna' },
+    { _id: 'd', text: 'Sylhet' }
+  ]
+};
+
+const items = Array.from({ length: 20 }, (_, i) => i);
+
+describe('ShuffleService', () => {
+  describe('permute', () => {
+    it('gives the same order for the same seed', () => {
+      expect(ShuffleService.permute(items, 42)).toEqual(ShuffleService.permute(items, 42));
+    });
+
+    it('gives different orders for different seeds', () => {
+      expect(ShuffleService.permute(items, 42)).not.toEqual(ShuffleService.permute(items, 43));
+    });
+
+    it('keeps every item and leaves the input alone', () => {
+      const input = [...items];
+      const shuffled = ShuffleService.permute(input, 7);
+
+      expect(input).toEqual(items);
+      expect([...shuffled].sort((a, b) => a - b)).toEqual(items);
+    });
+  });
+
+  describe('deriveSeed', () => {
+    it('is stable per key and differs between keys', () => {
+      expect(ShuffleService.deriveSeed(1, 'q1')).toBe(ShuffleService.deriveSeed(1, 'q1'));
+      expect(ShuffleService.deriveSeed(1, 'q1')).not.toBe(ShuffleService.deriveSeed(1, 'q2'));
+      expect(ShuffleService.deriveSeed(1, 'q1')).not.toBe(ShuffleService.deriveSeed(2, 'q1'));
+    });
+  });
+
+  describe('orderQuestions', () => {
+    it('only shuffles when asked', () => {
+      expect(ShuffleService.orderQuestions(items, 5, false)).toEqual(items);
+      expect(ShuffleService.orderQuestions(items, 5, true)).toEqual(ShuffleService.orderQuestions(items, 5, true));
+    });
+  });
+
+  describe('orderOptionIds', () => {
+    it('orders option IDs the same way on every reload', () => {
+      const order = ShuffleService.orderOptionIds(question, 99, true);
+      expect(ShuffleService.orderOptionIds(question, 99, true)).toEqual(order);
+      expect([...order].sort()).toEqual(['a', 'b', 'c', 'd']);
+    });
+  });
+
+  describe('applyOptionOrder', () => {
+    it('appends options added after the order was stored', () => {
+      const shown = ShuffleService.applyOptionOrder(question.options, ['c', 'a']);
+      expect(shown.map(option => option._id)).toEqual(['c', 'a', 'b', 'd']);
+    });
+  });
+
+  describe('resolveOptionId', () => {
+    const order = ['d', 'c', 'b', 'a'];
+
+    it('maps a shown position back to the canonical option', () => {
+      expect(ShuffleService.resolveOptionId(question, { selectedIndex: 3 }, order)).toBe('a');
+    });
+
+    it('accepts an option ID or its text', () => {
+      expect(ShuffleService.resolveOptionId(question, { selectedOption: 'b' }, order)).toBe('b');
+      expect(ShuffleService.resolveOptionId(question, { selectedOption: ' dhaka ' }, order)).toBe('a');
+    });
+
+    it('returns null for an unknown choice', () => {
+      expect(ShuffleService.resolveOptionId(question, { selectedOption: 'Rajshahi' }, order)).toBeNull();
+      expect(ShuffleService.resolveOptionId(question, { selectedIndex: 9 }, order)).toBeNull();
+    });
+
+    it('grades the same choice the same way whatever the order shown', () => {
+      const correct = ShuffleService.getCorrectOptionId(question);
+      [1, 2, 3].forEach(seed => {
+        const shown = ShuffleService.orderOptionIds(question, seed, true);
+        const index = shown.indexOf('a');
+        expect(ShuffleService.resolveOptionId(question, { selectedIndex: index }, shown)).toBe(correct);
+      });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+const AttemptTimerService = require('../services/AttemptTimerService');
+
+const at = (time) => new Date(`2026-01-01T${time}:00Z`);
+
+const accommodated = new mongoose.Types.ObjectId();
+const other = new mongoose.Types.ObjectId();
+
+const buildAssessment = (accommodations, schedule = {}) => new Assessment({
+  title: 'Biology test',
+  type: 'quiz',
+  subject: 'Biology',
+  class: 8,
+  createdBy: new mongoose.Types.ObjectId(),
+  configuration: { duration: 40, maxAttempts: 1 },
+  schedule: { startDate: at('09:00'), endDate: at('10:00'), gracePeriod: 2, ...schedule },
+  participants: {
+    students: [
+      { studentId: accommodated, accommodations: { grantedAt: at('08:00'), ...accommodations } },
+      { studentId: other }
+    ]
+  }
+});
+
+const buildAttempt = (studentId, startedAt) => new StudentResponse({
+  assessmentId: new mongoose.Types.ObjectId(),
+  studentId,
+  startedAt
+});
+
+describe('accommodations', () => {
+  describe('getAccommodation', () => {
+    it('finds the student by ID or populated user', () => {
+      const assessment = buildAssessment({ extraTimePercentage: 50 });
+
+      expect(assessment.getAccommodation(accommodated).extraTimePercentage).toBe(50);
+      expect(assessment.getAccommodation({ _id: accommodated }).extraTimePercentage).toBe(50);
+      expect(assessment.getAccommodation(other)).toBeNull();
+    });
+
+    it('ignores accommodations that were never granted', () => {
+      const assessment = buildAssessment({ grantedAt: undefined, extraTimePercentage: 50 });
+
+      expect(assessment.getAccommodation(accommodated)).toBeNull();
+      expect(assessment.getStudentDuration(accommodated)).toBe(40);
+    });
+  });
+
+  describe('extra time', () => {
+    it('lengthens the duration by the percentage, rounding up to a whole minute', () => {
+      expect(buildAssessment({ extraTimePercentage: 25 }).getStudentDuration(accommodated)).toBe(50);
+      expect(buildAssessment({ extraTimePercentage: 33 }).getStudentDuration(accommodated)).toBe(54);
+      expect(buildAssessment({ extraTimePercentage: 25 }).getStudentDuration(other)).toBe(40);
+    });
+
+    it('moves the attempt deadline but never past the window', () => {
+      const assessment = buildAssessment({ extraTimePercentage: 25 });
+
+      expect(AttemptTimerService.getDeadline(buildAttempt(accommodated, at('09:00')), assessment)).toEqual(at('09:50'));
+      expect(AttemptTimerService.getDeadline(buildAttempt(accommodated, at('09:30')), assessment)).toEqual(at('10:00'));
+      expect(AttemptTimerService.getDeadline(buildAttempt(other, at('09:00')), assessment)).toEqual(at('09:40'));
+    });
+
+    it('keeps the duration fixed when the attempt started', () => {
+      const attempt = buildAttempt(accommodated, at('09:00'));
+      attempt.timing.durationMinutes = 40;
+
+      expect(AttemptTimerService.getDeadline(attempt, buildAssessment({ extraTimePercentage: 50 }))).toEqual(at('09:40'));
+    });
+  });
+
+  describe('custom windows', () => {
+    const assessment = buildAssessment(
+      { startDate: at('13:00'), endDate: at('14:30') },
+      { lateSubmission: { allowed: true, windowMinutes: 15, penaltyPercentage: 10 } }
+    );
+
+    it('replaces the schedule for that student only', () => {
+      expect(assessment.getStudentSchedule(accommodated)).toEqual({ startDate: at('13:00'), endDate: at('14:30') });
+      expect(assessment.getStudentSchedule(other)).toEqual({ startDate: at('09:00'), endDate: at('10:00') });
+    });
+
+    it('keeps the schedule for any date left unset', () => {
+      expect(buildAssessment({ endDate: at('11:00') }).getStudentSchedule(accommodated))
+        .toEqual({ startDate: at('09:00'), endDate: at('11:00') });
+    });
+
+    it('closes submissions and counts lateness from the student\'s own end date', () => {
+      expect(assessment.getSubmissionCloseDate(accommodated)).toEqual(at('14:45'));
+      expect(assessment.isLateSubmission(at('14:31'), accommodated)).toBe(false);
+      expect(assessment.isLateSubmission(at('14:33'), accommodated)).toBe(true);
+      expect(assessment.isLateSubmission(at('10:03'), other)).toBe(true);
+    });
+
+    it('runs the timer inside the student\'s window', () => {
+      const attempt = buildAttempt(accommodated, at('14:10'));
+
+      expect(AttemptTimerService.getDeadline(attempt, assessment)).toEqual(at('14:45'));
+    });
+
+    it('measures minutes late from the student\'s own end date', () => {
+      const attempt = buildAttempt(accommodated, at('14:00'));
+      attempt.submittedAt = at('14:40');
+
+      expect(attempt.markLateSubmission(assessment).minutesLate).toBe(10);
+    });
+  });
+
+  describe('extra attempts', () => {
+    it('adds to the assessment\'s attempt limit for that student only', () => {
+      const assessment = buildAssessment({ extraAttempts: 2 });
+
+      expect(assessment.getStudentMaxAttempts(accommodated)).toBe(3);
+      expect(assessment.getStudentMaxAttempts(other)).toBe(1);
+    });
+
+    it('is capped at 10 extra attempts', () => {
+      const error = buildAssessment({ extraAttempts: 11 }).validateSync();
+
+      expect(error.errors['participants.students.0.accommodations.extraAttempts']).toBeDefined();
+    });
+  });
+});
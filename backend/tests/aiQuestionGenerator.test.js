@@ -0,0 +1,92 @@
+const aiQuestionGenerator = require('../services/aiQuestionGenerator');
+const { GRADING_RESPONSE_SCHEMA } = require('../services/AutoGradingService');
+
+const GRADE = { score: 0.8, marksAwarded: 4, confidence: 0.9, explanation: 'Covers both points' };
+
+describe('aiQuestionGenerator', () => {
+  const providers = aiQuestionGenerator.providers;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Only the local stub and one fake paid provider behind it
+    aiQuestionGenerator.providers = {
+      stub: providers.stub,
+      openai: { ...providers.openai, enabled: true, apiKey: 'test-key' }
+    };
+  });
+
+  afterEach(() => {
+    aiQuestionGenerator.providers = providers;
+    aiQuestionGenerator.setStubHandler(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('validateJSON', () => {
+    it('accepts a reply that matches the schema', () => {
+      expect(aiQuestionGenerator.validateJSON(GRADE, GRADING_RESPONSE_SCHEMA)).toEqual([]);
+    });
+
+    it('lists missing fields, wrong types and out-of-range numbers', () => {
+      expect(aiQuestionGenerator.validateJSON(
+        { score: 1.5, marksAwarded: '4', explanation: 'ok' },
+        GRADING_RESPONSE_SCHEMA
+      )).toEqual(['score must be <= 1', 'marksAwarded must be number', 'confidence is required']);
+      expect(aiQuestionGenerator.validateJSON([GRADE], GRADING_RESPONSE_SCHEMA)).toEqual(['response is not an object']);
+    });
+  });
+
+  describe('generateJSON', () => {
+    it('reads JSON out of a fenced stub reply', async () => {
+      aiQuestionGenerator.setStubHandler(() => `Here you go:\n\`\`\`json\n${JSON.stringify(GRADE)}\n\`\`\``);
+
+      const { data, provider } = await aiQuestionGenerator.generateJSON('Grade this', GRADING_RESPONSE_SCHEMA);
+      expect(provider).toBe('stub');
+      expect(data).toEqual(GRADE);
+    });
+
+    it('moves on to the next provider when the reply fails the schema', async () => {
+      aiQuestionGenerator.setStubHandler(() => JSON.stringify({ ...GRADE, confidence: 'high' }));
+      const openai = jest.spyOn(aiQuestionGenerator, 'callOpenAI').mockResolvedValue(JSON.stringify(GRADE));
+
+      const { data, provider } = await aiQuestionGenerator.generateJSON('Grade this', GRADING_RESPONSE_SCHEMA);
+      expect(provider).toBe('openai');
+      expect(data).toEqual(GRADE);
+      expect(openai).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails with every provider\'s reason when none gives valid JSON', async () => {
+      aiQuestionGenerator.setStubHandler(() => 'no idea');
+      jest.spyOn(aiQuestionGenerator, 'callOpenAI').mockResolvedValue('{"score": 2}');
+
+      await expect(aiQuestionGenerator.generateJSON('Grade this', GRADING_RESPONSE_SCHEMA))
+        .rejects.toThrow(/stub: No JSON object in response; openai: Invalid JSON output: score must be <= 1/);
+    });
+  });
+
+  describe('complete', () => {
+    it('times out a slow provider and falls back to the next one', async () => {
+      aiQuestionGenerator.setStubHandler(() => new Promise(() => {}));
+      jest.spyOn(aiQuestionGenerator, 'callOpenAI').mockResolvedValue('fallback answer');
+
+      const result = await aiQuestionGenerator.complete('Hello', { timeout: 20 });
+      expect(result.text).toBe('fallback answer');
+      expect(result.provider).toBe('openai');
+      expect(console.error).toHaveBeenCalledWith('AI provider stub failed:', 'stub timed out after 20ms');
+    });
+
+    it('tries the preferred provider first', async () => {
+      aiQuestionGenerator.setStubHandler(() => 'from stub');
+      jest.spyOn(aiQuestionGenerator, 'callOpenAI').mockResolvedValue('from openai');
+
+      expect((await aiQuestionGenerator.complete('Hello', { provider: 'openai' })).provider).toBe('openai');
+    });
+
+    it('treats an empty reply as a failure', async () => {
+      aiQuestionGenerator.setStubHandler(() => '   ');
+      jest.spyOn(aiQuestionGenerator, 'callOpenAI').mockRejectedValue(new Error('quota exceeded'));
+
+      await expect(aiQuestionGenerator.complete('Hello'))
+        .rejects.toThrow('All AI providers failed (stub: Empty response; openai: quota exceeded)');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+const StudentResponse = require('../models/StudentResponse');
+
+const at = (time) => new Date(`2026-01-01T${time}:00Z`);
+
+const buildAssessment = (lateSubmission) => new Assessment({
+  title: 'Chemistry test',
+  type: 'quiz',
+  subject: 'Chemistry',
+  class: 10,
+  createdBy: new mongoose.Types.ObjectId(),
+  configuration: { duration: 30 },
+  schedule: { startDate: at('09:00'), endDate: at('10:00'), gracePeriod: 2, lateSubmission }
+});
+
+const buildAttempt = (submittedAt, finalMarks) => new StudentResponse({
+  assessmentId: new mongoose.Types.ObjectId(),
+  studentId: new mongoose.Types.ObjectId(),
+  startedAt: at('09:40'),
+  submittedAt,
+  scoring: { totalMarks: 20 },
+  responses: finalMarks.map((marks, i) => ({
+    questionId: new mongoose.Types.ObjectId(),
+    questionType: 'MCQ',
+    questionOrder: i + 1,
+    maxMarks: 5,
+    finalMarks: marks
+  }))
+});
+
+describe('late submission', () => {
+  const assessment = buildAssessment({ allowed: true, windowMinutes: 30, penaltyPercentage: 20 });
+
+  describe('isLateSubmission', () => {
+    it('counts submissions after the end date and grace period as late', () => {
+      expect(assessment.isLateSubmission(at('10:02'))).toBe(false);
+      expect(assessment.isLateSubmission(at('10:03'))).toBe(true);
+    });
+
+    it('is never late when the late window is off', () => {
+      expect(buildAssessment({ allowed: false }).isLateSubmission(at('10:30'))).toBe(false);
+    });
+  });
+
+  describe('getSubmissionCloseDate', () => {
+    it('closes at the end of the late window', () => {
+      expect(assessment.getSubmissionCloseDate()).toEqual(at('10:30'));
+      expect(buildAssessment({ allowed: false }).getSubmissionCloseDate()).toEqual(at('10:00'));
+    });
+  });
+
+  describe('penalty', () => {
+    it('takes the penalty percentage off the marks obtained', () => {
+      const attempt = buildAttempt(at('10:10'), [5, 3, 0, 0]);
+      attempt.markLateSubmission(assessment);
+      attempt.recalculateScores(assessment.grading);
+
+      expect(attempt.lateSubmission.minutesLate).toBe(10);
+      expect(attempt.lateSubmission.marksDeducted).toBe(1.6);
+      expect(attempt.scoring.marksObtained).toBe(6.4);
+      expect(attempt.scoring.percentage).toBe(32);
+    });
+
+    it('rounds the deduction to two decimals', () => {
+      const attempt = buildAttempt(at('10:10'), [3.33, 0, 0, 0]);
+      attempt.markLateSubmission(buildAssessment({ allowed: true, windowMinutes: 30, penaltyPercentage: 15 }));
+      attempt.recalculateScores(assessment.grading);
+
+      expect(attempt.lateSubmission.marksDeducted).toBe(0.5);
+      expect(attempt.scoring.marksObtained).toBe(2.83);
+    });
+
+    it('leaves on-time attempts alone', () => {
+      const attempt = buildAttempt(at('09:59'), [5, 3, 0, 0]);
+      attempt.recalculateScores(assessment.grading);
+
+      expect(attempt.scoring.marksObtained).toBe(8);
+    });
+  });
+});
@@ -114,7 +114,17 @@ export const endpoints = {
     delete: (id) => `/questions/${id}`,
     generate: '/questions/ai-generate',
     search: '/questions/search',
-    bulk: '/questions/bulk'
+    bulk: '/questions/bulk',
+    import: '/questions/import',   // multipart 'file'; ?dryRun=true validates only
+    export: '/questions/export',   // ?format=qti|gift|csv|xlsx plus list filters
+    submitReview: (id) => `/questions/${id}/submit-review`,
+    reviewQueue: '/questions/review/queue',
+    review: (id) => `/questions/${id}/review`,  // { action: approve|reject|request_changes, notes }
+    versions: (id) => `/questions/${id}/versions`,
+    diffVersions: (id, from, to) => `/questions/${id}/versions/diff?from=${from}&to=${to}`,
+    rollback: (id, version) => `/questions/${id}/versions/${version}/rollback`,
+    duplicateClusters: '/questions/duplicates/clusters', // Admin: ?subject&class (required)&type&threshold
+    mergeDuplicates: '/questions/duplicates/merge'       // Admin: { keepId, duplicateIds }
   },
 
   // Assessments - EXTRAORDINARY Phase 4 Features
@@ -130,6 +140,7 @@ export const endpoints = {
     start: (id) => `/assessments/${id}/start`,                    // Start assessment attempt
     getCurrentAttempt: (id) => `/assessments/${id}/attempt`,       // Get current attempt with progress
     saveAnswer: (id) => `/assessments/${id}/answer`,               // Save individual answers
+    syncAnswers: (id) => `/assessments/${id}/answers/sync`,        // Replay answers saved offline
     submitAssessment: (id) => `/assessments/${id}/submit`,         // Final submission
     getResults: (id) => `/assessments/${id}/results`,              // View detailed results
     
@@ -148,6 +159,33 @@ export const endpoints = {
     getAnalytics: (id) => `/assessments/${id}/analytics`,
     getSubmissions: (id) => `/assessments/${id}/submissions`,
     
+    // Blueprint Papers
+    blueprint: (id) => `/assessments/${id}/blueprint`,             // Teacher: set/remove blueprint
+    previewBlueprint: (id) => `/assessments/${id}/blueprint/preview`, // Teacher: sample paper
+    
+    // Accommodations
+    accommodations: (id, studentId) => `/assessments/${id}/participants/${studentId}/accommodations`, // Teacher: per-student accommodations
+    
+    // Live Proctoring
+    live: (id) => `/assessments/${id}/live`,                       // Teacher: live room state
+    liveAnnouncements: (id) => `/assessments/${id}/live/announcements`, // Teacher: announce to students
+    forceSubmit: (id, studentId) => `/assessments/${id}/live/students/${studentId}/force-submit`, // Teacher: submit a student's attempt
+    
+    // Integrity Review
+    integrity: (id) => `/assessments/${id}/integrity`,             // Teacher: flagged attempts
+    integrityEvidence: (id, submissionId) => `/assessments/${id}/integrity/${submissionId}`, // Teacher: evidence timeline
+    reviewIntegrity: (id, submissionId) => `/assessments/${id}/integrity/${submissionId}/review`,
+    recalculateIntegrity: (id) => `/assessments/${id}/integrity/recalculate`,
+    
+    // Plagiarism Reports
+    plagiarism: (id) => `/assessments/${id}/plagiarism`,           // Teacher: latest report
+    runPlagiarism: (id) => `/assessments/${id}/plagiarism/run`,    // Teacher: compare answers now
+    
+    // Grade Appeals
+    appeals: (id) => `/assessments/${id}/appeals`,                 // Student: submit/list appeals
+    appealInbox: (id) => `/assessments/${id}/appeal-inbox`,        // Teacher: appeal inbox
+    resolveAppeal: (id, appealId) => `/assessments/${id}/appeals/${appealId}/resolve`,
+    
     // AI-Powered Features
     generateQuestions: (id) => `/assessments/${id}/generate-questions`,
     autoGrade: (id) => `/assessments/${id}/auto-grade`,
@@ -306,8 +344,11 @@ export const apiUtils = {
   // Assessment Journey - COMPREHENSIVE Student Experience
   assessment: {
     // Start assessment with advanced configuration
-    start: async (assessmentId) => {
-      const response = await api.post(endpoints.assessments.start(assessmentId));
+    start: async (assessmentId, accessCode) => {
+      const response = await api.post(
+        endpoints.assessments.start(assessmentId),
+        accessCode ? { accessCode } : {}
+      );
       return response.data;
     },
 
@@ -332,6 +373,15 @@ export const apiUtils = {
       return response.data;
     },
 
+    // Replay a batch of answers queued while offline
+    syncAnswers: async (assessmentId, syncData) => {
+      const response = await api.post(
+        endpoints.assessments.syncAnswers(assessmentId),
+        syncData
+      );
+      return response.data;
+    },
+
     // Submit assessment with integrity verification
     submit: async (assessmentId, submissionData = {}) => {
       const finalData = {
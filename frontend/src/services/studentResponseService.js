@@ -6,6 +6,22 @@ import api, { endpoints, apiUtils } from './api';
 // Real-time WebSocket connection for live features
 let socket = null;
 
+// Answers are replayed to the server in batches of at most this many
+const SYNC_BATCH_SIZE = 100;
+
+// Queued flushes per assessment, so replays never overlap
+const activeFlushes = new Map();
+
+// Failed replays are retried with exponential backoff (1s, 2s, 4s ... 1 min),
+// since navigator.onLine stays true on a flaky connection
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+const retryTimers = new Map();
+const retryCounts = new Map();
+
+// Stop functions of the attempts currently listening for reconnects
+const offlineSyncs = new Map();
+
 export const initializeSocket = () => {
   if (typeof window !== 'undefined' && window.io) {
     socket = window.io(process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000');
@@ -24,15 +40,20 @@ export class StudentResponseService {
   // 📝 ANSWER SUBMISSION - EXTRAORDINARY Features
   // ==========================================
   
-  static async startAssessment(assessmentId) {
+  static async startAssessment(assessmentId, accessCode) {
     try {
       console.log(`🎯 Starting assessment: ${assessmentId}`);
       
-      const response = await apiUtils.assessment.start(assessmentId);
+      const response = await apiUtils.assessment.start(assessmentId, accessCode);
+      
+      // Remember the attempt so queued answers are never replayed into another one
+      const state = await this.getAssessmentState(assessmentId);
+      await this.saveAssessmentState(assessmentId, { ...state, attemptId: response.data?._id });
+      this.enableOfflineSync(assessmentId);
       
       // Initialize real-time tracking
       if (socket) {
-        socket.emit('join-assessment', { assessmentId });
+        socket.emit('join_assessment', { assessmentId });
       }
       
       return {
@@ -52,26 +73,42 @@ export class StudentResponseService {
   }
 
   static async saveAnswer(assessmentId, answerData) {
-    try {
-      const {
-        questionId,
-        answer,
-        timeSpent,
-        isMarkedForReview,
-        answerType = 'text'
-      } = answerData;
+    const {
+      questionId,
+      answer,
+      timeSpent,
+      isMarkedForReview,
+      answerType = 'text'
+    } = answerData;
+
+    // Every save gets a sequence number and the time the student made it,
+    // so the server can drop replays and out-of-order saves
+    const save = {
+      questionId,
+      answer,
+      timeSpent: timeSpent || 0,
+      isMarkedForReview: isMarkedForReview || false,
+      sequence: this.nextSequence(assessmentId),
+      clientTimestamp: new Date().toISOString()
+    };
+
+    // Offline, or older saves still waiting: queue behind them to keep order
+    if (!this.isOnline() || this.getAnswerQueue(assessmentId).length > 0) {
+      this.enqueueAnswer(assessmentId, save);
+      if (this.isOnline()) this.flushAnswerQueue(assessmentId);
+      return this.queuedResult(assessmentId, save);
+    }
 
+    try {
       console.log(`💾 Saving answer for question: ${questionId}`);
 
       // Enhanced answer data with tracking
       const enrichedAnswer = {
-        questionId,
-        answer,
-        timeSpent: timeSpent || 0,
-        isMarkedForReview: isMarkedForReview || false,
+        ...save,
+        deviceId: this.getDeviceId(),
         metadata: {
           answerType,
-          savedAt: new Date().toISOString(),
+          savedAt: save.clientTimestamp,
           clientTimestamp: Date.now(),
           browserFingerprint: this.generateBrowserFingerprint(),
           networkInfo: await this.getNetworkInfo()
@@ -100,11 +137,201 @@ export class StudentResponseService {
         }
       };
     } catch (error) {
+      // Network drop: keep the answer and replay it when the connection returns
+      if (!error.response) {
+        this.enqueueAnswer(assessmentId, save);
+        this.scheduleRetry(assessmentId);
+        return this.queuedResult(assessmentId, save);
+      }
+
+      // A newer answer is already on the server; show that one
+      if (error.response.status === 409) {
+        return {
+          success: false,
+          stale: true,
+          data: error.response.data?.data,
+          message: error.response.data?.message
+        };
+      }
+
       console.error('❌ Failed to save answer:', error);
       throw this.handleError(error);
     }
   }
 
+  // ==========================================
+  // 📶 OFFLINE ANSWER QUEUE
+  // ==========================================
+
+  static isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  // Stable ID of this browser, so the server can order its saves
+  static getDeviceId() {
+    let deviceId = localStorage.getItem('gyanguru_device_id');
+    if (!deviceId) {
+      deviceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem('gyanguru_device_id', deviceId);
+    }
+    return deviceId;
+  }
+
+  static nextSequence(assessmentId) {
+    const key = `assessment_${assessmentId}_sequence`;
+    const sequence = parseInt(localStorage.getItem(key) || '0', 10) + 1;
+    localStorage.setItem(key, String(sequence));
+    return sequence;
+  }
+
+  static getAnswerQueue(assessmentId) {
+    const queue = localStorage.getItem(`assessment_${assessmentId}_answer_queue`);
+    return queue ? JSON.parse(queue) : [];
+  }
+
+  static setAnswerQueue(assessmentId, queue) {
+    if (queue.length === 0) {
+      localStorage.removeItem(`assessment_${assessmentId}_answer_queue`);
+    } else {
+      localStorage.setItem(`assessment_${assessmentId}_answer_queue`, JSON.stringify(queue));
+    }
+  }
+
+  static enqueueAnswer(assessmentId, save) {
+    this.setAnswerQueue(assessmentId, [...this.getAnswerQueue(assessmentId), save]);
+  }
+
+  static queuedResult(assessmentId, save) {
+    return {
+      success: true,
+      queued: true,
+      data: { questionId: save.questionId, pendingSaves: this.getAnswerQueue(assessmentId).length },
+      message: 'Answer saved on this device and will sync when you are back online'
+    };
+  }
+
+  /**
+   * Replay queued answers to the server. Saves the server has processed
+   * (applied, duplicate, stale or rejected) leave the queue; the rest stay
+   * for the next try.
+   */
+  static async flushAnswerQueue(assessmentId) {
+    if (activeFlushes.has(assessmentId)) return activeFlushes.get(assessmentId);
+
+    const flush = (async () => {
+      let lastState = null;
+      const results = [];
+
+      try {
+        while (this.isOnline()) {
+          const batch = this.getAnswerQueue(assessmentId).slice(0, SYNC_BATCH_SIZE);
+          if (batch.length === 0) break;
+
+          const { attemptId } = (await this.getAssessmentState(assessmentId)) || {};
+          const response = await apiUtils.assessment.syncAnswers(assessmentId, {
+            attemptId,
+            deviceId: this.getDeviceId(),
+            saves: batch
+          });
+
+          const sent = new Set(batch.map(save => save.sequence));
+          this.setAnswerQueue(assessmentId, this.getAnswerQueue(assessmentId).filter(save => !sent.has(save.sequence)));
+
+          results.push(...response.data.results);
+          lastState = response.data.state;
+        }
+      } catch (error) {
+        // The attempt is closed: its queued answers can never be saved
+        if (error.response?.status === 409 || error.response?.data?.data?.timeExpired) {
+          this.setAnswerQueue(assessmentId, []);
+          return { success: false, attemptClosed: true, message: error.response.data?.message, results };
+        }
+
+        console.error('❌ Failed to sync queued answers:', error);
+        this.scheduleRetry(assessmentId);
+        return { success: false, pending: this.getAnswerQueue(assessmentId).length, results };
+      }
+
+      this.clearRetry(assessmentId);
+
+      if (lastState) {
+        const state = await this.getAssessmentState(assessmentId);
+        await this.saveAssessmentState(assessmentId, { ...state, answers: lastState.answers, syncedAt: lastState.serverTime });
+      }
+
+      return { success: true, pending: this.getAnswerQueue(assessmentId).length, results, state: lastState };
+    })();
+
+    activeFlushes.set(assessmentId, flush);
+    try {
+      return await flush;
+    } finally {
+      activeFlushes.delete(assessmentId);
+    }
+  }
+
+  /**
+   * Try the queue again after a failed replay, waiting longer after each failure
+   */
+  static scheduleRetry(assessmentId) {
+    if (retryTimers.has(assessmentId) || this.getAnswerQueue(assessmentId).length === 0) return;
+
+    const attempt = retryCounts.get(assessmentId) || 0;
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+    retryCounts.set(assessmentId, attempt + 1);
+
+    retryTimers.set(assessmentId, setTimeout(() => {
+      retryTimers.delete(assessmentId);
+      this.flushAnswerQueue(assessmentId);
+    }, delay));
+  }
+
+  static clearRetry(assessmentId) {
+    clearTimeout(retryTimers.get(assessmentId));
+    retryTimers.delete(assessmentId);
+    retryCounts.delete(assessmentId);
+  }
+
+  /**
+   * Replay queued answers whenever the browser comes back online. Started
+   * and resumed attempts enable this; submitting disables it.
+   * @returns {Function} Stops listening
+   */
+  static enableOfflineSync(assessmentId) {
+    if (offlineSyncs.has(assessmentId)) return offlineSyncs.get(assessmentId);
+    if (typeof window === 'undefined') return () => {};
+
+    const handleOnline = () => {
+      this.clearRetry(assessmentId);
+      this.flushAnswerQueue(assessmentId);
+    };
+
+    window.addEventListener('online', handleOnline);
+    if (this.isOnline() && this.getAnswerQueue(assessmentId).length > 0) {
+      handleOnline();
+    }
+
+    const stop = () => {
+      window.removeEventListener('online', handleOnline);
+      this.clearRetry(assessmentId);
+      offlineSyncs.delete(assessmentId);
+    };
+    offlineSyncs.set(assessmentId, stop);
+    return stop;
+  }
+
+  static disableOfflineSync(assessmentId) {
+    const stop = offlineSyncs.get(assessmentId);
+    if (stop) stop();
+  }
+
+  // Tell the live proctoring room which question is on screen
+  static reportQuestionView(assessmentId, questionId, questionIndex) {
+    if (socket) {
+      socket.emit('assessment_activity', { assessmentId, questionId, questionIndex });
+    }
+  }
+
   // ==========================================
   // 📸 IMAGE UPLOAD FOR WRITTEN ANSWERS - CORE Feature
   // ==========================================
@@ -278,6 +505,7 @@ export class StudentResponseService {
 
       // Restore assessment state
       const savedState = await this.getAssessmentState(assessmentId);
+      this.enableOfflineSync(assessmentId);
 
       if (socket) {
         socket.emit('assessment-resumed', { assessmentId });
@@ -305,6 +533,20 @@ export class StudentResponseService {
     try {
       console.log(`🎯 Submitting assessment: ${assessmentId}`);
 
+      // Answers saved offline must reach the server first: once the attempt
+      // is submitted they can never be replayed
+      if (this.getAnswerQueue(assessmentId).length > 0) {
+        const sync = await this.flushAnswerQueue(assessmentId);
+        const pending = this.getAnswerQueue(assessmentId).length;
+
+        if (sync.attemptClosed) {
+          throw new Error(sync.message || 'This attempt is already closed');
+        }
+        if (pending > 0) {
+          throw new Error(`${pending} answer(s) saved on this device have not reached the server yet. Check your connection and submit again.`);
+        }
+      }
+
       // Pre-submission validation
       const validation = await this.validateSubmission(assessmentId);
       if (!validation.valid) {
@@ -326,6 +568,7 @@ export class StudentResponseService {
       };
 
       const response = await apiUtils.assessment.submit(assessmentId, enrichedSubmission);
+      this.disableOfflineSync(assessmentId);
 
       if (socket) {
         socket.emit('assessment-submitted', { 
@@ -609,6 +852,7 @@ export class StudentResponseService {
     return severityMap[eventType] || 'low';
   }
 
+  // Local copy of the attempt (attempt ID and the server's answers after the last sync)
   static async saveAssessmentState(assessmentId, state) {
     localStorage.setItem(`assessment_${assessmentId}_state`, JSON.stringify(state));
   }
@@ -745,6 +989,16 @@ export const setupRealTimeHandlers = (socket) => {
     console.log('⏰ Time warning:', data);
     // Handle time warnings
   });
+
+  socket.on('assessment_announcement', (data) => {
+    console.log('📢 Teacher announcement:', data);
+    // Handle announcements from the live room
+  });
+
+  socket.on('leaderboard_update', (data) => {
+    console.log('🏆 Leaderboard update:', data);
+    // Handle live leaderboard
+  });
 };
 
 // Export the main service
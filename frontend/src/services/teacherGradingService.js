@@ -165,15 +165,17 @@ export class TeacherGradingService {
         analysisType: 'comprehensive'
       });
 
+      const suggestion = response.data.data;
+
       return {
         success: true,
         data: {
-          suggestedScore: response.data.suggestedScore,
-          confidence: response.data.confidence,
-          keyPoints: response.data.keyPoints,
-          suggestions: response.data.suggestions,
-          similarAnswers: response.data.similarAnswers,
-          rubricAlignment: response.data.rubricAlignment
+          suggestedScore: suggestion.suggestedScore,
+          confidence: suggestion.confidence,
+          keyPoints: suggestion.keyPoints,
+          suggestions: suggestion.suggestions,
+          similarAnswers: suggestion.similarAnswers,
+          rubricAlignment: suggestion.rubricAlignment
         },
         message: 'AI grading suggestion generated',
         disclaimer: 'AI suggestions are for assistance only. Final grading decision rests with the teacher.'
@@ -200,15 +202,17 @@ export class TeacherGradingService {
         confidenceThreshold: 0.8
       });
 
+      const batch = response.data.data;
+
       return {
         success: true,
         data: {
-          processedCount: response.data.processedCount,
-          highConfidenceGrades: response.data.highConfidenceGrades,
-          requiresReview: response.data.requiresReview,
-          averageProcessingTime: response.data.averageProcessingTime
+          processedCount: batch.processedCount,
+          highConfidenceGrades: batch.highConfidenceGrades,
+          requiresReview: batch.requiresReview,
+          averageProcessingTime: batch.averageProcessingTime
         },
-        message: `Batch grading completed. ${response.data.highConfidenceGrades} auto-graded, ${response.data.requiresReview} require review.`
+        message: `Batch grading completed. ${batch.highConfidenceGrades} auto-graded, ${batch.requiresReview} require review.`
       };
     } catch (error) {
       console.error('❌ Failed to batch grade with AI:', error);
@@ -225,32 +229,33 @@ export class TeacherGradingService {
       console.log(`📊 Getting grading analytics for assessment: ${assessmentId}`);
 
       const response = await api.get(`/assessments/${assessmentId}/grading-analytics`);
+      const data = response.data.data;
 
       const analytics = {
         overview: {
-          totalSubmissions: response.data.totalSubmissions,
-          gradedSubmissions: response.data.gradedSubmissions,
-          pendingGrading: response.data.pendingGrading,
-          averageGradingTime: response.data.averageGradingTime
+          totalSubmissions: data.totalSubmissions,
+          gradedSubmissions: data.gradedSubmissions,
+          pendingGrading: data.pendingGrading,
+          averageGradingTime: data.averageGradingTime
         },
         
         distribution: {
-          scoreDistribution: response.data.scoreDistribution,
-          gradeDistribution: response.data.gradeDistribution,
-          questionWiseAnalysis: response.data.questionWiseAnalysis
+          scoreDistribution: data.scoreDistribution,
+          gradeDistribution: data.gradeDistribution,
+          questionWiseAnalysis: data.questionWiseAnalysis
         },
         
         insights: {
-          difficultQuestions: this.identifyDifficultQuestions(response.data),
-          gradingConsistency: response.data.gradingConsistency,
-          commonMistakes: response.data.commonMistakes,
-          improvementAreas: this.suggestImprovementAreas(response.data)
+          difficultQuestions: this.identifyDifficultQuestions(data),
+          gradingConsistency: data.gradingConsistency,
+          commonMistakes: data.commonMistakes,
+          improvementAreas: this.suggestImprovementAreas(data)
         },
         
         efficiency: {
-          gradingProgress: response.data.gradingProgress,
-          timeEstimates: this.calculateTimeEstimates(response.data),
-          recommendations: this.getEfficiencyRecommendations(response.data)
+          gradingProgress: data.gradingProgress,
+          timeEstimates: this.calculateTimeEstimates(data),
+          recommendations: this.getEfficiencyRecommendations(data)
         }
       };
 
@@ -271,14 +276,18 @@ export class TeacherGradingService {
 
       const response = await api.get(`/assessments/${assessmentId}/comparative-grading/${questionId}`);
 
+      const comparison = response.data.data;
+
       return {
         success: true,
         data: {
-          sampleAnswers: response.data.sampleAnswers,
-          gradingRubric: response.data.gradingRubric,
-          scoreDistribution: response.data.scoreDistribution,
-          exemplaryAnswers: response.data.exemplaryAnswers,
-          commonErrors: response.data.commonErrors
+          question: comparison.question,
+          answers: comparison.answers,
+          sampleAnswers: comparison.sampleAnswers,
+          gradingRubric: comparison.gradingRubric,
+          scoreDistribution: comparison.scoreDistribution,
+          exemplaryAnswers: comparison.exemplaryAnswers,
+          commonErrors: comparison.commonErrors
         },
         message: 'Comparative grading data retrieved'
       };
@@ -288,6 +297,53 @@ export class TeacherGradingService {
     }
   }
 
+  // ==========================================
+  // 📐 RUBRIC GRADING
+  // ==========================================
+  
+  static async gradeWithRubric(assessmentId, questionId, gradingData) {
+    try {
+      console.log(`📐 Grading with rubric for question: ${questionId}`);
+
+      const { submissionId, rubricScores, feedback = '', sessionId } = gradingData;
+
+      // rubricScores: [{ criterionId, level, comments }]
+      const response = await api.post(`/assessments/${assessmentId}/rubric-grade`, {
+        submissionId,
+        questionId,
+        rubricScores,
+        feedback,
+        sessionId
+      });
+
+      return {
+        success: true,
+        data: response.data.data,
+        message: response.data.message
+      };
+    } catch (error) {
+      console.error('❌ Failed to grade with rubric:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  static async getRubricAnalytics(assessmentId, questionId) {
+    try {
+      const response = await api.get(`/assessments/${assessmentId}/rubric-analytics`, {
+        params: questionId ? { questionId } : {}
+      });
+
+      return {
+        success: true,
+        data: response.data.data,
+        message: response.data.message
+      };
+    } catch (error) {
+      console.error('❌ Failed to get rubric analytics:', error);
+      throw this.handleError(error);
+    }
+  }
+
   // ==========================================
   // 🎯 GRADING WORKFLOWS
   // ==========================================
@@ -298,21 +354,24 @@ export class TeacherGradingService {
 
       const {
         gradingMode = 'sequential', // sequential, random, priority
-        focusArea = 'all', // specific question types or topics
+        focusArea = 'all', // 'all' or a question type, e.g. 'Creative Question'
+        questionId,
         batchSize = 10,
         aiAssistance = true
       } = options;
 
+      // The server keeps the session and locks answers to it
+      const response = await api.post(`/assessments/${assessmentId}/grading-sessions`, {
+        gradingMode,
+        focusArea,
+        questionId,
+        batchSize,
+        aiAssistance
+      });
+
       const sessionData = {
-        assessmentId,
-        sessionId: this.generateSessionId(),
-        startedAt: new Date().toISOString(),
-        configuration: {
-          gradingMode,
-          focusArea,
-          batchSize,
-          aiAssistance
-        }
+        ...response.data.data,
+        assessmentId
       };
 
       // Save session to local storage for persistence
@@ -321,7 +380,7 @@ export class TeacherGradingService {
       return {
         success: true,
         data: sessionData,
-        message: 'Grading session started successfully'
+        message: response.data.message
       };
     } catch (error) {
       console.error('❌ Failed to start grading session:', error);
@@ -339,11 +398,13 @@ export class TeacherGradingService {
       const {
         skipAlreadyGraded = true,
         prioritizeByDifficulty = false,
-        randomOrder = false
+        randomOrder = false,
+        skip = false // move the current answer to the back of the queue
       } = preferences;
 
       const response = await api.post(`/assessments/${session.assessmentId}/next-submission`, {
         sessionId,
+        skip,
         preferences: {
           skipAlreadyGraded,
           prioritizeByDifficulty,
@@ -353,8 +414,8 @@ export class TeacherGradingService {
 
       return {
         success: true,
-        data: response.data,
-        message: 'Next submission retrieved'
+        data: response.data.data,
+        message: response.data.message
       };
     } catch (error) {
       console.error('❌ Failed to get next submission:', error);
@@ -362,6 +423,67 @@ export class TeacherGradingService {
     }
   }
 
+  static async submitGrade(sessionId, gradingData) {
+    try {
+      const session = this.getGradingSession(sessionId);
+      if (!session) {
+        throw new Error('Grading session not found');
+      }
+
+      const {
+        submissionId,
+        questionId,
+        marksAwarded,
+        partScores,
+        feedback = '',
+        rubricScores = [],
+        gradingDuration = 0
+      } = gradingData;
+
+      const response = await api.post(`/assessments/${session.assessmentId}/grade`, {
+        sessionId,
+        submissionId,
+        questionId,
+        marksAwarded,
+        partScores,
+        feedback,
+        rubricScores,
+        gradingDuration
+      });
+
+      return {
+        success: true,
+        data: response.data.data,
+        message: response.data.message
+      };
+    } catch (error) {
+      console.error('❌ Failed to submit grade:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  static async endGradingSession(sessionId) {
+    try {
+      const session = this.getGradingSession(sessionId);
+      if (!session) {
+        throw new Error('Grading session not found');
+      }
+
+      const response = await api.post(`/assessments/${session.assessmentId}/grading-sessions/${sessionId}/end`);
+
+      localStorage.removeItem(`grading_session_${sessionId}`);
+
+      return {
+        success: true,
+        data: response.data.data,
+        message: response.data.message
+      };
+    } catch (error) {
+      console.error('❌ Failed to end grading session:', error);
+      throw this.handleError(error);
+    }
+  }
+
   // ==========================================
   // 🔧 UTILITY METHODS
   // ==========================================
@@ -433,7 +555,8 @@ export class TeacherGradingService {
   static suggestImprovementAreas(analyticsData) {
     const suggestions = [];
 
-    if (analyticsData.gradingConsistency < 0.8) {
+    // null when no answer has both an AI and a teacher grade yet
+    if (analyticsData.gradingConsistency !== null && analyticsData.gradingConsistency < 0.8) {
       suggestions.push({
         area: 'grading_consistency',
         message: 'Consider using more detailed rubrics for consistent grading',